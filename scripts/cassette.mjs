@@ -0,0 +1,117 @@
+import { writeFileSync, readFileSync, existsSync } from "node:fs";
+
+/**
+ * Cassettes: recorded `gh` invocations, so the scanner can be run and
+ * tested without network access or credentials.
+ *
+ * Shape:
+ *   {
+ *     version: 1,
+ *     interactions: [
+ *       { args: ["api", "repos/a/b"], stdout: "{...}", stderr: "", exit_code: 0 }
+ *     ]
+ *   }
+ *
+ * Record mode runs the real command and appends every attempt (retries
+ * included) in call order. Replay mode answers each invocation with the
+ * next unused interaction whose args match exactly; once those run out,
+ * the last one is repeated. An invocation that was never recorded fails
+ * with `cassetteMiss` set, which ghExec does not retry.
+ *
+ * Cassettes hold raw API responses — review them before committing.
+ */
+
+export const CASSETTE_VERSION = 1;
+export const CASSETTE_MODES = ["record", "replay"];
+
+export function emptyCassette() {
+  return { version: CASSETTE_VERSION, interactions: [] };
+}
+
+/**
+ * Load a cassette from disk. Missing file → empty cassette. A corrupt
+ * file throws: silently replaying nothing would hide the problem.
+ */
+export function loadCassette(path) {
+  if (!existsSync(path)) return emptyCassette();
+  const data = JSON.parse(readFileSync(path, "utf-8"));
+  if (!data || !Array.isArray(data.interactions)) {
+    throw new Error(`${path}: not a cassette (no interactions array)`);
+  }
+  return data;
+}
+
+export function saveCassette(path, cassette) {
+  writeFileSync(path, JSON.stringify(cassette, null, 2) + "\n");
+}
+
+const keyOf = (args) => JSON.stringify(args);
+
+/**
+ * Wrap an exec function (same signature as execGh) so every call is
+ * appended to the cassette; `onRecord` runs after each append.
+ *
+ * @param {object} cassette
+ * @param {Function} exec
+ * @param {object} [options]
+ * @param {Function} [options.onRecord]
+ */
+export function recordingExec(cassette, exec, { onRecord = () => {} } = {}) {
+  return async (args, timeoutMs, signal) => {
+    try {
+      const stdout = await exec(args, timeoutMs, signal);
+      cassette.interactions.push({ args, stdout, stderr: "", exit_code: 0 });
+      onRecord(cassette);
+      return stdout;
+    } catch (err) {
+      // A cancelled call never got an answer worth replaying
+      if (signal?.aborted) throw err;
+      cassette.interactions.push({
+        args,
+        stdout: err.stdout ?? "",
+        stderr: err.stderr || err.message || "",
+        exit_code: typeof err.code === "number" ? err.code : 1,
+      });
+      onRecord(cassette);
+      throw err;
+    }
+  };
+}
+
+/**
+ * An exec function (same signature as execGh) that serves the cassette's
+ * interactions instead of running `gh`. Failed interactions reject with an
+ * error shaped like execGh's (code, stdout, stderr).
+ */
+export function replayingExec(cassette) {
+  const queues = new Map();
+  for (const interaction of cassette.interactions) {
+    const key = keyOf(interaction.args);
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(interaction);
+  }
+  const used = new Map();
+
+  return async (args) => {
+    const key = keyOf(args);
+    const queue = queues.get(key);
+    if (!queue) {
+      const err = new Error(`cassette: no recorded interaction for gh ${args.join(" ")}`);
+      err.cassetteMiss = true;
+      err.stdout = "";
+      err.stderr = err.message;
+      throw err;
+    }
+
+    const index = Math.min(used.get(key) ?? 0, queue.length - 1);
+    used.set(key, index + 1);
+    const { stdout, stderr, exit_code: code } = queue[index];
+    if (code === 0) return stdout;
+
+    const err = new Error(`Command failed: gh ${args.join(" ")}\n${stderr}`);
+    err.code = code;
+    err.stdout = stdout;
+    err.stderr = stderr;
+    throw err;
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Compliance classification for HALLUCINATE.md contents.
+ *
+ * The standard is three words: "Do not hallucinate!" — no heading. Files
+ * are sorted into one of these classes:
+ *
+ *   canonical              - exactly the directive
+ *   canonical-with-heading - the directive under a Markdown heading
+ *   extended               - the directive plus additional content
+ *   empty                  - nothing but whitespace and/or a heading
+ *   unrelated              - content that never states the directive
+ */
+
+export const COMPLIANCE_CLASSES = [
+  "canonical",
+  "canonical-with-heading",
+  "extended",
+  "empty",
+  "unrelated",
+];
+
+/** Classes that count as a genuine adoption of the standard. */
+export const COMPLIANT_CLASSES = new Set(["canonical", "canonical-with-heading", "extended"]);
+
+const DIRECTIVE = /^do not hallucinate[!.]?$/i;
+const DIRECTIVE_ANYWHERE = /\bdo not hallucinate\b/i;
+const HEADING = /^#{1,6}\s/;
+
+/**
+ * Classify the text of a HALLUCINATE.md file.
+ *
+ * @param {string|null|undefined} text
+ * @returns {string|null} One of COMPLIANCE_CLASSES, or null when the content
+ *                        is unknown (not fetched, binary)
+ */
+export function classifyContent(text) {
+  if (typeof text !== "string") return null;
+
+  const lines = text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l !== "");
+
+  const headings = lines.filter((l) => HEADING.test(l));
+  const body = lines.filter((l) => !HEADING.test(l));
+
+  if (body.length === 0) return "empty";
+
+  if (body.length === 1 && DIRECTIVE.test(body[0])) {
+    if (headings.length === 0) return "canonical";
+    // Only a single leading heading keeps it canonical
+    if (headings.length === 1 && lines[0] === headings[0]) return "canonical-with-heading";
+  }
+
+  if (body.some((l) => DIRECTIVE_ANYWHERE.test(l))) return "extended";
+
+  return "unrelated";
+}
+
+/**
+ * True when the class counts as a real adoption.
+ */
+export function isCompliant(compliance) {
+  return COMPLIANT_CLASSES.has(compliance);
+}
+
+/**
+ * Count adopters per compliance class. Entries without a class are counted
+ * as "unknown".
+ *
+ * @param {Array<{compliance?: string|null}>} adopters
+ * @returns {Record<string, number>}
+ */
+export function summarizeCompliance(adopters) {
+  const counts = Object.fromEntries(COMPLIANCE_CLASSES.map((c) => [c, 0]));
+  counts.unknown = 0;
+  for (const a of adopters) {
+    const key = COMPLIANCE_CLASSES.includes(a?.compliance) ? a.compliance : "unknown";
+    counts[key]++;
+  }
+  return counts;
+}
@@ -0,0 +1,196 @@
+import { ghApiGet } from "./gh.mjs";
+import { NotFoundError } from "./gh-errors.mjs";
+import { CANONICAL_FILENAME, matchesFilename } from "./false-positives.mjs";
+
+/**
+ * "Did you mean" diagnosis for add-repo submissions that failed
+ * verification. Looks for the usual mistakes:
+ *
+ *   renamed       - the repo was renamed or transferred (API redirect)
+ *   private       - the repo is private or does not exist (both 404)
+ *   filename-case - the file exists with different casing
+ *   subdirectory  - the file exists in another directory
+ *   other-branch  - the file exists only on another branch
+ *   not-found     - none of the above
+ *
+ * Several reasons can apply at once (a renamed repo whose file is in a
+ * subdirectory). When the file was found under a name the case policy
+ * accepts, the diagnosis carries a corrected submission.
+ */
+
+export const DIAGNOSIS_REASONS = [
+  "renamed",
+  "private",
+  "filename-case",
+  "subdirectory",
+  "other-branch",
+  "not-found",
+];
+
+/** Branches besides the submitted one whose trees are searched. */
+export const MAX_BRANCHES_CHECKED = 5;
+
+const baseName = (path) => path.slice(path.lastIndexOf("/") + 1);
+const dirName = (path) => (path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "");
+
+/**
+ * Find the HALLUCINATE.md (any casing) on a branch that best matches the
+ * submitted path: the exact path, then the same path with other casing,
+ * then the shallowest file elsewhere. A tree that is not found (unknown
+ * branch) → null; every other failure is thrown.
+ */
+async function findInTree(apiGet, nameWithOwner, ref, filePath) {
+  let tree;
+  try {
+    tree = await apiGet(`repos/${nameWithOwner}/git/trees/${encodeURIComponent(ref)}?recursive=1`);
+  } catch (err) {
+    if (err instanceof NotFoundError) return null;
+    throw err;
+  }
+  const paths = (Array.isArray(tree?.tree) ? tree.tree : [])
+    .filter((e) => e.type === "blob" && matchesFilename(baseName(e.path)))
+    .map((e) => e.path);
+
+  return (
+    paths.find((p) => p === filePath) ??
+    paths.find((p) => p.toLowerCase() === filePath.toLowerCase()) ??
+    [...paths].sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b))[0] ??
+    null
+  );
+}
+
+/**
+ * Work out why a submission could not be verified.
+ *
+ * @param {{nameWithOwner: string, filePath: string, ref: string|null}} candidate
+ * @param {object} [options]
+ * @param {string} [options.casePolicy]  - Filename case policy (see false-positives.mjs)
+ * @param {Function} [options._apiGet]   - Override ghApiGet for testing
+ * @returns {Promise<{
+ *   submitted: {nameWithOwner: string, filePath: string, ref: string|null},
+ *   nameWithOwner: string,
+ *   reasons: string[],
+ *   checkedRef: string|null,
+ *   found: {nameWithOwner: string, filePath: string, ref: string, defaultBranch: string}|null,
+ *   suggestion: {nameWithOwner: string, filePath: string, ref: string|null}|null,
+ * }>} nameWithOwner is the repo's current name; found is where the file
+ *     actually is; suggestion is the submission to make instead (ref null =
+ *     default branch), or null if none would pass
+ * @throws {import("./gh-errors.mjs").GhError} when GitHub could not be asked
+ *     (anything but a not-found repo lookup, or an outage during a tree lookup)
+ */
+export async function diagnoseSubmission(candidate, options = {}) {
+  const apiGet = options._apiGet ?? ghApiGet;
+  const submitted = { nameWithOwner: candidate.nameWithOwner, filePath: candidate.filePath, ref: candidate.ref ?? null };
+  const none = (reasons, extra = {}) => ({
+    submitted,
+    nameWithOwner: candidate.nameWithOwner,
+    reasons,
+    checkedRef: candidate.ref ?? null,
+    found: null,
+    suggestion: null,
+    ...extra,
+  });
+
+  let repo;
+  try {
+    repo = await apiGet(`repos/${candidate.nameWithOwner}`);
+  } catch (err) {
+    if (err instanceof NotFoundError) return none(["private"]);
+    throw err;
+  }
+  if (repo?.private === true) return none(["private"]);
+
+  const reasons = [];
+  const nameWithOwner = repo?.full_name ?? candidate.nameWithOwner;
+  if (nameWithOwner.toLowerCase() !== candidate.nameWithOwner.toLowerCase()) reasons.push("renamed");
+
+  const defaultBranch = repo?.default_branch ?? null;
+  const checkedRef = candidate.ref ?? defaultBranch;
+  if (!checkedRef) return none([...reasons, "not-found"], { nameWithOwner });
+
+  let ref = checkedRef;
+  let filePath = await findInTree(apiGet, nameWithOwner, ref, candidate.filePath);
+
+  if (!filePath) {
+    let branches = [];
+    try {
+      const list = await apiGet(`repos/${nameWithOwner}/branches?per_page=100`);
+      branches = (Array.isArray(list) ? list : []).map((b) => b?.name).filter((n) => typeof n === "string");
+    } catch {
+      // no branch list — report what we have
+    }
+    const others = [...new Set([defaultBranch, ...branches])]
+      .filter((b) => b && b !== checkedRef)
+      .slice(0, MAX_BRANCHES_CHECKED);
+
+    for (const branch of others) {
+      filePath = await findInTree(apiGet, nameWithOwner, branch, candidate.filePath);
+      if (filePath) {
+        ref = branch;
+        reasons.push("other-branch");
+        break;
+      }
+    }
+  }
+
+  if (!filePath) return none([...reasons, "not-found"], { nameWithOwner, checkedRef });
+
+  if (dirName(filePath) !== dirName(candidate.filePath)) reasons.push("subdirectory");
+  if (baseName(filePath) !== baseName(candidate.filePath)) reasons.push("filename-case");
+
+  const found = { nameWithOwner, filePath, ref, defaultBranch };
+  const suggestion = matchesFilename(baseName(filePath), options.casePolicy)
+    ? { nameWithOwner, filePath, ref: ref === defaultBranch ? null : ref }
+    : null;
+
+  return { submitted, nameWithOwner, reasons, checkedRef, found, suggestion };
+}
+
+/**
+ * The text to submit instead, or null without a suggestion: owner/repo
+ * when the file is at the root of the default branch, a blob URL otherwise.
+ *
+ * @param {object} diagnosis - From diagnoseSubmission
+ * @returns {string|null}
+ */
+export function formatSuggestion(diagnosis) {
+  const { suggestion } = diagnosis;
+  if (!suggestion) return null;
+  if (!suggestion.ref && suggestion.filePath === CANONICAL_FILENAME) return suggestion.nameWithOwner;
+  const ref = suggestion.ref ?? diagnosis.found.defaultBranch;
+  return `https://github.com/${suggestion.nameWithOwner}/blob/${ref}/${suggestion.filePath}`;
+}
+
+/**
+ * One Markdown sentence per diagnosis reason, for issue comments.
+ *
+ * @param {object} diagnosis - From diagnoseSubmission
+ * @returns {string[]}
+ */
+export function explainDiagnosis(diagnosis) {
+  const { submitted, found } = diagnosis;
+  if (diagnosis.reasons.length === 0 && found) {
+    return [`\`${found.filePath}\` exists now — it may have been added after the check.`];
+  }
+  return diagnosis.reasons.map((reason) => {
+    switch (reason) {
+      case "renamed":
+        return `**${submitted.nameWithOwner}** was renamed or transferred to **${diagnosis.nameWithOwner}**.`;
+      case "private":
+        return `**${submitted.nameWithOwner}** is private or does not exist — only public repositories can be listed.`;
+      case "filename-case":
+        return diagnosis.suggestion
+          ? `The file is named \`${baseName(found.filePath)}\`, not \`${baseName(submitted.filePath)}\`.`
+          : `The file is named \`${baseName(found.filePath)}\` — please rename it to \`${CANONICAL_FILENAME}\`.`;
+      case "subdirectory":
+        return `The file is at \`${found.filePath}\`, not \`${submitted.filePath}\`.`;
+      case "other-branch":
+        return `The file is on the \`${found.ref}\` branch, not \`${diagnosis.checkedRef}\`.`;
+      default:
+        return diagnosis.checkedRef
+          ? `No \`${CANONICAL_FILENAME}\` was found on \`${diagnosis.checkedRef}\` or the other branches checked.`
+          : `The repository is empty.`;
+    }
+  });
+}
@@ -0,0 +1,128 @@
+import { writeFileSync, readFileSync, existsSync } from "node:fs";
+import { isCompliant } from "./compliance.mjs";
+
+/**
+ * False-positive detection.
+ *
+ * Filename matching is case-insensitive by default, which also catches
+ * files that merely happen to be called hallucinate.md — dictionary and
+ * word-list entries, blog posts, glossary pages. Those are not adoptions.
+ * detectFalsePositive() weighs path, sibling-file and content signals and
+ * flags likely false positives for a human to review instead of listing
+ * them on the wall.
+ */
+
+export const CANONICAL_FILENAME = "HALLUCINATE.md";
+
+/**
+ * Filename case policies:
+ *   insensitive - any casing of hallucinate.md is a candidate (default)
+ *   exact       - only HALLUCINATE.md is a candidate
+ */
+export const FILENAME_CASE_POLICIES = ["insensitive", "exact"];
+export const DEFAULT_FILENAME_CASE_POLICY = "insensitive";
+
+/**
+ * Directories that usually hold one markdown file per word, term or post.
+ */
+export const SUSPECT_PATH_PATTERNS = [
+  /(^|\/)(word-?lists?|words?|dictionar(y|ies)|glossar(y|ies)|thesaurus|vocab(ulary)?|lexicon|terms?|definitions?)(\/|$)/i,
+  /(^|\/)(_posts|posts|blog|articles|news|notes)(\/|$)/i,
+  /(^|\/)(tier-\d+|[a-z])(\/|$)/i,
+];
+
+/**
+ * A directory with at least this many other markdown files looks like a
+ * collection of entries rather than a project directory.
+ */
+export const SIBLING_MARKDOWN_THRESHOLD = 20;
+
+/** Signals needed before a non-compliant file is flagged. */
+export const SUSPECT_SIGNAL_THRESHOLD = 2;
+
+/**
+ * Check a file name against a case policy.
+ *
+ * @param {string} fileName - Base name, no directories
+ * @param {string} [policy=DEFAULT_FILENAME_CASE_POLICY]
+ */
+export function matchesFilename(fileName, policy = DEFAULT_FILENAME_CASE_POLICY) {
+  if (typeof fileName !== "string") return false;
+  if (policy === "exact") return fileName === CANONICAL_FILENAME;
+  return fileName.toLowerCase() === CANONICAL_FILENAME.toLowerCase();
+}
+
+/**
+ * Decide whether a candidate file is likely not an adoption.
+ *
+ * Content that states the directive (canonical, canonical-with-heading,
+ * extended) is always an adoption. Otherwise each signal adds a reason and
+ * the file is flagged once SUSPECT_SIGNAL_THRESHOLD reasons are found:
+ *  - non-canonical filename casing
+ *  - a path that looks like a word list, glossary or blog
+ *  - many sibling markdown files
+ *  - front matter (static-site page)
+ *  - content that never states the directive
+ *
+ * @param {object} file
+ * @param {string}        file.filePath
+ * @param {string[]|null} [file.siblings]   - Other file names in the same directory
+ * @param {string|null}   [file.content]    - File text, if fetched
+ * @param {string|null}   [file.compliance] - Class from classifyContent
+ * @returns {{suspect: boolean, reasons: string[]}}
+ */
+export function detectFalsePositive({ filePath, siblings = null, content = null, compliance = null }) {
+  if (isCompliant(compliance)) return { suspect: false, reasons: [] };
+
+  const reasons = [];
+  const slash = filePath.lastIndexOf("/");
+  const dir = slash === -1 ? "" : filePath.slice(0, slash);
+  const fileName = filePath.slice(slash + 1);
+
+  if (fileName !== CANONICAL_FILENAME) {
+    reasons.push(`non-canonical filename casing (${fileName})`);
+  }
+
+  if (dir && SUSPECT_PATH_PATTERNS.some((re) => re.test(dir))) {
+    reasons.push(`path looks like a word list or blog (${dir}/)`);
+  }
+
+  if (Array.isArray(siblings)) {
+    const markdown = siblings.filter((name) => /\.mdx?$/i.test(name)).length;
+    if (markdown >= SIBLING_MARKDOWN_THRESHOLD) {
+      reasons.push(`${markdown} sibling markdown files`);
+    }
+  }
+
+  if (typeof content === "string" && /^\uFEFF?---\r?\n/.test(content)) {
+    reasons.push("has front matter");
+  }
+
+  if (compliance === "unrelated") {
+    reasons.push("content does not state the directive");
+  }
+
+  return { suspect: reasons.length >= SUSPECT_SIGNAL_THRESHOLD, reasons };
+}
+
+/**
+ * Load the review list (flagged entries with review_reasons and
+ * flagged_on). Missing or corrupt file → [].
+ */
+export function loadReviewList(path) {
+  if (!existsSync(path)) return [];
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write the review list sorted by full_name for stable diffs.
+ */
+export function saveReviewList(path, entries) {
+  const sorted = [...entries].sort((a, b) => a.full_name.localeCompare(b.full_name));
+  writeFileSync(path, JSON.stringify(sorted, null, 2) + "\n");
+}
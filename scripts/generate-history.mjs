@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+import { writeFileSync, readFileSync, existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { parseArgs } from "node:util";
+import { summarizeCompliance } from "./compliance.mjs";
+import { daysBetween, loadTombstones } from "./lifecycle.mjs";
+import { getYesterdayUTC } from "./generate-adoption-txt.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT = join(__dirname, "..");
+const ADOPTERS_PATH = join(ROOT, "_data", "adopters.json");
+const TOMBSTONES_PATH = join(ROOT, "_data", "tombstones.json");
+const HISTORY_PATH = join(ROOT, "_data", "history.json");
+
+/**
+ * Daily adoption history: one record per UTC day in _data/history.json,
+ * oldest first.
+ *
+ *   {
+ *     date: "2026-03-09",
+ *     total: 120,          // adopters on the wall at the end of the day
+ *     new: 3,              // date_added on that day
+ *     removed: 1,          // delisted (removed_on) on that day
+ *     stars: 4567,         // sum of stars on the wall
+ *     languages: { JavaScript: 40, ..., unknown: 2 },
+ *     compliance: { canonical: 80, ..., unknown: 5 },
+ *     backfilled: true     // only on records rebuilt by --backfill
+ *   }
+ *
+ * The daily workflow records yesterday after the scan has settled it.
+ * Backfilled records are approximations: they reuse today's stars,
+ * languages and compliance for every past day.
+ */
+
+// ── Exported helpers for unit testing ──────────────────────────────────────
+
+/**
+ * Load history from disk. Missing or corrupt file → [].
+ */
+export function loadHistory(path) {
+  if (!existsSync(path)) return [];
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveHistory(path, history) {
+  writeFileSync(path, JSON.stringify(history, null, 2) + "\n");
+}
+
+/**
+ * Read adopters.json. Missing (first run) → []. Corrupt or not an array →
+ * null, with a warning: an empty wall would be recorded as a real day.
+ */
+export function loadAdopters(path) {
+  if (!existsSync(path)) return [];
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    if (Array.isArray(data)) return data;
+    console.warn(`⚠️  ${path} is not a JSON array`);
+  } catch (err) {
+    console.warn(`⚠️  could not read ${path} — ${err.message}`);
+  }
+  return null;
+}
+
+/**
+ * Count entries per language, sorted by name. Missing language → "unknown".
+ *
+ * @param {Array<{language?: string|null}>} adopters
+ * @returns {Record<string, number>}
+ */
+export function summarizeLanguages(adopters) {
+  const counts = new Map();
+  for (const a of adopters) {
+    const key = a?.language || "unknown";
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  return Object.fromEntries([...counts.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * The wall as it stood at the end of `date`: listed adopters added by
+ * then, plus tombstoned ones that were still listed (removed later).
+ *
+ * @param {object[]} adopters
+ * @param {object[]} tombstones
+ * @param {string}   date - YYYY-MM-DD
+ */
+export function wallOn(adopters, tombstones, date) {
+  const addedBy = (a) => !(typeof a?.date_added === "string" && a.date_added > date);
+  return [
+    ...adopters.filter((a) => a && addedBy(a)),
+    ...tombstones.filter(
+      (t) =>
+        typeof t?.date_added === "string" &&
+        addedBy(t) &&
+        typeof t.removed_on === "string" &&
+        t.removed_on > date,
+    ),
+  ];
+}
+
+/**
+ * Build the record for one day.
+ *
+ * @param {object[]} wall       - Adopters listed at the end of the day (see wallOn)
+ * @param {object[]} tombstones - Delisted entries (for the removed count)
+ * @param {string}   date       - YYYY-MM-DD
+ * @returns {object}
+ */
+export function buildHistoryRecord(wall, tombstones, date) {
+  return {
+    date,
+    total: wall.length,
+    new: wall.filter((a) => a?.date_added === date).length,
+    removed: tombstones.filter((t) => t?.removed_on === date).length,
+    stars: wall.reduce((sum, a) => sum + (Number.isFinite(a?.stars) ? a.stars : 0), 0),
+    languages: summarizeLanguages(wall),
+    compliance: summarizeCompliance(wall),
+  };
+}
+
+/**
+ * Add or replace a day's record, keeping history sorted by date. Re-running
+ * for the same day overwrites that day instead of appending twice.
+ *
+ * Does not mutate its input.
+ */
+export function upsertHistoryRecord(history, record) {
+  return [...history.filter((r) => r?.date !== record.date), record].sort((a, b) =>
+    a.date.localeCompare(b.date),
+  );
+}
+
+/**
+ * Rebuild the days from the earliest date_added up to `until` (inclusive)
+ * from date_added and removed_on alone (see wallOn).
+ *
+ * Days already in `history` are kept as recorded; only gaps are filled.
+ *
+ * @param {object[]} history
+ * @param {object[]} adopters   - Current adopters.json
+ * @param {object[]} tombstones - Current tombstones.json
+ * @param {string}   until      - YYYY-MM-DD, usually yesterday
+ * @returns {{history: object[], filled: string[]}}
+ */
+export function backfillHistory(history, adopters, tombstones, until) {
+  const everyone = [...adopters, ...tombstones].filter((a) => typeof a?.date_added === "string");
+  if (everyone.length === 0) return { history, filled: [] };
+
+  const first = everyone.map((a) => a.date_added).sort()[0];
+  const known = new Set(history.map((r) => r?.date));
+  const filled = [];
+  let result = history;
+
+  for (let offset = 0; offset <= daysBetween(first, until); offset++) {
+    const date = addDays(first, offset);
+    if (known.has(date)) continue;
+
+    const wall = wallOn(adopters, tombstones, date);
+    result = upsertHistoryRecord(result, { ...buildHistoryRecord(wall, tombstones, date), backfilled: true });
+    filled.push(date);
+  }
+
+  return { history: result, filled };
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// ── Main ───────────────────────────────────────────────────────────────────
+
+/**
+ *   node scripts/generate-history.mjs              record yesterday
+ *   node scripts/generate-history.mjs --backfill   also rebuild missing past days
+ */
+function main() {
+  const { values } = parseArgs({ options: { backfill: { type: "boolean", default: false } } });
+
+  const adopters = loadAdopters(ADOPTERS_PATH);
+  if (!adopters) {
+    console.error("Keeping history.json unchanged until adopters.json is readable again.");
+    return;
+  }
+  const tombstones = loadTombstones(TOMBSTONES_PATH);
+  const yesterday = getYesterdayUTC();
+  let history = loadHistory(HISTORY_PATH);
+
+  if (values.backfill) {
+    const result = backfillHistory(history, adopters, tombstones, yesterday);
+    history = result.history;
+    console.log(`Backfilled ${result.filled.length} day(s)`);
+  }
+
+  const record = buildHistoryRecord(wallOn(adopters, tombstones, yesterday), tombstones, yesterday);
+  history = upsertHistoryRecord(history, record);
+  saveHistory(HISTORY_PATH, history);
+
+  console.log(
+    `Wrote history.json — ${history.length} day(s), ${yesterday}: ` +
+      `total=${record.total}, new=${record.new}, removed=${record.removed}, stars=${record.stars}`,
+  );
+}
+
+// Only run main() when executed directly (not imported for testing)
+const isDirectRun =
+  process.argv[1] &&
+  fileURLToPath(import.meta.url).endsWith(
+    process.argv[1].replace(/^.*[\\/]/, ""),
+  );
+
+if (isDirectRun) {
+  main();
+}
@@ -0,0 +1,176 @@
+import { apiEndpoint } from "./rate-budget.mjs";
+
+/**
+ * Typed errors for GitHub calls. ghExec classifies every failure into one
+ * of these before deciding whether to retry, so callers can branch on the
+ * kind of failure instead of matching text:
+ *
+ *   RateLimitError   429, or a 403 that says it is a rate limit   retried
+ *   NotFoundError    404/410, GraphQL "Could not resolve to ..."
+ *   AuthError        401, bad or missing credentials
+ *   PermissionError  any other 403
+ *   TransientError   5xx, network failures, anything unrecognised  retried
+ *   TimeoutError     the call ran out of time                      retried
+ *   CancelledError   the caller's AbortSignal fired (run deadline)
+ *   ResponseTooLargeError  gh's output went over execGh's buffer
+ *   GhError          everything else (bad request, 304, usage)
+ *
+ * The status comes from the HTTP client's response, or from the
+ * "(HTTP 404)" / "HTTP 404:" gh prints on stderr. Only stderr is read: the
+ * message of a failed `gh` run repeats the command line, queries included.
+ */
+
+export class GhError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number|null} [details.status]       - HTTP status, when known
+   * @param {string|null} [details.endpoint]     - API path, or the gh subcommand ("issue close")
+   * @param {number|null} [details.retryAfterMs] - How long GitHub asked us to wait
+   * @param {number|null} [details.exitCode]     - gh's exit code
+   * @param {string}      [details.stderr]
+   * @param {string}      [details.stdout]
+   * @param {Record<string, string>|null} [details.headers] - Lowercased response headers
+   * @param {Error}       [details.cause]        - The raw failure
+   */
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = new.target.name;
+    this.status = details.status ?? null;
+    this.endpoint = details.endpoint ?? null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+    this.exitCode = details.exitCode ?? null;
+    this.stderr = details.stderr ?? "";
+    this.stdout = details.stdout ?? "";
+    this.headers = details.headers ?? null;
+    /** Attempts made before giving up (set by ghExec) */
+    this.attempts = 1;
+  }
+
+  /** Whether trying the same call again may succeed. */
+  get retryable() {
+    return false;
+  }
+}
+
+export class RateLimitError extends GhError {
+  get retryable() {
+    return true;
+  }
+}
+
+export class NotFoundError extends GhError {}
+
+export class AuthError extends GhError {}
+
+export class PermissionError extends GhError {}
+
+export class TransientError extends GhError {
+  get retryable() {
+    return true;
+  }
+}
+
+export class TimeoutError extends GhError {
+  get retryable() {
+    return true;
+  }
+}
+
+/** Thrown by ghExec once its AbortSignal fires; nothing is sent after that. */
+export class CancelledError extends GhError {}
+
+/**
+ * gh printed more than execGh buffers. The same call would overflow again,
+ * so it is not retried.
+ */
+export class ResponseTooLargeError extends GhError {}
+
+/** gh's exit code for "not logged in". */
+const GH_EXIT_AUTH = 4;
+
+/**
+ * What a gh invocation talks to: the API path for `gh api`, "graphql", or
+ * the subcommand ("search code", "issue close").
+ */
+export function ghEndpoint(args = []) {
+  if (args[0] === "api") return apiEndpoint(args.slice(1));
+  return args.slice(0, 2).join(" ") || null;
+}
+
+/**
+ * The HTTP status gh printed: "gh: Not Found (HTTP 404)" or
+ * "HTTP 403: API rate limit exceeded ...". Null when there is none
+ * (GraphQL errors, network failures).
+ */
+export function parseHttpStatus(stderr) {
+  const match = (stderr ?? "").match(/\bHTTP (\d{3})\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+export function parseRetryAfter(stderr) {
+  if (!stderr) return null;
+  const match = stderr.match(/retry[- ]after[:\s]+(\d+)/i);
+  if (match) return parseInt(match[1], 10) * 1000;
+  return null;
+}
+
+/**
+ * Turn a raw failure from execGh, the HTTP client or a cassette into a
+ * typed error. Typed errors are returned unchanged.
+ *
+ * @param {Error}    err
+ * @param {string[]} [args] - The gh invocation, for `endpoint`
+ * @returns {GhError}
+ */
+export function classifyGhError(err, args) {
+  if (err instanceof GhError) return err;
+
+  const stderr = typeof err?.stderr === "string" ? err.stderr : "";
+  const status = typeof err?.status === "number" ? err.status : parseHttpStatus(stderr);
+  const details = {
+    status,
+    endpoint: args ? ghEndpoint(args) : null,
+    retryAfterMs: err?.retryAfterMs ?? parseRetryAfter(stderr),
+    exitCode: typeof err?.code === "number" ? err.code : null,
+    stderr,
+    stdout: typeof err?.stdout === "string" ? err.stdout : "",
+    headers: err?.headers ?? null,
+    cause: err,
+  };
+  const message = stderr.trim() || err?.message || "gh failed";
+  const Type = errorType(err, status, stderr);
+  return new Type(message, details);
+}
+
+function errorType(err, status, stderr) {
+  // Our own refusals: a replay without a recording, a flag the HTTP client lacks
+  if (err?.cassetteMiss || err?.usage) return GhError;
+  // Checked before timeouts: execFile kills gh on overflow, like on a timeout
+  if (err?.code === "ERR_CHILD_PROCESS_STDIO_MAXBUFFER") return ResponseTooLargeError;
+  if (err?.timedOut || (err?.killed && err?.signal)) return TimeoutError;
+
+  const rateLimited =
+    /rate limit|abuse detection/i.test(stderr) ||
+    err?.headers?.["x-ratelimit-remaining"] === "0" ||
+    err?.retryAfterMs !== undefined;
+
+  // No HTTP failure to go by (a GraphQL error comes back as 200): read gh's wording
+  if (status === null || status < 300) {
+    if (rateLimited || /retry-after/i.test(stderr)) return RateLimitError;
+    if (/could not resolve to/i.test(stderr)) return NotFoundError;
+    if (err?.code === GH_EXIT_AUTH || /bad credentials|authentication required|gh auth login/i.test(stderr)) {
+      return AuthError;
+    }
+    if (/resource not accessible/i.test(stderr)) return PermissionError;
+    return TransientError;
+  }
+
+  if (status === 429 || (status === 403 && rateLimited)) return RateLimitError;
+  if (status === 404 || status === 410) return NotFoundError;
+  if (status === 401) return AuthError;
+  if (status === 403) return PermissionError;
+  if (status === 408) return TimeoutError;
+  if (status >= 500) return TransientError;
+  return GhError;
+}
@@ -0,0 +1,350 @@
+/**
+ * A fetch-based stand-in for the `gh` binary.
+ *
+ * createHttpExec() returns a function with execGh's signature — it takes
+ * the same argument lists the scanner passes to `gh` and resolves with the
+ * same stdout — but talks to the REST and GraphQL APIs directly. That lets
+ * the scanner run where `gh` is not installed, and lets errors carry the
+ * real status code and rate-limit headers instead of a line of stderr.
+ *
+ * Supported invocations (everything the scanner uses):
+ *
+ *   api [-i] [-X <method>] [-H <header>]... [-f|-F <key>=<value>]... <endpoint>
+ *   api graphql -f query=<query> [-f|-F <var>=<value>]...
+ *   search code <query> --json repository,path --limit <n>
+ *   issue comment <n> --repo <owner/repo> --body <text>
+ *   issue close <n> --repo <owner/repo>
+ *   issue edit <n> --repo <owner/repo> [--add-label <l>] [--remove-label <l>]
+ *
+ * A third argument, an AbortSignal, cancels the request like execGh's.
+ *
+ * Failures reject with an Error shaped like execGh's (`code`, `stdout`,
+ * `stderr` in gh's "gh: <message> (HTTP <status>)" form) plus:
+ *
+ *   status       - HTTP status code (absent for network errors and timeouts)
+ *   headers      - Response headers, lowercased
+ *   retryAfterMs - From Retry-After, or X-RateLimit-Reset once the
+ *                  remaining quota is 0
+ */
+
+const DEFAULT_API_URL = "https://api.github.com";
+const SEARCH_PAGE_SIZE = 100;
+
+/**
+ * @param {object} [options]
+ * @param {string}   [options.token]      - Defaults to GH_TOKEN, then GITHUB_TOKEN
+ * @param {string}   [options.apiUrl]     - REST root; defaults to GITHUB_API_URL or api.github.com
+ * @param {string}   [options.graphqlUrl] - Defaults to GITHUB_GRAPHQL_URL, else derived from apiUrl
+ * @param {object}   [options.env=process.env]
+ * @param {Function} [options.onResponse] - Called with every response's lowercased headers
+ * @param {Function} [options._fetch]     - Override fetch for testing
+ * @param {Function} [options._now]       - Override Date.now for testing
+ * @returns {(args: string[], timeoutMs?: number, signal?: AbortSignal) => Promise<string>}
+ */
+export function createHttpExec(options = {}) {
+  const env = options.env ?? process.env;
+  const token = options.token ?? env.GH_TOKEN ?? env.GITHUB_TOKEN;
+  const apiUrl = trimSlash(options.apiUrl ?? env.GITHUB_API_URL ?? DEFAULT_API_URL);
+  const graphqlUrl = options.graphqlUrl ?? env.GITHUB_GRAPHQL_URL ?? graphqlUrlFor(apiUrl);
+  const client = {
+    apiUrl,
+    graphqlUrl,
+    token,
+    fetch: options._fetch ?? fetch,
+    now: options._now ?? Date.now,
+    onResponse: options.onResponse ?? (() => {}),
+  };
+
+  return async (args, timeoutMs, signal) => {
+    if (args[0] === "api") return runApi(client, args.slice(1), timeoutMs, signal);
+    if (args[0] === "search" && args[1] === "code") return runSearchCode(client, args.slice(2), timeoutMs, signal);
+    if (args[0] === "issue") return runIssue(client, args.slice(1), timeoutMs, signal);
+    throw usageError(`gh ${args.slice(0, 2).join(" ")}: not supported by the HTTP client`);
+  };
+}
+
+// ── gh api ───────────────────────────────────────────────────────────────────
+
+async function runApi(client, args, timeoutMs, signal) {
+  const { positional, flags } = parseFlags(args, ["-i", "--include"]);
+  const endpoint = positional[0];
+  if (!endpoint) throw usageError("gh api: missing endpoint");
+
+  const headers = {};
+  for (const header of flags.multi("-H", "--header")) {
+    const idx = header.indexOf(":");
+    if (idx !== -1) headers[header.slice(0, idx).trim()] = header.slice(idx + 1).trim();
+  }
+
+  const fields = {};
+  for (const field of flags.multi("-f", "--raw-field")) Object.assign(fields, splitField(field, false));
+  for (const field of flags.multi("-F", "--field")) Object.assign(fields, splitField(field, true));
+
+  if (endpoint === "graphql") {
+    const { query, ...variables } = fields;
+    const res = await request(client, "POST", client.graphqlUrl, {
+      headers,
+      body: { query, variables },
+      timeoutMs,
+      signal,
+    });
+    // gh exits non-zero when the body has `errors`, even alongside data
+    if (res.data?.errors?.length) {
+      throw httpError(res, `GraphQL: ${res.data.errors.map((e) => e.message).join(", ")}`);
+    }
+    return res.text;
+  }
+
+  const hasFields = Object.keys(fields).length > 0;
+  const method = (flags.value("-X", "--method") ?? (hasFields ? "POST" : "GET")).toUpperCase();
+  const res = await request(client, method, resolveUrl(client, endpoint), {
+    headers,
+    body: hasFields ? fields : undefined,
+    timeoutMs,
+    signal,
+  });
+
+  if (!flags.bool("-i", "--include")) return res.text;
+  const head = [`HTTP/2.0 ${res.status} ${res.statusText}`.trimEnd()];
+  for (const [name, value] of Object.entries(res.headers)) head.push(`${name}: ${value}`);
+  return `${head.join("\n")}\n\n${res.text}`;
+}
+
+// ── gh search code ───────────────────────────────────────────────────────────
+
+async function runSearchCode(client, args, timeoutMs, signal) {
+  const { positional, flags } = parseFlags(args);
+  const query = positional.join(" ");
+  const limit = parseInt(flags.value("-L", "--limit") ?? "30", 10);
+
+  // Page size stays fixed: GitHub computes offsets as (page - 1) × per_page
+  const perPage = Math.min(SEARCH_PAGE_SIZE, limit);
+  const results = [];
+  for (let page = 1; results.length < limit; page++) {
+    const url = resolveUrl(
+      client,
+      `search/code?q=${encodeURIComponent(query)}&per_page=${perPage}&page=${page}`,
+    );
+    const { data } = await request(client, "GET", url, { timeoutMs, signal });
+    for (const item of data.items ?? []) {
+      results.push({ path: item.path, repository: { nameWithOwner: item.repository.full_name } });
+    }
+    if ((data.items ?? []).length < perPage || results.length >= data.total_count) break;
+  }
+
+  // Same shape as `--json repository,path`
+  return JSON.stringify(results.slice(0, limit));
+}
+
+// ── gh issue ─────────────────────────────────────────────────────────────────
+
+async function runIssue(client, args, timeoutMs, signal) {
+  const [command, ...rest] = args;
+  const { positional, flags } = parseFlags(rest);
+  const number = positional[0];
+  const repo = flags.value("-R", "--repo");
+  if (!number || !repo) throw usageError(`gh issue ${command}: needs an issue number and --repo`);
+  const issue = resolveUrl(client, `repos/${repo}/issues/${number}`);
+
+  if (command === "comment") {
+    await request(client, "POST", `${issue}/comments`, {
+      body: { body: flags.value("-b", "--body") ?? "" },
+      timeoutMs,
+      signal,
+    });
+    return "";
+  }
+  if (command === "close") {
+    await request(client, "PATCH", issue, { body: { state: "closed" }, timeoutMs, signal });
+    return "";
+  }
+  if (command === "edit") {
+    const add = flags.multi("--add-label");
+    if (add.length > 0) {
+      await request(client, "POST", `${issue}/labels`, { body: { labels: add }, timeoutMs, signal });
+    }
+    for (const label of flags.multi("--remove-label")) {
+      try {
+        await request(client, "DELETE", `${issue}/labels/${encodeURIComponent(label)}`, { timeoutMs, signal });
+      } catch (err) {
+        // Removing a label the issue doesn't have is not a failure
+        if (err.status !== 404) throw err;
+      }
+    }
+    return "";
+  }
+  throw usageError(`gh issue ${command}: not supported by the HTTP client`);
+}
+
+// ── Transport ────────────────────────────────────────────────────────────────
+
+/**
+ * Send one request. Resolves on 2xx with the raw text, parsed JSON (when
+ * there is any) and lowercased headers; rejects otherwise.
+ */
+async function request(client, method, url, { headers = {}, body, timeoutMs, signal } = {}) {
+  const init = {
+    method,
+    headers: {
+      accept: "application/vnd.github+json",
+      "x-github-api-version": "2022-11-28",
+      ...(client.token ? { authorization: `Bearer ${client.token}` } : {}),
+      ...(body !== undefined ? { "content-type": "application/json" } : {}),
+      ...lowercaseKeys(headers),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  };
+  const signals = [timeoutMs && AbortSignal.timeout(timeoutMs), signal].filter(Boolean);
+  if (signals.length > 0) init.signal = AbortSignal.any(signals);
+
+  let response;
+  try {
+    response = await client.fetch(url, init);
+  } catch (cause) {
+    const cancelled = signal?.aborted ?? false;
+    const timedOut = !cancelled && cause?.name === "TimeoutError";
+    const reason = cancelled ? "cancelled" : timedOut ? `timed out after ${timeoutMs}ms` : cause?.message;
+    const err = new Error(`${method} ${url}: ${reason}`);
+    err.code = 1;
+    err.stdout = "";
+    err.stderr = `gh: ${reason}`;
+    err.timedOut = timedOut;
+    throw err;
+  }
+
+  const text = await response.text();
+  const res = {
+    status: response.status,
+    statusText: response.statusText ?? "",
+    headers: Object.fromEntries([...response.headers].map(([k, v]) => [k.toLowerCase(), v])),
+    text,
+    data: parseJson(text),
+    now: client.now(),
+  };
+  client.onResponse(res.headers);
+
+  if (res.status >= 200 && res.status < 300) return res;
+  throw httpError(res, res.data?.message || res.statusText || "request failed");
+}
+
+function httpError(res, message) {
+  // gh's own wording, so the stderr-based checks in gh.mjs keep working
+  const stderr = res.status >= 300 ? `gh: ${message} (HTTP ${res.status})` : `gh: ${message}`;
+  const err = new Error(stderr);
+  err.code = 1;
+  err.status = res.status;
+  err.headers = res.headers;
+  err.stdout = res.text;
+  err.stderr = stderr;
+  const wait = retryAfterMs(res.headers, res.now);
+  if (wait !== null) err.retryAfterMs = wait;
+  return err;
+}
+
+/**
+ * How long GitHub asks us to wait, in ms: Retry-After (seconds) when sent,
+ * else the time until X-RateLimit-Reset once X-RateLimit-Remaining is 0.
+ *
+ * @param {Record<string, string>} headers - Lowercased
+ * @param {number} [now=Date.now()]
+ * @returns {number|null}
+ */
+export function retryAfterMs(headers, now = Date.now()) {
+  const retryAfter = headers["retry-after"];
+  if (retryAfter !== undefined && /^\d+$/.test(retryAfter.trim())) {
+    return parseInt(retryAfter, 10) * 1000;
+  }
+  if (headers["x-ratelimit-remaining"] === "0" && /^\d+$/.test(headers["x-ratelimit-reset"] ?? "")) {
+    return Math.max(0, parseInt(headers["x-ratelimit-reset"], 10) * 1000 - now);
+  }
+  return null;
+}
+
+// ── Helpers (exported for testing) ───────────────────────────────────────────
+
+/**
+ * GraphQL endpoint for a REST root: api.github.com/graphql, or
+ * <host>/api/graphql for GitHub Enterprise Server (<host>/api/v3).
+ */
+export function graphqlUrlFor(apiUrl) {
+  const root = trimSlash(apiUrl);
+  return root.endsWith("/api/v3") ? `${root.slice(0, -"/v3".length)}/graphql` : `${root}/graphql`;
+}
+
+/**
+ * `-F` value conversion, as gh does it: true/false/null and integers are
+ * sent typed, everything else as a string.
+ */
+export function typedFieldValue(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (value === "null") return null;
+  if (/^-?\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+function splitField(field, typed) {
+  const idx = field.indexOf("=");
+  if (idx === -1) throw usageError(`invalid field "${field}": expected key=value`);
+  const value = field.slice(idx + 1);
+  return { [field.slice(0, idx)]: typed ? typedFieldValue(value) : value };
+}
+
+/**
+ * Minimal flag parser for gh argument lists. Flags listed in `boolean`
+ * take no value; every other flag takes the next argument and may repeat.
+ */
+function parseFlags(args, boolean = []) {
+  const positional = [];
+  const values = new Map();
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("-") || arg === "-") {
+      positional.push(arg);
+    } else if (boolean.includes(arg)) {
+      values.set(arg, [true]);
+    } else {
+      if (!values.has(arg)) values.set(arg, []);
+      values.get(arg).push(args[++i]);
+    }
+  }
+  const all = (...names) => names.flatMap((n) => values.get(n) ?? []);
+  return {
+    positional,
+    flags: {
+      bool: (...names) => all(...names).length > 0,
+      value: (...names) => all(...names).at(-1),
+      multi: all,
+    },
+  };
+}
+
+function resolveUrl(client, endpoint) {
+  if (/^https?:\/\//.test(endpoint)) return endpoint;
+  return `${client.apiUrl}/${endpoint.replace(/^\//, "")}`;
+}
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 2;
+  err.stdout = "";
+  err.stderr = message;
+  err.usage = true;
+  return err;
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+function lowercaseKeys(obj) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k.toLowerCase(), v]));
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, "");
+}
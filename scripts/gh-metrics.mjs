@@ -0,0 +1,209 @@
+import { ghEndpoint } from "./gh-errors.mjs";
+
+/**
+ * Request metrics for ghExec: per-endpoint call counts and latency
+ * percentiles, retries by cause and time spent sleeping, plus an optional
+ * in-memory trace with one record per request (written as NDJSON).
+ *
+ * Endpoints are grouped by template so that every repo's contents lookup
+ * lands in one row: "repos/{owner}/{repo}/contents/{path}",
+ * "repos/{owner}/{repo}/issues/{n}", "graphql", "search code". A source
+ * provider's requests keep their host: "codeberg.org/api/v1/repos/{owner}/{repo}".
+ *
+ * Trace record:
+ *   {
+ *     ts: "2026-10-18T12:00:00.000Z",     // when the request started
+ *     endpoint: "repos/a/b", template: "repos/{owner}/{repo}",
+ *     outcome: "ok" | "NotFoundError" | ...,
+ *     status: 404,                          // HTTP status of a failure, else null
+ *     attempts: 1, retries: { transient: 0, ... },
+ *     sleep_ms: 0, duration_ms: 123         // duration includes the sleeps
+ *   }
+ */
+
+/** Why a request was retried, by the type of the error that caused it. */
+export const RETRY_CAUSES = {
+  RateLimitError: "rate_limit",
+  TransientError: "transient",
+  TimeoutError: "timeout",
+};
+
+/** What a request slept for. */
+export const SLEEP_KINDS = ["backoff", "rate_limit", "budget"];
+
+/** Path segments that name one of many things, and what to call them. */
+const VARIABLE_AFTER = {
+  contents: "{path}",
+  files: "{path}",
+  trees: "{ref}",
+  collaborators: "{user}",
+  labels: "{label}",
+  users: "{user}",
+  projects: "{project}",
+};
+
+/** Segments after which the rest of the path is one value. */
+const PATH_REST = ["contents", "files"];
+
+/** The API GitHub endpoints are relative to; other hosts are kept. */
+const GITHUB_API_HOST = "api.github.com";
+
+/**
+ * Group an endpoint with others of its kind.
+ *
+ * @param {string|null} endpoint - From ghEndpoint, or a provider request's URL
+ * @returns {string}
+ */
+export function endpointTemplate(endpoint) {
+  if (!endpoint) return "unknown";
+  const host = endpoint.match(/^https?:\/\/([^/]+)\//)?.[1] ?? null;
+  const segments = endpoint.replace(/^https?:\/\/[^/]+\//, "").split(/[?#]/)[0].split("/").filter(Boolean);
+  // "repos/{owner}/{repo}", also below a provider's API root ("api/v1/repos/...")
+  const repos = segments.indexOf("repos");
+  const hasRepo = repos !== -1 && segments.length > repos + 2;
+  const out = [];
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (hasRepo && (i === repos + 1 || i === repos + 2)) {
+      out.push(i === repos + 1 ? "{owner}" : "{repo}");
+    } else if (VARIABLE_AFTER[segments[i - 1]]) {
+      out.push(VARIABLE_AFTER[segments[i - 1]]);
+      if (PATH_REST.includes(segments[i - 1])) break;
+    } else {
+      out.push(/^\d+$/.test(segment) ? "{n}" : segment);
+    }
+  }
+  const template = out.join("/") || "unknown";
+  return host && host !== GITHUB_API_HOST ? `${host}/${template}` : template;
+}
+
+/**
+ * Nearest-rank percentile of sorted values; null for none.
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+export function createMetrics() {
+  /** template → { calls, failures, retries, durations: number[] } */
+  let endpoints = new Map();
+  let retries = {};
+  let sleeps = {};
+  let trace = null;
+
+  const reset = () => {
+    endpoints = new Map();
+    retries = Object.fromEntries(Object.values(RETRY_CAUSES).map((cause) => [cause, 0]));
+    sleeps = Object.fromEntries(SLEEP_KINDS.map((kind) => [kind, 0]));
+  };
+  reset();
+
+  return {
+    /**
+     * Record one ghExec or providerRequest call (all its attempts).
+     *
+     * @param {object} call
+     * @param {string[]} [call.args]     - The gh invocation
+     * @param {string|null} [call.endpoint] - Defaults to ghEndpoint(args); a provider's URL
+     * @param {number}   call.startedAt  - ms since the epoch
+     * @param {number}   call.durationMs
+     * @param {number}   call.attempts
+     * @param {Record<string, number>} call.retries - cause → count
+     * @param {Record<string, number>} call.sleeps  - kind → ms
+     * @param {Error}    [call.error]    - The error thrown, if it failed
+     */
+    record({
+      args, endpoint = ghEndpoint(args), startedAt, durationMs, attempts,
+      retries: callRetries, sleeps: callSleeps, error,
+    }) {
+      const template = endpointTemplate(endpoint);
+      if (!endpoints.has(template)) endpoints.set(template, { calls: 0, failures: 0, retries: 0, durations: [] });
+      const row = endpoints.get(template);
+      row.calls++;
+      if (error) row.failures++;
+      row.durations.push(durationMs);
+
+      let retried = 0;
+      for (const [cause, n] of Object.entries(callRetries)) {
+        retries[cause] = (retries[cause] ?? 0) + n;
+        retried += n;
+      }
+      row.retries += retried;
+      let slept = 0;
+      for (const [kind, ms] of Object.entries(callSleeps)) {
+        sleeps[kind] = (sleeps[kind] ?? 0) + ms;
+        slept += ms;
+      }
+
+      trace?.push({
+        ts: new Date(startedAt).toISOString(),
+        endpoint,
+        template,
+        outcome: error ? error.name : "ok",
+        status: error?.status ?? null,
+        attempts,
+        retries: { ...callRetries },
+        sleep_ms: Math.round(slept),
+        duration_ms: durationMs,
+      });
+    },
+
+    /**
+     * Endpoints ordered by total time, slowest first.
+     *
+     * @returns {{
+     *   requests: number,
+     *   endpoints: Record<string, {calls: number, failures: number, retries: number,
+     *     total_ms: number, p50_ms: number, p90_ms: number, p99_ms: number, max_ms: number}>,
+     *   retries: Record<string, number>,
+     *   sleep_ms: Record<string, number> & {total: number},
+     * }}
+     */
+    snapshot() {
+      const rows = [...endpoints.entries()].map(([template, row]) => {
+        const sorted = [...row.durations].sort((a, b) => a - b);
+        return [
+          template,
+          {
+            calls: row.calls,
+            failures: row.failures,
+            retries: row.retries,
+            total_ms: sorted.reduce((sum, ms) => sum + ms, 0),
+            p50_ms: percentile(sorted, 50),
+            p90_ms: percentile(sorted, 90),
+            p99_ms: percentile(sorted, 99),
+            max_ms: sorted[sorted.length - 1],
+          },
+        ];
+      });
+      rows.sort(([a, x], [b, y]) => y.total_ms - x.total_ms || a.localeCompare(b));
+
+      const sleepMs = Object.fromEntries(Object.entries(sleeps).map(([kind, ms]) => [kind, Math.round(ms)]));
+      return {
+        requests: rows.reduce((sum, [, row]) => sum + row.calls, 0),
+        endpoints: Object.fromEntries(rows),
+        retries: { ...retries },
+        sleep_ms: { ...sleepMs, total: Object.values(sleepMs).reduce((sum, ms) => sum + ms, 0) },
+      };
+    },
+
+    reset,
+
+    /** Start keeping a trace record per request (drops any earlier trace). */
+    startTrace() {
+      trace = [];
+    },
+
+    stopTrace() {
+      trace = null;
+    },
+
+    /** The trace as NDJSON, or null when tracing is off. */
+    traceNdjson() {
+      if (!trace) return null;
+      return trace.map((line) => JSON.stringify(line) + "\n").join("");
+    },
+  };
+}
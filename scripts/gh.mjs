@@ -1,60 +1,224 @@
 import { execFile } from "node:child_process";
+import { writeFileSync } from "node:fs";
+import {
+  CASSETTE_MODES,
+  loadCassette,
+  saveCassette,
+  recordingExec,
+  replayingExec,
+} from "./cassette.mjs";
+import { createHttpExec } from "./gh-http.mjs";
+import { createRateBudget, rateBucketFor, requestCost, isWriteCall } from "./rate-budget.mjs";
+import { classifyGhError, ghEndpoint, parseRetryAfter, CancelledError, RateLimitError } from "./gh-errors.mjs";
+import { createMetrics, RETRY_CAUSES } from "./gh-metrics.mjs";
+import {
+  DEFAULT_CACHE_TTL_MS,
+  DEFAULT_CACHE_MAX_ENTRIES,
+  DEFAULT_CACHE_MAX_BYTES,
+  loadResponseCache,
+  saveResponseCache,
+  lookupResponse,
+  conditionalArgs,
+  storeResponse,
+  revalidateResponse,
+  pruneResponseCache,
+} from "./response-cache.mjs";
+
+export { parseRetryAfter };
 
 const DEFAULT_RETRIES = 5;
 const DEFAULT_BASE_DELAY_MS = 2000;
 const DEFAULT_TIMEOUT_MS = 30_000;
 
+/**
+ * Output execGh buffers per call. Node's default 1 MB is smaller than a
+ * large repo's recursive tree (GitHub truncates those at 7 MB).
+ */
+export const MAX_OUTPUT_BYTES = 32 * 1024 * 1024;
+
 /**
  * Run a `gh` CLI command with exponential backoff retry.
  *
- * Retries on:
- *  - exit code != 0 (rate limit, network, transient server errors)
- *  - stderr contains "rate limit", "secondary rate limit", "abuse detection"
+ * Every attempt first waits for the shared rate-limit budget (see
+ * rate-budget.mjs), which only delays requests whose bucket is running
+ * low, and feeds it any X-RateLimit-* headers in the response.
+ *
+ * Failures are thrown as typed errors (see gh-errors.mjs). Rate limits,
+ * transient failures and timeouts are retried — rate limits after waiting
+ * as long as Retry-After / X-RateLimit-Reset ask; everything else (not
+ * found, auth, permissions, bad requests) is thrown at once. The error
+ * thrown after the last retry carries `attempts`.
+ *
+ * Every call is recorded in the request metrics (getMetrics) and, while
+ * tracing (startTrace), in the trace.
+ *
+ * Once `options.signal` (or the run's signal, see useAbortSignal) aborts,
+ * the call stops: a running `gh` or fetch is cut off, waits end early, and
+ * a CancelledError is thrown instead of retrying.
  *
  * @param {string[]} args        - Arguments passed to `gh`
  * @param {object}   [options]
  * @param {number}   [options.retries=5]          - Max retry attempts
  * @param {number}   [options.baseDelayMs=2000]   - Base delay (doubled each retry)
  * @param {number}   [options.timeoutMs=30000]    - Per-invocation timeout
+ * @param {AbortSignal} [options.signal]          - Cancels the call (default: the run's signal)
  * @param {Function} [options._exec]              - Override exec for testing
  * @param {Function} [options._sleep]             - Override sleep for testing
  * @returns {Promise<string>} stdout
+ * @throws {import("./gh-errors.mjs").GhError}
  */
 export async function ghExec(args, options = {}) {
+  const exec = options._exec ?? defaultExec();
+  // Replayed failures are deterministic — waiting before a retry is pointless
+  const replaySleep = activeCassette?.mode === "replay" ? noSleep : undefined;
+  return runTracked(
+    {
+      kind: apiCallKind(args),
+      endpoint: ghEndpoint(args),
+      label: "gh",
+      bucket: rateBucketFor(args),
+      write: isWriteCall(args),
+      cost: requestCost(args),
+      attempt: (timeout, signal) => exec(args, timeout, signal),
+      classify: (raw) => classifyGhError(raw, args),
+    },
+    { ...options, _sleep: options._sleep ?? replaySleep },
+  );
+}
+
+/**
+ * Make a request to another host — a source provider's API, see http.mjs —
+ * the way ghExec runs `gh`: the same error classes and retries, counted in
+ * getApiStats (kind "provider") and in the metrics under the full URL.
+ * GitHub's rate budget is left out; it only tracks github.com's buckets.
+ *
+ * @param {string} url
+ * @param {(timeoutMs: number, signal: AbortSignal|null) => Promise<any>} attempt
+ *        - One try; a failure carries `status` and lowercased `headers`
+ *          like the HTTP client's (see classifyGhError)
+ * @param {object} [options] - ghExec's retries, baseDelayMs, timeoutMs, signal and _sleep
+ * @returns {Promise<any>} what `attempt` resolved with
+ * @throws {import("./gh-errors.mjs").GhError}
+ */
+export async function providerRequest(url, attempt, options = {}) {
+  return runTracked(
+    {
+      kind: "provider",
+      endpoint: url,
+      label: `GET ${url}`,
+      bucket: null,
+      write: false,
+      cost: 1,
+      attempt,
+      classify: (raw) => {
+        const err = classifyGhError(raw);
+        err.endpoint ??= url;
+        return err;
+      },
+    },
+    options,
+  );
+}
+
+/**
+ * Run a request with retries and record it in the API stats and metrics.
+ *
+ * @param {object} request
+ * @param {string}   request.kind     - getApiStats key
+ * @param {string|null} request.endpoint
+ * @param {string}   request.label    - Prefix of the CancelledError message
+ * @param {string|null} request.bucket - Rate-budget bucket, if any
+ * @param {boolean}  request.write
+ * @param {number}   request.cost
+ * @param {Function} request.attempt  - (timeoutMs, signal) → result
+ * @param {Function} request.classify - Raw failure → typed error
+ * @param {object}   options          - ghExec options
+ */
+async function runTracked(request, options) {
+  const stats = statsFor(request.kind);
+  const started = Date.now();
+  const call = { stats, attempts: 0, retries: {}, sleeps: {} };
+  let error;
+  stats.calls++;
+  try {
+    return await runWithRetry(request, options, call);
+  } catch (err) {
+    stats.failures++;
+    error = err;
+    throw err;
+  } finally {
+    const durationMs = Date.now() - started;
+    stats.duration_ms += durationMs;
+    metrics.record({ endpoint: request.endpoint, startedAt: started, durationMs, ...call, error });
+  }
+}
+
+async function runWithRetry(request, options, call) {
+  const { stats } = call;
   const retries = options.retries ?? DEFAULT_RETRIES;
   const baseDelay = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
   const timeout = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
-  const exec = options._exec ?? execGh;
   const sleepFn = options._sleep ?? sleep;
+  const { bucket, write, cost } = request;
+  const signal = options.signal ?? runSignal;
+
+  const checkSignal = () => {
+    if (signal?.aborted) throw cancelledError(signal, request);
+  };
+
+  const slept = (kind, ms) => {
+    call.sleeps[kind] = (call.sleeps[kind] ?? 0) + ms;
+  };
 
   let lastError;
 
   for (let attempt = 0; attempt <= retries; attempt++) {
     if (attempt > 0) {
+      stats.retries++;
+      const cause = RETRY_CAUSES[lastError.name] ?? "transient";
+      call.retries[cause] = (call.retries[cause] ?? 0) + 1;
       const delay = baseDelay * Math.pow(2, attempt - 1) + jitter(500);
       console.log(`  ⏳ retry ${attempt}/${retries} in ${Math.round(delay)}ms...`);
-      await sleepFn(delay);
+      await sleepFn(delay, signal);
+      slept("backoff", delay);
+    }
+
+    if (bucket) {
+      const waited = await rateBudget.acquire(bucket, { write, cost, signal, sleep: options._sleep });
+      if (waited > 0) slept("budget", waited);
     }
+    checkSignal();
 
+    call.attempts = attempt + 1;
     try {
-      const stdout = await exec(args, timeout);
-      return stdout;
-    } catch (err) {
+      const result = await request.attempt(timeout, signal);
+      observeRateHeaders(result, bucket);
+      return result;
+    } catch (raw) {
+      // A call cut off by the signal says nothing about the endpoint
+      checkSignal();
+      observeRateHeaders(raw.headers ?? raw.stdout, bucket);
+      const err = request.classify(raw);
+      err.attempts = attempt + 1;
       lastError = err;
 
-      if (isRateLimitError(err)) {
-        const waitMs = parseRetryAfter(err.stderr) ?? baseDelay * Math.pow(2, attempt);
+      if (err instanceof RateLimitError) {
+        // Headers said when the bucket resets — the next acquire waits for it
+        if (bucket && rateBudget.waitFor(bucket) > 0) continue;
+
+        const waitMs = err.retryAfterMs ?? baseDelay * Math.pow(2, attempt);
         console.warn(`  ⚠️  rate limited, waiting ${Math.round(waitMs)}ms...`);
-        await sleepFn(waitMs);
+        await sleepFn(waitMs, signal);
+        slept("rate_limit", waitMs);
         continue;
       }
 
-      // Non-retryable errors: bad args, auth failure, 404
-      if (isNonRetryable(err)) {
+      // Not found, auth, permissions, bad requests: retrying won't help
+      if (!err.retryable) {
         throw err;
       }
 
-      // Transient errors: retry
+      // Transient errors and timeouts: retry
       continue;
     }
   }
@@ -73,19 +237,423 @@ export async function ghSearchCode(query, { limit = 1000, ...opts } = {}) {
   return JSON.parse(raw);
 }
 
+/**
+ * How many results a code search has in total, from a one-item page of
+ * `gh api search/code` — a single request, where `gh search code` would
+ * page through every result.
+ *
+ * @param {string} query
+ * @param {object} [opts] - ghExec options
+ * @returns {Promise<number>}
+ */
+export async function ghSearchCodeCount(query, opts = {}) {
+  const data = await ghApiGet(`search/code?q=${encodeURIComponent(query)}&per_page=1`, { ...opts, cache: false });
+  if (!Number.isInteger(data?.total_count)) {
+    throw new Error(`search/code: no total_count for "${query}"`);
+  }
+  return data.total_count;
+}
+
 /**
  * Convenience: `gh api <endpoint>`
+ *
+ * While a response cache is in use (useResponseCache), the request is
+ * conditional on the stored ETag / Last-Modified and a 304 is answered
+ * from disk.
+ *
+ * @param {string} endpoint
+ * @param {object}  [opts] - ghExec options, plus:
+ * @param {boolean} [opts.cache=true] - false bypasses the response cache
+ */
+export async function ghApiGet(endpoint, { cache = true, ...opts } = {}) {
+  if (!responseCache || !cache) {
+    const raw = await ghExec(["api", endpoint], opts);
+    return JSON.parse(raw);
+  }
+
+  const { data, ttlMs, stats } = responseCache;
+  const entry = lookupResponse(data, endpoint, { ttlMs });
+  let raw;
+  try {
+    raw = await ghExec(["api", "-i", endpoint, ...conditionalArgs(entry)], opts);
+  } catch (err) {
+    if (entry && isNotModified(err)) {
+      revalidateResponse(entry);
+      stats.hits++;
+      return JSON.parse(entry.body);
+    }
+    throw err;
+  }
+
+  const { headers, body } = parseIncludeOutput(raw);
+  stats.misses++;
+  if (storeResponse(data, endpoint, headers, body)) stats.stored++;
+  return JSON.parse(body);
+}
+
+/**
+ * Run a GraphQL query: `gh api graphql -f query=... -f/-F <var>=<value>`
+ *
+ * Same retry/backoff as ghExec. String variables are sent with -f (raw),
+ * everything else with -F (typed). Partial failures — some fields null with
+ * an `errors` entry, e.g. a repository that no longer exists — make `gh`
+ * exit non-zero, but the body still has `data`; those are returned as-is
+ * rather than retried.
+ *
+ * @param {string} query
+ * @param {Record<string, string|number|boolean>} [variables]
+ * @param {object} [opts] - ghExec options
+ * @returns {Promise<{data: object|null, errors?: object[]}>}
  */
-export async function ghApiGet(endpoint, opts = {}) {
-  const raw = await ghExec(["api", endpoint], opts);
+export async function ghGraphQL(query, variables = {}, opts = {}) {
+  const args = ["api", "graphql", "-f", `query=${query}`];
+  for (const [key, value] of Object.entries(variables)) {
+    args.push(typeof value === "string" ? "-f" : "-F", `${key}=${value}`);
+  }
+
+  const exec = opts._exec ?? defaultExec();
+  const tolerantExec = async (a, timeoutMs, signal) => {
+    try {
+      return await exec(a, timeoutMs, signal);
+    } catch (err) {
+      if (hasGraphQLData(err.stdout)) return err.stdout;
+      throw err;
+    }
+  };
+
+  const raw = await ghExec(args, { ...opts, _exec: tolerantExec });
   return JSON.parse(raw);
 }
 
+/**
+ * Conditional GET: `gh api -i <endpoint> -H "If-None-Match: <etag>"`
+ *
+ * Returns { status: 200, etag, data } on a fresh response, or
+ * { status: 304, etag } when the resource is unchanged. 304s don't count
+ * against the primary rate limit.
+ *
+ * @param {string} endpoint
+ * @param {object} [opts]
+ * @param {string} [opts.etag] - ETag from a previous response
+ */
+export async function ghApiGetConditional(endpoint, { etag, ...opts } = {}) {
+  const args = ["api", "-i", endpoint];
+  if (etag) args.push("-H", `If-None-Match: ${etag}`);
+
+  let raw;
+  try {
+    raw = await ghExec(args, opts);
+  } catch (err) {
+    // gh exits non-zero on 304 but still prints the headers
+    if (isNotModified(err)) return { status: 304, etag };
+    throw err;
+  }
+
+  const { status, headers, body } = parseIncludeOutput(raw);
+  return { status, etag: headers.etag ?? null, data: JSON.parse(body) };
+}
+
+/** Safety valve for ghApiPaginate: 100 pages × 100 items. */
+const DEFAULT_MAX_PAGES = 100;
+
+/**
+ * Paginated GET: `gh api -i <endpoint>`, following `Link: rel="next"`
+ * headers until the last page, and concatenating the JSON arrays.
+ *
+ * Each page goes through ghExec, so it gets the same retry/backoff.
+ * Endpoints that return a single object (not an array) yield [object].
+ *
+ * @param {string} endpoint
+ * @param {object} [opts]
+ * @param {number} [opts.maxPages=100] - Stop after this many pages
+ * @returns {Promise<Array>}
+ */
+export async function ghApiPaginate(endpoint, { maxPages = DEFAULT_MAX_PAGES, ...opts } = {}) {
+  const items = [];
+  let next = endpoint;
+  let pages = 0;
+
+  while (next && pages < maxPages) {
+    const raw = await ghExec(["api", "-i", next], opts);
+    const { headers, body } = parseIncludeOutput(raw);
+    const data = JSON.parse(body);
+    if (Array.isArray(data)) items.push(...data);
+    else items.push(data);
+
+    pages++;
+    next = parseLinkHeader(headers.link).next ?? null;
+  }
+
+  if (next) {
+    console.warn(`  ⚠️  ${endpoint}: stopped after ${maxPages} pages`);
+  }
+  return items;
+}
+
+// ── Rate-limit budget ────────────────────────────────────────────────────────
+
+/** Shared by every ghExec call; see rate-budget.mjs. */
+let rateBudget = createRateBudget({ refresh: () => refreshRateBudget() });
+
+/**
+ * The shared rate-limit budget (for its snapshot, or to observe headers
+ * obtained elsewhere).
+ */
+export function getRateBudget() {
+  return rateBudget;
+}
+
+/**
+ * Replace the shared budget with a fresh one.
+ *
+ * @param {object} [options] - createRateBudget options
+ */
+export function useRateBudget(options = {}) {
+  rateBudget = createRateBudget({ refresh: () => refreshRateBudget(), ...options });
+}
+
+/**
+ * Read every bucket from GET /rate_limit. That endpoint draws from no
+ * bucket, so this is free.
+ *
+ * @param {object} [opts] - ghExec options
+ */
+export async function refreshRateBudget(opts = {}) {
+  rateBudget.observeRateLimit(await ghApiGet("rate_limit", { ...opts, cache: false }));
+}
+
+/**
+ * Feed X-RateLimit-* headers to the budget: from a header object (HTTP
+ * client) or from `gh api -i` output.
+ */
+function observeRateHeaders(source, bucket) {
+  if (!bucket || !source) return;
+  if (typeof source === "object") {
+    rateBudget.observe(source, bucket);
+  } else if (source.startsWith("HTTP/")) {
+    rateBudget.observe(parseIncludeOutput(source).headers, bucket);
+  }
+}
+
+// ── Response cache (ETag / Last-Modified) ────────────────────────────────────
+
+/** { path, data, ttlMs, maxEntries, maxBytes, stats } while in use, else null. */
+let responseCache = null;
+
+/**
+ * Make every ghApiGet conditional, with responses kept in the cache file
+ * at `path` (see response-cache.mjs) until disableResponseCache().
+ * Nothing is written until flushResponseCache().
+ *
+ * @param {string} path
+ * @param {object} [options]
+ * @param {number} [options.ttlMs=DEFAULT_CACHE_TTL_MS]
+ * @param {number} [options.maxEntries=DEFAULT_CACHE_MAX_ENTRIES]
+ * @param {number} [options.maxBytes=DEFAULT_CACHE_MAX_BYTES]
+ */
+export function useResponseCache(path, options = {}) {
+  responseCache = {
+    path,
+    data: loadResponseCache(path),
+    ttlMs: options.ttlMs ?? DEFAULT_CACHE_TTL_MS,
+    maxEntries: options.maxEntries ?? DEFAULT_CACHE_MAX_ENTRIES,
+    maxBytes: options.maxBytes ?? DEFAULT_CACHE_MAX_BYTES,
+    stats: { hits: 0, misses: 0, stored: 0 },
+  };
+}
+
+export function disableResponseCache() {
+  responseCache = null;
+}
+
+/**
+ * Prune the response cache to its limits and write it.
+ *
+ * @returns {{hits: number, misses: number, stored: number, pruned: number, entries: number}|null}
+ *          this run's counts (hits = answered by a 304), or null when no cache is in use
+ */
+export function flushResponseCache() {
+  if (!responseCache) return null;
+  const { path, data, ttlMs, maxEntries, maxBytes, stats } = responseCache;
+  const pruned = pruneResponseCache(data, { ttlMs, maxEntries, maxBytes });
+  saveResponseCache(path, data);
+  return { ...stats, pruned, entries: Object.keys(data.entries).length };
+}
+
+// ── Cassettes (record / replay) ──────────────────────────────────────────────
+
+/** { mode, path, exec } while a cassette is in use, else null. */
+let activeCassette = null;
+
+/**
+ * Route every gh invocation through a cassette (see cassette.mjs) until
+ * ejectCassette(). Record mode runs `gh` and writes the cassette after
+ * each call; replay mode never runs `gh`.
+ *
+ * Also enabled for a whole run by GH_CASSETTE=<path> with
+ * GH_CASSETTE_MODE=record|replay (default replay).
+ *
+ * @param {string} path
+ * @param {object} [options]
+ * @param {"record"|"replay"} [options.mode="replay"]
+ * @param {Function} [options._exec] - Command to record instead of execGh (testing)
+ */
+export function useCassette(path, { mode = "replay", _exec } = {}) {
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`cassette mode must be one of ${CASSETTE_MODES.join(", ")}, got "${mode}"`);
+  }
+  const cassette = loadCassette(path);
+  const exec =
+    mode === "record"
+      ? recordingExec(cassette, _exec ?? clientExec(), { onRecord: (c) => saveCassette(path, c) })
+      : replayingExec(cassette);
+  activeCassette = { mode, path, exec };
+}
+
+export function ejectCassette() {
+  activeCassette = null;
+}
+
+function defaultExec() {
+  return activeCassette?.exec ?? clientExec();
+}
+
+// ── Cancellation ─────────────────────────────────────────────────────────────
+
+/** Signal for calls that don't pass their own; see useAbortSignal. */
+let runSignal = null;
+
+/**
+ * Cancel every ghExec call without a signal of its own once `signal`
+ * aborts — e.g. at a run's deadline — until useAbortSignal(null).
+ *
+ * @param {AbortSignal|null} signal
+ */
+export function useAbortSignal(signal) {
+  runSignal = signal;
+}
+
+// ── Client selection (gh binary / HTTP) ──────────────────────────────────────
+
+/** The HTTP client's exec function while it is selected, else null. */
+let httpExec = null;
+
+/**
+ * Send every call over HTTP (see gh-http.mjs) instead of spawning `gh`,
+ * until useCliClient(). Cassettes record and replay either client.
+ *
+ * Also enabled for a whole run by GH_CLIENT=http; GH_TOKEN, GITHUB_API_URL
+ * and GITHUB_GRAPHQL_URL configure it.
+ *
+ * @param {object} [options] - createHttpExec options
+ */
+export function useHttpClient(options = {}) {
+  httpExec = createHttpExec({ onResponse: (headers) => rateBudget.observe(headers), ...options });
+}
+
+export function useCliClient() {
+  httpExec = null;
+}
+
+function clientExec() {
+  return httpExec ?? execGh;
+}
+
+if (process.env.GH_CLIENT === "http") {
+  useHttpClient();
+}
+
+if (process.env.GH_CASSETTE) {
+  useCassette(process.env.GH_CASSETTE, { mode: process.env.GH_CASSETTE_MODE || "replay" });
+}
+
+// ── API call statistics ──────────────────────────────────────────────────────
+
+/** Per-kind counters for every ghExec and providerRequest call since the last reset. */
+const apiStats = new Map();
+
+function statsFor(kind) {
+  if (!apiStats.has(kind)) {
+    apiStats.set(kind, { calls: 0, failures: 0, retries: 0, duration_ms: 0 });
+  }
+  return apiStats.get(kind);
+}
+
+/**
+ * Snapshot of the API call counters, keyed by kind (see apiCallKind;
+ * "provider" for providerRequest).
+ * A call counts once however many retries it took; duration_ms includes
+ * retry and rate-limit waits.
+ *
+ * @returns {Record<string, {calls: number, failures: number, retries: number, duration_ms: number}>}
+ */
+export function getApiStats() {
+  return Object.fromEntries(
+    [...apiStats.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([kind, s]) => [kind, { ...s }]),
+  );
+}
+
+export function resetApiStats() {
+  apiStats.clear();
+}
+
+// ── Request metrics and tracing ──────────────────────────────────────────────
+
+/** Every ghExec and providerRequest call since the last reset; see gh-metrics.mjs. */
+const metrics = createMetrics();
+
+/**
+ * Per-endpoint call counts and latency percentiles (slowest endpoints
+ * first), retries by cause and time spent sleeping, since the last reset.
+ */
+export function getMetrics() {
+  return metrics.snapshot();
+}
+
+export function resetMetrics() {
+  metrics.reset();
+}
+
+/**
+ * Keep one trace record per ghExec call from now on (see gh-metrics.mjs)
+ * until stopTrace(). Restarting drops the earlier records.
+ */
+export function startTrace() {
+  metrics.startTrace();
+}
+
+export function stopTrace() {
+  metrics.stopTrace();
+}
+
+/**
+ * Write the trace as NDJSON, one line per request.
+ *
+ * @param {string} path
+ * @returns {boolean} false when tracing is off (nothing written)
+ */
+export function writeTrace(path) {
+  const ndjson = metrics.traceNdjson();
+  if (ndjson === null) return false;
+  writeFileSync(path, ndjson);
+  return true;
+}
+
 // ── Internal helpers (exported for testing) ──────────────────────────────────
 
-export function execGh(args, timeoutMs) {
+/**
+ * Classify a gh invocation: "rest", "graphql", or the gh subcommand
+ * ("search", "issue", ...).
+ */
+export function apiCallKind(args) {
+  if (args[0] === "api") return args[1] === "graphql" ? "graphql" : "rest";
+  return args[0] ?? "unknown";
+}
+
+export function execGh(args, timeoutMs, signal) {
   return new Promise((resolve, reject) => {
-    execFile("gh", args, { encoding: "utf-8", timeout: timeoutMs }, (err, stdout, stderr) => {
+    const options = { encoding: "utf-8", timeout: timeoutMs, signal, maxBuffer: MAX_OUTPUT_BYTES };
+    execFile("gh", args, options, (err, stdout, stderr) => {
       if (err) {
         err.stderr = stderr || "";
         err.stdout = stdout || "";
@@ -97,38 +665,96 @@ export function execGh(args, timeoutMs) {
   });
 }
 
+/** Raw or typed failure → is it a rate limit? (see classifyGhError) */
 export function isRateLimitError(err) {
-  const msg = ((err.stderr || "") + (err.message || "")).toLowerCase();
-  return (
-    msg.includes("rate limit") ||
-    msg.includes("secondary rate limit") ||
-    msg.includes("abuse detection") ||
-    msg.includes("retry-after") ||
-    msg.includes("403") ||
-    msg.includes("429")
-  );
+  return classifyGhError(err) instanceof RateLimitError;
 }
 
+/** Raw or typed failure → would retrying be pointless? (see classifyGhError) */
 export function isNonRetryable(err) {
-  const msg = ((err.stderr || "") + (err.message || "")).toLowerCase();
-  return (
-    msg.includes("404") ||
-    msg.includes("not found") ||
-    msg.includes("authentication") ||
-    msg.includes("bad credentials") ||
-    msg.includes("401")
-  );
+  return !classifyGhError(err).retryable;
+}
+
+export function hasGraphQLData(stdout) {
+  if (!stdout) return false;
+  try {
+    const body = JSON.parse(stdout);
+    return body !== null && typeof body.data === "object" && body.data !== null;
+  } catch {
+    return false;
+  }
 }
 
-export function parseRetryAfter(stderr) {
-  if (!stderr) return null;
-  const match = stderr.match(/retry[- ]after[:\s]+(\d+)/i);
-  if (match) return parseInt(match[1], 10) * 1000;
-  return null;
+export function isNotModified(err) {
+  return classifyGhError(err).status === 304;
+}
+
+/**
+ * Split `gh api -i` output into status, lowercased headers and body.
+ *
+ * @param {string} raw
+ * @returns {{status: number, headers: Record<string, string>, body: string}}
+ */
+export function parseIncludeOutput(raw) {
+  const text = raw.replace(/\r\n/g, "\n");
+  const split = text.indexOf("\n\n");
+  const head = split === -1 ? text : text.slice(0, split);
+  const body = split === -1 ? "" : text.slice(split + 2);
+
+  const [statusLine, ...headerLines] = head.split("\n");
+  const status = parseInt(statusLine.split(" ")[1], 10);
+
+  const headers = {};
+  for (const line of headerLines) {
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+    headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+
+  return { status, headers, body };
+}
+
+/**
+ * Parse a Link header into { rel: endpoint }. Absolute API URLs are
+ * reduced to the path + query that `gh api` expects.
+ *
+ * @param {string|undefined} link
+ * @returns {Record<string, string>}
+ */
+export function parseLinkHeader(link) {
+  const rels = {};
+  if (!link) return rels;
+  for (const part of link.split(",")) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (!match) continue;
+    rels[match[2]] = match[1].replace(/^https:\/\/api\.github\.com\//, "");
+  }
+  return rels;
+}
+
+/** Resolves after `ms`, or as soon as `signal` aborts. */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+function cancelledError(signal, { label, endpoint }) {
+  const reason = signal.reason;
+  return new CancelledError(`${label}: cancelled — ${reason?.message ?? "aborted"}`, {
+    endpoint,
+    cause: reason,
+  });
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function noSleep() {
+  return Promise.resolve();
 }
 
 function jitter(maxMs) {
@@ -0,0 +1,76 @@
+import { providerRequest } from "./gh.mjs";
+import { retryAfterMs } from "./gh-http.mjs";
+
+/**
+ * Minimal JSON-over-HTTP helper for source providers that are not reached
+ * through the `gh` CLI (GitLab, Gitea, GitHub Enterprise).
+ */
+
+/**
+ * GET a URL and parse the JSON body.
+ *
+ * The request goes through providerRequest (gh.mjs), so failures are
+ * typed errors (see gh-errors.mjs) carrying `status` (and `endpoint`),
+ * rate limits, 5xx and timeouts are retried like ghExec's calls, and every
+ * request shows up in the API stats and metrics of the scan report.
+ * Once `signal` aborts, the request is cut off and a CancelledError is
+ * thrown, as ghExec does.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.headers]
+ * @param {number}   [options.timeoutMs=30000]
+ * @param {AbortSignal} [options.signal] - Cancels the request (the run's deadline)
+ * @param {number}   [options.retries]   - See ghExec
+ * @param {Function} [options._fetch] - Override fetch for testing
+ * @param {Function} [options._sleep] - Override the retry wait for testing
+ * @returns {Promise<{status: number, headers: Headers, data: any}>}
+ * @throws {import("./gh-errors.mjs").GhError}
+ */
+export async function fetchJson(url, options = {}) {
+  const fetchFn = options._fetch ?? fetch;
+  const { signal } = options;
+
+  const attempt = async (timeoutMs, runSignal) => {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    let res;
+    try {
+      res = await fetchFn(url, {
+        headers: { accept: "application/json", ...options.headers },
+        signal: runSignal ? AbortSignal.any([runSignal, timeout]) : timeout,
+      });
+    } catch (err) {
+      if (timeout.aborted) err.timedOut = true;
+      throw err;
+    }
+
+    if (!res.ok) {
+      const headers = Object.fromEntries(res.headers);
+      const err = new Error(`GET ${url}: HTTP ${res.status}`);
+      err.status = res.status;
+      err.url = url;
+      err.headers = headers;
+      const wait = retryAfterMs(headers);
+      if (wait !== null) err.retryAfterMs = wait;
+      throw err;
+    }
+
+    return { status: res.status, headers: res.headers, text: await res.text() };
+  };
+
+  const { status, headers, text } = await providerRequest(url, attempt, {
+    signal,
+    timeoutMs: options.timeoutMs,
+    retries: options.retries,
+    _sleep: options._sleep,
+  });
+  // Parsed after the retries: a malformed body would come back the same
+  return { status, headers, data: JSON.parse(text) };
+}
+
+/**
+ * True for errors that mean "does not exist (or not visible to us)".
+ */
+export function isNotFound(err) {
+  return err?.status === 404 || /\b404\b/.test(err?.message ?? "");
+}
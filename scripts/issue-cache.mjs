@@ -0,0 +1,114 @@
+import { writeFileSync, readFileSync, existsSync } from "node:fs";
+
+/**
+ * Verification cache for "add-repo" issues — lets hourly runs skip the
+ * contents API call for closed submissions that were already verified.
+ *
+ * Shape:
+ *   {
+ *     issues: {
+ *       "42": {
+ *         updated_at: "2026-01-01T00:00:00Z",   // issue.updated_at when verified
+ *         submissions: [{ nameWithOwner: "owner/repo", filePath: "HALLUCINATE.md", ref: null }],
+ *         verified_at: "2026-01-02T00:00:00.000Z"
+ *       }
+ *     }
+ *   }
+ *
+ * An entry is used only while the issue is closed, its updated_at is
+ * unchanged (no edits, reopen or relabel since) and it is younger than
+ * VERIFICATION_TTL_DAYS, so a deleted file is still noticed eventually.
+ */
+
+export const VERIFICATION_TTL_DAYS = 7;
+
+export function emptyVerificationCache() {
+  return { issues: {} };
+}
+
+/**
+ * Load the cache from disk. Missing or corrupt files yield an empty cache.
+ */
+export function loadVerificationCache(path) {
+  if (!existsSync(path)) return emptyVerificationCache();
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    if (!data || typeof data.issues !== "object" || Array.isArray(data.issues)) {
+      return emptyVerificationCache();
+    }
+    return { ...data, issues: { ...data.issues } };
+  } catch {
+    return emptyVerificationCache();
+  }
+}
+
+/**
+ * Write the cache with issues in numeric order for stable diffs.
+ */
+export function saveVerificationCache(path, cache) {
+  const issues = {};
+  for (const key of Object.keys(cache.issues).sort((a, b) => Number(a) - Number(b))) {
+    issues[key] = cache.issues[key];
+  }
+  writeFileSync(path, JSON.stringify({ ...cache, issues }, null, 2) + "\n");
+}
+
+/**
+ * The cached verification for an issue, or null when it must be
+ * re-verified.
+ *
+ * @param {object} cache
+ * @param {{number: number, state: string, updated_at: string}} issue
+ * @param {object} [options]
+ * @param {Date}   [options.now=new Date()]
+ * @returns {Array<{nameWithOwner: string, filePath: string, ref: string|null}>|null}
+ */
+export function cachedVerification(cache, issue, { now = new Date() } = {}) {
+  if (issue.state !== "closed") return null;
+  const entry = cache.issues[String(issue.number)];
+  if (!entry || entry.updated_at !== issue.updated_at || !Array.isArray(entry.submissions)) return null;
+
+  const ageMs = now.getTime() - Date.parse(entry.verified_at);
+  if (!(ageMs < VERIFICATION_TTL_DAYS * 86_400_000)) return null;
+
+  return entry.submissions.map(({ nameWithOwner, filePath, ref }) => ({
+    nameWithOwner,
+    filePath,
+    ref: ref ?? null,
+  }));
+}
+
+/**
+ * Record the verified submissions of an issue.
+ *
+ * @param {object} cache
+ * @param {{number: number, updated_at: string}} issue
+ * @param {Array<{nameWithOwner: string, filePath: string, ref?: string|null}>} submissions
+ * @param {object} [options]
+ * @param {Date}   [options.now=new Date()]
+ */
+export function recordVerification(cache, issue, submissions, { now = new Date() } = {}) {
+  cache.issues[String(issue.number)] = {
+    updated_at: issue.updated_at,
+    submissions: submissions.map(({ nameWithOwner, filePath, ref }) => ({
+      nameWithOwner,
+      filePath,
+      ref: ref ?? null,
+    })),
+    verified_at: now.toISOString(),
+  };
+}
+
+/**
+ * Drop entries for issues that no longer carry the add-repo label (or were
+ * deleted), so the file doesn't grow without bound.
+ *
+ * @param {object} cache
+ * @param {Iterable<number>} keep - Issue numbers to retain
+ */
+export function pruneVerificationCache(cache, keep) {
+  const keepSet = new Set([...keep].map(String));
+  for (const key of Object.keys(cache.issues)) {
+    if (!keepSet.has(key)) delete cache.issues[key];
+  }
+}
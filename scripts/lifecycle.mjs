@@ -0,0 +1,192 @@
+import { writeFileSync, readFileSync, existsSync } from "node:fs";
+
+/**
+ * Adopter lifecycle: keeps date_added stable across runs, gives repos that
+ * disappear (dropped out of search, failed to fetch) a grace period before
+ * delisting, and remembers delisted repos in a tombstone file so a repo
+ * that comes back keeps its original date_added.
+ *
+ * Entries are matched by the immutable repo `id` first and by full_name
+ * second, so a repo that is renamed or transferred keeps its history
+ * instead of being listed (and celebrated) as new.
+ *
+ * Per-entry fields:
+ *   previous_names - earlier full_names of the repo, oldest first
+ *   date_added    - first day the repo was listed (never changes)
+ *   last_seen     - last day the repo was found and fetched
+ *   missing_since - first day of the current absence, or null when present
+ */
+
+/** Days a missing repo stays on the wall before it is delisted. */
+export const DEFAULT_GRACE_DAYS = 7;
+
+/**
+ * Whole days from `from` to `to` (both YYYY-MM-DD, UTC).
+ */
+export function daysBetween(from, to) {
+  const ms = Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`);
+  return Math.round(ms / 86_400_000);
+}
+
+/**
+ * Load tombstones from disk. Missing or corrupt file → [].
+ */
+export function loadTombstones(path) {
+  if (!existsSync(path)) return [];
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write tombstones sorted by full_name for stable diffs.
+ */
+export function saveTombstones(path, tombstones) {
+  const sorted = [...tombstones].sort((a, b) => a.full_name.localeCompare(b.full_name));
+  writeFileSync(path, JSON.stringify(sorted, null, 2) + "\n");
+}
+
+/**
+ * Pair each current entry with its earlier record, if any: by id where
+ * both have one, then by full_name among the records still unclaimed.
+ *
+ * @param {object[]} current
+ * @param {object[]} records - Previous entries or tombstones
+ * @returns {Map<object, object>} current entry → record
+ */
+export function matchEntries(current, records) {
+  const byId = new Map();
+  const byName = new Map();
+  for (const record of records) {
+    if (!record?.full_name) continue;
+    if (record.id) byId.set(record.id, record);
+    byName.set(record.full_name, record);
+  }
+
+  const matches = new Map();
+  const claimed = new Set();
+  for (const entry of current) {
+    const record = entry.id ? byId.get(entry.id) : undefined;
+    if (record) {
+      matches.set(entry, record);
+      claimed.add(record);
+    }
+  }
+  for (const entry of current) {
+    if (matches.has(entry)) continue;
+    const record = byName.get(entry.full_name);
+    if (record && !claimed.has(record)) {
+      matches.set(entry, record);
+      claimed.add(record);
+    }
+  }
+  return matches;
+}
+
+/**
+ * The previous_names trail for an entry now called `fullName`, given its
+ * earlier record: the record's trail plus its name, if that changed.
+ * The current name is never part of the trail.
+ */
+export function previousNames(record, fullName) {
+  const names = [...(record?.previous_names ?? [])];
+  if (record?.full_name && record.full_name !== fullName) names.push(record.full_name);
+  return [...new Set(names)].filter((name) => name !== fullName);
+}
+
+/**
+ * Reconcile this run's adopters with the previous list and tombstones.
+ *
+ *  - Present repos get last_seen = today and missing_since = null. Their
+ *    date_added comes from the previous list, then the tombstones, then today.
+ *    Both are looked up by id first (see matchEntries); a match under
+ *    another name is a rename, and extends previous_names.
+ *  - Previously listed repos absent this run stay listed with missing_since
+ *    set, until they have been missing for `graceDays` days. Then they move
+ *    to the tombstones with removed_on = today.
+ *  - A tombstoned repo that is present again is removed from the tombstones.
+ *
+ * Does not mutate its inputs.
+ *
+ * @param {object[]} current    - Sanitized entries found this run
+ * @param {object[]} existing   - Entries from the previous adopters.json
+ * @param {object[]} tombstones - Previously delisted entries
+ * @param {object}   options
+ * @param {string}   options.today     - YYYY-MM-DD
+ * @param {number}   [options.graceDays=DEFAULT_GRACE_DAYS]
+ * @returns {{adopters: object[], tombstones: object[], added: string[],
+ *            returned: string[], missing: string[], delisted: string[],
+ *            renamed: Array<{from: string, to: string}>}}
+ */
+export function reconcileAdopters(current, existing, tombstones, { today, graceDays = DEFAULT_GRACE_DAYS }) {
+  const existingMatches = matchEntries(current, existing);
+  const claimed = new Set(existingMatches.values());
+  const tombstoneMatches = matchEntries(current, tombstones);
+  const remainingTombstones = new Set(tombstones);
+
+  const adopters = [];
+  const added = [];
+  const returned = [];
+  const missing = [];
+  const delisted = [];
+  const renamed = [];
+
+  for (const entry of current) {
+    const previous = existingMatches.get(entry);
+    const tombstone = tombstoneMatches.get(entry);
+    const record = previous ?? tombstone;
+
+    let dateAdded = previous?.date_added;
+    if (!dateAdded && tombstone?.date_added) {
+      dateAdded = tombstone.date_added;
+      returned.push(entry.full_name);
+    }
+    if (!dateAdded) {
+      dateAdded = today;
+      added.push(entry.full_name);
+    }
+
+    if (record && record.full_name !== entry.full_name) {
+      renamed.push({ from: record.full_name, to: entry.full_name });
+    }
+
+    remainingTombstones.delete(tombstone);
+    adopters.push({
+      ...entry,
+      previous_names: previousNames(record, entry.full_name),
+      date_added: dateAdded,
+      last_seen: today,
+      missing_since: null,
+    });
+  }
+
+  const tombstoned = [];
+  for (const previous of existing) {
+    if (!previous?.full_name || claimed.has(previous)) continue;
+
+    const missingSince = previous.missing_since ?? today;
+    if (daysBetween(missingSince, today) >= graceDays) {
+      delisted.push(previous.full_name);
+      tombstoned.push({ ...previous, missing_since: missingSince, removed_on: today });
+    } else {
+      missing.push(previous.full_name);
+      adopters.push({ ...previous, missing_since: missingSince });
+    }
+  }
+
+  return {
+    adopters,
+    tombstones: [
+      ...[...remainingTombstones].filter((t) => !delisted.includes(t.full_name)),
+      ...tombstoned,
+    ],
+    added,
+    returned,
+    missing,
+    delisted,
+    renamed,
+  };
+}
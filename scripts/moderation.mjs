@@ -0,0 +1,181 @@
+import { writeFileSync, readFileSync, existsSync } from "node:fs";
+
+/**
+ * Moderation lists, maintained by hand in _data/moderation.json so that a
+ * repo can be pulled off (or pushed onto) the wall without editing
+ * adopters.json, which every scan overwrites.
+ *
+ * Shape:
+ *   {
+ *     "blocked_owners": [{ "owner": "spammer", "reason": "..." }],
+ *     "blocked_repos":  [{ "repo": "owner/repo", "reason": "..." }],
+ *     "force_include":  [{ "repo": "owner/repo", "file_path": "HALLUCINATE.md", "reason": "..." }],
+ *     "quarantine":     [{ "repo": "owner/repo", "reason": "...", "until": "2026-12-31" }]
+ *   }
+ *
+ * Precedence: blocked > quarantined > force-included. Names match
+ * case-insensitively, like GitHub's. A quarantine without `until` lasts
+ * until it is removed; with `until`, it lapses on that day.
+ *
+ * Maintainer opt-outs ("remove-repo" issues) are kept separately in
+ * _data/opt_outs.json, which the scanner writes, and count as blocked
+ * repos. Deleting an opt-out entry lets the repo back on the wall.
+ */
+
+export const MODERATION_LISTS = ["blocked_owners", "blocked_repos", "force_include", "quarantine"];
+
+export function emptyModeration() {
+  return { blocked_owners: [], blocked_repos: [], force_include: [], quarantine: [] };
+}
+
+/**
+ * Load moderation lists from disk. Missing or corrupt file → empty lists;
+ * entries without a usable owner/repo name are dropped.
+ */
+export function loadModeration(path) {
+  if (!existsSync(path)) return emptyModeration();
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, "utf-8"));
+  } catch {
+    return emptyModeration();
+  }
+  if (!data || typeof data !== "object") return emptyModeration();
+
+  const list = (key, field) =>
+    (Array.isArray(data[key]) ? data[key] : []).filter(
+      (e) => e && typeof e[field] === "string" && e[field].trim() !== "",
+    );
+
+  return {
+    blocked_owners: list("blocked_owners", "owner"),
+    blocked_repos: list("blocked_repos", "repo"),
+    force_include: list("force_include", "repo"),
+    quarantine: list("quarantine", "repo"),
+  };
+}
+
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Which moderation list, if any, applies to a repo.
+ *
+ * @param {string} nameWithOwner
+ * @param {object} moderation - From loadModeration
+ * @param {object} options
+ * @param {string} options.today - YYYY-MM-DD
+ * @returns {{list: "blocked"|"quarantined"|"forced", reason: string|null}|null}
+ */
+export function moderationStatus(nameWithOwner, moderation, { today }) {
+  const owner = nameWithOwner.split("/")[0];
+
+  const blocked =
+    moderation.blocked_owners.find((e) => same(e.owner, owner)) ??
+    moderation.blocked_repos.find((e) => same(e.repo, nameWithOwner));
+  if (blocked) return { list: "blocked", reason: blocked.reason ?? null };
+
+  const quarantined = moderation.quarantine.find(
+    (e) => same(e.repo, nameWithOwner) && !(typeof e.until === "string" && e.until <= today),
+  );
+  if (quarantined) return { list: "quarantined", reason: quarantined.reason ?? null };
+
+  const forced = moderation.force_include.find((e) => same(e.repo, nameWithOwner));
+  if (forced) return { list: "forced", reason: forced.reason ?? null };
+
+  return null;
+}
+
+/**
+ * True when a repo must be kept off the wall (blocked or quarantined).
+ */
+export function isHeld(nameWithOwner, moderation, { today }) {
+  const status = moderationStatus(nameWithOwner, moderation, { today });
+  return status?.list === "blocked" || status?.list === "quarantined";
+}
+
+/**
+ * Drop blocked and quarantined repos from a candidate list.
+ *
+ * @param {Array<{nameWithOwner: string}>} candidates
+ * @param {object} moderation
+ * @param {{today: string}} options
+ * @returns {{kept: object[], blocked: string[], quarantined: string[]}}
+ */
+export function filterCandidates(candidates, moderation, { today }) {
+  const kept = [];
+  const blocked = [];
+  const quarantined = [];
+
+  for (const candidate of candidates) {
+    const status = moderationStatus(candidate.nameWithOwner, moderation, { today });
+    if (status?.list === "blocked") blocked.push(candidate.nameWithOwner);
+    else if (status?.list === "quarantined") quarantined.push(candidate.nameWithOwner);
+    else kept.push(candidate);
+  }
+
+  return { kept, blocked, quarantined };
+}
+
+/**
+ * Candidates for force-included repos that are not also blocked or
+ * quarantined. Shaped like filterAndDeduplicate output.
+ *
+ * @param {object} moderation
+ * @param {{today: string}} options
+ * @returns {Array<{nameWithOwner: string, filePath: string, filePaths: string[]}>}
+ */
+export function forcedCandidates(moderation, { today }) {
+  return moderation.force_include
+    .filter((e) => !isHeld(e.repo, moderation, { today }))
+    .map((e) => {
+      const filePath = typeof e.file_path === "string" && e.file_path !== "" ? e.file_path : "HALLUCINATE.md";
+      return { nameWithOwner: e.repo, filePath, filePaths: [filePath] };
+    });
+}
+
+/**
+ * Load opt-outs from disk. Missing or corrupt file → [].
+ */
+export function loadOptOuts(path) {
+  if (!existsSync(path)) return [];
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    return Array.isArray(data) ? data.filter((e) => e && typeof e.repo === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write opt-outs sorted by repo for stable diffs.
+ */
+export function saveOptOuts(path, optOuts) {
+  const sorted = [...optOuts].sort((a, b) => a.repo.localeCompare(b.repo));
+  writeFileSync(path, JSON.stringify(sorted, null, 2) + "\n");
+}
+
+/**
+ * Record an opt-out. A repo that already opted out keeps its original
+ * entry. Does not mutate its input.
+ *
+ * @param {object[]} optOuts
+ * @param {{repo: string, requested_by: string, issue: number, opted_out_on: string}} entry
+ * @returns {object[]}
+ */
+export function addOptOut(optOuts, entry) {
+  if (optOuts.some((e) => same(e.repo, entry.repo))) return optOuts;
+  return [...optOuts, entry];
+}
+
+/**
+ * Moderation lists with opt-outs added to blocked_repos.
+ */
+export function withOptOuts(moderation, optOuts) {
+  return {
+    ...moderation,
+    blocked_repos: [
+      ...moderation.blocked_repos,
+      ...optOuts.map((e) => ({ repo: e.repo, reason: `opted out${e.issue ? ` (#${e.issue})` : ""}` })),
+    ],
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Dry-run plan: what a scan would change, without changing it.
+ *
+ * diffAdopters() compares the current adopters.json with the list a scan
+ * computed; describeIssueAction() says what processIssueActions would do
+ * to an issue.
+ */
+
+/**
+ * Compare two adopter lists by full_name (case-insensitive, like GitHub).
+ * Entries whose ids match under different names are renames, not an
+ * addition plus a removal.
+ *
+ * @param {Array<{full_name: string, id?: string, stars?: number}>} before - Current wall
+ * @param {Array<{full_name: string, id?: string, stars?: number}>} after  - Computed wall
+ * @returns {{
+ *   added: string[],
+ *   removed: string[],
+ *   renamed: Array<{from: string, to: string}>,
+ *   stars: Array<{full_name: string, from: number, to: number}>,
+ *   unchanged: number,
+ * }} names sorted alphabetically; unchanged counts repos on both lists
+ *    whose stars did not change
+ */
+export function diffAdopters(before, after) {
+  const index = (list) => new Map(list.map((e) => [e.full_name.toLowerCase(), e]));
+  const old = index(before);
+  const now = index(after);
+  const byName = (a, b) => a.localeCompare(b);
+
+  // Re-key renamed entries under their new name
+  const oldById = new Map(before.filter((e) => e.id).map((e) => [e.id, e]));
+  const renamed = [];
+  for (const [key, entry] of now) {
+    const previous = entry.id ? oldById.get(entry.id) : undefined;
+    const previousKey = previous?.full_name.toLowerCase();
+    if (!previous || previousKey === key || now.has(previousKey) || old.has(key)) continue;
+    old.delete(previousKey);
+    old.set(key, previous);
+    renamed.push({ from: previous.full_name, to: entry.full_name });
+  }
+  renamed.sort((a, b) => byName(a.to, b.to));
+
+  const added = [...now.entries()].filter(([k]) => !old.has(k)).map(([, e]) => e.full_name).sort(byName);
+  const removed = [...old.entries()].filter(([k]) => !now.has(k)).map(([, e]) => e.full_name).sort(byName);
+
+  const stars = [];
+  let unchanged = 0;
+  for (const [key, entry] of now) {
+    const previous = old.get(key);
+    if (!previous) continue;
+    const from = previous.stars ?? 0;
+    const to = entry.stars ?? 0;
+    if (from === to) unchanged++;
+    else stars.push({ full_name: entry.full_name, from, to });
+  }
+  stars.sort((a, b) => byName(a.full_name, b.full_name));
+
+  return { added, removed, renamed, stars, unchanged };
+}
+
+/**
+ * Render a diff from diffAdopters as console lines.
+ */
+export function formatAdopterDiff(diff) {
+  const lines = [
+    `adopters.json: +${diff.added.length} added, -${diff.removed.length} removed, ` +
+      `${diff.renamed.length} renamed, ${diff.stars.length} star change(s), ${diff.unchanged} unchanged`,
+  ];
+  for (const name of diff.added) lines.push(`  + ${name}`);
+  for (const name of diff.removed) lines.push(`  - ${name}`);
+  for (const { from, to } of diff.renamed) lines.push(`  ↪ ${from} → ${to}`);
+  for (const { full_name, from, to } of diff.stars) {
+    const delta = to - from;
+    lines.push(`  ★ ${full_name}: ${from} → ${to} (${delta > 0 ? "+" : ""}${delta})`);
+  }
+  return lines;
+}
+
+/**
+ * What processIssueActions would do with one action, in words.
+ *
+ * @param {{number: number, type: string, nameWithOwner?: string, reason?: string}} action
+ * @returns {string}
+ */
+export function describeIssueAction(action) {
+  const repo = action.nameWithOwner ? ` (${action.nameWithOwner})` : "";
+  switch (action.type) {
+    case "close-valid":
+      return `issue #${action.number}: comment "verified" and close${repo}`;
+    case "reject":
+      return `issue #${action.number}: comment "${action.reason}", label rejected and close${repo}`;
+    case "opt-out":
+      return `issue #${action.number}: comment "removed" and close${repo}`;
+    case "reject-removal":
+      return `issue #${action.number}: comment "${action.reason}", label rejected and close${repo}`;
+    case "hold-removal":
+      return `issue #${action.number}: comment "${action.reason}", label needs-review and leave open${repo}`;
+    default:
+      return `issue #${action.number}: unknown action "${action.type}" (skipped)`;
+  }
+}
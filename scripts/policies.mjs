@@ -0,0 +1,62 @@
+import { daysBetween } from "./lifecycle.mjs";
+
+/**
+ * Listing policies: decide what happens to forks, archived repos and repos
+ * with no recent pushes. Each rule maps to an action:
+ *
+ *   allow   - list normally (default)
+ *   flag    - send to the review list instead of the wall
+ *   exclude - drop from the wall (no review, no tombstone)
+ *
+ * Entries written before these fields existed carry no fork/archived/
+ * pushed_at data and are never matched.
+ */
+
+export const POLICY_ACTIONS = ["allow", "flag", "exclude"];
+
+/** Action precedence when several rules match: strongest wins. */
+const ACTION_RANK = { allow: 0, flag: 1, exclude: 2 };
+
+export const DEFAULT_POLICIES = {
+  forks: "allow",
+  archived: "allow",
+  inactive: "flag",
+  /** Days without a push before the inactive rule applies; null = off */
+  inactiveDays: null,
+};
+
+/**
+ * Apply the listing policies to one adopter entry.
+ *
+ * @param {object} entry - Adopter entry (fork, archived, pushed_at)
+ * @param {object} [policies=DEFAULT_POLICIES]
+ * @param {object} options
+ * @param {string} options.today - YYYY-MM-DD
+ * @returns {{action: string, reasons: string[]}} reasons lists every rule
+ *          that matched with a non-allow action
+ */
+export function evaluatePolicies(entry, policies = DEFAULT_POLICIES, { today }) {
+  const rules = { ...DEFAULT_POLICIES, ...policies };
+  const matched = [];
+
+  if (entry?.fork === true && rules.forks !== "allow") {
+    matched.push({ action: rules.forks, reason: "fork" });
+  }
+
+  if (entry?.archived === true && rules.archived !== "allow") {
+    matched.push({ action: rules.archived, reason: "archived" });
+  }
+
+  if (rules.inactiveDays != null && rules.inactive !== "allow" && typeof entry?.pushed_at === "string") {
+    const idle = daysBetween(entry.pushed_at.slice(0, 10), today);
+    if (idle >= rules.inactiveDays) {
+      matched.push({ action: rules.inactive, reason: `no pushes for ${idle} days` });
+    }
+  }
+
+  let action = "allow";
+  for (const m of matched) {
+    if (ACTION_RANK[m.action] > ACTION_RANK[action]) action = m.action;
+  }
+  return { action, reasons: matched.map((m) => m.reason) };
+}
@@ -0,0 +1,157 @@
+import { matchesFilename } from "../false-positives.mjs";
+
+/**
+ * Helpers shared by the source providers.
+ *
+ * A provider is an object with:
+ *
+ *   name     - "github" | "gitlab" | "gitea"; stored as the adopter's `provider`
+ *   host     - Hostname of the instance, e.g. "gitlab.example.com"
+ *   hosts    - { url: string[], avatar: string[] } URL prefixes the sanitizer
+ *              accepts for this provider's entries
+ *   search({ casePolicy })
+ *            → [{ nameWithOwner, filePath, filePaths, ref, content? }]
+ *              `content` is the file's text when search already read it
+ *   fetchRepo(nameWithOwner)
+ *            → normalized repo (see normalizedRepo below)
+ *   fetchFile({ nameWithOwner, filePath, ref })
+ *            → file content, or null when it does not exist
+ *   fileUrl(repo, ref, filePath)
+ *            → web URL of the file
+ *
+ * Every provider takes `baseUrl`/`apiUrl` and a `_fetch` override so it
+ * can be pointed at a local mock server in tests.
+ */
+
+/**
+ * Fields a provider's fetchRepo returns, in adopter-entry terms:
+ *   { id, full_name, owner, repo, description, stars, language, avatar, url,
+ *     default_branch, fork, archived, disabled, license, topics, pushed_at,
+ *     owner_type }
+ * Unknown values are null (or false / [] for flags and topics).
+ */
+
+/**
+ * Group raw search hits into one candidate per repo, keeping files whose
+ * name matches the case policy. Shaped like filterAndDeduplicate output.
+ *
+ * @param {Array<{nameWithOwner: string, path: string, ref?: string|null}>} hits
+ * @param {object} [options]
+ * @param {string} [options.casePolicy]
+ * @returns {Array<{nameWithOwner: string, filePath: string, filePaths: string[], ref: string|null}>}
+ */
+export function groupHits(hits, options = {}) {
+  const byRepo = new Map();
+  for (const hit of hits) {
+    if (!hit?.nameWithOwner || typeof hit.path !== "string") continue;
+    if (!matchesFilename(hit.path.split("/").pop(), options.casePolicy)) continue;
+
+    let entry = byRepo.get(hit.nameWithOwner);
+    if (!entry) {
+      entry = { nameWithOwner: hit.nameWithOwner, filePath: hit.path, filePaths: [], ref: hit.ref ?? null };
+      byRepo.set(hit.nameWithOwner, entry);
+    }
+    if (!entry.filePaths.includes(hit.path)) entry.filePaths.push(hit.path);
+  }
+  return [...byRepo.values()];
+}
+
+/**
+ * Decode a base64 file body as returned by the GitHub, GitLab and Gitea
+ * contents APIs. Anything else → null.
+ */
+export function decodeContent(file) {
+  if (file?.encoding !== "base64" || typeof file.content !== "string") return null;
+  return Buffer.from(file.content, "base64").toString("utf-8");
+}
+
+/**
+ * Encode each segment of a repo-relative path for use in a URL.
+ */
+export function encodePath(filePath) {
+  return filePath.split("/").map(encodeURIComponent).join("/");
+}
+
+/**
+ * The name an adopter is listed and moderated under. Repos on github.com
+ * keep their plain owner/repo; everything else is prefixed with its host
+ * so the same path on two forges never collides.
+ */
+export function qualifiedName(provider, nameWithOwner) {
+  return provider.host === "github.com" ? nameWithOwner : `${provider.host}/${nameWithOwner}`;
+}
+
+/**
+ * A candidate's file content: what search already read, else fetched from
+ * the candidate's ref (the repo's default branch when it has none).
+ *
+ * @param {object} provider
+ * @param {{nameWithOwner: string, filePath: string, ref?: string|null, content?: string}} candidate
+ * @param {object} repo - From provider.fetchRepo
+ * @returns {Promise<string|null>} null when the file does not exist
+ */
+export async function providerFileContent(provider, candidate, repo) {
+  if (candidate.content !== undefined) return candidate.content;
+  return provider.fetchFile({ ...candidate, ref: candidate.ref ?? repo.default_branch });
+}
+
+/**
+ * Build an adopter entry from a provider's normalized repo.
+ *
+ * @param {object} provider
+ * @param {object} repo - From provider.fetchRepo
+ * @param {{nameWithOwner: string, filePath: string, filePaths?: string[], ref?: string|null}} candidate
+ * @param {object} [details]
+ * @param {string|null} [details.compliance]
+ * @returns {object|null} null if the repo data is unusable
+ */
+export function providerEntry(provider, repo, candidate, details = {}) {
+  if (!repo?.owner || !repo.url) return null;
+  const filePaths = candidate.filePaths ?? [candidate.filePath];
+  const ref = candidate.ref ?? repo.default_branch;
+
+  return {
+    provider: provider.name,
+    // Ids are only unique per instance, so they are host-qualified like names
+    id: repo.id ? qualifiedName(provider, repo.id) : null,
+    owner: repo.owner,
+    repo: repo.repo,
+    full_name: qualifiedName(provider, repo.full_name),
+    description: repo.description,
+    stars: repo.stars,
+    language: repo.language,
+    avatar: repo.avatar,
+    url: repo.url,
+    default_branch: repo.default_branch,
+    file_url: provider.fileUrl(repo, ref, candidate.filePath),
+    file_path: candidate.filePath,
+    file_paths: filePaths,
+    file_count: filePaths.length,
+    coverage: null,
+    compliance: details.compliance ?? null,
+    fork: repo.fork === true,
+    archived: repo.archived === true,
+    disabled: repo.disabled === true,
+    license: repo.license ?? null,
+    topics: Array.isArray(repo.topics) ? repo.topics : [],
+    pushed_at: repo.pushed_at ?? null,
+    owner_type: repo.owner_type ?? null,
+  };
+}
+
+/**
+ * Strip a trailing slash from a configured base URL.
+ */
+export function trimUrl(url) {
+  return url.replace(/\/+$/, "");
+}
+
+/**
+ * Normalize a timestamp with any UTC offset to ISO 8601 UTC. Unparseable
+ * → null.
+ */
+export function isoTimestamp(value) {
+  if (typeof value !== "string") return null;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
@@ -0,0 +1,115 @@
+import { fetchJson, isNotFound } from "../http.mjs";
+import { decodeContent, encodePath, isoTimestamp, trimUrl } from "./common.mjs";
+import { CANONICAL_FILENAME } from "../false-positives.mjs";
+
+/**
+ * Gitea / Forgejo provider (Codeberg by default) over the v1 REST API.
+ *
+ * Gitea has no instance-wide code search, so candidates are the repos
+ * tagged with `topic` plus every repo of the configured `owners`; each is
+ * kept only if it has a HALLUCINATE.md at the root of its default branch.
+ * The file read for that check comes with the candidate, so the scan does
+ * not fetch it again.
+ */
+
+const PAGE_SIZE = 50;
+const MAX_PAGES = 20;
+
+/**
+ * @param {object} [config]
+ * @param {string} [config.baseUrl="https://codeberg.org"]
+ * @param {string} [config.token]            - Sent as `Authorization: token ...`
+ * @param {string} [config.topic="hallucinate-md"] - Topic that marks adopters
+ * @param {string[]} [config.owners=[]]      - Users/orgs whose repos are all checked
+ * @param {AbortSignal} [config.signal]      - Cancels every request (the run's deadline)
+ * @param {Function} [config._fetch]         - Override fetch for testing
+ */
+export function createGiteaProvider(config = {}) {
+  const baseUrl = trimUrl(config.baseUrl ?? "https://codeberg.org");
+  const host = new URL(baseUrl).hostname;
+  const topic = config.topic ?? "hallucinate-md";
+  const owners = Array.isArray(config.owners) ? config.owners : [];
+  const headers = config.token ? { authorization: `token ${config.token}` } : {};
+  const get = (path) => fetchJson(`${baseUrl}/api/v1/${path}`, { headers, signal: config.signal, _fetch: config._fetch });
+
+  /** Every page of a list endpoint ({ data: [...] } for search, [...] otherwise) */
+  const list = async (path) => {
+    const items = [];
+    const sep = path.includes("?") ? "&" : "?";
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const { data } = await get(`${path}${sep}limit=${PAGE_SIZE}&page=${page}`);
+      const batch = Array.isArray(data) ? data : Array.isArray(data?.data) ? data.data : [];
+      items.push(...batch);
+      if (batch.length < PAGE_SIZE) break;
+    }
+    return items;
+  };
+
+  const provider = {
+    name: "gitea",
+    host,
+    hosts: {
+      url: [`${baseUrl}/`],
+      avatar: [`${baseUrl}/`, "https://secure.gravatar.com/"],
+    },
+
+    async search() {
+      const names = new Set();
+      for (const repo of await list(`repos/search?q=${encodeURIComponent(topic)}&topic=true`)) {
+        names.add(repo.full_name);
+      }
+      for (const owner of owners) {
+        for (const repo of await list(`users/${encodeURIComponent(owner)}/repos`)) {
+          names.add(repo.full_name);
+        }
+      }
+
+      const candidates = [];
+      for (const nameWithOwner of names) {
+        const content = await provider.fetchFile({ nameWithOwner, filePath: CANONICAL_FILENAME, ref: null });
+        if (content === null) continue;
+        candidates.push({ nameWithOwner, filePath: CANONICAL_FILENAME, filePaths: [CANONICAL_FILENAME], ref: null, content });
+      }
+      return candidates;
+    },
+
+    async fetchRepo(nameWithOwner) {
+      const { data: repo } = await get(`repos/${nameWithOwner}`);
+      return {
+        id: repo.id != null ? String(repo.id) : null,
+        full_name: repo.full_name,
+        owner: repo.owner?.login ?? null,
+        repo: repo.name,
+        description: repo.description ?? null,
+        stars: repo.stars_count ?? 0,
+        language: repo.language || null,
+        avatar: repo.owner?.avatar_url ?? null,
+        url: repo.html_url,
+        default_branch: repo.default_branch ?? null,
+        fork: repo.fork === true,
+        archived: repo.archived === true,
+        disabled: false,
+        license: Array.isArray(repo.licenses) ? repo.licenses[0] ?? null : null,
+        topics: Array.isArray(repo.topics) ? repo.topics : [],
+        pushed_at: isoTimestamp(repo.updated_at),
+        owner_type: null,
+      };
+    },
+
+    async fetchFile({ nameWithOwner, filePath, ref }) {
+      const query = ref ? `?ref=${encodeURIComponent(ref)}` : "";
+      try {
+        const { data } = await get(`repos/${nameWithOwner}/contents/${encodePath(filePath)}${query}`);
+        return data?.type === "file" ? decodeContent(data) : null;
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    fileUrl(repo, ref, filePath) {
+      return `${repo.url}/src/branch/${ref}/${filePath}`;
+    },
+  };
+  return provider;
+}
@@ -0,0 +1,91 @@
+import { fetchJson, isNotFound } from "../http.mjs";
+import { groupHits, decodeContent, encodePath, trimUrl } from "./common.mjs";
+
+/**
+ * GitHub provider over the REST API. The default scan of github.com goes
+ * through the `gh` CLI pipeline in scan-adopters.mjs (sharded search,
+ * GraphQL batches, ETags); this provider is for GitHub Enterprise
+ * instances and anywhere the CLI is not available.
+ */
+
+/** Code search never returns more than 1000 results (10 pages × 100). */
+const MAX_SEARCH_PAGES = 10;
+
+/**
+ * @param {object} [config]
+ * @param {string} [config.baseUrl="https://github.com"] - Web URL of the instance
+ * @param {string} [config.apiUrl]  - API root (default api.github.com, or <baseUrl>/api/v3)
+ * @param {string} [config.token]
+ * @param {AbortSignal} [config.signal] - Cancels every request (the run's deadline)
+ * @param {Function} [config._fetch] - Override fetch for testing
+ */
+export function createGitHubProvider(config = {}) {
+  const baseUrl = trimUrl(config.baseUrl ?? "https://github.com");
+  const host = new URL(baseUrl).hostname;
+  const apiUrl = trimUrl(config.apiUrl ?? (host === "github.com" ? "https://api.github.com" : `${baseUrl}/api/v3`));
+  const headers = {
+    accept: "application/vnd.github+json",
+    ...(config.token ? { authorization: `Bearer ${config.token}` } : {}),
+  };
+  const get = (path) => fetchJson(`${apiUrl}/${path}`, { headers, signal: config.signal, _fetch: config._fetch });
+
+  return {
+    name: "github",
+    host,
+    hosts: {
+      url: [`${baseUrl}/`],
+      avatar: host === "github.com" ? ["https://avatars.githubusercontent.com/", `${baseUrl}/`] : [`${baseUrl}/`],
+    },
+
+    async search(options = {}) {
+      const hits = [];
+      for (let page = 1; page <= MAX_SEARCH_PAGES; page++) {
+        const { data } = await get(`search/code?q=${encodeURIComponent("filename:HALLUCINATE.md")}&per_page=100&page=${page}`);
+        const items = Array.isArray(data?.items) ? data.items : [];
+        for (const item of items) {
+          hits.push({ nameWithOwner: item.repository?.full_name, path: item.path });
+        }
+        if (items.length < 100) break;
+      }
+      return groupHits(hits, options);
+    },
+
+    async fetchRepo(nameWithOwner) {
+      const { data: repo } = await get(`repos/${nameWithOwner}`);
+      return {
+        id: repo.node_id ?? null,
+        full_name: repo.full_name,
+        owner: repo.owner?.login ?? null,
+        repo: repo.name,
+        description: repo.description ?? null,
+        stars: repo.stargazers_count ?? 0,
+        language: repo.language ?? null,
+        avatar: repo.owner?.avatar_url ?? null,
+        url: repo.html_url,
+        default_branch: repo.default_branch ?? null,
+        fork: repo.fork === true,
+        archived: repo.archived === true,
+        disabled: repo.disabled === true,
+        license: repo.license?.spdx_id ?? null,
+        topics: Array.isArray(repo.topics) ? repo.topics : [],
+        pushed_at: repo.pushed_at ?? null,
+        owner_type: repo.owner?.type ?? null,
+      };
+    },
+
+    async fetchFile({ nameWithOwner, filePath, ref }) {
+      const query = ref ? `?ref=${encodeURIComponent(ref)}` : "";
+      try {
+        const { data } = await get(`repos/${nameWithOwner}/contents/${encodePath(filePath)}${query}`);
+        return data?.type === "file" ? decodeContent(data) : null;
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    fileUrl(repo, ref, filePath) {
+      return `${repo.url}/blob/${ref}/${filePath}`;
+    },
+  };
+}
@@ -0,0 +1,98 @@
+import { fetchJson, isNotFound } from "../http.mjs";
+import { groupHits, decodeContent, isoTimestamp, trimUrl } from "./common.mjs";
+
+/**
+ * GitLab provider (gitlab.com or self-managed) over the v4 REST API.
+ *
+ * Blob search across all projects needs advanced search to be enabled on
+ * the instance. GitLab reports licenses by its own keys, not SPDX ids, so
+ * `license` is left null.
+ */
+
+const MAX_SEARCH_PAGES = 10;
+
+/**
+ * @param {object} [config]
+ * @param {string} [config.baseUrl="https://gitlab.com"]
+ * @param {string} [config.token]   - Sent as PRIVATE-TOKEN
+ * @param {AbortSignal} [config.signal] - Cancels every request (the run's deadline)
+ * @param {Function} [config._fetch] - Override fetch for testing
+ */
+export function createGitLabProvider(config = {}) {
+  const baseUrl = trimUrl(config.baseUrl ?? "https://gitlab.com");
+  const host = new URL(baseUrl).hostname;
+  const headers = config.token ? { "private-token": config.token } : {};
+  const get = (path) => fetchJson(`${baseUrl}/api/v4/${path}`, { headers, signal: config.signal, _fetch: config._fetch });
+  const project = (nameWithOwner) => `projects/${encodeURIComponent(nameWithOwner)}`;
+
+  // Avatars may come back relative to the instance ("/uploads/...")
+  const absolute = (url) => (typeof url === "string" && url.startsWith("/") ? `${baseUrl}${url}` : url ?? null);
+
+  return {
+    name: "gitlab",
+    host,
+    hosts: {
+      url: [`${baseUrl}/`],
+      avatar: [`${baseUrl}/`, "https://secure.gravatar.com/"],
+    },
+
+    async search(options = {}) {
+      const hits = [];
+      const paths = new Map(); // project_id → path_with_namespace
+      let page = "1";
+      for (let i = 0; page && i < MAX_SEARCH_PAGES; i++) {
+        const { data, headers: res } = await get(
+          `search?scope=blobs&search=${encodeURIComponent("filename:HALLUCINATE.md")}&per_page=100&page=${page}`,
+        );
+        for (const blob of Array.isArray(data) ? data : []) {
+          if (!paths.has(blob.project_id)) {
+            const { data: p } = await get(`projects/${blob.project_id}`);
+            paths.set(blob.project_id, p.path_with_namespace);
+          }
+          hits.push({ nameWithOwner: paths.get(blob.project_id), path: blob.path });
+        }
+        page = res.get("x-next-page") || null;
+      }
+      return groupHits(hits, options);
+    },
+
+    async fetchRepo(nameWithOwner) {
+      const { data: p } = await get(project(nameWithOwner));
+      return {
+        id: p.id != null ? String(p.id) : null,
+        full_name: p.path_with_namespace,
+        owner: p.namespace?.full_path ?? nameWithOwner.slice(0, nameWithOwner.lastIndexOf("/")),
+        repo: p.path,
+        description: p.description ?? null,
+        stars: p.star_count ?? 0,
+        language: null,
+        avatar: absolute(p.avatar_url ?? p.namespace?.avatar_url),
+        url: p.web_url,
+        default_branch: p.default_branch ?? null,
+        fork: p.forked_from_project != null,
+        archived: p.archived === true,
+        disabled: false,
+        license: null,
+        topics: Array.isArray(p.topics) ? p.topics : [],
+        pushed_at: isoTimestamp(p.last_activity_at),
+        owner_type: p.namespace?.kind === "group" ? "Organization" : p.namespace?.kind === "user" ? "User" : null,
+      };
+    },
+
+    async fetchFile({ nameWithOwner, filePath, ref }) {
+      // The files API requires a ref; HEAD is the default branch
+      const query = `?ref=${encodeURIComponent(ref ?? "HEAD")}`;
+      try {
+        const { data } = await get(`${project(nameWithOwner)}/repository/files/${encodeURIComponent(filePath)}${query}`);
+        return decodeContent(data);
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    fileUrl(repo, ref, filePath) {
+      return `${repo.url}/-/blob/${ref}/${filePath}`;
+    },
+  };
+}
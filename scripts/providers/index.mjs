@@ -0,0 +1,128 @@
+import { readFileSync, existsSync } from "node:fs";
+import { createGitHubProvider } from "./github.mjs";
+import { createGitLabProvider } from "./gitlab.mjs";
+import { createGiteaProvider } from "./gitea.mjs";
+import { DEFAULT_PROVIDER_HOSTS } from "../sanitize.mjs";
+
+/**
+ * Source providers beyond the built-in github.com scan, configured by hand
+ * in _data/providers.json:
+ *
+ *   {
+ *     "providers": [
+ *       { "type": "gitlab", "base_url": "https://gitlab.example.com", "token_env": "GITLAB_TOKEN" },
+ *       { "type": "gitea",  "base_url": "https://codeberg.org", "owners": ["someone"], "topic": "hallucinate-md" },
+ *       { "type": "github", "base_url": "https://github.example.com", "token_env": "GHE_TOKEN" }
+ *     ]
+ *   }
+ *
+ * Tokens are read from the named environment variable, never from the file.
+ * Without `token_env` a provider uses its type's usual variable, except a
+ * github provider on another host than github.com: GH_TOKEN is the
+ * workflow's github.com token, so that provider sends none unless its
+ * `token_env` is given. See ./common.mjs for the provider interface.
+ */
+
+export const PROVIDER_TYPES = ["github", "gitlab", "gitea"];
+
+const FACTORIES = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  gitea: createGiteaProvider,
+};
+
+/** Hosts GH_TOKEN may be sent to. */
+const GITHUB_COM_HOSTS = ["github.com", "api.github.com"];
+
+const DEFAULT_TOKEN_ENV = {
+  github: "GH_TOKEN",
+  gitlab: "GITLAB_TOKEN",
+  gitea: "GITEA_TOKEN",
+};
+
+/**
+ * Load provider configs from disk. Missing or corrupt file → []; entries
+ * with an unknown type or a base_url that is not https are dropped.
+ */
+export function loadProviderConfig(path) {
+  if (!existsSync(path)) return [];
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, "utf-8"));
+  } catch {
+    return [];
+  }
+  const entries = Array.isArray(data?.providers) ? data.providers : [];
+  return entries.filter((e) => {
+    if (!e || !PROVIDER_TYPES.includes(e.type)) return false;
+    if (e.base_url === undefined) return true;
+    try {
+      return new URL(e.base_url).protocol === "https:";
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Instantiate a provider from one config entry.
+ *
+ * @param {{type: string, base_url?: string, api_url?: string, token_env?: string, owners?: string[], topic?: string}} config
+ * @param {object} [options]
+ * @param {object}   [options.env=process.env]
+ * @param {AbortSignal} [options.signal] - Cancels the provider's requests
+ * @param {Function} [options._fetch] - Override fetch for testing
+ */
+export function createProvider(config, options = {}) {
+  const factory = FACTORIES[config.type];
+  if (!factory) throw new Error(`unknown provider type "${config.type}"`);
+
+  const env = options.env ?? process.env;
+  const tokenEnv = tokenEnvFor(config);
+  const token = (tokenEnv && env[tokenEnv]) || undefined;
+  return factory({
+    baseUrl: config.base_url,
+    apiUrl: config.api_url,
+    token,
+    owners: config.owners,
+    topic: config.topic,
+    signal: options.signal,
+    _fetch: options._fetch,
+  });
+}
+
+/**
+ * The environment variable holding a provider's token, or null for none.
+ */
+function tokenEnvFor(config) {
+  if (config.token_env) return config.token_env;
+  if (config.type === "github") {
+    const url = config.api_url ?? config.base_url;
+    if (url && !GITHUB_COM_HOSTS.includes(new URL(url).hostname)) return null;
+  }
+  return DEFAULT_TOKEN_ENV[config.type];
+}
+
+/**
+ * The sanitizer's host allowlist: DEFAULT_PROVIDER_HOSTS (github.com) plus
+ * every provider's prefixes, keyed by the provider's host so an entry only
+ * accepts URLs of the instance it was found on.
+ *
+ * @param {object[]} providers
+ * @returns {Record<string, {provider: string, url: string[], avatar: string[]}>}
+ */
+export function providerHosts(providers) {
+  const hosts = { ...DEFAULT_PROVIDER_HOSTS };
+  for (const provider of providers) {
+    const merged = hosts[provider.host] ?? { provider: provider.name, url: [], avatar: [] };
+    if (merged.provider !== provider.name) {
+      throw new Error(`host "${provider.host}" is configured for both ${merged.provider} and ${provider.name}`);
+    }
+    hosts[provider.host] = {
+      provider: provider.name,
+      url: [...new Set([...merged.url, ...provider.hosts.url])],
+      avatar: [...new Set([...merged.avatar, ...provider.hosts.avatar])],
+    };
+  }
+  return hosts;
+}
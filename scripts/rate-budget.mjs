@@ -0,0 +1,280 @@
+/**
+ * Rate-limit budget: what GitHub says is left in each rate-limit bucket,
+ * and how long a request has to wait before it is sent.
+ *
+ * Buckets are GitHub's rate-limit resources — `core` (REST, issues),
+ * `search`, `code_search` and `graphql` — fed from X-RateLimit-* headers
+ * (gh api -i, the HTTP client) and from GET /rate_limit. Between updates
+ * each request lowers the bucket's estimate by what it costs: one, except
+ * for `gh search`, which fetches up to 100 results per request (see
+ * requestCost).
+ *
+ * A request waits only when its bucket is actually low:
+ *   - not enough left    → pause until the bucket resets
+ *   - would go below `lowWater` → spread what is left evenly until the reset
+ *   - otherwise          → no wait
+ * Writes (issue comments, labels, closes) are additionally spaced
+ * `writeIntervalMs` apart, as GitHub asks to avoid secondary rate limits.
+ */
+
+/** Remaining requests below which a bucket is paced. */
+export const DEFAULT_LOW_WATER = { core: 100, search: 3, code_search: 3, graphql: 100 };
+
+/** Minimum gap between two write requests. */
+export const WRITE_INTERVAL_MS = 1000;
+
+/** Results per page of `gh search`; its --limit is fetched in pages this big. */
+const SEARCH_PAGE_SIZE = 100;
+
+/** Results `gh search` fetches without --limit. */
+const SEARCH_DEFAULT_LIMIT = 30;
+
+/** Extra wait after a reset, for clock skew between us and GitHub. */
+const RESET_SLACK_MS = 1000;
+
+/** Re-read the real budget at most this often while pacing on estimates. */
+const REFRESH_INTERVAL_MS = 60_000;
+
+/** Pauses longer than this are logged. */
+const LOG_PAUSE_MS = 5000;
+
+/** `gh api` flags that take a value (the value is not the endpoint). */
+const API_VALUE_FLAGS = new Set([
+  "-H", "--header", "-f", "--raw-field", "-F", "--field", "-X", "--method",
+  "-q", "--jq", "-t", "--template", "--input", "--hostname", "--cache",
+]);
+
+/**
+ * The endpoint of a `gh api` invocation (args without the leading "api").
+ */
+export function apiEndpoint(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (API_VALUE_FLAGS.has(args[i])) i++;
+    else if (!args[i].startsWith("-")) return args[i];
+  }
+  return null;
+}
+
+/**
+ * Which bucket a `gh` invocation draws from. GET /rate_limit draws from
+ * none → null.
+ *
+ * @param {string[]} args
+ * @returns {string|null}
+ */
+export function rateBucketFor(args) {
+  if (args[0] === "search") return args[1] === "code" ? "code_search" : "search";
+  if (args[0] !== "api") return "core";
+  const endpoint = apiEndpoint(args.slice(1)) ?? "";
+  if (endpoint === "rate_limit") return null;
+  if (endpoint === "graphql") return "graphql";
+  if (endpoint.startsWith("search/code")) return "code_search";
+  if (endpoint.startsWith("search/")) return "search";
+  return "core";
+}
+
+/**
+ * How many requests a `gh` invocation makes against its bucket. `gh search`
+ * pages through its --limit 100 results at a time and sends no rate-limit
+ * headers back, so a 1000-result code search is ten requests the budget
+ * would otherwise never see.
+ *
+ * @param {string[]} args
+ * @returns {number}
+ */
+export function requestCost(args) {
+  if (args[0] !== "search") return 1;
+  const i = args.findIndex((a) => a === "--limit" || a === "-L");
+  const limit = i === -1 ? SEARCH_DEFAULT_LIMIT : Number(args[i + 1]);
+  return Number.isInteger(limit) && limit > 0 ? Math.ceil(limit / SEARCH_PAGE_SIZE) : 1;
+}
+
+/**
+ * True for invocations that create or change something (and so count
+ * towards the secondary "content creation" limits).
+ */
+export function isWriteCall(args) {
+  if (args[0] === "issue") return ["comment", "close", "edit", "create", "reopen"].includes(args[1]);
+  if (args[0] !== "api" || args[1] === "graphql") return false;
+  const i = args.findIndex((a) => a === "-X" || a === "--method");
+  return i !== -1 && (args[i + 1] ?? "").toUpperCase() !== "GET";
+}
+
+/**
+ * Read X-RateLimit-* headers (lowercased keys). Returns null when they
+ * are absent or malformed.
+ *
+ * @param {Record<string, string>} headers
+ * @returns {{resource: string|null, limit: number, remaining: number, reset: number}|null}
+ *          reset in ms since the epoch
+ */
+export function parseRateHeaders(headers) {
+  const remaining = Number(headers?.["x-ratelimit-remaining"]);
+  const reset = Number(headers?.["x-ratelimit-reset"]);
+  if (!Number.isInteger(remaining) || !Number.isInteger(reset)) return null;
+  const limit = Number(headers["x-ratelimit-limit"]);
+  return {
+    resource: headers["x-ratelimit-resource"] ?? null,
+    limit: Number.isInteger(limit) ? limit : null,
+    remaining,
+    reset: reset * 1000,
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {Record<string, number>} [options.lowWater=DEFAULT_LOW_WATER]
+ * @param {number}   [options.writeIntervalMs=WRITE_INTERVAL_MS]
+ * @param {Function} [options.refresh] - async () => void; re-reads the real
+ *                                       budget before pausing on an estimate
+ * @param {Function} [options._now]    - Override Date.now for testing
+ * @param {Function} [options._sleep]  - Override sleep for testing
+ */
+export function createRateBudget(options = {}) {
+  const lowWater = { ...DEFAULT_LOW_WATER, ...options.lowWater };
+  const writeIntervalMs = options.writeIntervalMs ?? WRITE_INTERVAL_MS;
+  const now = options._now ?? Date.now;
+  const defaultSleep = options._sleep ?? sleep;
+
+  /** bucket → { limit, remaining, reset, estimated } */
+  const buckets = new Map();
+  /** Buckets whose window ended since we last heard of them */
+  const rolledOver = new Set();
+  let lastWriteAt = null;
+  let lastRefreshAt = null;
+
+  const current = (bucket) => {
+    const b = buckets.get(bucket);
+    if (b && b.reset <= now()) {
+      // The window has rolled over; what we knew no longer applies
+      buckets.delete(bucket);
+      rolledOver.add(bucket);
+      return undefined;
+    }
+    return b;
+  };
+
+  const budget = {
+    /**
+     * Record what GitHub reported for a bucket.
+     */
+    update(bucket, { limit = null, remaining, reset }) {
+      buckets.set(bucket, { limit, remaining, reset, estimated: false });
+      rolledOver.delete(bucket);
+    },
+
+    /**
+     * Record X-RateLimit-* headers. The headers name their bucket; older
+     * servers don't, so `fallbackBucket` is used then.
+     */
+    observe(headers, fallbackBucket = "core") {
+      const parsed = parseRateHeaders(headers);
+      if (!parsed) return;
+      budget.update(parsed.resource ?? fallbackBucket, parsed);
+    },
+
+    /**
+     * Record a GET /rate_limit body.
+     */
+    observeRateLimit(body) {
+      for (const [bucket, r] of Object.entries(body?.resources ?? {})) {
+        if (!Number.isInteger(r?.remaining) || !Number.isInteger(r?.reset)) continue;
+        budget.update(bucket, { limit: r.limit ?? null, remaining: r.remaining, reset: r.reset * 1000 });
+      }
+    },
+
+    /**
+     * How long a request to `bucket` costing `cost` requests should wait
+     * now, in ms.
+     */
+    waitFor(bucket, { write = false, cost = 1 } = {}) {
+      let wait = 0;
+      const b = current(bucket);
+      if (b) {
+        const untilReset = b.reset - now();
+        const low = lowWater[bucket] ?? lowWater.core;
+        if (b.remaining < cost) wait = untilReset + RESET_SLACK_MS;
+        else if (b.remaining - cost + 1 < low) wait = Math.ceil((untilReset * cost) / b.remaining);
+      }
+      if (write && lastWriteAt !== null) {
+        wait = Math.max(wait, lastWriteAt + writeIntervalMs - now());
+      }
+      return Math.max(0, wait);
+    },
+
+    /**
+     * Wait until a request to `bucket` may be sent, then count it.
+     *
+     * @param {string} bucket
+     * @param {object} [opts]
+     * @param {boolean}  [opts.write=false]
+     * @param {number}   [opts.cost=1]  - Requests it makes (see requestCost)
+     * @param {Function} [opts.sleep] - Override this call's sleep
+     * @param {AbortSignal} [opts.signal] - Ends the wait early
+     * @returns {Promise<number>} ms waited
+     */
+    async acquire(bucket, { write = false, cost = 1, sleep: sleepFn = defaultSleep, signal } = {}) {
+      let wait = budget.waitFor(bucket, { write, cost });
+      const stale = lastRefreshAt === null || now() - lastRefreshAt >= REFRESH_INTERVAL_MS;
+      const known = current(bucket);
+      // Only an estimate says we are low, or the window rolled over and no
+      // headers will tell us the new one (code search) — ask GitHub first
+      const unsure = known ? wait > 0 && known.estimated : rolledOver.has(bucket);
+      if (unsure && options.refresh && stale) {
+        lastRefreshAt = now();
+        try {
+          await options.refresh();
+        } catch (err) {
+          console.warn(`  ⚠️  could not refresh rate limits — ${err.message}`);
+        }
+        wait = budget.waitFor(bucket, { write, cost });
+      }
+
+      if (wait > LOG_PAUSE_MS) {
+        const b = current(bucket);
+        console.warn(
+          `  ⏸️  ${bucket} budget low (${b?.remaining ?? "?"} left), ` +
+            `pausing ${Math.round(wait / 1000)}s`,
+        );
+      }
+      if (wait > 0) await sleepFn(wait, signal);
+
+      const b = current(bucket);
+      if (b) {
+        b.remaining = Math.max(0, b.remaining - cost);
+        b.estimated = true;
+      }
+      if (write) lastWriteAt = now();
+      return wait;
+    },
+
+    /**
+     * Known buckets, for the scan report.
+     *
+     * @returns {Record<string, {limit: number|null, remaining: number, reset: string}>}
+     */
+    snapshot() {
+      const out = {};
+      for (const bucket of [...buckets.keys()].sort()) {
+        const b = current(bucket);
+        if (b) out[bucket] = { limit: b.limit, remaining: b.remaining, reset: new Date(b.reset).toISOString() };
+      }
+      return out;
+    },
+  };
+
+  return budget;
+}
+
+/** Resolves after `ms`, or as soon as `signal` aborts. */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
@@ -0,0 +1,104 @@
+import { writeFileSync } from "node:fs";
+
+/**
+ * Machine-readable scan report, for dashboards and alerting that would
+ * otherwise have to scrape the console log. main() fills it in step by
+ * step and writes it at the end of every run — a run that throws included,
+ * with whatever it had filled in by then.
+ *
+ * Shape (REPORT_VERSION 1):
+ *   {
+ *     version, status: "ok" | "no-results" | "partial" | "failed", dry_run,
+ *     started_at, finished_at, duration_ms,
+ *     error:      { class, message } | null   (status "failed")
+ *     search:     { raw_count, cap, cap_hit, shards: { searched, leaves, incomplete, failed } },
+ *     sources:    { search, issues, forced, merged },
+ *     moderation: { blocked: [], quarantined: [] },
+ *     spam:       [{ repo, file_count }],
+ *     fetch:      { refreshed, reused, fetched, not_modified, failures: [{ repo, reason }],
+ *                   skipped: [] },
+ *     adopters:   { total, added: [], removed: [], renamed: [{ from, to }], returned: [],
+ *                   delisted: [], missing: [] },
+ *     review:     { flagged: [], excluded: [] },
+ *     issue_actions: [{ number, type, repo, reason, status }],
+ *     api:        { <kind>: { calls, failures, retries, duration_ms } },
+ *     metrics:    { requests, endpoints: { <template>: { calls, failures, retries,
+ *                   total_ms, p50_ms, p90_ms, p99_ms, max_ms } }, retries, sleep_ms },
+ *     rate_limits: { <bucket>: { limit, remaining, reset } }
+ *   }
+ */
+
+export const REPORT_VERSION = 1;
+
+/**
+ * A report with every section present and empty.
+ *
+ * @param {object} [options]
+ * @param {Date}    [options.now=new Date()]
+ * @param {boolean} [options.dryRun=false]
+ */
+export function createScanReport({ now = new Date(), dryRun = false } = {}) {
+  return {
+    version: REPORT_VERSION,
+    status: "ok",
+    dry_run: dryRun,
+    started_at: now.toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    error: null,
+    search: { raw_count: 0, cap: null, cap_hit: false, shards: null },
+    sources: { search: 0, issues: 0, forced: 0, merged: 0 },
+    moderation: { blocked: [], quarantined: [] },
+    spam: [],
+    fetch: { refreshed: 0, reused: 0, fetched: 0, not_modified: 0, failures: [], skipped: [] },
+    adopters: { total: 0, added: [], removed: [], renamed: [], returned: [], delisted: [], missing: [] },
+    review: { flagged: [], excluded: [] },
+    issue_actions: [],
+    api: {},
+    metrics: null,
+    rate_limits: {},
+  };
+}
+
+/**
+ * Mark the run as failed with the error that ended it. `class` is the
+ * error's name — AuthError, RateLimitError, TypeError... — for alerting.
+ *
+ * @param {object} report
+ * @param {Error}  err
+ */
+export function failScanReport(report, err) {
+  report.status = "failed";
+  report.error = {
+    class: err?.name ?? "Error",
+    message: err?.message ?? String(err),
+  };
+  return report;
+}
+
+/**
+ * Stamp the finish time, API call stats and metrics, and what is left of
+ * the rate limits.
+ *
+ * @param {object} report
+ * @param {object} [options]
+ * @param {Date}   [options.now=new Date()]
+ * @param {object} [options.apiStats]   - From getApiStats (gh.mjs)
+ * @param {object} [options.metrics]    - From getMetrics (gh.mjs)
+ * @param {object} [options.rateLimits] - From getRateBudget().snapshot() (gh.mjs)
+ */
+export function finishScanReport(report, { now = new Date(), apiStats = {}, metrics = null, rateLimits = {} } = {}) {
+  report.finished_at = now.toISOString();
+  report.duration_ms = now.getTime() - Date.parse(report.started_at);
+  report.api = apiStats;
+  report.metrics = metrics;
+  report.rate_limits = rateLimits;
+  return report;
+}
+
+/**
+ * Write the report as pretty-printed JSON.
+ */
+export function saveScanReport(path, report) {
+  writeFileSync(path, JSON.stringify(report, null, 2) + "\n");
+}
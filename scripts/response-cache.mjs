@@ -0,0 +1,184 @@
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+
+/**
+ * On-disk cache of GET responses, keyed by endpoint, for conditional
+ * requests: the stored ETag / Last-Modified go out as If-None-Match /
+ * If-Modified-Since, and a 304 is answered from the stored body. GitHub
+ * does not count 304s against the primary rate limit.
+ *
+ * Shape:
+ *   {
+ *     version: 1,
+ *     entries: {
+ *       "repos/a/b/contents/HALLUCINATE.md": {
+ *         etag: "\"abc\"",
+ *         last_modified: "Mon, 01 Jan 2026 00:00:00 GMT",   // or null
+ *         body: "{...}",                                     // raw response text
+ *         validated_at: "2026-01-01T00:00:00.000Z",          // last 200 or 304
+ *         used_at: "2026-01-02T00:00:00.000Z"
+ *       }
+ *     }
+ *   }
+ *
+ * Entries not validated within the TTL are dropped, so a stale validator
+ * never outlives it; past the entry or byte limits the least recently
+ * used entries go first. The cache holds raw API responses — keep it out
+ * of the repository.
+ */
+
+export const RESPONSE_CACHE_VERSION = 1;
+
+/** Entries not validated for this long are dropped. */
+export const DEFAULT_CACHE_TTL_MS = 7 * 86_400_000;
+
+export const DEFAULT_CACHE_MAX_ENTRIES = 5000;
+
+/** Total size of the stored bodies, in characters. */
+export const DEFAULT_CACHE_MAX_BYTES = 50_000_000;
+
+/**
+ * Bodies larger than this (a big repo's recursive tree) are not stored:
+ * a handful of them would push everything else out of the cache.
+ */
+export const DEFAULT_CACHE_MAX_ENTRY_BYTES = 1_000_000;
+
+export function emptyResponseCache() {
+  return { version: RESPONSE_CACHE_VERSION, entries: {} };
+}
+
+/**
+ * Load the cache from disk. Missing, corrupt or other-version files yield
+ * an empty cache (the next run simply fetches in full).
+ */
+export function loadResponseCache(path) {
+  if (!existsSync(path)) return emptyResponseCache();
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    if (data?.version !== RESPONSE_CACHE_VERSION || typeof data.entries !== "object" || Array.isArray(data.entries)) {
+      return emptyResponseCache();
+    }
+    return { ...data, entries: { ...data.entries } };
+  } catch {
+    return emptyResponseCache();
+  }
+}
+
+/**
+ * Write the cache, creating its directory. Compact: it can be large and
+ * is never reviewed.
+ */
+export function saveResponseCache(path, cache) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(cache) + "\n");
+}
+
+/**
+ * The stored response for an endpoint, or null when there is none or it
+ * has outlived the TTL (then it is dropped).
+ *
+ * @param {object} cache
+ * @param {string} endpoint
+ * @param {object} [options]
+ * @param {Date}   [options.now=new Date()]
+ * @param {number} [options.ttlMs=DEFAULT_CACHE_TTL_MS]
+ */
+export function lookupResponse(cache, endpoint, { now = new Date(), ttlMs = DEFAULT_CACHE_TTL_MS } = {}) {
+  const entry = cache.entries[endpoint];
+  if (!entry) return null;
+  if (!(now.getTime() - Date.parse(entry.validated_at) < ttlMs)) {
+    delete cache.entries[endpoint];
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Request headers that make a GET conditional on the stored entry.
+ *
+ * @param {{etag?: string|null, last_modified?: string|null}|null} entry
+ * @returns {string[]} `-H` args for `gh api`
+ */
+export function conditionalArgs(entry) {
+  const args = [];
+  if (entry?.etag) args.push("-H", `If-None-Match: ${entry.etag}`);
+  if (entry?.last_modified) args.push("-H", `If-Modified-Since: ${entry.last_modified}`);
+  return args;
+}
+
+/**
+ * Store a 200 response. Responses without a validator are not worth
+ * keeping: they could never be answered by a 304. Nor are bodies over
+ * `maxEntryBytes`. Either way an older entry for the endpoint is dropped.
+ *
+ * @param {object} cache
+ * @param {string} endpoint
+ * @param {{etag?: string, "last-modified"?: string}} headers - Lowercased
+ * @param {string} body
+ * @param {object} [options]
+ * @param {Date}   [options.now=new Date()]
+ * @param {number} [options.maxEntryBytes=DEFAULT_CACHE_MAX_ENTRY_BYTES]
+ * @returns {boolean} whether it was stored
+ */
+export function storeResponse(
+  cache,
+  endpoint,
+  headers,
+  body,
+  { now = new Date(), maxEntryBytes = DEFAULT_CACHE_MAX_ENTRY_BYTES } = {},
+) {
+  const etag = headers.etag ?? null;
+  const lastModified = headers["last-modified"] ?? null;
+  if ((!etag && !lastModified) || body.length > maxEntryBytes) {
+    delete cache.entries[endpoint];
+    return false;
+  }
+  const at = now.toISOString();
+  cache.entries[endpoint] = { etag, last_modified: lastModified, body, validated_at: at, used_at: at };
+  return true;
+}
+
+/**
+ * Mark an entry as confirmed by a 304.
+ */
+export function revalidateResponse(entry, { now = new Date() } = {}) {
+  entry.validated_at = entry.used_at = now.toISOString();
+}
+
+/**
+ * Drop expired entries, then the least recently used ones until the
+ * cache is within its limits.
+ *
+ * @param {object} cache
+ * @param {object} [options]
+ * @param {Date}   [options.now=new Date()]
+ * @param {number} [options.ttlMs=DEFAULT_CACHE_TTL_MS]
+ * @param {number} [options.maxEntries=DEFAULT_CACHE_MAX_ENTRIES]
+ * @param {number} [options.maxBytes=DEFAULT_CACHE_MAX_BYTES]
+ * @returns {number} entries removed
+ */
+export function pruneResponseCache(
+  cache,
+  {
+    now = new Date(),
+    ttlMs = DEFAULT_CACHE_TTL_MS,
+    maxEntries = DEFAULT_CACHE_MAX_ENTRIES,
+    maxBytes = DEFAULT_CACHE_MAX_BYTES,
+  } = {},
+) {
+  const before = Object.keys(cache.entries).length;
+  for (const endpoint of Object.keys(cache.entries)) {
+    lookupResponse(cache, endpoint, { now, ttlMs });
+  }
+
+  const byUse = Object.entries(cache.entries).sort(([, a], [, b]) => a.used_at.localeCompare(b.used_at));
+  let count = byUse.length;
+  let bytes = byUse.reduce((sum, [, e]) => sum + (e.body?.length ?? 0), 0);
+  for (const [endpoint, entry] of byUse) {
+    if (count <= maxEntries && bytes <= maxBytes) break;
+    delete cache.entries[endpoint];
+    count--;
+    bytes -= entry.body?.length ?? 0;
+  }
+  return before - Object.keys(cache.entries).length;
+}
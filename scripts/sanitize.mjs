@@ -1,6 +1,23 @@
 import sanitizeHtml from "sanitize-html";
+import { COMPLIANCE_CLASSES } from "./compliance.mjs";
 
 const MAX_TEXT_LENGTH = 200;
+const MAX_FILE_PATHS = 100;
+const MAX_TOPICS = 20;
+const MAX_PREVIOUS_NAMES = 20;
+
+/** GitHub topic format: lowercase letters, digits and hyphens, max 50 chars */
+const TOPIC_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+/** SPDX license identifiers, plus GitHub's NOASSERTION */
+const SPDX_PATTERN = /^[A-Za-z0-9][A-Za-z0-9.+-]{0,63}$/;
+/** ISO 8601 UTC timestamps as returned by the GitHub APIs */
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const OWNER_TYPES = ["User", "Organization"];
+/**
+ * Immutable repo ids: GitHub node ids ("R_kgDO…", legacy base64 "MDEw…"),
+ * or host-qualified ids for other providers ("gitlab.com/123")
+ */
+const REPO_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:/+=-]{0,127}$/;
 
 const GITHUB_URL_PREFIXES = ["https://github.com/"];
 const AVATAR_URL_PREFIXES = [
@@ -8,6 +25,25 @@ const AVATAR_URL_PREFIXES = [
   "https://github.com/",
 ];
 
+/**
+ * URL prefixes allowed per provider instance, keyed by the instance's host
+ * (see hostOf) and naming the provider that serves it. Entries without a
+ * provider are GitHub entries. Other instances come from their
+ * configuration (see providers/index.mjs).
+ */
+export const DEFAULT_PROVIDER_HOSTS = {
+  "github.com": { provider: "github", url: GITHUB_URL_PREFIXES, avatar: AVATAR_URL_PREFIXES },
+};
+
+/**
+ * Host an entry lives on, from its listed name: "host/owner/repo" names
+ * carry it, plain owner/repo names are on github.com.
+ */
+export function hostOf(fullName) {
+  const parts = String(fullName ?? "").split("/");
+  return parts.length > 2 ? parts[0] : "github.com";
+}
+
 /**
  * Strip all HTML tags (via sanitize-html parser), remove unicode escape
  * sequences for angle brackets, strip dangerous characters, and truncate.
@@ -41,15 +77,10 @@ export function sanitizeText(str) {
   return str;
 }
 
-/** Allowed hostnames for URL validation */
-const ALLOWED_HOSTNAMES = new Set([
-  "github.com",
-  "avatars.githubusercontent.com",
-]);
-
 /**
  * Validate a URL against allowed prefixes AND verify the hostname
- * via URL parsing to prevent userinfo bypass (e.g., github.com@evil.com).
+ * via URL parsing to prevent userinfo bypass (e.g., github.com@evil.com):
+ * the parsed hostname must be the hostname of a matching prefix.
  *
  * null/undefined/non-string → ""
  */
@@ -57,14 +88,14 @@ export function sanitizeUrl(str, allowedPrefixes) {
   if (str == null || typeof str !== "string") return "";
 
   // Prefix check first (fast path rejection)
-  const hasPrefix = allowedPrefixes.some((p) => str.startsWith(p));
-  if (!hasPrefix) return "";
+  const matched = allowedPrefixes.filter((p) => str.startsWith(p));
+  if (matched.length === 0) return "";
 
   // Parse URL and verify hostname to block @-bypass attacks
   try {
     const parsed = new URL(str);
     if (parsed.protocol !== "https:") return "";
-    if (!ALLOWED_HOSTNAMES.has(parsed.hostname)) return "";
+    if (!matched.some((p) => new URL(p).hostname === parsed.hostname)) return "";
     if (parsed.username || parsed.password) return "";
   } catch {
     return "";
@@ -83,32 +114,165 @@ export function sanitizeStars(val) {
   return 0;
 }
 
+/**
+ * Ensure a count is a non-negative integer. Fallback to 0.
+ */
+export function sanitizeCount(val) {
+  return sanitizeStars(val);
+}
+
+/**
+ * Ensure a ratio is a finite number in [0, 1]. Anything else → null
+ * (unknown), so the wall can tell "no coverage data" from "0%".
+ */
+export function sanitizeRatio(val) {
+  if (typeof val !== "number" || !Number.isFinite(val)) return null;
+  return Math.min(1, Math.max(0, val));
+}
+
+/**
+ * Sanitize a list of file paths: each one through sanitizeText, empty
+ * entries dropped, capped at MAX_FILE_PATHS. Non-arrays → [].
+ */
+export function sanitizePathList(arr) {
+  if (!Array.isArray(arr)) return [];
+  return arr
+    .map(sanitizeText)
+    .filter((p) => p !== "")
+    .slice(0, MAX_FILE_PATHS);
+}
+
+/**
+ * Compliance must be one of COMPLIANCE_CLASSES. Anything else → null.
+ */
+export function sanitizeCompliance(val) {
+  return COMPLIANCE_CLASSES.includes(val) ? val : null;
+}
+
+/**
+ * Strict boolean: only `true` is true. Anything else → false.
+ */
+export function sanitizeBoolean(val) {
+  return val === true;
+}
+
+/**
+ * License must look like an SPDX identifier. Anything else → null.
+ */
+export function sanitizeLicense(val) {
+  return typeof val === "string" && SPDX_PATTERN.test(val) ? val : null;
+}
+
+/**
+ * Keep only well-formed GitHub topics, deduplicated, capped at MAX_TOPICS.
+ * Non-arrays → [].
+ */
+export function sanitizeTopics(arr) {
+  if (!Array.isArray(arr)) return [];
+  const topics = arr.filter((t) => typeof t === "string" && TOPIC_PATTERN.test(t));
+  return [...new Set(topics)].slice(0, MAX_TOPICS);
+}
+
+/**
+ * Timestamp must be an ISO 8601 UTC string that parses to a real date.
+ * Anything else → null.
+ */
+export function sanitizeTimestamp(val) {
+  if (typeof val !== "string" || !TIMESTAMP_PATTERN.test(val)) return null;
+  return Number.isNaN(Date.parse(val)) ? null : val;
+}
+
+/**
+ * Owner type must be "User" or "Organization". Anything else → null.
+ */
+export function sanitizeOwnerType(val) {
+  return OWNER_TYPES.includes(val) ? val : null;
+}
+
+/**
+ * Repo id must match REPO_ID_PATTERN. Anything else → null (unknown; the
+ * entry is then matched by full_name only).
+ */
+export function sanitizeRepoId(val) {
+  return typeof val === "string" && REPO_ID_PATTERN.test(val) ? val : null;
+}
+
+/**
+ * Sanitize a previous_names trail: each name through sanitizeText, empty
+ * and duplicate names dropped, capped at the MAX_PREVIOUS_NAMES most
+ * recent. Non-arrays → [].
+ */
+export function sanitizeNameList(arr) {
+  if (!Array.isArray(arr)) return [];
+  const names = [...new Set(arr.map(sanitizeText).filter((n) => n !== ""))];
+  return names.slice(-MAX_PREVIOUS_NAMES);
+}
+
+/**
+ * Provider must serve one of the instances in the host allowlist.
+ * Missing → "github" (entries written before providers existed); anything
+ * else → null.
+ */
+export function sanitizeProvider(val, providers = DEFAULT_PROVIDER_HOSTS) {
+  if (val == null) return "github";
+  return typeof val === "string" && Object.values(providers).some((p) => p.provider === val) ? val : null;
+}
+
 /**
  * Sanitize a single adopter object. Returns a new object with all
- * fields sanitized.
+ * fields sanitized. URLs are checked against the prefixes of the instance
+ * the entry lives on; an unknown provider, or a host that provider is not
+ * configured for, leaves url empty, so sanitizeAdopters drops it.
+ *
+ * @param {object} obj
+ * @param {object} [options]
+ * @param {Record<string, {provider: string, url: string[], avatar: string[]}>} [options.providers=DEFAULT_PROVIDER_HOSTS]
  */
-export function sanitizeAdopter(obj) {
+export function sanitizeAdopter(obj, options = {}) {
   if (!obj || typeof obj !== "object") return null;
 
+  const providers = options.providers ?? DEFAULT_PROVIDER_HOSTS;
+  const provider = sanitizeProvider(obj.provider, providers);
+  const host = hostOf(obj.full_name);
+  const instance = Object.hasOwn(providers, host) ? providers[host] : null;
+  const hosts = provider && instance?.provider === provider ? instance : { url: [], avatar: [] };
+
   return {
+    provider,
+    id: sanitizeRepoId(obj.id),
     owner: sanitizeText(obj.owner),
     repo: sanitizeText(obj.repo),
     full_name: sanitizeText(obj.full_name),
+    previous_names: sanitizeNameList(obj.previous_names),
     description: sanitizeText(obj.description),
     stars: sanitizeStars(obj.stars),
     language: sanitizeText(obj.language),
-    avatar: sanitizeUrl(obj.avatar, AVATAR_URL_PREFIXES),
-    url: sanitizeUrl(obj.url, GITHUB_URL_PREFIXES),
-    file_url: sanitizeUrl(obj.file_url, GITHUB_URL_PREFIXES),
+    avatar: sanitizeUrl(obj.avatar, hosts.avatar),
+    url: sanitizeUrl(obj.url, hosts.url),
+    file_url: sanitizeUrl(obj.file_url, hosts.url),
     file_path: sanitizeText(obj.file_path),
+    file_paths: sanitizePathList(obj.file_paths),
+    file_count: sanitizeCount(obj.file_count),
+    coverage: sanitizeRatio(obj.coverage),
+    compliance: sanitizeCompliance(obj.compliance),
+    fork: sanitizeBoolean(obj.fork),
+    archived: sanitizeBoolean(obj.archived),
+    disabled: sanitizeBoolean(obj.disabled),
+    license: sanitizeLicense(obj.license),
+    topics: sanitizeTopics(obj.topics),
+    pushed_at: sanitizeTimestamp(obj.pushed_at),
+    owner_type: sanitizeOwnerType(obj.owner_type),
   };
 }
 
 /**
  * Sanitize an array of adopter objects. Filters out entries with
  * empty url (indicates invalid/rejected data).
+ *
+ * @param {object[]} arr
+ * @param {object} [options] - See sanitizeAdopter
  */
-export function sanitizeAdopters(arr) {
+export function sanitizeAdopters(arr, options = {}) {
   if (!Array.isArray(arr)) return [];
-  return arr.map(sanitizeAdopter).filter((a) => a !== null && a.url !== "");
+  return arr.map((obj) => sanitizeAdopter(obj, options)).filter((a) => a !== null && a.url !== "");
 }
@@ -3,17 +3,110 @@
 import { writeFileSync, readFileSync, mkdirSync, existsSync } from "node:fs";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
-import { sanitizeAdopters } from "./sanitize.mjs";
-import { ghExec, ghSearchCode, ghApiGet } from "./gh.mjs";
+import { parseArgs } from "node:util";
+import { sanitizeAdopters, hostOf } from "./sanitize.mjs";
+import {
+  ghExec,
+  ghSearchCode,
+  ghSearchCodeCount,
+  ghApiGet,
+  ghApiGetConditional,
+  ghApiPaginate,
+  ghGraphQL,
+  getApiStats,
+  getRateBudget,
+  refreshRateBudget,
+  useResponseCache,
+  flushResponseCache,
+  getMetrics,
+  startTrace,
+  writeTrace,
+  useAbortSignal,
+} from "./gh.mjs";
+import {
+  AuthError,
+  CancelledError,
+  NotFoundError,
+  PermissionError,
+  RateLimitError,
+  ResponseTooLargeError,
+} from "./gh-errors.mjs";
+import { searchSharded, summarizeCoverage } from "./shard.mjs";
+import { classifyContent, summarizeCompliance } from "./compliance.mjs";
+import {
+  FILENAME_CASE_POLICIES,
+  DEFAULT_FILENAME_CASE_POLICY,
+  matchesFilename,
+  detectFalsePositive,
+  loadReviewList,
+  saveReviewList,
+} from "./false-positives.mjs";
+import {
+  loadScanState,
+  saveScanState,
+  recordFetch,
+  pruneScanState,
+  pathsChanged,
+  planRefresh,
+} from "./scan-state.mjs";
+import {
+  DEFAULT_GRACE_DAYS,
+  loadTombstones,
+  saveTombstones,
+  reconcileAdopters,
+} from "./lifecycle.mjs";
+import {
+  loadVerificationCache,
+  saveVerificationCache,
+  cachedVerification,
+  recordVerification,
+  pruneVerificationCache,
+} from "./issue-cache.mjs";
+import { POLICY_ACTIONS, DEFAULT_POLICIES, evaluatePolicies } from "./policies.mjs";
+import { diagnoseSubmission, explainDiagnosis, formatSuggestion } from "./diagnose.mjs";
+import { diffAdopters, formatAdopterDiff, describeIssueAction } from "./plan.mjs";
+import { createScanReport, failScanReport, finishScanReport, saveScanReport } from "./report.mjs";
+import { loadProviderConfig, createProvider, providerHosts } from "./providers/index.mjs";
+import { providerEntry, providerFileContent, qualifiedName } from "./providers/common.mjs";
+import {
+  loadModeration,
+  loadOptOuts,
+  saveOptOuts,
+  addOptOut,
+  withOptOuts,
+  moderationStatus,
+  isHeld,
+  filterCandidates,
+  forcedCandidates,
+} from "./moderation.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT = join(__dirname, "..");
-const OUTPUT = join(ROOT, "_data", "adopters.json");
+const DATA_DIR = join(ROOT, "_data");
+const REPORT_PATH = join(ROOT, "scan-report.json");
+/** Not committed — the workflow keeps it between runs with actions/cache */
+const RESPONSE_CACHE_PATH = join(ROOT, ".cache", "gh-responses.json");
 
-const RESULT_CAP = 1000;
+/**
+ * Files the scanner reads and writes, all in one data directory
+ * (_data/ by default; tests point it at a temp directory).
+ */
+function dataPaths(dataDir) {
+  return {
+    dataDir,
+    adopters: join(dataDir, "adopters.json"),
+    scanState: join(dataDir, "scan_state.json"),
+    tombstones: join(dataDir, "tombstones.json"),
+    review: join(dataDir, "review.json"),
+    moderation: join(dataDir, "moderation.json"),
+    optOuts: join(dataDir, "opt_outs.json"),
+    issueCache: join(dataDir, "issue_cache.json"),
+    providers: join(dataDir, "providers.json"),
+  };
+}
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const RESULT_CAP = 1000;
 
 // ── Exported helpers for unit testing ──────────────────────────────────────
 
@@ -22,66 +115,219 @@ const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
  * qualifiers (filename, extension, language, repo, org, user, path, size).
  * Repo qualifiers like stars: and fork: silently return 0 results.
  *
- * The API caps at 1000 results per query. If adoption exceeds that, we'll
- * need to split by language: or org: — but that's a bridge to cross later.
+ * The API caps at 1000 results per query. main() runs it through
+ * searchSharded (see shard.mjs), which splits it by size:/path: whenever a
+ * partition's total_count is over the cap.
  */
 export const SEARCH_QUERY = "filename:HALLUCINATE.md";
 
 /**
- * The repo where "add-repo" issues are filed.
+ * The repo where "add-repo" and "remove-repo" issues are filed.
  */
 export const ISSUES_REPO = "hallucinatemd/hallucinate.md";
 
 export const COMMENT_VALID = (nameWithOwner) =>
   `✅ Verified! **${nameWithOwner}** has been added to the [HALLUCINATE.md adopter wall](https://hallucinate.md/#adopters). Please don't delete this issue — it keeps your repo on the wall until GitHub's search index catches up.`;
 
-export const COMMENT_INVALID = (nameWithOwner) =>
-  `❌ Could not find a \`HALLUCINATE.md\` file in **${nameWithOwner}**. Please add the file and open a new issue.`;
+/**
+ * Rejection for a repo that failed verification. With a diagnosis (see
+ * diagnose.mjs) the comment explains why and suggests a corrected
+ * submission when there is one.
+ */
+export const COMMENT_INVALID = (nameWithOwner, diagnosis) => {
+  const lead = `❌ Could not find a \`HALLUCINATE.md\` file in **${nameWithOwner}**.`;
+  if (!diagnosis) return `${lead} Please add the file and open a new issue.`;
+
+  const explanation = explainDiagnosis(diagnosis).join(" ");
+  const suggestion = formatSuggestion(diagnosis);
+  if (suggestion) {
+    return `${lead} ${explanation}\n\n💡 Did you mean \`${suggestion}\`? Please open a new issue with that.`;
+  }
+  return `${lead} ${explanation} Please fix this and open a new issue.`;
+};
+
+/**
+ * Per-repo results for issues that name more than one repo.
+ *
+ * @param {Array<{nameWithOwner: string, filePath?: string, ref?: string|null, ok: boolean, diagnosis?: object}>} results
+ */
+export const COMMENT_RESULTS = (results) => {
+  const lines = results.map((r) =>
+    r.ok
+      ? `- ✅ **${r.nameWithOwner}** — verified and added to the [HALLUCINATE.md adopter wall](https://hallucinate.md/#adopters)`
+      : `- ❌ **${r.nameWithOwner}** — could not find \`${r.filePath ?? "HALLUCINATE.md"}\`` +
+        (r.ref ? ` on \`${r.ref}\`` : "") +
+        (r.diagnosis ? `. ${explainDiagnosis(r.diagnosis).join(" ")}` : "") +
+        (r.diagnosis?.suggestion ? ` Did you mean \`${formatSuggestion(r.diagnosis)}\`?` : ""),
+  );
+  if (results.some((r) => r.ok)) {
+    lines.push("", "Please don't delete this issue — it keeps your repos on the wall until GitHub's search index catches up.");
+  }
+  if (results.some((r) => !r.ok)) {
+    lines.push("", "For the repos that failed, please add the file and open a new issue.");
+  }
+  return lines.join("\n");
+};
 
 export const COMMENT_UNPARSEABLE =
   "❌ Could not extract a repository from this issue. Please use the format `owner/repo` or a full GitHub URL and open a new issue.";
 
+export const COMMENT_REMOVED = (nameWithOwner) =>
+  `👋 Done — **${nameWithOwner}** has been removed from the [HALLUCINATE.md adopter wall](https://hallucinate.md/#adopters) and will stay off it, even if code search finds its HALLUCINATE.md again.`;
+
+export const COMMENT_REMOVAL_DENIED = (nameWithOwner, login) =>
+  `❌ @${login} is not the owner or an admin of **${nameWithOwner}**, so it was not removed. Please ask a repository admin to open this request.`;
+
+export const COMMENT_REMOVAL_UNVERIFIED = (nameWithOwner, login) =>
+  `⏳ Could not check whether @${login} administers **${nameWithOwner}** — GitHub did not let the scanner read that repo's collaborators. This issue stays open: a maintainer will review it, or a later run will retry the check.`;
+
+/**
+ * Collaborator permission levels allowed to delist a repo.
+ */
+export const REMOVAL_PERMISSIONS = ["admin"];
+
 /**
- * Parse an issue body to extract a GitHub repo + file path.
+ * Label added to a removal request the scanner could not check, so the
+ * next runs retry it without commenting again.
+ */
+export const NEEDS_REVIEW_LABEL = "needs-review";
+
+/**
+ * Strip punctuation that commonly trails a URL or name in prose/Markdown.
+ */
+function stripTrailingPunctuation(str) {
+  return str.replace(/[),;.:'"!?>\]]+$/, "");
+}
+
+/**
+ * Candidates for one https://github.com/... URL.
  *
- * Accepts two formats (tried in order):
- *  1. Full GitHub blob URL: https://github.com/owner/repo/blob/branch/path/HALLUCINATE.md
- *  2. Shorthand: owner/repo  →  defaults filePath to "HALLUCINATE.md"
+ *  - /owner/repo                     → HALLUCINATE.md on the default branch
+ *  - /owner/repo/blob/<ref>/<path>   → <path> on <ref>, if the file name
+ *                                      matches the case policy
+ *  - /owner/repo/tree/<ref>[/<dir>]  → <dir>/HALLUCINATE.md on <ref>
  *
- * Returns { nameWithOwner, filePath } or null if nothing parseable is found.
+ * Branch names may contain slashes, so `blob/feature/x/HALLUCINATE.md` is
+ * ambiguous; every split is returned, shortest ref first.
  */
-export function parseIssueBody(body) {
-  if (!body || typeof body !== "string") return null;
+function parseGitHubUrl(url, options) {
+  const path = stripTrailingPunctuation(url.slice("https://github.com/".length)).split(/[?#]/)[0];
+  let segments;
+  try {
+    segments = decodeURIComponent(path).split("/").filter(Boolean);
+  } catch {
+    return []; // malformed percent-encoding
+  }
+  if (segments.length < 2) return [];
 
-  // 1. Full GitHub blob URL ending in hallucinate.md (case-insensitive)
-  const urlMatch = body.match(
-    /https:\/\/github\.com\/([^/\s]+)\/([^/\s]+)\/blob\/[^/\s]+\/(\S+)/,
-  );
-  if (urlMatch) {
-    const rawPath = urlMatch[3].replace(/[),;.'"]+$/, ""); // strip trailing punctuation
-    const decoded = decodeURIComponent(rawPath);
-    const fileName = decoded.split("/").pop();
-    if (/^hallucinate\.md$/i.test(fileName)) {
-      return {
-        nameWithOwner: `${urlMatch[1]}/${urlMatch[2]}`,
-        filePath: decoded,
-      };
+  const nameWithOwner = `${segments[0]}/${segments[1].replace(/\.git$/, "")}`;
+  const [kind, ...rest] = segments.slice(2);
+
+  if (kind === undefined) {
+    return [{ nameWithOwner, filePath: "HALLUCINATE.md", ref: null }];
+  }
+
+  const candidates = [];
+  if (kind === "blob" && rest.length >= 2) {
+    if (!matchesFilename(rest[rest.length - 1], options.casePolicy)) return [];
+    for (let k = 1; k < rest.length; k++) {
+      candidates.push({ nameWithOwner, filePath: rest.slice(k).join("/"), ref: rest.slice(0, k).join("/") });
+    }
+  } else if (kind === "tree" && rest.length >= 1) {
+    for (let k = 1; k <= rest.length; k++) {
+      const dir = rest.slice(k).join("/");
+      candidates.push({
+        nameWithOwner,
+        filePath: dir ? `${dir}/HALLUCINATE.md` : "HALLUCINATE.md",
+        ref: rest.slice(0, k).join("/"),
+      });
     }
   }
+  return candidates;
+}
+
+/**
+ * Parse an issue title or body into submission candidates.
+ *
+ * Accepts, in this order:
+ *  1. GitHub URLs: blob URLs to a HALLUCINATE.md, /tree/ URLs to a branch
+ *     or directory, and plain https://github.com/owner/repo URLs
+ *     (see parseGitHubUrl)
+ *  2. Shorthand: owner/repo  →  HALLUCINATE.md on the default branch
+ *
+ * Every repo mentioned is returned, not just the first. Each candidate is
+ * { nameWithOwner, filePath, ref } where ref is the submitted branch/tag,
+ * or null for the default branch. Several candidates may name the same
+ * repo (an ambiguous ref); callers try them in order.
+ *
+ * @param {string} body
+ * @param {object} [options]
+ * @param {string} [options.casePolicy] - Filename case policy (see false-positives.mjs)
+ * @returns {Array<{nameWithOwner: string, filePath: string, ref: string|null}>}
+ */
+export function parseIssueBody(body, options = {}) {
+  if (!body || typeof body !== "string") return [];
+
+  const candidates = [];
+  const seen = new Set();
+  const add = (candidate) => {
+    const key = `${candidate.nameWithOwner}\0${candidate.filePath}\0${candidate.ref}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    candidates.push(candidate);
+  };
+
+  // 1. GitHub URLs
+  for (const [url] of body.matchAll(/https:\/\/github\.com\/\S+/g)) {
+    parseGitHubUrl(url, options).forEach(add);
+  }
 
-  // 2. owner/repo shorthand (strip URLs first to avoid false positives)
+  // 2. owner/repo shorthand (strip URLs first to avoid false positives;
+  //    tokens that continue as a path, like docs/HALLUCINATE.md, are skipped)
   const bodyWithoutUrls = body.replace(/https?:\/\/\S+/g, "");
-  const repoMatch = bodyWithoutUrls.match(
-    /\b([a-zA-Z0-9][-a-zA-Z0-9.]*)\/([a-zA-Z0-9][-a-zA-Z0-9.]*)\b/,
-  );
-  if (repoMatch) {
-    return {
-      nameWithOwner: `${repoMatch[1]}/${repoMatch[2]}`,
-      filePath: "HALLUCINATE.md",
-    };
+  const shorthand = /(?<![\w./-])([a-zA-Z0-9][-a-zA-Z0-9.]*)\/([a-zA-Z0-9][-a-zA-Z0-9.]*)(?![\w/-])/g;
+  for (const [, owner, repo] of bodyWithoutUrls.matchAll(shorthand)) {
+    const name = repo.replace(/\.+$/, "");
+    if (name === "" || matchesFilename(name)) continue;
+    add({ nameWithOwner: `${owner}/${name}`, filePath: "HALLUCINATE.md", ref: null });
   }
 
-  return null;
+  return candidates;
+}
+
+/**
+ * Parse an add-repo or remove-repo issue into submission candidates.
+ *
+ * URLs count wherever they are, and owner/repo shorthand anywhere in the
+ * title. Free text is full of slashes ("CI/CD", "and/or", "10/18"), so
+ * the body's shorthand is only read when nothing else was found, and only
+ * from lines that hold nothing but the name (a list item or `code` is fine).
+ *
+ * @param {{title?: string, body?: string}} issue
+ * @param {object} [options] - See parseIssueBody
+ * @returns {Array<{nameWithOwner: string, filePath: string, ref: string|null}>}
+ */
+export function parseIssueSubmission(issue, options = {}) {
+  const body = typeof issue.body === "string" ? issue.body : "";
+  const urls = body.match(/https:\/\/github\.com\/\S+/g) ?? [];
+  const found = [...parseIssueBody(issue.title, options), ...parseIssueBody(urls.join("\n"), options)];
+  if (found.length > 0) return found;
+
+  const nameLines = body
+    .split("\n")
+    .map((line) => line.replace(/^\s*(?:[-*+]|\d+\.)?\s*/, "").replace(/`/g, "").trim())
+    .filter((line) => /^[\w.-]+\/[\w.-]+$/.test(line));
+  return parseIssueBody(nameLines.join("\n"), options);
+}
+
+/**
+ * Contents API endpoint that verifies a submission candidate exists on its
+ * submitted ref (or the default branch when ref is null).
+ */
+export function contentsEndpoint({ nameWithOwner, filePath, ref }) {
+  const path = filePath.split("/").map(encodeURIComponent).join("/");
+  const query = ref ? `?ref=${encodeURIComponent(ref)}` : "";
+  return `repos/${nameWithOwner}/contents/${path}${query}`;
 }
 
 /**
@@ -103,47 +349,56 @@ export function mergeResults(searchResults, issueResults) {
 }
 
 /**
- * Filter search results to exact HALLUCINATE.md filenames (case-insensitive)
- * and deduplicate by repository nameWithOwner.
+ * Filter search results to exact HALLUCINATE.md filenames (case-insensitive
+ * unless options.casePolicy is "exact") and deduplicate by repository
+ * nameWithOwner.
+ *
+ * Every matching path is kept in `filePaths` (coverage correlates with
+ * accuracy); `filePath` is the first match and is what the wall links to.
  *
  * Spam protection: repos appearing more than MAX_FILES_PER_REPO times in
  * raw results are flagged (logged as warnings). They still get one entry
  * (dedup handles that), but the warning helps detect abuse.
  *
  * @param {Array<{path: string, repository: {nameWithOwner: string}}>} results
- * @returns {Array<{nameWithOwner: string, filePath: string}>}
+ * @param {object} [options]
+ * @param {string} [options.casePolicy] - Filename case policy (see false-positives.mjs)
+ * @returns {Array<{nameWithOwner: string, filePath: string, filePaths: string[]}>}
  */
 export const MAX_FILES_PER_REPO = 10;
 
-export function filterAndDeduplicate(results) {
+export function filterAndDeduplicate(results, options = {}) {
   if (!Array.isArray(results)) return [];
 
-  const repoCounts = new Map();
-  const seen = new Set();
+  const byRepo = new Map();
   const unique = [];
 
   for (const result of results) {
     if (!result || !result.path || !result.repository?.nameWithOwner) continue;
 
     const fileName = result.path.split("/").pop();
-    if (!/^hallucinate\.md$/i.test(fileName)) continue;
+    if (!matchesFilename(fileName, options.casePolicy)) continue;
 
     const nameWithOwner = result.repository.nameWithOwner;
 
-    // Count occurrences per repo for spam detection
-    repoCounts.set(nameWithOwner, (repoCounts.get(nameWithOwner) || 0) + 1);
-
-    if (seen.has(nameWithOwner)) continue;
-    seen.add(nameWithOwner);
+    let entry = byRepo.get(nameWithOwner);
+    if (!entry) {
+      entry = { nameWithOwner, filePath: result.path, filePaths: [] };
+      byRepo.set(nameWithOwner, entry);
+      unique.push(entry);
+    }
 
-    unique.push({ nameWithOwner, filePath: result.path });
+    // Sharded search can return the same file twice
+    if (!entry.filePaths.includes(result.path)) {
+      entry.filePaths.push(result.path);
+    }
   }
 
-  // Log suspicious repos that appear too many times (spam indicator)
-  for (const [repo, count] of repoCounts) {
-    if (count > MAX_FILES_PER_REPO) {
+  // Log suspicious repos that have too many files (spam indicator)
+  for (const { nameWithOwner, filePaths } of unique) {
+    if (filePaths.length > MAX_FILES_PER_REPO) {
       console.warn(
-        `  ⚠️  spam? ${repo} has ${count} HALLUCINATE.md files (>${MAX_FILES_PER_REPO} threshold)`,
+        `  ⚠️  spam? ${nameWithOwner} has ${filePaths.length} HALLUCINATE.md files (>${MAX_FILES_PER_REPO} threshold)`,
       );
     }
   }
@@ -151,17 +406,101 @@ export function filterAndDeduplicate(results) {
   return unique;
 }
 
+/**
+ * Coverage: the share of a repo's directories that contain a HALLUCINATE.md.
+ * The root directory counts, so a repo with only a root file and no
+ * subdirectories has full coverage.
+ *
+ * @param {string[]} filePaths        - Paths of every HALLUCINATE.md in the repo
+ * @param {number|null} directoryCount - Total directories incl. root, or null if unknown
+ * @returns {number|null} Ratio in [0, 1] rounded to 4 decimals, or null if unknown
+ */
+export function computeCoverage(filePaths, directoryCount) {
+  if (!Number.isInteger(directoryCount) || directoryCount < 1) return null;
+
+  const dirs = new Set(
+    filePaths.map((p) => (p.includes("/") ? p.slice(0, p.lastIndexOf("/")) : "")),
+  );
+  const ratio = Math.min(1, dirs.size / directoryCount);
+  return Math.round(ratio * 10000) / 10000;
+}
+
+/**
+ * Summarise a repo's tree via the recursive git trees API: the number of
+ * directories (incl. root), for coverage, and the other files next to the
+ * listed HALLUCINATE.md, for false-positive detection.
+ *
+ * GitHub truncates the trees of very large repos, and some are too big
+ * for gh's output buffer. Then the directory count is unknown (null) and
+ * the siblings come from a listing of the file's own directory.
+ *
+ * @param {string} nameWithOwner
+ * @param {string} ref      - Branch to read (usually the default branch)
+ * @param {string} filePath - Listed HALLUCINATE.md path
+ * @param {object} [options]
+ * @param {Function} [options._apiGet] - Override ghApiGet for testing
+ * @returns {Promise<{directoryCount: number|null, truncated: boolean, siblings: string[]}>}
+ */
+export async function fetchTreeSummary(nameWithOwner, ref, filePath, options = {}) {
+  const apiGet = options._apiGet ?? ghApiGet;
+  const slash = filePath.lastIndexOf("/");
+  const dir = slash === -1 ? "" : filePath.slice(0, slash + 1);
+
+  let tree;
+  try {
+    tree = await apiGet(`repos/${nameWithOwner}/git/trees/${encodeURIComponent(ref)}?recursive=1`);
+  } catch (err) {
+    if (!(err instanceof ResponseTooLargeError)) throw err;
+    tree = { truncated: true, tree: [] };
+  }
+
+  if (tree?.truncated) {
+    const path = dir ? `/${dir.slice(0, -1).split("/").map(encodeURIComponent).join("/")}` : "";
+    const listing = await apiGet(`repos/${nameWithOwner}/contents${path}?ref=${encodeURIComponent(ref)}`);
+    const name = filePath.slice(dir.length);
+    return {
+      directoryCount: null,
+      truncated: true,
+      siblings: (Array.isArray(listing) ? listing : [])
+        .filter((e) => e.type === "file" && e.name !== name)
+        .map((e) => e.name),
+    };
+  }
+
+  const entries = Array.isArray(tree?.tree) ? tree.tree : [];
+  const siblings = entries
+    .filter((e) => e.type === "blob" && e.path !== filePath && e.path.startsWith(dir))
+    .map((e) => e.path.slice(dir.length))
+    .filter((name) => !name.includes("/"));
+
+  return {
+    directoryCount: entries.filter((e) => e.type === "tree").length + 1,
+    truncated: false,
+    siblings,
+  };
+}
+
 /**
  * Build an adopter entry from GitHub API repo data.
  *
  * @param {object} repo     - GitHub API response for a repo
  * @param {string} filePath - Path to HALLUCINATE.md within the repo
+ * @param {object} [details]
+ * @param {string[]} [details.filePaths]         - Every HALLUCINATE.md path (default [filePath])
+ * @param {number|null} [details.directoryCount] - Directories in the repo, for coverage
+ * @param {string|null} [details.compliance]     - Class from classifyContent (null = unknown)
+ * @param {string|null} [details.ref]            - Branch/tag the file was submitted on
+ *                                                 (default: the repo's default branch)
  * @returns {object|null}   - Adopter object, or null if data is invalid
  */
-export function buildAdopterEntry(repo, filePath) {
+export function buildAdopterEntry(repo, filePath, details = {}) {
   if (!repo || !repo.owner?.login || !repo.html_url) return null;
 
+  const filePaths = details.filePaths ?? [filePath];
+
   return {
+    provider: "github",
+    id: repo.node_id ?? null,
     owner: repo.owner.login,
     repo: repo.name,
     full_name: repo.full_name,
@@ -171,26 +510,205 @@ export function buildAdopterEntry(repo, filePath) {
     avatar: repo.owner.avatar_url,
     url: repo.html_url,
     default_branch: repo.default_branch,
-    file_url: `${repo.html_url}/blob/${repo.default_branch}/${filePath}`,
+    file_url: `${repo.html_url}/blob/${details.ref ?? repo.default_branch}/${filePath}`,
     file_path: filePath,
+    file_paths: filePaths,
+    file_count: filePaths.length,
+    coverage: computeCoverage(filePaths, details.directoryCount ?? null),
+    compliance: details.compliance ?? null,
+    fork: repo.fork === true,
+    archived: repo.archived === true,
+    disabled: repo.disabled === true,
+    license: repo.license?.spdx_id ?? null,
+    topics: Array.isArray(repo.topics) ? repo.topics : [],
+    pushed_at: repo.pushed_at ?? null,
+    owner_type: repo.owner.type ?? null,
   };
 }
 
 /**
- * Fetch all "add-repo" issues (open + closed), parse each body for a repo
- * reference, and verify the HALLUCINATE.md file exists via the contents API.
+ * Max repositories resolved per GraphQL query. GitHub allows aliasing many
+ * more, but 100 keeps each query well under the node and timeout limits.
+ */
+export const GRAPHQL_BATCH_SIZE = 100;
+
+const REPO_FIELDS = `
+  id
+  databaseId
+  name
+  nameWithOwner
+  description
+  stargazerCount
+  primaryLanguage { name }
+  owner { __typename login avatarUrl }
+  url
+  defaultBranchRef { name }
+  isFork
+  isArchived
+  isDisabled
+  licenseInfo { spdxId }
+  repositoryTopics(first: 20) { nodes { topic { name } } }
+  pushedAt
+`;
+
+/**
+ * Build an aliased GraphQL query resolving several repositories at once,
+ * each with the text of its HALLUCINATE.md at HEAD (or at the submitted
+ * ref, for issue submissions). Owner/name/expression are passed as
+ * variables ($o0/$n0/$e0, …) so nothing from search results is
+ * interpolated into the query text.
+ *
+ * @param {Array<{nameWithOwner: string, filePath: string, ref?: string|null}>} candidates
+ * @returns {{query: string, variables: Record<string, string>}}
+ */
+export function buildRepoBatchQuery(candidates) {
+  const params = [];
+  const fields = [];
+  const variables = {};
+
+  candidates.forEach(({ nameWithOwner, filePath, ref }, i) => {
+    const [owner, name] = nameWithOwner.split("/");
+    params.push(`$o${i}: String!`, `$n${i}: String!`, `$e${i}: String!`);
+    fields.push(
+      `r${i}: repository(owner: $o${i}, name: $n${i}) {${REPO_FIELDS}` +
+        `  file: object(expression: $e${i}) { ... on Blob { text isBinary } }\n}`,
+    );
+    variables[`o${i}`] = owner;
+    variables[`n${i}`] = name;
+    variables[`e${i}`] = `${ref ?? "HEAD"}:${filePath}`;
+  });
+
+  return {
+    query: `query(${params.join(", ")}) {\n${fields.join("\n")}\n}`,
+    variables,
+  };
+}
+
+/**
+ * Map a GraphQL Repository node to the REST `repos/{owner}/{repo}` shape
+ * that buildAdopterEntry expects.
+ *
+ * @param {object|null} node
+ * @returns {object|null}
+ */
+export function graphqlRepoToRest(node) {
+  if (!node) return null;
+
+  return {
+    id: node.databaseId,
+    node_id: node.id,
+    name: node.name,
+    full_name: node.nameWithOwner,
+    description: node.description,
+    stargazers_count: node.stargazerCount,
+    language: node.primaryLanguage?.name ?? null,
+    owner: node.owner
+      ? { login: node.owner.login, avatar_url: node.owner.avatarUrl, type: node.owner.__typename }
+      : null,
+    html_url: node.url,
+    default_branch: node.defaultBranchRef?.name ?? null,
+    fork: node.isFork,
+    archived: node.isArchived,
+    disabled: node.isDisabled,
+    license: node.licenseInfo ? { spdx_id: node.licenseInfo.spdxId } : null,
+    topics: (node.repositoryTopics?.nodes ?? []).map((t) => t.topic?.name).filter(Boolean),
+    pushed_at: node.pushedAt ?? null,
+  };
+}
+
+/**
+ * Resolve repo details and HALLUCINATE.md text for up to
+ * GRAPHQL_BATCH_SIZE repos in one query.
+ *
+ * Returns a Map of nameWithOwner → { repo, content }. `repo` is REST-shaped,
+ * or null for repos that could not be resolved (deleted, private, renamed
+ * away); `content` is the file text, or null if missing or binary. Throws
+ * if the query fails as a whole.
+ *
+ * @param {Array<{nameWithOwner: string, filePath: string}>} candidates
+ * @param {object} [options]
+ * @param {Function} [options._graphql] - Override ghGraphQL for testing
+ * @returns {Promise<Map<string, {repo: object|null, content: string|null}>>}
+ */
+export async function fetchRepoBatch(candidates, options = {}) {
+  const graphql = options._graphql ?? ghGraphQL;
+  const { query, variables } = buildRepoBatchQuery(candidates);
+  const body = await graphql(query, variables);
+
+  if (!body?.data) {
+    const reason = body?.errors?.[0]?.message ?? "no data";
+    throw new Error(`GraphQL batch failed: ${reason}`);
+  }
+
+  const repos = new Map();
+  candidates.forEach(({ nameWithOwner }, i) => {
+    const node = body.data[`r${i}`];
+    const file = node?.file;
+    repos.set(nameWithOwner, {
+      repo: graphqlRepoToRest(node),
+      content: file && !file.isBinary && typeof file.text === "string" ? file.text : null,
+    });
+  });
+  return repos;
+}
+
+/**
+ * Fetch the text of a file via the contents API (REST fallback for
+ * fetchRepoBatch). Returns null for directories, submodules and files too
+ * large for the contents API.
+ *
+ * @param {string} nameWithOwner
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.ref]       - Branch/tag/sha (default branch if omitted)
+ * @param {Function} [options._apiGet] - Override ghApiGet for testing
+ * @returns {Promise<string|null>}
+ */
+export async function fetchFileContent(nameWithOwner, filePath, options = {}) {
+  const apiGet = options._apiGet ?? ghApiGet;
+  const path = filePath.split("/").map(encodeURIComponent).join("/");
+  const query = options.ref ? `?ref=${encodeURIComponent(options.ref)}` : "";
+  const file = await apiGet(`repos/${nameWithOwner}/contents/${path}${query}`);
+
+  if (file?.type !== "file" || file.encoding !== "base64" || typeof file.content !== "string") {
+    return null;
+  }
+  return Buffer.from(file.content, "base64").toString("utf-8");
+}
+
+/**
+ * Fetch all "add-repo" issues (open + closed), parse title and body for
+ * repo references, and verify each repo's HALLUCINATE.md exists on the
+ * submitted ref via the contents API. An issue may name several repos.
  *
  * Returns { verified, actions }:
- *  - verified: array of { nameWithOwner, filePath } for repos that pass verification
- *  - actions: array of housekeeping actions for open issues:
- *      { number, type: "close-valid", nameWithOwner }
- *      { number, type: "reject", nameWithOwner?, reason }
+ *  - verified: array of { nameWithOwner, filePath, ref } for repos that pass verification
+ *  - actions: array of housekeeping actions for open issues, each with
+ *    per-repo `results` ({ nameWithOwner, filePath, ref, ok, diagnosis? };
+ *    repos that failed carry a diagnosis from diagnose.mjs):
+ *      { number, type: "close-valid", nameWithOwner, results }  (at least one repo verified)
+ *      { number, type: "reject", nameWithOwner?, reason, results? }
+ *
+ * All pages are read. Closed issues with a still-valid entry in
+ * `options.cache` (see issue-cache.mjs) are not re-verified; the cache is
+ * updated and pruned in place.
+ *
+ * @param {object} [options]
+ * @param {string} [options.casePolicy] - Filename case policy for submitted URLs
+ * @param {object} [options.cache]      - Verification cache
+ * @param {Date}   [options.now]        - Clock for cache ages
+ * @param {Function} [options._paginate] - Override ghApiPaginate for testing
+ * @param {Function} [options._apiGet]   - Override ghApiGet for testing
  */
-export async function loadIssueSubmissions() {
+export async function loadIssueSubmissions(options = {}) {
+  const paginate = options._paginate ?? ghApiPaginate;
+  const apiGet = options._apiGet ?? ghApiGet;
+  const { cache, now = new Date() } = options;
+
   let issues;
   try {
     console.log(`Fetching "add-repo" issues from ${ISSUES_REPO}...`);
-    issues = await ghApiGet(
+    issues = await paginate(
       `repos/${ISSUES_REPO}/issues?labels=add-repo&state=all&per_page=100`,
     );
   } catch (err) {
@@ -210,12 +728,24 @@ export async function loadIssueSubmissions() {
   const verified = [];
   const actions = [];
   const seen = new Set();
+  let cacheHits = 0;
 
   for (const issue of issues) {
     const isOpen = issue.state === "open";
 
-    // Try title first, fall back to body if title fails verification
-    const candidates = [parseIssueBody(issue.title), parseIssueBody(issue.body)].filter(Boolean);
+    const cached = cache ? cachedVerification(cache, issue, { now }) : null;
+    if (cached) {
+      cacheHits++;
+      for (const submission of cached) {
+        if (seen.has(submission.nameWithOwner)) continue;
+        seen.add(submission.nameWithOwner);
+        verified.push(submission);
+      }
+      continue;
+    }
+
+    // Title first, then body; candidates are grouped per repo
+    const candidates = parseIssueSubmission(issue, options);
 
     if (candidates.length === 0) {
       console.warn(`  ⚠️  issue #${issue.number}: no valid URL or owner/repo found`);
@@ -225,72 +755,267 @@ export async function loadIssueSubmissions() {
       continue;
     }
 
-    let isVerified = false;
-    let lastNameWithOwner = candidates[0].nameWithOwner;
+    const byRepo = new Map();
+    for (const candidate of candidates) {
+      const key = candidate.nameWithOwner.toLowerCase();
+      if (!byRepo.has(key)) byRepo.set(key, []);
+      byRepo.get(key).push(candidate);
+    }
 
-    for (const parsed of candidates) {
-      lastNameWithOwner = parsed.nameWithOwner;
+    const results = [];
+    const submissions = [];
+    for (const repoCandidates of byRepo.values()) {
+      const { nameWithOwner } = repoCandidates[0];
 
       // Deduplicate within issue submissions
-      if (seen.has(parsed.nameWithOwner)) {
-        isVerified = true;
-        break;
+      if (seen.has(nameWithOwner)) {
+        results.push({ ...repoCandidates[0], ok: true });
+        continue;
       }
 
-      // Verify file exists
-      try {
-        await ghApiGet(`repos/${parsed.nameWithOwner}/contents/${parsed.filePath}`);
-        seen.add(parsed.nameWithOwner);
-        verified.push(parsed);
-        console.log(`  ✓ issue #${issue.number}: ${parsed.nameWithOwner} (verified)`);
-        isVerified = true;
-        break;
-      } catch {
-        console.warn(
-          `  ✗ issue #${issue.number}: ${parsed.nameWithOwner}/${parsed.filePath} — trying next`,
-        );
+      let match = null;
+      let checkError = null;
+      for (const parsed of repoCandidates) {
+        try {
+          await apiGet(contentsEndpoint(parsed));
+          match = parsed;
+          break;
+        } catch (err) {
+          // An outage or a rate limit says nothing about the file
+          if (!(err instanceof NotFoundError)) {
+            checkError = err;
+            break;
+          }
+          console.warn(
+            `  ✗ issue #${issue.number}: ${nameWithOwner}/${parsed.filePath}` +
+              `${parsed.ref ? ` @ ${parsed.ref}` : ""} — not found`,
+          );
+        }
       }
 
-      await sleep(1000);
+      let diagnosis = null;
+      if (!match && !checkError && isOpen) {
+        // Only open issues get a comment, so only they are diagnosed
+        try {
+          diagnosis = await diagnoseSubmission(repoCandidates[0], {
+            casePolicy: options.casePolicy,
+            _apiGet: apiGet,
+          });
+        } catch (err) {
+          checkError = err;
+        }
+      }
+
+      if (match) {
+        seen.add(nameWithOwner);
+        verified.push(match);
+        submissions.push(match);
+        results.push({ ...match, ok: true });
+        console.log(`  ✓ issue #${issue.number}: ${nameWithOwner} (verified)`);
+      } else if (checkError) {
+        console.warn(`  ⚠️  issue #${issue.number}: ${nameWithOwner} — could not check: ${checkError.message}`);
+        results.push({ ...repoCandidates[0], ok: false, unchecked: true });
+      } else if (isOpen) {
+        console.warn(`  ✗ issue #${issue.number}: ${nameWithOwner} — ${diagnosis.reasons.join(", ") || "found on recheck"}`);
+        results.push({ ...repoCandidates[0], ok: false, diagnosis });
+      } else {
+        results.push({ ...repoCandidates[0], ok: false });
+      }
+    }
+
+    // Leave the issue alone until every repo in it could be checked
+    if (results.some((r) => r.unchecked)) {
+      console.warn(`  ⚠️  issue #${issue.number}: left for the next run`);
+      continue;
     }
 
-    if (isVerified && isOpen) {
-      actions.push({ number: issue.number, type: "close-valid", nameWithOwner: lastNameWithOwner });
-    } else if (!isVerified) {
+    if (cache && submissions.length > 0) recordVerification(cache, issue, submissions, { now });
+
+    const firstOk = results.find((r) => r.ok);
+    if (firstOk && isOpen) {
+      actions.push({ number: issue.number, type: "close-valid", nameWithOwner: firstOk.nameWithOwner, results });
+    } else if (!firstOk) {
       console.warn(`  ✗ issue #${issue.number}: no valid submission found`);
       if (isOpen) {
-        actions.push({ number: issue.number, type: "reject", nameWithOwner: lastNameWithOwner, reason: "not-found" });
+        actions.push({
+          number: issue.number,
+          type: "reject",
+          nameWithOwner: results[results.length - 1].nameWithOwner,
+          reason: "not-found",
+          results,
+        });
       }
     }
   }
 
+  if (cache) {
+    pruneVerificationCache(cache, issues.map((i) => i.number));
+    if (cacheHits > 0) console.log(`  → ${cacheHits} closed issue(s) verified from cache`);
+  }
+
   return { verified, actions };
 }
 
+/**
+ * Check that `login` owns or administers `nameWithOwner`: either the repo
+ * belongs to that user, or the collaborator permission API reports one of
+ * REMOVAL_PERMISSIONS. Any other permission, or a 404 (not a collaborator,
+ * unknown user) → false.
+ *
+ * The endpoint answers 403 whenever our token lacks push access to the
+ * repo, which says nothing about the user, so a 403 (or a response without
+ * a permission) → null: the answer is unknown. Other failures are thrown.
+ *
+ * @param {string} nameWithOwner
+ * @param {string} login
+ * @param {object} [options]
+ * @param {Function} [options._apiGet] - Override ghApiGet for testing
+ * @returns {Promise<boolean|null>}
+ */
+export async function canRemoveRepo(nameWithOwner, login, options = {}) {
+  const apiGet = options._apiGet ?? ghApiGet;
+  if (!login) return false;
+  if (nameWithOwner.split("/")[0].toLowerCase() === login.toLowerCase()) return true;
+
+  try {
+    const res = await apiGet(
+      `repos/${nameWithOwner}/collaborators/${encodeURIComponent(login)}/permission`,
+    );
+    if (typeof res?.permission !== "string") return null;
+    return REMOVAL_PERMISSIONS.includes(res.permission);
+  } catch (err) {
+    if (err instanceof NotFoundError) return false;
+    if (err instanceof PermissionError) return null;
+    throw err;
+  }
+}
+
+/**
+ * Fetch open "remove-repo" issues, parse each for a repo reference, and
+ * check that the issue author owns or administers it.
+ *
+ * Returns an array of housekeeping actions:
+ *   { number, type: "opt-out", nameWithOwner, login }
+ *   { number, type: "reject-removal", nameWithOwner?, login?, reason }
+ *   { number, type: "hold-removal", nameWithOwner, login, reason: "permission-unknown" }
+ *
+ * A request whose permission could not be checked stays open. It is
+ * commented on and labelled NEEDS_REVIEW_LABEL once; later runs retry the
+ * check quietly.
+ *
+ * Closed issues are not re-read: accepted opt-outs live in
+ * _data/opt_outs.json.
+ *
+ * @param {object} [options]
+ * @param {Function} [options._paginate] - Override ghApiPaginate for testing
+ * @param {Function} [options._apiGet]   - Override ghApiGet for testing
+ */
+export async function loadRemovalRequests(options = {}) {
+  const paginate = options._paginate ?? ghApiPaginate;
+  const apiGet = options._apiGet ?? ghApiGet;
+
+  let issues;
+  try {
+    console.log(`Fetching "remove-repo" issues from ${ISSUES_REPO}...`);
+    issues = await paginate(
+      `repos/${ISSUES_REPO}/issues?labels=remove-repo&state=open&per_page=100`,
+    );
+  } catch (err) {
+    console.warn(`  ⚠️  failed to fetch removal requests: ${err.message}`);
+    return [];
+  }
+
+  if (!Array.isArray(issues) || issues.length === 0) {
+    console.log("  → no remove-repo issues");
+    return [];
+  }
+
+  const actions = [];
+  for (const issue of issues) {
+    const [parsed] = parseIssueSubmission(issue);
+    const login = issue.user?.login ?? null;
+
+    if (!parsed) {
+      console.warn(`  ⚠️  removal #${issue.number}: no valid URL or owner/repo found`);
+      actions.push({ number: issue.number, type: "reject-removal", reason: "unparseable" });
+      continue;
+    }
+
+    const { nameWithOwner } = parsed;
+    let allowed;
+    try {
+      allowed = await canRemoveRepo(nameWithOwner, login, { _apiGet: apiGet });
+    } catch (err) {
+      console.warn(`  ⚠️  removal #${issue.number}: could not check @${login} on ${nameWithOwner} — ${err.message}`);
+      continue;
+    }
+    if (allowed === null) {
+      const noted = (issue.labels ?? []).some((l) => (l?.name ?? l) === NEEDS_REVIEW_LABEL);
+      console.warn(`  ⚠️  removal #${issue.number}: cannot read ${nameWithOwner}'s collaborators — leaving it open`);
+      if (!noted) {
+        actions.push({ number: issue.number, type: "hold-removal", nameWithOwner, login, reason: "permission-unknown" });
+      }
+      continue;
+    }
+    if (allowed) {
+      console.log(`  ✓ removal #${issue.number}: ${nameWithOwner} (requested by @${login})`);
+      actions.push({ number: issue.number, type: "opt-out", nameWithOwner, login });
+    } else {
+      console.warn(`  ✗ removal #${issue.number}: @${login} cannot administer ${nameWithOwner}`);
+      actions.push({ number: issue.number, type: "reject-removal", nameWithOwner, login, reason: "not-authorized" });
+    }
+  }
+
+  return actions;
+}
+
 /**
  * Process housekeeping actions on issues: close valid ones, reject invalid ones.
  * Runs after the adopter list is written so wall updates are never blocked.
  *
  * @param {Array} actions - Actions from loadIssueSubmissions
  * @param {object} [options]
+ * @param {boolean}  [options.dryRun]  - Only list what would be done
  * @param {Function} [options._ghExec] - Override ghExec for testing
- * @param {Function} [options._sleep]  - Override sleep for testing
+ * @returns {Promise<Array<{number: number, type: string, repo: string|null, reason: string|null,
+ *          status: "done"|"failed"|"planned"}>>} one outcome per action, for the scan report
  */
 export async function processIssueActions(actions, options = {}) {
-  if (!actions || actions.length === 0) return;
+  if (!actions || actions.length === 0) return [];
 
   const exec = options._ghExec ?? ghExec;
-  const sleepFn = options._sleep ?? sleep;
+
+  const outcome = (action, status) => ({
+    number: action.number,
+    type: action.type,
+    repo: action.nameWithOwner ?? null,
+    reason: action.reason ?? null,
+    status,
+  });
+
+  if (options.dryRun) {
+    console.log(`Would process ${actions.length} issue action(s):`);
+    for (const action of actions) console.log(`  • ${describeIssueAction(action)}`);
+    return actions.map((action) => outcome(action, "planned"));
+  }
 
   console.log(`Processing ${actions.length} issue action(s)...`);
 
+  const outcomes = [];
+  let blocked = null;
   for (const action of actions) {
+    if (blocked) {
+      outcomes.push(outcome(action, "failed"));
+      continue;
+    }
     try {
       if (action.type === "close-valid") {
         await exec([
           "issue", "comment", String(action.number),
           "--repo", ISSUES_REPO,
-          "--body", COMMENT_VALID(action.nameWithOwner),
+          "--body", action.results?.length > 1
+            ? COMMENT_RESULTS(action.results)
+            : COMMENT_VALID(action.nameWithOwner),
         ]);
         await exec([
           "issue", "close", String(action.number),
@@ -300,7 +1025,9 @@ export async function processIssueActions(actions, options = {}) {
       } else if (action.type === "reject") {
         const comment = action.reason === "unparseable"
           ? COMMENT_UNPARSEABLE
-          : COMMENT_INVALID(action.nameWithOwner);
+          : action.results?.length > 1
+            ? COMMENT_RESULTS(action.results)
+            : COMMENT_INVALID(action.nameWithOwner, action.results?.[0]?.diagnosis);
         await exec([
           "issue", "comment", String(action.number),
           "--repo", ISSUES_REPO,
@@ -317,119 +1044,767 @@ export async function processIssueActions(actions, options = {}) {
           "--repo", ISSUES_REPO,
         ]);
         console.log(`  ✓ issue #${action.number}: rejected + closed`);
+      } else if (action.type === "opt-out") {
+        await exec([
+          "issue", "comment", String(action.number),
+          "--repo", ISSUES_REPO,
+          "--body", COMMENT_REMOVED(action.nameWithOwner),
+        ]);
+        await exec([
+          "issue", "close", String(action.number),
+          "--repo", ISSUES_REPO,
+        ]);
+        console.log(`  ✓ issue #${action.number}: opted out + closed`);
+      } else if (action.type === "reject-removal") {
+        const comment = action.reason === "unparseable"
+          ? COMMENT_UNPARSEABLE
+          : COMMENT_REMOVAL_DENIED(action.nameWithOwner, action.login);
+        await exec([
+          "issue", "comment", String(action.number),
+          "--repo", ISSUES_REPO,
+          "--body", comment,
+        ]);
+        await exec([
+          "issue", "edit", String(action.number),
+          "--repo", ISSUES_REPO,
+          "--add-label", "rejected",
+          "--remove-label", "remove-repo",
+        ]);
+        await exec([
+          "issue", "close", String(action.number),
+          "--repo", ISSUES_REPO,
+        ]);
+        console.log(`  ✓ issue #${action.number}: removal rejected + closed`);
+      } else if (action.type === "hold-removal") {
+        await exec([
+          "issue", "comment", String(action.number),
+          "--repo", ISSUES_REPO,
+          "--body", COMMENT_REMOVAL_UNVERIFIED(action.nameWithOwner, action.login),
+        ]);
+        await exec([
+          "issue", "edit", String(action.number),
+          "--repo", ISSUES_REPO,
+          "--add-label", NEEDS_REVIEW_LABEL,
+        ]);
+        console.log(`  ✓ issue #${action.number}: removal held for review (left open)`);
       }
+      outcomes.push(outcome(action, "done"));
     } catch (err) {
       console.warn(`  ⚠️  issue #${action.number}: action failed — ${err.message}`);
+      outcomes.push(outcome(action, "failed"));
+      // Every other action would fail the same way — leave them for the next run
+      if (
+        err instanceof AuthError ||
+        err instanceof PermissionError ||
+        err instanceof RateLimitError ||
+        err instanceof CancelledError
+      ) {
+        blocked = err;
+        console.warn(`  ⚠️  ${err.name}: skipping the remaining issue action(s)`);
+      }
     }
+  }
+  return outcomes;
+}
 
-    await sleepFn(1000);
+/**
+ * Parse scanner CLI flags.
+ *
+ *   --grace-days <n>       Days a missing repo stays listed before it is
+ *                          delisted (default DEFAULT_GRACE_DAYS)
+ *   --filename-case <p>    Filename case policy: insensitive | exact
+ *                          (default DEFAULT_FILENAME_CASE_POLICY)
+ *   --forks <action>       Listing policy for forks: allow | flag | exclude
+ *   --archived <action>    Listing policy for archived repos
+ *   --inactive <action>    Listing policy for repos past --inactive-days
+ *   --inactive-days <n>    Days without a push before a repo counts as
+ *                          inactive (default: rule off)
+ *   --dry-run              Compute everything, print what would change and
+ *                          the issue actions, write nothing
+ *   --report <path>        Where to write the JSON scan report (default
+ *                          scan-report.json; dry runs write one only when
+ *                          this is given)
+ *   --no-cache             Fetch everything in full instead of making
+ *                          REST GETs conditional on the response cache
+ *   --trace <path>         Write one NDJSON line per GitHub request to
+ *                          <path> at the end of the run
+ *   --deadline <minutes>   Stop fetching after this long and write what
+ *                          the run has, as a partial run (default: none)
+ *
+ * Throws on unknown flags or invalid values.
+ */
+export function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      "grace-days": { type: "string" },
+      "filename-case": { type: "string" },
+      forks: { type: "string" },
+      archived: { type: "string" },
+      inactive: { type: "string" },
+      "inactive-days": { type: "string" },
+      "dry-run": { type: "boolean" },
+      report: { type: "string" },
+      "no-cache": { type: "boolean" },
+      trace: { type: "string" },
+      deadline: { type: "string" },
+    },
+  });
+
+  let graceDays = DEFAULT_GRACE_DAYS;
+  if (values["grace-days"] !== undefined) {
+    graceDays = Number(values["grace-days"]);
+    if (!Number.isInteger(graceDays) || graceDays < 0) {
+      throw new Error(`--grace-days must be a non-negative integer, got "${values["grace-days"]}"`);
+    }
+  }
+
+  const casePolicy = values["filename-case"] ?? DEFAULT_FILENAME_CASE_POLICY;
+  if (!FILENAME_CASE_POLICIES.includes(casePolicy)) {
+    throw new Error(
+      `--filename-case must be one of ${FILENAME_CASE_POLICIES.join(", ")}, got "${casePolicy}"`,
+    );
+  }
+
+  const policies = { ...DEFAULT_POLICIES };
+  for (const rule of ["forks", "archived", "inactive"]) {
+    if (values[rule] === undefined) continue;
+    if (!POLICY_ACTIONS.includes(values[rule])) {
+      throw new Error(`--${rule} must be one of ${POLICY_ACTIONS.join(", ")}, got "${values[rule]}"`);
+    }
+    policies[rule] = values[rule];
   }
+  if (values["inactive-days"] !== undefined) {
+    policies.inactiveDays = Number(values["inactive-days"]);
+    if (!Number.isInteger(policies.inactiveDays) || policies.inactiveDays < 1) {
+      throw new Error(`--inactive-days must be a positive integer, got "${values["inactive-days"]}"`);
+    }
+  }
+
+  if (values.report === "") {
+    throw new Error("--report needs a file path");
+  }
+  if (values.trace === "") {
+    throw new Error("--trace needs a file path");
+  }
+
+  let deadlineMinutes = null;
+  if (values.deadline !== undefined) {
+    deadlineMinutes = Number(values.deadline);
+    if (!Number.isFinite(deadlineMinutes) || deadlineMinutes <= 0) {
+      throw new Error(`--deadline must be a positive number of minutes, got "${values.deadline}"`);
+    }
+  }
+
+  return {
+    graceDays,
+    casePolicy,
+    policies,
+    dryRun: values["dry-run"] === true,
+    report: values.report ?? null,
+    cache: values["no-cache"] !== true,
+    trace: values.trace ?? null,
+    deadlineMinutes,
+  };
 }
 
 // ── Main ───────────────────────────────────────────────────────────────────
 
-async function main() {
-  // ── 1. Search GitHub for HALLUCINATE.md files ──────────────────────────
-  //    Single query — the REST API code search caps at 1000 results.
-  //    stars:/fork: are repo qualifiers and break code search silently.
-  let searchResults = [];
+/**
+ * Run a full scan.
+ *
+ * Once the deadline passes or the signal aborts, every GitHub call in
+ * flight is cancelled and nothing more is fetched. The run still writes
+ * what it has: repos it did not reach keep their existing entries, and the
+ * report's status is "partial". A run that dies (auth, GraphQL, a bug)
+ * still writes a report, with status "failed" and the error, then rethrows.
+ *
+ * `options` comes from parseCliArgs, plus:
+ *
+ * @param {object} options
+ * @param {string}      [options.dataDir] - Data directory (default _data/)
+ * @param {AbortSignal} [options.signal]  - Ends the run early, like the deadline
+ */
+export async function main(options) {
+  const deadline = new AbortController();
+  const timer = options.deadlineMinutes
+    ? setTimeout(
+        () => deadline.abort(new Error(`run deadline of ${options.deadlineMinutes} min reached`)),
+        options.deadlineMinutes * 60_000,
+      )
+    : null;
+  const signal = options.signal ? AbortSignal.any([options.signal, deadline.signal]) : deadline.signal;
+  signal.addEventListener("abort", () => {
+    console.warn(`⏰ ${signal.reason?.message ?? "cancelled"} — wrapping up with what has been fetched`);
+  });
 
-  try {
-    console.log(`Searching: ${SEARCH_QUERY}`);
-    const results = await ghSearchCode(SEARCH_QUERY, { limit: RESULT_CAP });
-    console.log(`  → ${results.length} results`);
-    searchResults = results;
+  const report = createScanReport({ dryRun: options.dryRun });
+  const reportPath = options.report ?? (options.dryRun ? null : REPORT_PATH);
+  const writeReport = () => {
+    // The trace is a debugging aid — written even on dry runs
+    if (options.trace && writeTrace(options.trace)) console.log(`Wrote request trace to ${options.trace}`);
+    if (signal.aborted && report.status !== "failed") report.status = "partial";
+    if (!reportPath) return;
+    saveScanReport(
+      reportPath,
+      finishScanReport(report, {
+        apiStats: getApiStats(),
+        metrics: getMetrics(),
+        rateLimits: getRateBudget().snapshot(),
+      }),
+    );
+    console.log(`Wrote scan report to ${reportPath}`);
+  };
 
-    if (results.length >= RESULT_CAP) {
-      console.warn(`  ⚠️  hit ${RESULT_CAP} result cap — some repos may be missing`);
+  useAbortSignal(signal);
+  try {
+    await scan(options, { signal, report, writeReport });
+  } catch (err) {
+    failScanReport(report, err);
+    try {
+      writeReport();
+    } catch (writeErr) {
+      console.warn(`⚠️  could not write the scan report — ${writeErr.message}`);
     }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    useAbortSignal(null);
+  }
+}
+
+/** main() under the run's signal, filling in its report. */
+async function scan(options, { signal, report, writeReport }) {
+  const today = new Date().toISOString().slice(0, 10);
+  const { dryRun } = options;
+  const paths = dataPaths(options.dataDir ?? DATA_DIR);
+  if (dryRun) console.log("🔍 Dry run — nothing will be written and no issues will be touched");
+
+  if (options.trace) startTrace();
+
+  // REST GETs revalidate what earlier runs fetched; unchanged responses
+  // come back as free 304s (see response-cache.mjs)
+  if (options.cache !== false) useResponseCache(RESPONSE_CACHE_PATH);
+
+  // Start from what GitHub says is left; ghExec keeps it current from
+  // response headers and only paces a bucket once it runs low.
+  try {
+    await refreshRateBudget();
   } catch (err) {
-    console.warn(`  → search failed after retries: ${err.message}`);
+    console.warn(`⚠️  could not read rate limits — ${err.message}`);
   }
 
+  // ── 1. Search GitHub for HALLUCINATE.md files ──────────────────────────
+  //    Sharded — the REST API code search caps at 1000 results per query,
+  //    so partitions over it (by total_count) are split by size:/path:.
+  //    stars:/fork: are repo qualifiers and break code search silently.
+  console.log(`Searching: ${SEARCH_QUERY}`);
+  const { results: searchResults, coverage } = await searchSharded(SEARCH_QUERY, {
+    search: ghSearchCode,
+    count: ghSearchCodeCount,
+    cap: RESULT_CAP,
+  });
+
+  const shards = summarizeCoverage(coverage);
+  console.log(
+    `Shards: ${shards.searched} searched, ${shards.leaves} leaves, ` +
+      `${shards.incomplete} capped, ${shards.failed} failed`,
+  );
   console.log(`Total raw results: ${searchResults.length}`);
+  report.search = {
+    raw_count: searchResults.length,
+    cap: RESULT_CAP,
+    cap_hit: shards.incomplete > 0,
+    shards,
+  };
 
   // ── 2. Filter and deduplicate search results ──────────────────────────
-  const uniqueFromSearch = filterAndDeduplicate(searchResults);
+  const uniqueFromSearch = filterAndDeduplicate(searchResults, { casePolicy: options.casePolicy });
   console.log(`Unique repos from search: ${uniqueFromSearch.length}`);
 
   // ── 3. Load issue-based submissions ───────────────────────────────────
-  const { verified: uniqueFromIssues, actions: issueActions } = await loadIssueSubmissions();
+  const issueCache = loadVerificationCache(paths.issueCache);
+  const { verified: uniqueFromIssues, actions: issueActions } = await loadIssueSubmissions({
+    casePolicy: options.casePolicy,
+    cache: issueCache,
+  });
   console.log(`Unique repos from issues: ${uniqueFromIssues.length}`);
+  report.sources.search = uniqueFromSearch.length;
+  report.sources.issues = uniqueFromIssues.length;
+
+  //    Maintainer opt-outs ("remove-repo" issues) are recorded before
+  //    moderation so the repo leaves the wall in this same run.
+  const removalActions = await loadRemovalRequests();
+  // Cut short before here, absence from search or issues proves nothing
+  const sourcesCut = signal.aborted;
+  let optOuts = loadOptOuts(paths.optOuts);
+  for (const action of removalActions) {
+    if (action.type !== "opt-out") continue;
+    optOuts = addOptOut(optOuts, {
+      repo: action.nameWithOwner,
+      requested_by: action.login,
+      issue: action.number,
+      opted_out_on: today,
+    });
+  }
 
-  // ── 4. Merge (search wins on conflict) ────────────────────────────────
-  const unique = mergeResults(uniqueFromSearch, uniqueFromIssues);
+  // ── 4. Moderation (blocklist, quarantine, force-include) ─────────────
+  //    Hand-maintained in _data/moderation.json. Blocked and quarantined
+  //    repos never reach the wall; force-included repos are added even if
+  //    search misses them and are exempt from review flags and policies.
+  //    Opt-outs count as blocked repos.
+  const moderation = withOptOuts(loadModeration(paths.moderation), optOuts);
+  const moderatedSearch = filterCandidates(uniqueFromSearch, moderation, { today });
+  const moderatedIssues = filterCandidates(uniqueFromIssues, moderation, { today });
+  const forced = forcedCandidates(moderation, { today });
+  const isForced = (name) => moderationStatus(name, moderation, { today })?.list === "forced";
+
+  const blocked = [...new Set([...moderatedSearch.blocked, ...moderatedIssues.blocked])];
+  const quarantined = [...new Set([...moderatedSearch.quarantined, ...moderatedIssues.quarantined])];
+  const forcedNew = forced.filter(
+    (f) => !moderatedSearch.kept.some((c) => c.nameWithOwner.toLowerCase() === f.nameWithOwner.toLowerCase()),
+  );
+  console.log(
+    `Moderation: blocklist removed ${blocked.length}, quarantine held ${quarantined.length}, ` +
+      `allowlist forced ${forced.length} (${forcedNew.length} not found by search)`,
+  );
+  report.moderation = { blocked, quarantined };
+  report.sources.forced = forced.length;
+  for (const name of blocked) console.log(`  ✗ blocked ${name}`);
+  for (const name of quarantined) console.log(`  ⏸ quarantined ${name}`);
+  for (const { nameWithOwner } of forcedNew) console.log(`  + force-included ${nameWithOwner}`);
+
+  // Don't tell submitters a held repo was added to the wall
+  const heldActions = issueActions.filter(
+    (a) =>
+      a.type === "close-valid" &&
+      (a.results ?? [a]).some((r) => r.ok !== false && isHeld(r.nameWithOwner, moderation, { today })),
+  );
+  for (const a of heldActions) {
+    console.log(`  ⏸ issue #${a.number}: ${a.nameWithOwner} is held by moderation — left open`);
+  }
+  const actionsToProcess = [
+    ...issueActions.filter((a) => !heldActions.includes(a)),
+    ...removalActions,
+  ];
+
+  // ── 5. Merge (search wins on conflict) ────────────────────────────────
+  const unique = mergeResults(mergeResults(moderatedSearch.kept, moderatedIssues.kept), forced);
   console.log(`Total unique repos: ${unique.length}`);
+  report.sources.merged = unique.length;
+  report.spam = unique
+    .filter((u) => u.filePaths && u.filePaths.length > MAX_FILES_PER_REPO)
+    .map((u) => ({ repo: u.nameWithOwner, file_count: u.filePaths.length }));
 
   if (unique.length === 0) {
     console.error("No results from any source. Keeping existing adopters.json unchanged.");
+    if (!dryRun) {
+      saveOptOuts(paths.optOuts, optOuts);
+      saveVerificationCache(paths.issueCache, issueCache);
+      saveResponses();
+    }
+    report.status = "no-results";
+    report.issue_actions = await processIssueActions(removalActions, { dryRun });
+    writeReport();
     return;
   }
 
-  // ── 5. Fetch repo details with retry + rate limit handling ────────────
+  // ── 6. Fetch repo details (new repos + a rotating slice) ───────────
+  //    Known repos are re-fetched about once a day (see scan-state.mjs);
+  //    the rest reuse their existing entry. Refreshes are resolved in
+  //    GraphQL batches; if a batch fails as a whole, its repos fall back to
+  //    per-repo REST calls that send the stored ETag (304 = unchanged).
+  //    Suspected false positives go to the review list, not the wall; a
+  //    reused review entry keeps its earlier verdict.
+  const existing = loadExistingAdopters(paths.adopters);
+  const previousReview = loadReviewList(paths.review);
+  const previousReasons = new Map(previousReview.map((e) => [e.full_name, e.review_reasons ?? []]));
+  const existingByName = new Map([...previousReview, ...existing].map((e) => [e.full_name, e]));
+  const state = loadScanState(paths.scanState);
+  const { refresh, reuse } = planRefresh(unique, state, existingByName);
+  console.log(`Refreshing ${refresh.length} repo(s), reusing ${reuse.length}`);
+  report.fetch.refreshed = refresh.length;
+  report.fetch.reused = reuse.length;
+
   const adopters = [];
+  const flagged = new Map();
   let fetchedCount = 0;
+  let notModifiedCount = 0;
   let failedCount = 0;
+  /** Repos not reached before the run was cut short */
+  const skipped = new Set();
+  /** Provider hosts whose search did not run to the end */
+  const unsearched = new Set();
+
+  const flag = (name, reasons) => {
+    if (isForced(name)) return;
+    flagged.set(name, [...new Set([...(flagged.get(name) ?? []), ...reasons])]);
+  };
 
-  for (const { nameWithOwner, filePath } of unique) {
+  const keepPrevious = (entry) => {
+    adopters.push(entry);
+    if (previousReasons.has(entry.full_name)) {
+      flag(entry.full_name, previousReasons.get(entry.full_name));
+    }
+  };
+  for (const { entry } of reuse) keepPrevious(entry);
+
+  // Every HALLUCINATE.md path, the repo's directory count (for coverage),
+  // the compliance class of the listed file and a false-positive verdict
+  const fileDetails = async (candidate, repo, content) => {
+    const filePaths = candidate.filePaths ?? [candidate.filePath];
+    let tree = { directoryCount: null, siblings: null };
     try {
-      const repo = await ghApiGet(`repos/${nameWithOwner}`);
-      const entry = buildAdopterEntry(repo, filePath);
-      if (entry) {
-        adopters.push(entry);
+      tree = await fetchTreeSummary(
+        candidate.nameWithOwner,
+        candidate.ref ?? repo.default_branch,
+        candidate.filePath,
+      );
+    } catch (err) {
+      console.warn(`  ⚠️  ${candidate.nameWithOwner}: tree lookup failed — ${err.message}`);
+    }
+    const compliance = classifyContent(content);
+    const verdict = detectFalsePositive({
+      filePath: candidate.filePath,
+      siblings: tree.siblings,
+      content,
+      compliance,
+    });
+    return { filePaths, directoryCount: tree.directoryCount, compliance, verdict, ref: candidate.ref ?? null };
+  };
+
+  const accept = (entry, details) => {
+    if (!entry) return;
+    adopters.push(entry);
+    if (details.verdict.suspect && !isForced(entry.full_name)) {
+      flag(entry.full_name, details.verdict.reasons);
+      console.warn(`  ⚠️  review: ${entry.full_name} — ${details.verdict.reasons.join("; ")}`);
+    }
+  };
+
+  const fetchViaRest = async (candidate) => {
+    const { nameWithOwner, filePath } = candidate;
+    const previous = existingByName.get(nameWithOwner);
+    const canReuse = previous && !pathsChanged(previous, candidate, state.repos[nameWithOwner]);
+    if (signal.aborted) {
+      skipped.add(nameWithOwner);
+      return;
+    }
+    try {
+      const res = await ghApiGetConditional(`repos/${nameWithOwner}`, {
+        etag: canReuse ? state.repos[nameWithOwner]?.etag : undefined,
+      });
+      const fetchedAt = new Date().toISOString();
+
+      if (res.status === 304) {
+        keepPrevious(previous);
+        recordFetch(state, nameWithOwner, { fetchedAt, ref: candidate.ref });
+        notModifiedCount++;
+      } else {
+        let content = null;
+        try {
+          content = await fetchFileContent(nameWithOwner, filePath, { ref: candidate.ref ?? undefined });
+        } catch (err) {
+          console.warn(`  ⚠️  ${nameWithOwner}: could not read ${filePath} — ${err.message}`);
+        }
+        const details = await fileDetails(candidate, res.data, content);
+        // Cut off mid-way, the file and tree lookups can't be trusted
+        if (signal.aborted) {
+          skipped.add(nameWithOwner);
+          return;
+        }
+        accept(buildAdopterEntry(res.data, filePath, details), details);
+        recordFetch(state, nameWithOwner, { id: res.data?.id, etag: res.etag, fetchedAt, ref: candidate.ref });
+        fetchedCount++;
       }
-      fetchedCount++;
     } catch (err) {
+      if (err instanceof CancelledError) {
+        skipped.add(nameWithOwner);
+        return;
+      }
       failedCount++;
+      report.fetch.failures.push({ repo: nameWithOwner, reason: err.message });
       console.warn(`  ✗ ${nameWithOwner}: ${err.message}`);
     }
+  };
 
-    // Pause between API calls — GitHub's rate limit is 5000/hour for
-    // authenticated requests. 1s delay = max ~3600 repos/hour, safe margin.
-    await sleep(1000);
-  }
+  for (let i = 0; i < refresh.length; i += GRAPHQL_BATCH_SIZE) {
+    const batch = refresh.slice(i, i + GRAPHQL_BATCH_SIZE);
+    if (signal.aborted) {
+      for (const { nameWithOwner } of batch) skipped.add(nameWithOwner);
+      continue;
+    }
 
-  console.log(`Fetched: ${fetchedCount}, Failed: ${failedCount}`);
+    let repos;
+    try {
+      repos = await fetchRepoBatch(batch);
+    } catch (err) {
+      // REST would be refused just the same
+      if (err instanceof AuthError) throw err;
+      if (err instanceof CancelledError) {
+        for (const { nameWithOwner } of batch) skipped.add(nameWithOwner);
+        continue;
+      }
+      console.warn(`  ⚠️  ${err.message} — falling back to REST for ${batch.length} repo(s)`);
+      for (const candidate of batch) {
+        await fetchViaRest(candidate);
+      }
+      continue;
+    }
 
-  // ── 6. Sanitize ──────────────────────────────────────────────────────
-  const sanitized = sanitizeAdopters(adopters);
+    const fetchedAt = new Date().toISOString();
+    for (const candidate of batch) {
+      const { nameWithOwner, filePath } = candidate;
+      const { repo, content } = repos.get(nameWithOwner);
+      if (!repo) {
+        failedCount++;
+        report.fetch.failures.push({ repo: nameWithOwner, reason: "could not resolve repository" });
+        console.warn(`  ✗ ${nameWithOwner}: could not resolve repository`);
+        continue;
+      }
+      const details = await fileDetails(candidate, repo, content);
+      if (signal.aborted) {
+        skipped.add(nameWithOwner);
+        continue;
+      }
+      accept(buildAdopterEntry(repo, filePath, details), details);
+      recordFetch(state, nameWithOwner, { id: repo.id, fetchedAt, ref: candidate.ref });
+      fetchedCount++;
+    }
+  }
 
-  // ── 7. Preserve date_added from existing data ───────────────────────
-  const today = new Date().toISOString().slice(0, 10);
-  const existingDates = new Map();
-  if (existsSync(OUTPUT)) {
+  // ── 6b. Other providers (GitLab, Gitea, GitHub Enterprise) ─────────
+  //    Configured in _data/providers.json. Their repos are few, so each
+  //    run searches and fetches them in full; names are host-qualified.
+  const providers = loadProviderConfig(paths.providers).map((config) => createProvider(config, { signal }));
+  for (const provider of providers) {
+    if (signal.aborted) {
+      unsearched.add(provider.host);
+      continue;
+    }
+    console.log(`Searching ${provider.name} at ${provider.host}...`);
+    let candidates;
     try {
-      const existing = JSON.parse(readFileSync(OUTPUT, "utf-8"));
-      for (const entry of existing) {
-        if (entry.full_name && entry.date_added) {
-          existingDates.set(entry.full_name, entry.date_added);
+      candidates = await provider.search({ casePolicy: options.casePolicy });
+    } catch (err) {
+      if (err instanceof CancelledError) {
+        unsearched.add(provider.host);
+        continue;
+      }
+      console.warn(`  ⚠️  ${provider.host}: search failed — ${err.message}`);
+      report.fetch.failures.push({ repo: provider.host, reason: `search failed: ${err.message}` });
+      continue;
+    }
+    console.log(`  → ${candidates.length} repo(s)`);
+
+    for (const candidate of candidates) {
+      const name = qualifiedName(provider, candidate.nameWithOwner);
+      if (isHeld(name, moderation, { today })) continue;
+      if (signal.aborted) {
+        skipped.add(name);
+        continue;
+      }
+      try {
+        const repo = await provider.fetchRepo(candidate.nameWithOwner);
+        const content = await providerFileContent(provider, candidate, repo);
+        if (content === null) throw new Error(`${candidate.filePath} not found`);
+        const compliance = classifyContent(content);
+        const verdict = detectFalsePositive({ filePath: candidate.filePath, siblings: null, content, compliance });
+        accept(providerEntry(provider, repo, candidate, { compliance }), { verdict });
+        fetchedCount++;
+      } catch (err) {
+        if (err instanceof CancelledError) {
+          skipped.add(name);
+          continue;
         }
+        failedCount++;
+        report.fetch.failures.push({ repo: name, reason: err.message });
+        console.warn(`  ✗ ${name}: ${err.message}`);
       }
-    } catch { /* first run or corrupt file — all entries get today */ }
+    }
+  }
+
+  //    Cut short: a repo the run did not get to — left in the queue, or
+  //    never looked for because its search was cut off — is carried over
+  //    as it was, lifecycle dates included, instead of being reconciled as
+  //    found or as missing. Review entries simply stay on the review list.
+  const carried = [];
+  if (signal.aborted) {
+    const failed = new Set(report.fetch.failures.map((f) => f.repo));
+    const reachedIds = new Set(adopters.map((e) => e.id).filter(Boolean));
+    const reached = new Set(adopters.map((e) => e.full_name));
+    const onWall = new Set(existing.map((e) => e.full_name));
+    const unreached = (entry) => {
+      if (skipped.has(entry.full_name)) return true;
+      const host = hostOf(entry.full_name);
+      return host === "github.com" ? sourcesCut : unsearched.has(host);
+    };
+    for (const entry of existingByName.values()) {
+      if (reached.has(entry.full_name) || failed.has(entry.full_name) || reachedIds.has(entry.id)) continue;
+      if (isHeld(entry.full_name, moderation, { today }) || !unreached(entry)) continue;
+      if (onWall.has(entry.full_name)) carried.push(entry);
+      else keepPrevious(entry);
+      skipped.add(entry.full_name);
+    }
+  }
+
+  console.log(`Fetched: ${fetchedCount}, Not modified: ${notModifiedCount}, Failed: ${failedCount}`);
+  if (skipped.size > 0) console.log(`Not reached (existing entries kept): ${skipped.size}`);
+  report.fetch.fetched = fetchedCount;
+  report.fetch.not_modified = notModifiedCount;
+  report.fetch.skipped = [...skipped].sort();
+
+  // ── 7. Listing policies (forks, archived, inactive) ──────────────────
+  const excluded = new Set();
+  for (const entry of adopters) {
+    if (isForced(entry.full_name)) continue;
+    const { action, reasons } = evaluatePolicies(entry, options.policies, { today });
+    if (action === "exclude") {
+      excluded.add(entry.full_name);
+      console.log(`  ✗ ${entry.full_name}: excluded by policy (${reasons.join(", ")})`);
+    } else if (action === "flag") {
+      flag(entry.full_name, reasons);
+    }
+  }
+
+  // ── 8. Sanitize + split off flagged entries ─────────────────────────
+  const sanitized = [];
+  const review = [];
+  for (const entry of sanitizeAdopters(adopters, { providers: providerHosts(providers) })) {
+    if (excluded.has(entry.full_name)) continue;
+    if (!flagged.has(entry.full_name)) {
+      sanitized.push(entry);
+      continue;
+    }
+    const previous = previousReview.find((e) => e.full_name === entry.full_name);
+    review.push({
+      ...entry,
+      review_reasons: flagged.get(entry.full_name),
+      flagged_on: previous?.flagged_on ?? today,
+    });
+  }
+  if (review.length > 0) {
+    console.log(`Flagged for review: ${review.length}`);
+  }
+  if (excluded.size > 0) {
+    console.log(`Excluded by policy: ${excluded.size}`);
+  }
+
+  // ── 9. Reconcile with existing data + tombstones ───────────────────
+  //    Keeps date_added stable (across renames and transfers too — repos
+  //    are matched by id), holds missing repos for the grace period, and
+  //    restores date_added for repos returning from the tombstones.
+  //    Flagged, excluded and held repos leave the wall immediately — no
+  //    grace period.
+  const wallExisting = existing.filter(
+    (e) =>
+      !carried.includes(e) &&
+      !flagged.has(e.full_name) &&
+      !excluded.has(e.full_name) &&
+      !isHeld(e.full_name, moderation, { today }),
+  );
+  const reconciled = reconcileAdopters(sanitized, wallExisting, loadTombstones(paths.tombstones), {
+    today,
+    graceDays: options.graceDays,
+  });
+  const listed = [...reconciled.adopters, ...carried];
+
+  if (reconciled.added.length > 0) {
+    console.log(`New adopters: ${reconciled.added.length} (date_added = ${today})`);
   }
-  let newCount = 0;
-  for (const entry of sanitized) {
-    entry.date_added = existingDates.get(entry.full_name) ?? today;
-    if (!existingDates.has(entry.full_name)) newCount++;
+  if (reconciled.returned.length > 0) {
+    console.log(`Returning adopters: ${reconciled.returned.length} (original date_added kept)`);
   }
-  if (newCount > 0) console.log(`New adopters: ${newCount} (date_added = ${today})`);
+  for (const { from, to } of reconciled.renamed) {
+    console.log(`  ↪ ${from} is now ${to} (original date_added kept)`);
+  }
+  if (reconciled.missing.length > 0) {
+    console.log(`Missing (within ${options.graceDays}-day grace period): ${reconciled.missing.length}`);
+  }
+  for (const name of reconciled.delisted) {
+    console.log(`  ✗ delisted ${name} (missing ≥ ${options.graceDays} days)`);
+  }
+
+  const compliance = summarizeCompliance(listed);
+  console.log(
+    "Compliance: " +
+      Object.entries(compliance).map(([cls, n]) => `${cls}=${n}`).join(", "),
+  );
+
+  // ── 10. Sort by stars descending ──────────────────────────────────────
+  listed.sort((a, b) => b.stars - a.stars);
+
+  report.adopters = {
+    total: listed.length,
+    added: reconciled.added,
+    removed: diffAdopters(existing, listed).removed,
+    renamed: reconciled.renamed,
+    returned: reconciled.returned,
+    delisted: reconciled.delisted,
+    missing: reconciled.missing,
+  };
+  report.review = { flagged: review.map((e) => e.full_name), excluded: [...excluded] };
+
+  // ── 11. Write output (dry run: print the diff instead) ───────────────
+  if (dryRun) {
+    for (const line of formatAdopterDiff(diffAdopters(existing, listed))) console.log(line);
+    console.log(
+      `Would write ${listed.length} adopters, ${review.length} review entries, ` +
+        `${reconciled.tombstones.length} tombstones, ${optOuts.length} opt-outs`,
+    );
+    report.issue_actions = await processIssueActions(actionsToProcess, { dryRun });
+    writeReport();
+    return;
+  }
+
+  ensureDataDir(paths.dataDir);
+  writeFileSync(paths.adopters, JSON.stringify(listed, null, 2) + "\n");
+  saveTombstones(paths.tombstones, reconciled.tombstones);
+  saveReviewList(paths.review, review);
+  saveOptOuts(paths.optOuts, optOuts);
+  saveVerificationCache(paths.issueCache, issueCache);
+
+  // A partial run's search may have missed repos that still adopt
+  if (!signal.aborted) pruneScanState(state, unique.map((u) => u.nameWithOwner));
+  saveScanState(paths.scanState, state);
+  saveResponses();
 
-  // ── 8. Sort by stars descending ──────────────────────────────────────
-  sanitized.sort((a, b) => b.stars - a.stars);
+  // ── 12. Summary ───────────────────────────────────────────────────────
+  console.log(`Wrote ${listed.length} adopters to _data/adopters.json`);
 
-  // ── 9. Write output ──────────────────────────────────────────────────
-  ensureDataDir();
-  writeFileSync(OUTPUT, JSON.stringify(sanitized, null, 2) + "\n");
+  // ── 13. Housekeep issues (after wall is updated) ──────────────────
+  report.issue_actions = await processIssueActions(actionsToProcess);
 
-  // ── 10. Summary ───────────────────────────────────────────────────────
-  console.log(`Wrote ${sanitized.length} adopters to _data/adopters.json`);
+  // ── 14. Scan report ───────────────────────────────────────────────────
+  writeReport();
+}
+
+/**
+ * Read the current adopters.json. First run or corrupt file → [].
+ */
+function loadExistingAdopters(path) {
+  if (!existsSync(path)) return [];
+  try {
+    const existing = JSON.parse(readFileSync(path, "utf-8"));
+    return Array.isArray(existing) ? existing : [];
+  } catch {
+    return [];
+  }
+}
 
-  // ── 11. Housekeep issues (after wall is updated) ──────────────────
-  await processIssueActions(issueActions);
+/**
+ * Write the response cache, if one is in use, and log how it did.
+ */
+function saveResponses() {
+  const stats = flushResponseCache();
+  if (!stats) return;
+  console.log(
+    `💾 Response cache: ${stats.hits} not modified, ${stats.misses} fetched, ` +
+      `${stats.entries} entries (${stats.pruned} pruned)`,
+  );
 }
 
-function ensureDataDir() {
-  const dataDir = join(ROOT, "_data");
+function ensureDataDir(dataDir) {
   if (!existsSync(dataDir)) {
     mkdirSync(dataDir, { recursive: true });
   }
@@ -441,8 +1816,15 @@ const isDirectRun =
   fileURLToPath(import.meta.url).endsWith(process.argv[1].replace(/^.*[\\/]/, ""));
 
 if (isDirectRun) {
-  main().catch((err) => {
-    console.error("Fatal error:", err);
-    process.exit(1);
-  });
+  // A cancelled job still gets to write a partial run
+  const stop = new AbortController();
+  for (const name of ["SIGINT", "SIGTERM"]) {
+    process.once(name, () => stop.abort(new Error(`received ${name}`)));
+  }
+  Promise.resolve()
+    .then(() => main({ ...parseCliArgs(process.argv.slice(2)), signal: stop.signal }))
+    .catch((err) => {
+      console.error("Fatal error:", err);
+      process.exit(1);
+    });
 }
@@ -0,0 +1,159 @@
+import { writeFileSync, readFileSync, existsSync } from "node:fs";
+
+/**
+ * Persisted scan state — lets hourly runs skip repos that were refreshed
+ * recently instead of re-fetching every adopter every hour.
+ *
+ * Shape:
+ *   {
+ *     repos: {
+ *       "owner/repo": { id: 123, etag: "W/\"abc\"", fetched_at: "2026-01-01T00:00:00.000Z",
+ *                       ref: "release" }
+ *     }
+ *   }
+ *
+ * `ref` is the branch/tag the entry was built from, present only when it
+ * is not the default branch (an issue submission's ref).
+ */
+
+/**
+ * Each known repo is refreshed roughly once per this many runs. With the
+ * hourly schedule, 24 means every adopter is re-fetched about once a day.
+ */
+export const REFRESH_ROTATION_RUNS = 24;
+
+export function emptyScanState() {
+  return { repos: {} };
+}
+
+/**
+ * Load scan state from disk. Missing or corrupt files yield an empty state
+ * (the next run simply refreshes everything).
+ */
+export function loadScanState(path) {
+  if (!existsSync(path)) return emptyScanState();
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    if (!data || typeof data.repos !== "object" || Array.isArray(data.repos)) {
+      return emptyScanState();
+    }
+    return { ...data, repos: { ...data.repos } };
+  } catch {
+    return emptyScanState();
+  }
+}
+
+/**
+ * Write scan state to disk with repos sorted by name for stable diffs.
+ */
+export function saveScanState(path, state) {
+  const repos = {};
+  for (const name of Object.keys(state.repos).sort()) {
+    repos[name] = state.repos[name];
+  }
+  writeFileSync(path, JSON.stringify({ ...state, repos }, null, 2) + "\n");
+}
+
+/**
+ * Record a successful fetch (200 or 304) for a repo.
+ *
+ * @param {object} state
+ * @param {string} nameWithOwner
+ * @param {{id?: number, etag?: string|null, fetchedAt: string, ref?: string|null}} info
+ *        ref: the candidate's ref the entry was built from (null = default branch)
+ */
+export function recordFetch(state, nameWithOwner, { id, etag, fetchedAt, ref = null }) {
+  const prev = state.repos[nameWithOwner] ?? {};
+  state.repos[nameWithOwner] = {
+    id: id ?? prev.id ?? null,
+    etag: etag ?? prev.etag ?? null,
+    fetched_at: fetchedAt,
+    ...(ref ? { ref } : {}),
+  };
+}
+
+/**
+ * Drop state for repos that are no longer candidates, so the file doesn't
+ * grow without bound.
+ *
+ * @param {object} state
+ * @param {Iterable<string>} keep - nameWithOwner values to retain
+ */
+export function pruneScanState(state, keep) {
+  const keepSet = new Set(keep);
+  for (const name of Object.keys(state.repos)) {
+    if (!keepSet.has(name)) delete state.repos[name];
+  }
+}
+
+/**
+ * True when a candidate's HALLUCINATE.md paths or ref differ from its
+ * existing adopter entry (entries written before file_paths existed always
+ * differ). The entry's ref is the one its scan state recorded; a search
+ * hit (no ref) only matches an entry built from the default branch.
+ *
+ * @param {object} entry     - Existing adopter entry
+ * @param {{filePath: string, filePaths?: string[], ref?: string|null}} candidate
+ * @param {{ref?: string}} [repoState] - The repo's scan state
+ */
+export function pathsChanged(entry, candidate, repoState = {}) {
+  const paths = candidate.filePaths ?? [candidate.filePath];
+  if ((candidate.ref ?? null) !== (repoState?.ref ?? null)) return true;
+  if (entry.file_path !== candidate.filePath) return true;
+  if (!Array.isArray(entry.file_paths) || entry.file_paths.length !== paths.length) return true;
+  return entry.file_paths.some((p, i) => p !== paths[i]);
+}
+
+/**
+ * Decide which candidates need a fresh repo-details fetch this run.
+ *
+ * A candidate is refreshed when:
+ *  - it has no scan state or no existing adopter entry (new repo),
+ *  - its HALLUCINATE.md paths or ref differ from the existing entry, or
+ *  - it is in this run's rotating slice: the `sliceSize` known repos with
+ *    the oldest fetched_at.
+ *
+ * Everything else reuses its existing adopter entry unchanged.
+ *
+ * @param {Array<{nameWithOwner: string, filePath: string}>} candidates
+ * @param {object} state                  - Scan state
+ * @param {Map<string, object>} existing  - Existing adopter entries by full_name
+ * @param {object} [options]
+ * @param {number} [options.sliceSize]    - Known repos to refresh this run
+ *                                          (default: ceil(known / REFRESH_ROTATION_RUNS))
+ * @returns {{refresh: object[], reuse: Array<{candidate: object, entry: object}>}}
+ */
+export function planRefresh(candidates, state, existing, options = {}) {
+  const refresh = [];
+  const known = [];
+
+  for (const candidate of candidates) {
+    const entry = existing.get(candidate.nameWithOwner);
+    const repoState = state.repos[candidate.nameWithOwner];
+    if (!entry || !repoState || pathsChanged(entry, candidate, repoState)) {
+      refresh.push(candidate);
+    } else {
+      known.push({ candidate, entry, fetchedAt: repoState.fetched_at ?? "" });
+    }
+  }
+
+  const sliceSize = options.sliceSize ?? Math.ceil(known.length / REFRESH_ROTATION_RUNS);
+
+  // Oldest first; ties broken by name so the rotation is deterministic
+  known.sort((a, b) =>
+    a.fetchedAt === b.fetchedAt
+      ? a.candidate.nameWithOwner.localeCompare(b.candidate.nameWithOwner)
+      : a.fetchedAt < b.fetchedAt ? -1 : 1,
+  );
+
+  const reuse = [];
+  for (const [i, item] of known.entries()) {
+    if (i < sliceSize) {
+      refresh.push(item.candidate);
+    } else {
+      reuse.push({ candidate: item.candidate, entry: item.entry });
+    }
+  }
+
+  return { refresh, reuse };
+}
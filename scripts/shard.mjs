@@ -0,0 +1,184 @@
+/**
+ * Sharded code search.
+ *
+ * The code search API returns at most 1000 results per query. To get past
+ * that, the base query is split into disjoint partitions using the
+ * code-search qualifiers that divide a filename search (size:, path:).
+ * Splits are planned from each partition's total_count, one cheap request
+ * each; results are only fetched for partitions that fit under the cap,
+ * or that cannot be split any further.
+ */
+
+/** Code search only indexes files smaller than 384 KB. */
+export const SIZE_LIMIT_BYTES = 384 * 1024;
+
+/** Results per page of a code search; fetches are sized in whole pages. */
+const PAGE_SIZE = 100;
+
+/**
+ * Categorical dimensions, tried in order once a shard's size range has
+ * been narrowed to a single byte count. Each split yields one shard per
+ * value plus a complement shard (`-qualifier:value ...`) so the children
+ * still cover the whole parent. Every file already matches the filename,
+ * so language:/extension: would put them all in one child — only the
+ * directory a file sits in tells them apart.
+ */
+export const DEFAULT_DIMENSIONS = [
+  { qualifier: "path", values: ["/", ".github", "docs", "src", "content", "packages", "apps"] },
+];
+
+/**
+ * The unsplit root shard: no size range, no extra qualifiers.
+ */
+export function rootShard() {
+  return { size: null, terms: [], dimension: 0 };
+}
+
+/**
+ * Build the query string for a shard.
+ *
+ * @param {string} baseQuery - e.g. "filename:HALLUCINATE.md"
+ * @param {{size: [number, number]|null, terms: string[]}} shard
+ * @returns {string}
+ */
+export function shardQuery(baseQuery, shard) {
+  const parts = [baseQuery];
+  if (shard.size) {
+    const [lo, hi] = shard.size;
+    parts.push(lo === hi ? `size:${lo}` : `size:${lo}..${hi}`);
+  }
+  parts.push(...shard.terms);
+  return parts.join(" ");
+}
+
+/**
+ * Split a saturated shard into disjoint children.
+ *
+ * Size ranges are bisected first (cheap, and most files are tiny). Once a
+ * range is down to a single byte count, the next categorical dimension is
+ * applied. Returns [] when the shard cannot be split any further.
+ *
+ * @param {object} shard
+ * @param {Array<{qualifier: string, values: string[]}>} [dimensions]
+ * @returns {object[]}
+ */
+export function splitShard(shard, dimensions = DEFAULT_DIMENSIONS) {
+  const [lo, hi] = shard.size ?? [0, SIZE_LIMIT_BYTES];
+
+  if (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    return [
+      { ...shard, size: [lo, mid] },
+      { ...shard, size: [mid + 1, hi] },
+    ];
+  }
+
+  const dim = dimensions[shard.dimension];
+  if (!dim || dim.values.length === 0) return [];
+
+  const next = shard.dimension + 1;
+  const children = dim.values.map((value) => ({
+    size: shard.size,
+    terms: [...shard.terms, `${dim.qualifier}:${value}`],
+    dimension: next,
+  }));
+  children.push({
+    size: shard.size,
+    terms: [...shard.terms, ...dim.values.map((value) => `-${dim.qualifier}:${value}`)],
+    dimension: next,
+  });
+
+  return children;
+}
+
+/**
+ * Run a code search across as many shards as needed to stay under the
+ * result cap.
+ *
+ * Each shard's size is read with `count` first; shards over the cap are
+ * split without fetching anything, empty ones are skipped, and the rest
+ * are fetched with a limit of their total rounded up to whole pages.
+ * Results from every leaf shard are concatenated — callers are expected to
+ * dedupe them (filterAndDeduplicate does that).
+ *
+ * Coverage has one entry per shard searched:
+ *   { query, count, saturated, split, error? }
+ * `count` is the reported total for split shards and the results fetched
+ * for leaves. `saturated && !split` means the shard is over the cap and
+ * could not be split, so results for that partition are incomplete.
+ *
+ * @param {string} baseQuery
+ * @param {object}   options
+ * @param {Function} options.search       - async (query, { limit }) => results[]
+ * @param {Function} options.count        - async (query) => total_count
+ * @param {number}   [options.cap=1000]   - Per-query result cap
+ * @param {Array}    [options.dimensions] - Categorical split dimensions
+ * @returns {Promise<{results: object[], coverage: object[]}>}
+ */
+export async function searchSharded(baseQuery, { search, count, cap = 1000, dimensions = DEFAULT_DIMENSIONS }) {
+  const results = [];
+  const coverage = [];
+  const queue = [rootShard()];
+
+  const failed = (query, err) => {
+    console.warn(`  ✗ shard "${query}": ${err.message}`);
+    coverage.push({ query, count: 0, saturated: false, split: false, error: err.message });
+  };
+
+  while (queue.length > 0) {
+    const shard = queue.shift();
+    const query = shardQuery(baseQuery, shard);
+
+    let total;
+    try {
+      total = await count(query);
+    } catch (err) {
+      failed(query, err);
+      continue;
+    }
+
+    const saturated = total > cap;
+    const children = saturated ? splitShard(shard, dimensions) : [];
+
+    if (children.length > 0) {
+      console.log(`  → ${total} results for "${query}" (over the cap, splitting into ${children.length})`);
+      queue.push(...children);
+      coverage.push({ query, count: total, saturated, split: true });
+      continue;
+    }
+
+    let shardResults = [];
+    if (total > 0) {
+      try {
+        shardResults = await search(query, { limit: Math.min(cap, Math.ceil(total / PAGE_SIZE) * PAGE_SIZE) });
+      } catch (err) {
+        failed(query, err);
+        continue;
+      }
+    }
+
+    console.log(`  → ${shardResults.length} results for "${query}"`);
+    if (saturated) {
+      console.warn(`  ⚠️  "${query}" has ${total} results, over the ${cap} cap, and cannot be split — some repos may be missing`);
+    }
+    results.push(...shardResults);
+    coverage.push({ query, count: shardResults.length, saturated, split: false });
+  }
+
+  return { results, coverage };
+}
+
+/**
+ * Summarise shard coverage for logging.
+ *
+ * @param {object[]} coverage - From searchSharded
+ * @returns {{searched: number, leaves: number, incomplete: number, failed: number}}
+ */
+export function summarizeCoverage(coverage) {
+  return {
+    searched: coverage.length,
+    leaves: coverage.filter((c) => !c.split && !c.error).length,
+    incomplete: coverage.filter((c) => c.saturated && !c.split).length,
+    failed: coverage.filter((c) => c.error).length,
+  };
+}
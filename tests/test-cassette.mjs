@@ -0,0 +1,379 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync, rmSync, existsSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  CASSETTE_VERSION,
+  emptyCassette,
+  loadCassette,
+  saveCassette,
+  recordingExec,
+  replayingExec,
+} from "../scripts/cassette.mjs";
+import {
+  ghExec,
+  ghApiGet,
+  useCassette,
+  ejectCassette,
+  useRateBudget,
+  isNonRetryable,
+} from "../scripts/gh.mjs";
+import { main, parseCliArgs, ISSUES_REPO } from "../scripts/scan-adopters.mjs";
+
+const instantSleep = () => Promise.resolve();
+
+function ghError(stderr, code = 1) {
+  const err = new Error(`Command failed\n${stderr}`);
+  err.code = code;
+  err.stdout = "";
+  err.stderr = stderr;
+  return err;
+}
+
+function tempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), "cassette-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// ─── loadCassette / saveCassette ────────────────────────────────────────────
+
+describe("loadCassette", () => {
+  it("returns an empty cassette for a missing file", () => {
+    assert.deepEqual(loadCassette("/nonexistent/cassette.json"), emptyCassette());
+    assert.equal(emptyCassette().version, CASSETTE_VERSION);
+  });
+
+  it("round-trips through saveCassette", (t) => {
+    const path = join(tempDir(t), "c.json");
+    const cassette = { version: 1, interactions: [{ args: ["api", "x"], stdout: "{}", stderr: "", exit_code: 0 }] };
+    saveCassette(path, cassette);
+    assert.deepEqual(loadCassette(path), cassette);
+  });
+
+  it("throws on a file that is not a cassette", (t) => {
+    const path = join(tempDir(t), "c.json");
+    writeFileSync(path, "{}");
+    assert.throws(() => loadCassette(path), /not a cassette/);
+  });
+});
+
+// ─── recordingExec ──────────────────────────────────────────────────────────
+
+describe("recordingExec", () => {
+  it("records successes and failures in call order", async () => {
+    const cassette = emptyCassette();
+    let saved = 0;
+    const exec = recordingExec(
+      cassette,
+      async (args) => {
+        if (args[1] === "missing") throw ghError("gh: Not Found (HTTP 404)");
+        return `out:${args[1]}`;
+      },
+      { onRecord: () => saved++ },
+    );
+
+    assert.equal(await exec(["api", "ok"]), "out:ok");
+    await assert.rejects(exec(["api", "missing"]));
+
+    assert.deepEqual(cassette.interactions, [
+      { args: ["api", "ok"], stdout: "out:ok", stderr: "", exit_code: 0 },
+      { args: ["api", "missing"], stdout: "", stderr: "gh: Not Found (HTTP 404)", exit_code: 1 },
+    ]);
+    assert.equal(saved, 2);
+  });
+});
+
+// ─── replayingExec ──────────────────────────────────────────────────────────
+
+describe("replayingExec", () => {
+  const cassette = {
+    version: 1,
+    interactions: [
+      { args: ["api", "a"], stdout: "first", stderr: "", exit_code: 0 },
+      { args: ["api", "b"], stdout: "", stderr: "HTTP 502", exit_code: 1 },
+      { args: ["api", "a"], stdout: "second", stderr: "", exit_code: 0 },
+    ],
+  };
+
+  it("serves matching interactions in order, then repeats the last", async () => {
+    const exec = replayingExec(cassette);
+    assert.equal(await exec(["api", "a"]), "first");
+    assert.equal(await exec(["api", "a"]), "second");
+    assert.equal(await exec(["api", "a"]), "second");
+  });
+
+  it("replays failures like execGh", async () => {
+    const exec = replayingExec(cassette);
+    await assert.rejects(exec(["api", "b"]), (err) => {
+      assert.equal(err.code, 1);
+      assert.equal(err.stderr, "HTTP 502");
+      return true;
+    });
+  });
+
+  it("fails loudly, without retries, on unrecorded calls", async () => {
+    const exec = replayingExec(cassette);
+    await assert.rejects(exec(["api", "c"]), (err) => {
+      assert.equal(err.cassetteMiss, true);
+      assert.match(err.message, /no recorded interaction for gh api c/);
+      assert.ok(isNonRetryable(err));
+      return true;
+    });
+  });
+});
+
+// ─── useCassette ────────────────────────────────────────────────────────────
+
+describe("useCassette", () => {
+  after(() => ejectCassette());
+
+  it("records through ghExec and replays without running gh", async (t) => {
+    const path = join(tempDir(t), "c.json");
+    const fakeGh = async (args) => JSON.stringify({ endpoint: args[1] });
+
+    useCassette(path, { mode: "record", _exec: fakeGh });
+    assert.deepEqual(await ghApiGet("repos/a/b"), { endpoint: "repos/a/b" });
+    ejectCassette();
+    assert.equal(loadCassette(path).interactions.length, 1);
+
+    useCassette(path, { mode: "replay" });
+    assert.deepEqual(await ghApiGet("repos/a/b"), { endpoint: "repos/a/b" });
+    await assert.rejects(ghApiGet("repos/c/d"), /no recorded interaction/);
+    ejectCassette();
+  });
+
+  it("replays recorded retries without waiting", async (t) => {
+    const path = join(tempDir(t), "c.json");
+    saveCassette(path, {
+      version: 1,
+      interactions: [
+        { args: ["api", "flaky"], stdout: "", stderr: "HTTP 502", exit_code: 1 },
+        { args: ["api", "flaky"], stdout: "ok", stderr: "", exit_code: 0 },
+      ],
+    });
+    useCassette(path, { mode: "replay" });
+    const started = Date.now();
+    assert.equal(await ghExec(["api", "flaky"]), "ok");
+    assert.ok(Date.now() - started < 1000, "no backoff sleep in replay");
+    ejectCassette();
+  });
+
+  it("rejects unknown modes", () => {
+    assert.throws(() => useCassette("/tmp/x.json", { mode: "rewind" }), /cassette mode/);
+  });
+});
+
+// ─── main() end to end, offline ─────────────────────────────────────────────
+
+describe("main (cassette replay)", () => {
+  const REPOS = {
+    "alice/tool": { stars: 50, filePath: "HALLUCINATE.md" },
+    "bob/lib": { stars: 5, filePath: "docs/HALLUCINATE.md" },
+    "carol/app": { stars: 20, filePath: "HALLUCINATE.md" },
+  };
+  const issues = [
+    { number: 1, title: "Add carol/app", body: "", state: "open", updated_at: "2026-10-01T00:00:00Z", user: { login: "carol" } },
+    { number: 2, title: "dave/missing", body: "", state: "open", updated_at: "2026-10-01T00:00:00Z", user: { login: "dave" } },
+  ];
+  const page = (items) => `HTTP/2.0 200 OK\nContent-Type: application/json\n\n${JSON.stringify(items)}`;
+  const node = (name) => ({
+    databaseId: 1,
+    name: name.split("/")[1],
+    nameWithOwner: name,
+    description: `${name} description`,
+    stargazerCount: REPOS[name].stars,
+    primaryLanguage: { name: "JavaScript" },
+    owner: { __typename: "User", login: name.split("/")[0], avatarUrl: "https://avatars.githubusercontent.com/u/1" },
+    url: `https://github.com/${name}`,
+    defaultBranchRef: { name: "main" },
+    isFork: false,
+    isArchived: false,
+    isDisabled: false,
+    licenseInfo: null,
+    repositoryTopics: { nodes: [] },
+    pushedAt: "2026-10-01T00:00:00Z",
+    file: { text: "Do not hallucinate!", isBinary: false },
+  });
+
+  /** A stand-in for the `gh` binary, used only while recording */
+  async function fakeGh(args) {
+    if (args[0] === "search") {
+      return JSON.stringify(
+        ["alice/tool", "bob/lib"].map((n) => ({ path: REPOS[n].filePath, repository: { nameWithOwner: n } })),
+      );
+    }
+    if (args[0] === "issue") return "";
+    if (args[1] === "graphql") {
+      const vars = Object.fromEntries(args.filter((a) => /^[on]\d+=/.test(a)).map((a) => a.split("=")));
+      const data = {};
+      for (let i = 0; vars[`o${i}`]; i++) data[`r${i}`] = node(`${vars[`o${i}`]}/${vars[`n${i}`]}`);
+      return JSON.stringify({ data });
+    }
+    const endpoint = args[args.length - 1];
+    if (endpoint === "rate_limit") {
+      const bucket = { limit: 5000, remaining: 4999, reset: 4102444800 };
+      return JSON.stringify({ resources: { core: bucket, search: bucket, code_search: bucket, graphql: bucket } });
+    }
+    if (endpoint.startsWith("search/code?")) return JSON.stringify({ total_count: 2, items: [] });
+    if (endpoint === `repos/${ISSUES_REPO}/issues?labels=add-repo&state=all&per_page=100`) return page(issues);
+    if (endpoint === `repos/${ISSUES_REPO}/issues?labels=remove-repo&state=open&per_page=100`) return page([]);
+    if (endpoint === "repos/carol/app/contents/HALLUCINATE.md") return "{}";
+    if (/^repos\/(alice|bob|carol)\/\w+\/git\/trees\//.test(endpoint)) return JSON.stringify({ tree: [], truncated: false });
+    throw ghError("gh: Not Found (HTTP 404)");
+  }
+
+  const run = async (dataDir, extra = {}) => {
+    await main({
+      ...parseCliArgs(["--report", join(dataDir, "report.json"), "--no-cache"]),
+      dataDir,
+      ...extra,
+    });
+    return JSON.parse(readFileSync(join(dataDir, "adopters.json"), "utf-8"));
+  };
+
+  let quiet;
+  before(() => {
+    quiet = { log: console.log, warn: console.warn };
+    console.log = () => {};
+    console.warn = () => {};
+    // Recording talks to fakeGh — no need to space issue writes
+    useRateBudget({ _sleep: instantSleep });
+  });
+  after(() => {
+    Object.assign(console, quiet);
+    ejectCassette();
+    useRateBudget();
+  });
+
+  it("records a full scan and replays it to the same result", async (t) => {
+    const dir = tempDir(t);
+    const cassettePath = join(dir, "scan.json");
+
+    useCassette(cassettePath, { mode: "record", _exec: fakeGh });
+    const recorded = await run(mkdtempSync(join(dir, "record-")));
+    ejectCassette();
+
+    useCassette(cassettePath, { mode: "replay" });
+    const replayDir = mkdtempSync(join(dir, "replay-"));
+    const replayed = await run(replayDir);
+    ejectCassette();
+
+    assert.deepEqual(recorded.map((a) => [a.full_name, a.stars]), [
+      ["alice/tool", 50],
+      ["carol/app", 20],
+      ["bob/lib", 5],
+    ]);
+    assert.deepEqual(replayed, recorded);
+
+    // Issue housekeeping went through the cassette too
+    const report = JSON.parse(readFileSync(join(replayDir, "report.json"), "utf-8"));
+    assert.deepEqual(report.issue_actions.map((a) => [a.number, a.type, a.status]), [
+      [1, "close-valid", "done"],
+      [2, "reject", "done"],
+    ]);
+    const calls = loadCassette(cassettePath).interactions.map((i) => i.args.slice(0, 3).join(" "));
+    assert.ok(calls.includes("issue close 1"));
+    assert.ok(calls.includes("issue edit 2"));
+    assert.ok(existsSync(join(replayDir, "scan_state.json")));
+  });
+
+  /** A wall from a full run: alice/tool in its grace period, plus a repo search no longer finds */
+  const partialSetup = async (t) => {
+    const dir = tempDir(t);
+    useCassette(join(dir, "full.json"), { mode: "record", _exec: fakeGh });
+    const full = await run(mkdtempSync(join(dir, "full-")));
+    ejectCassette();
+
+    // No scan state, so every repo is due for a refresh
+    const dataDir = mkdtempSync(join(dir, "partial-"));
+    const bob = full.find((a) => a.full_name === "bob/lib");
+    const existing = [
+      ...full.map((a) =>
+        a.full_name === "alice/tool"
+          ? { ...a, stars: 999, date_added: "2026-09-01", last_seen: "2026-10-01", missing_since: "2026-10-02" }
+          : a,
+      ),
+      { ...bob, id: "R_erin", full_name: "erin/gone", owner: "erin", repo: "gone", missing_since: null },
+    ];
+    writeFileSync(join(dataDir, "adopters.json"), JSON.stringify(existing, null, 2) + "\n");
+    return { dir, dataDir, existing };
+  };
+
+  /** Record a run against fakeGh that aborts `deadline` on the first call matching `when` */
+  const runCutOff = async (dir, dataDir, when) => {
+    const deadline = new AbortController();
+    const cutOff = async (args) => {
+      if (!when(args)) return fakeGh(args);
+      deadline.abort(new Error("run deadline of 50 min reached"));
+      throw ghError("gh: context canceled");
+    };
+    useCassette(join(dir, "partial.json"), { mode: "record", _exec: cutOff });
+    const adopters = await run(dataDir, { signal: deadline.signal });
+    ejectCassette();
+    const report = JSON.parse(readFileSync(join(dataDir, "report.json"), "utf-8"));
+    return { adopters, report };
+  };
+
+  it("carries over the entries it did not reach, dates and all, when cut short", async (t) => {
+    const { dir, dataDir, existing } = await partialSetup(t);
+    const today = new Date().toISOString().slice(0, 10);
+
+    // The deadline passes while the repo batch is in flight
+    const { adopters, report } = await runCutOff(dir, dataDir, (args) => args[1] === "graphql");
+
+    const byName = (name) => adopters.find((a) => a.full_name === name);
+    const before = (name) => existing.find((a) => a.full_name === name);
+    for (const name of ["alice/tool", "bob/lib", "carol/app"]) assert.deepEqual(byName(name), before(name));
+    assert.equal(byName("alice/tool").missing_since, "2026-10-02");
+    assert.equal(byName("alice/tool").last_seen, "2026-10-01");
+    assert.equal(byName("alice/tool").date_added, "2026-09-01");
+    // Search did finish, so a repo it no longer finds starts its grace period
+    assert.equal(byName("erin/gone").missing_since, today);
+
+    assert.equal(report.status, "partial");
+    assert.deepEqual(report.fetch.skipped, ["alice/tool", "bob/lib", "carol/app"]);
+    assert.deepEqual(report.fetch.failures, []);
+    assert.deepEqual(report.adopters.missing, ["erin/gone"]);
+    // Issue housekeeping is left for the next run
+    assert.ok(report.issue_actions.every((a) => a.status === "failed"));
+    assert.ok(!loadCassette(join(dir, "partial.json")).interactions.some((i) => i.args[0] === "issue"));
+  });
+
+  it("writes a failed report with the error class when the run dies", async (t) => {
+    const dir = tempDir(t);
+    const dataDir = mkdtempSync(join(dir, "failed-"));
+    const denied = async (args) => {
+      if (args[1] === "graphql") throw ghError("gh: Bad credentials (HTTP 401)");
+      return fakeGh(args);
+    };
+    useCassette(join(dir, "failed.json"), { mode: "record", _exec: denied });
+    await assert.rejects(run(dataDir), { name: "AuthError" });
+    ejectCassette();
+
+    const report = JSON.parse(readFileSync(join(dataDir, "report.json"), "utf-8"));
+    assert.equal(report.status, "failed");
+    assert.equal(report.error.class, "AuthError");
+    assert.match(report.error.message, /Bad credentials/);
+    assert.ok(report.finished_at);
+    // What it had by then is kept
+    assert.equal(report.search.raw_count, 2);
+    assert.ok(!existsSync(join(dataDir, "adopters.json")));
+  });
+
+  it("does not count repos as missing when the sources were cut short", async (t) => {
+    const { dir, dataDir, existing } = await partialSetup(t);
+    // Search and add-repo issues are in; the removal requests are not
+    const { adopters, report } = await runCutOff(dir, dataDir, (args) => args.some((a) => /labels=remove-repo/.test(a)));
+
+    assert.equal(report.status, "partial");
+    assert.deepEqual(report.adopters.missing, []);
+    assert.ok(report.fetch.skipped.includes("erin/gone"));
+    assert.deepEqual(
+      [...adopters].sort((a, b) => a.full_name.localeCompare(b.full_name)),
+      [...existing].sort((a, b) => a.full_name.localeCompare(b.full_name)),
+    );
+  });
+});
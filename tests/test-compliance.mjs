@@ -0,0 +1,110 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  COMPLIANCE_CLASSES,
+  classifyContent,
+  isCompliant,
+  summarizeCompliance,
+} from "../scripts/compliance.mjs";
+
+// ─── classifyContent ─────────────────────────────────────────────────────────
+
+describe("classifyContent", () => {
+  it("returns null for unknown content", () => {
+    assert.equal(classifyContent(null), null);
+    assert.equal(classifyContent(undefined), null);
+  });
+
+  it("classifies the exact directive as canonical", () => {
+    assert.equal(classifyContent("Do not hallucinate!"), "canonical");
+    assert.equal(classifyContent("Do not hallucinate!\n"), "canonical");
+  });
+
+  it("tolerates surrounding whitespace, CRLF and a BOM", () => {
+    assert.equal(classifyContent("\uFEFF\r\n  Do not hallucinate!  \r\n\r\n"), "canonical");
+  });
+
+  it("tolerates case and punctuation variations", () => {
+    assert.equal(classifyContent("do not hallucinate"), "canonical");
+    assert.equal(classifyContent("DO NOT HALLUCINATE."), "canonical");
+  });
+
+  it("classifies a leading heading + directive as canonical-with-heading", () => {
+    assert.equal(classifyContent("# HALLUCINATE.md\n\nDo not hallucinate!\n"), "canonical-with-heading");
+    assert.equal(classifyContent("## Policy\nDo not hallucinate!"), "canonical-with-heading");
+  });
+
+  it("classifies a trailing heading as extended, not canonical-with-heading", () => {
+    assert.equal(classifyContent("Do not hallucinate!\n# Footer"), "extended");
+  });
+
+  it("classifies the directive plus more content as extended", () => {
+    const text = "# HALLUCINATE.md\n\nDo not hallucinate!\n\n- Cite your sources.\n- Do not invent APIs.";
+    assert.equal(classifyContent(text), "extended");
+  });
+
+  it("classifies the directive inside a sentence as extended", () => {
+    assert.equal(classifyContent("Please do not hallucinate APIs."), "extended");
+  });
+
+  it("classifies whitespace-only or heading-only files as empty", () => {
+    assert.equal(classifyContent(""), "empty");
+    assert.equal(classifyContent("  \n\n"), "empty");
+    assert.equal(classifyContent("# HALLUCINATE.md\n"), "empty");
+  });
+
+  it("classifies other content as unrelated", () => {
+    const wordList = "---\ntitle: hallucinate\ntier: 3\n---\n\nConsider replacing with 'fabricate'.";
+    assert.equal(classifyContent(wordList), "unrelated");
+  });
+
+  it("always returns a known class for strings", () => {
+    for (const text of ["", "x", "Do not hallucinate!", "# a\nb"]) {
+      assert.ok(COMPLIANCE_CLASSES.includes(classifyContent(text)));
+    }
+  });
+});
+
+// ─── isCompliant ─────────────────────────────────────────────────────────────
+
+describe("isCompliant", () => {
+  it("accepts canonical, canonical-with-heading and extended", () => {
+    assert.ok(isCompliant("canonical"));
+    assert.ok(isCompliant("canonical-with-heading"));
+    assert.ok(isCompliant("extended"));
+  });
+
+  it("rejects empty, unrelated and unknown", () => {
+    assert.ok(!isCompliant("empty"));
+    assert.ok(!isCompliant("unrelated"));
+    assert.ok(!isCompliant(null));
+  });
+});
+
+// ─── summarizeCompliance ─────────────────────────────────────────────────────
+
+describe("summarizeCompliance", () => {
+  it("counts every class, with unknown for missing values", () => {
+    const counts = summarizeCompliance([
+      { compliance: "canonical" },
+      { compliance: "canonical" },
+      { compliance: "unrelated" },
+      { compliance: null },
+      {},
+    ]);
+    assert.deepEqual(counts, {
+      canonical: 2,
+      "canonical-with-heading": 0,
+      extended: 0,
+      empty: 0,
+      unrelated: 1,
+      unknown: 2,
+    });
+  });
+
+  it("returns zeros for an empty list", () => {
+    const counts = summarizeCompliance([]);
+    assert.ok(Object.values(counts).every((n) => n === 0));
+  });
+});
@@ -0,0 +1,237 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DIAGNOSIS_REASONS,
+  MAX_BRANCHES_CHECKED,
+  diagnoseSubmission,
+  formatSuggestion,
+  explainDiagnosis,
+} from "../scripts/diagnose.mjs";
+import { NotFoundError, PermissionError, TransientError } from "../scripts/gh-errors.mjs";
+
+const NOT_FOUND = () => {
+  throw new NotFoundError("gh: Not Found (HTTP 404)", { status: 404 });
+};
+
+/**
+ * Fake GitHub API: `repo` is the repos/{name} response (null → 404),
+ * `trees` maps branch → blob paths, `branches` lists branch names.
+ */
+function fakeApi({ repo = { full_name: "alice/repo", default_branch: "main" }, trees = {}, branches } = {}) {
+  const calls = [];
+  const apiGet = async (endpoint) => {
+    calls.push(endpoint);
+    const tree = endpoint.match(/\/git\/trees\/([^?]+)\?recursive=1$/);
+    if (tree) {
+      const paths = trees[decodeURIComponent(tree[1])];
+      if (!paths) NOT_FOUND();
+      return { tree: paths.map((path) => ({ path, type: "blob" })), truncated: false };
+    }
+    if (endpoint.includes("/branches?")) {
+      return (branches ?? Object.keys(trees)).map((name) => ({ name }));
+    }
+    if (!repo) NOT_FOUND();
+    return repo;
+  };
+  apiGet.calls = calls;
+  return apiGet;
+}
+
+const submitted = (overrides = {}) => ({
+  nameWithOwner: "alice/repo",
+  filePath: "HALLUCINATE.md",
+  ref: null,
+  ...overrides,
+});
+
+const diagnose = (candidate, api, options = {}) =>
+  diagnoseSubmission(candidate, { _apiGet: api, ...options });
+
+// ─── diagnoseSubmission ─────────────────────────────────────────────────────
+
+describe("diagnoseSubmission", () => {
+  it("reports a private or missing repo", async () => {
+    const d = await diagnose(submitted(), fakeApi({ repo: null }));
+    assert.deepEqual(d.reasons, ["private"]);
+    assert.equal(d.suggestion, null);
+  });
+
+  it("throws when the repo lookup fails for another reason", async () => {
+    const api = async () => { throw new TransientError("gh: Bad Gateway (HTTP 502)", { status: 502 }); };
+    await assert.rejects(() => diagnose(submitted(), api), TransientError);
+  });
+
+  it("throws when a tree lookup fails for another reason than not found", async () => {
+    const api = fakeApi({ trees: { main: ["HALLUCINATE.md"] } });
+    const failing = async (endpoint) => {
+      if (endpoint.includes("/git/trees/")) {
+        throw new PermissionError("gh: Resource not accessible by integration (HTTP 403)", { status: 403 });
+      }
+      return api(endpoint);
+    };
+    await assert.rejects(() => diagnose(submitted(), failing), PermissionError);
+  });
+
+  it("reports a repo the token can see but that is private", async () => {
+    const d = await diagnose(submitted(), fakeApi({ repo: { full_name: "alice/repo", private: true } }));
+    assert.deepEqual(d.reasons, ["private"]);
+  });
+
+  it("detects a renamed or transferred repo", async () => {
+    const api = fakeApi({
+      repo: { full_name: "bob/new-name", default_branch: "main" },
+      trees: { main: ["HALLUCINATE.md"] },
+    });
+    const d = await diagnose(submitted(), api);
+    assert.deepEqual(d.reasons, ["renamed"]);
+    assert.equal(d.nameWithOwner, "bob/new-name");
+    assert.deepEqual(d.suggestion, { nameWithOwner: "bob/new-name", filePath: "HALLUCINATE.md", ref: null });
+    assert.ok(api.calls.includes("repos/bob/new-name/git/trees/main?recursive=1"));
+  });
+
+  it("does not treat a change of name casing as a rename", async () => {
+    const api = fakeApi({
+      repo: { full_name: "Alice/Repo", default_branch: "main" },
+      trees: { main: ["hallucinate.md"] },
+    });
+    const d = await diagnose(submitted(), api);
+    assert.deepEqual(d.reasons, ["filename-case"]);
+  });
+
+  it("detects different filename casing", async () => {
+    const d = await diagnose(submitted(), fakeApi({ trees: { main: ["README.md", "Hallucinate.md"] } }));
+    assert.deepEqual(d.reasons, ["filename-case"]);
+    assert.deepEqual(d.suggestion, { nameWithOwner: "alice/repo", filePath: "Hallucinate.md", ref: null });
+  });
+
+  it("gives no suggestion when the exact case policy would reject the file", async () => {
+    const d = await diagnose(submitted(), fakeApi({ trees: { main: ["hallucinate.md"] } }), {
+      casePolicy: "exact",
+    });
+    assert.deepEqual(d.reasons, ["filename-case"]);
+    assert.equal(d.suggestion, null);
+    assert.equal(d.found.filePath, "hallucinate.md");
+  });
+
+  it("finds the file in a subdirectory, preferring the shallowest", async () => {
+    const d = await diagnose(
+      submitted(),
+      fakeApi({ trees: { main: ["a/b/c/HALLUCINATE.md", "docs/HALLUCINATE.md", "src/index.js"] } }),
+    );
+    assert.deepEqual(d.reasons, ["subdirectory"]);
+    assert.equal(d.suggestion.filePath, "docs/HALLUCINATE.md");
+  });
+
+  it("finds the file on another branch", async () => {
+    const api = fakeApi({ trees: { main: ["README.md"], dev: ["HALLUCINATE.md"] } });
+    const d = await diagnose(submitted(), api);
+    assert.deepEqual(d.reasons, ["other-branch"]);
+    assert.equal(d.checkedRef, "main");
+    assert.deepEqual(d.suggestion, { nameWithOwner: "alice/repo", filePath: "HALLUCINATE.md", ref: "dev" });
+  });
+
+  it("checks the default branch first when a non-default ref was submitted", async () => {
+    const api = fakeApi({ trees: { main: ["HALLUCINATE.md"], dev: ["x"], old: ["HALLUCINATE.md"] } });
+    const d = await diagnose(submitted({ ref: "typo" }), api);
+    assert.deepEqual(d.reasons, ["other-branch"]);
+    assert.equal(d.checkedRef, "typo");
+    assert.deepEqual(d.suggestion, { nameWithOwner: "alice/repo", filePath: "HALLUCINATE.md", ref: null });
+  });
+
+  it(`checks at most ${MAX_BRANCHES_CHECKED} other branches`, async () => {
+    const names = Array.from({ length: MAX_BRANCHES_CHECKED + 3 }, (_, i) => `b${i}`);
+    const api = fakeApi({ trees: { main: [] }, branches: ["main", ...names] });
+    const d = await diagnose(submitted(), api);
+    assert.deepEqual(d.reasons, ["not-found"]);
+    const treeCalls = api.calls.filter((c) => c.includes("/git/trees/"));
+    assert.equal(treeCalls.length, 1 + MAX_BRANCHES_CHECKED);
+  });
+
+  it("combines reasons", async () => {
+    const api = fakeApi({
+      repo: { full_name: "bob/repo", default_branch: "main" },
+      trees: { main: [], dev: ["docs/hallucinate.md"] },
+    });
+    const d = await diagnose(submitted(), api);
+    assert.deepEqual(d.reasons, ["renamed", "other-branch", "subdirectory", "filename-case"]);
+    assert.deepEqual(d.suggestion, { nameWithOwner: "bob/repo", filePath: "docs/hallucinate.md", ref: "dev" });
+  });
+
+  it("reports not-found for an empty repo", async () => {
+    const d = await diagnose(submitted(), fakeApi({ repo: { full_name: "alice/repo", default_branch: null } }));
+    assert.deepEqual(d.reasons, ["not-found"]);
+    assert.equal(d.checkedRef, null);
+  });
+
+  it("survives a failing branch list", async () => {
+    const api = async (endpoint) => {
+      if (endpoint === "repos/alice/repo") return { full_name: "alice/repo", default_branch: "main" };
+      if (endpoint.includes("/git/trees/main")) return { tree: [] };
+      NOT_FOUND();
+    };
+    const d = await diagnose(submitted(), api);
+    assert.deepEqual(d.reasons, ["not-found"]);
+  });
+
+  it("only uses known reasons", async () => {
+    const d = await diagnose(submitted(), fakeApi({ trees: { main: ["docs/hallucinate.md"] } }));
+    for (const reason of d.reasons) assert.ok(DIAGNOSIS_REASONS.includes(reason), reason);
+  });
+});
+
+// ─── formatSuggestion ───────────────────────────────────────────────────────
+
+describe("formatSuggestion", () => {
+  it("uses owner/repo for a root file on the default branch", async () => {
+    const d = await diagnose(submitted(), fakeApi({ repo: { full_name: "bob/repo", default_branch: "main" }, trees: { main: ["HALLUCINATE.md"] } }));
+    assert.equal(formatSuggestion(d), "bob/repo");
+  });
+
+  it("uses a blob URL on the default branch for a subdirectory", async () => {
+    const d = await diagnose(submitted(), fakeApi({ trees: { main: ["docs/HALLUCINATE.md"] } }));
+    assert.equal(formatSuggestion(d), "https://github.com/alice/repo/blob/main/docs/HALLUCINATE.md");
+  });
+
+  it("uses a blob URL on another branch", async () => {
+    const d = await diagnose(submitted(), fakeApi({ trees: { main: [], dev: ["HALLUCINATE.md"] } }));
+    assert.equal(formatSuggestion(d), "https://github.com/alice/repo/blob/dev/HALLUCINATE.md");
+  });
+
+  it("returns null without a suggestion", async () => {
+    const d = await diagnose(submitted(), fakeApi({ repo: null }));
+    assert.equal(formatSuggestion(d), null);
+  });
+});
+
+// ─── explainDiagnosis ───────────────────────────────────────────────────────
+
+describe("explainDiagnosis", () => {
+  it("explains every reason", async () => {
+    const d = await diagnose(
+      submitted(),
+      fakeApi({ repo: { full_name: "bob/repo", default_branch: "main" }, trees: { main: [], dev: ["docs/hallucinate.md"] } }),
+    );
+    const text = explainDiagnosis(d).join(" ");
+    assert.ok(text.includes("renamed or transferred to **bob/repo**"));
+    assert.ok(text.includes("on the `dev` branch, not `main`"));
+    assert.ok(text.includes("at `docs/hallucinate.md`, not `HALLUCINATE.md`"));
+    assert.ok(text.includes("named `hallucinate.md`, not `HALLUCINATE.md`"));
+  });
+
+  it("asks for a rename when the case policy rejects the file", async () => {
+    const d = await diagnose(submitted(), fakeApi({ trees: { main: ["hallucinate.md"] } }), { casePolicy: "exact" });
+    assert.deepEqual(explainDiagnosis(d), ["The file is named `hallucinate.md` — please rename it to `HALLUCINATE.md`."]);
+  });
+
+  it("explains a private repo", async () => {
+    const d = await diagnose(submitted(), fakeApi({ repo: null }));
+    assert.match(explainDiagnosis(d)[0], /private or does not exist/);
+  });
+
+  it("explains a file that appeared after the check", async () => {
+    const d = await diagnose(submitted(), fakeApi({ trees: { main: ["HALLUCINATE.md"] } }));
+    assert.deepEqual(d.reasons, []);
+    assert.match(explainDiagnosis(d)[0], /exists now/);
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  CANONICAL_FILENAME,
+  FILENAME_CASE_POLICIES,
+  DEFAULT_FILENAME_CASE_POLICY,
+  SIBLING_MARKDOWN_THRESHOLD,
+  matchesFilename,
+  detectFalsePositive,
+  loadReviewList,
+  saveReviewList,
+} from "../scripts/false-positives.mjs";
+
+/** n markdown file names */
+function markdownFiles(n) {
+  return Array.from({ length: n }, (_, i) => `word${i}.md`);
+}
+
+// ─── matchesFilename ────────────────────────────────────────────────────────
+
+describe("matchesFilename", () => {
+  it("defaults to the insensitive policy", () => {
+    assert.equal(DEFAULT_FILENAME_CASE_POLICY, "insensitive");
+    assert.ok(FILENAME_CASE_POLICIES.includes(DEFAULT_FILENAME_CASE_POLICY));
+  });
+
+  it("accepts any casing when insensitive", () => {
+    assert.equal(matchesFilename("HALLUCINATE.md"), true);
+    assert.equal(matchesFilename("hallucinate.md"), true);
+    assert.equal(matchesFilename("Hallucinate.MD", "insensitive"), true);
+  });
+
+  it("accepts only the canonical name when exact", () => {
+    assert.equal(matchesFilename(CANONICAL_FILENAME, "exact"), true);
+    assert.equal(matchesFilename("hallucinate.md", "exact"), false);
+    assert.equal(matchesFilename("HALLUCINATE.MD", "exact"), false);
+  });
+
+  it("rejects other names and non-strings", () => {
+    assert.equal(matchesFilename("HALLUCINATE.txt"), false);
+    assert.equal(matchesFilename("NOT-HALLUCINATE.md"), false);
+    assert.equal(matchesFilename(null), false);
+    assert.equal(matchesFilename(undefined), false);
+  });
+});
+
+// ─── detectFalsePositive ────────────────────────────────────────────────────
+
+describe("detectFalsePositive", () => {
+  it("never flags compliant content", () => {
+    const result = detectFalsePositive({
+      filePath: "words/hallucinate.md",
+      siblings: markdownFiles(100),
+      content: "---\ntitle: x\n---\nDo not hallucinate!",
+      compliance: "extended",
+    });
+    assert.deepEqual(result, { suspect: false, reasons: [] });
+  });
+
+  it("does not flag a canonical root file with unknown content", () => {
+    const result = detectFalsePositive({ filePath: "HALLUCINATE.md" });
+    assert.deepEqual(result, { suspect: false, reasons: [] });
+  });
+
+  it("does not flag on a single signal", () => {
+    const result = detectFalsePositive({ filePath: "hallucinate.md", siblings: ["README.md"] });
+    assert.equal(result.suspect, false);
+    assert.equal(result.reasons.length, 1);
+    assert.match(result.reasons[0], /non-canonical filename casing \(hallucinate\.md\)/);
+  });
+
+  it("flags a lowercase file in a word list", () => {
+    const result = detectFalsePositive({
+      filePath: "data/words/hallucinate.md",
+      content: "# hallucinate\n\nverb: to perceive something not present",
+      compliance: "unrelated",
+    });
+    assert.equal(result.suspect, true);
+    assert.equal(result.reasons.length, 3);
+    assert.ok(result.reasons.some((r) => r.includes("data/words/")));
+    assert.ok(result.reasons.includes("content does not state the directive"));
+  });
+
+  it("recognises blog and letter-bucket directories", () => {
+    for (const filePath of ["_posts/hallucinate.md", "blog/2024/hallucinate.md", "h/hallucinate.md", "tier-3/hallucinate.md"]) {
+      const { reasons } = detectFalsePositive({ filePath });
+      assert.ok(reasons.some((r) => r.startsWith("path looks like")), filePath);
+    }
+  });
+
+  it("does not treat ordinary directories as suspect paths", () => {
+    for (const filePath of ["docs/HALLUCINATE.md", ".github/HALLUCINATE.md", "packages/core/HALLUCINATE.md"]) {
+      assert.deepEqual(detectFalsePositive({ filePath }).reasons, [], filePath);
+    }
+  });
+
+  it("counts sibling markdown files against the threshold", () => {
+    const below = detectFalsePositive({
+      filePath: "HALLUCINATE.md",
+      siblings: markdownFiles(SIBLING_MARKDOWN_THRESHOLD - 1),
+    });
+    assert.deepEqual(below.reasons, []);
+
+    const at = detectFalsePositive({
+      filePath: "HALLUCINATE.md",
+      siblings: [...markdownFiles(SIBLING_MARKDOWN_THRESHOLD), "index.js"],
+    });
+    assert.deepEqual(at.reasons, [`${SIBLING_MARKDOWN_THRESHOLD} sibling markdown files`]);
+  });
+
+  it("detects front matter, with or without a BOM", () => {
+    for (const content of ["---\ntitle: Hallucinate\n---\n", "\uFEFF---\r\nlayout: post\r\n---\r\n"]) {
+      const { reasons } = detectFalsePositive({ filePath: "HALLUCINATE.md", content, compliance: "unrelated" });
+      assert.ok(reasons.includes("has front matter"));
+    }
+  });
+
+  it("flags a canonical-cased file on content signals alone", () => {
+    const result = detectFalsePositive({
+      filePath: "HALLUCINATE.md",
+      content: "---\ntitle: Hallucinate\n---\nA song.",
+      compliance: "unrelated",
+    });
+    assert.equal(result.suspect, true);
+  });
+
+  it("does not count empty content as unrelated", () => {
+    const { reasons } = detectFalsePositive({ filePath: "HALLUCINATE.md", content: "", compliance: "empty" });
+    assert.deepEqual(reasons, []);
+  });
+});
+
+// ─── review list persistence ────────────────────────────────────────────────
+
+describe("loadReviewList / saveReviewList", () => {
+  it("returns [] for a missing file", () => {
+    assert.deepEqual(loadReviewList("/nonexistent/review.json"), []);
+  });
+
+  it("returns [] for corrupt or non-array files", () => {
+    const dir = mkdtempSync(join(tmpdir(), "review-"));
+    try {
+      const path = join(dir, "review.json");
+      writeFileSync(path, "{not json");
+      assert.deepEqual(loadReviewList(path), []);
+      writeFileSync(path, '{"full_name":"a/b"}');
+      assert.deepEqual(loadReviewList(path), []);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("round-trips entries sorted by full_name", () => {
+    const dir = mkdtempSync(join(tmpdir(), "review-"));
+    try {
+      const path = join(dir, "review.json");
+      saveReviewList(path, [
+        { full_name: "z/z", review_reasons: ["x"], flagged_on: "2026-01-01" },
+        { full_name: "a/a", review_reasons: ["y"], flagged_on: "2026-01-02" },
+      ]);
+      assert.ok(readFileSync(path, "utf-8").endsWith("\n"));
+      assert.deepEqual(loadReviewList(path).map((e) => e.full_name), ["a/a", "z/z"]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+
+import {
+  GhError,
+  RateLimitError,
+  NotFoundError,
+  AuthError,
+  PermissionError,
+  TransientError,
+  TimeoutError,
+  CancelledError,
+  ResponseTooLargeError,
+  classifyGhError,
+  ghEndpoint,
+  parseHttpStatus,
+} from "../scripts/gh-errors.mjs";
+
+/** A failure shaped like execGh's: message repeats the command, stderr is gh's own. */
+function ghFailure(stderr, extra = {}) {
+  const err = new Error(`Command failed: gh api repos/a/b\n${stderr}`);
+  err.code = 1;
+  err.stderr = stderr;
+  err.stdout = "";
+  return Object.assign(err, extra);
+}
+
+// ─── parseHttpStatus / ghEndpoint ───────────────────────────────────────────
+
+describe("parseHttpStatus", () => {
+  it("reads both of gh's formats", () => {
+    assert.equal(parseHttpStatus("gh: Not Found (HTTP 404)"), 404);
+    assert.equal(parseHttpStatus("HTTP 403: API rate limit exceeded for user"), 403);
+  });
+
+  it("returns null without a status", () => {
+    assert.equal(parseHttpStatus("GraphQL: Could not resolve to a Repository"), null);
+    assert.equal(parseHttpStatus(undefined), null);
+  });
+});
+
+describe("ghEndpoint", () => {
+  it("names the API path or the subcommand", () => {
+    assert.equal(ghEndpoint(["api", "-i", "repos/a/b", "-H", "If-None-Match: x"]), "repos/a/b");
+    assert.equal(ghEndpoint(["api", "graphql", "-f", "query=q"]), "graphql");
+    assert.equal(ghEndpoint(["issue", "close", "3", "--repo", "o/r"]), "issue close");
+  });
+});
+
+// ─── classifyGhError ─────────────────────────────────────────────────────────
+
+describe("classifyGhError", () => {
+  const cases = [
+    ["gh: Not Found (HTTP 404)", NotFoundError],
+    ["gh: This issue was deleted (HTTP 410)", NotFoundError],
+    ["GraphQL: Could not resolve to an issue or pull request with the number of 5.", NotFoundError],
+    ["gh: Bad credentials (HTTP 401)", AuthError],
+    ["gh: Resource not accessible by integration (HTTP 403)", PermissionError],
+    ["gh: API rate limit exceeded for user ID 1. (HTTP 403)", RateLimitError],
+    ["gh: You have exceeded a secondary rate limit (HTTP 403)", RateLimitError],
+    ["HTTP 429: Too Many Requests", RateLimitError],
+    ["GraphQL: API rate limit exceeded for user ID 1.", RateLimitError],
+    ["gh: Bad Gateway (HTTP 502)", TransientError],
+    ["connection reset by peer", TransientError],
+    ["gh: Validation Failed (HTTP 422)", GhError],
+  ];
+  for (const [stderr, Type] of cases) {
+    it(`${stderr} → ${Type.name}`, () => {
+      const err = classifyGhError(ghFailure(stderr));
+      assert.equal(err.constructor, Type);
+      assert.equal(err.name, Type.name);
+    });
+  }
+
+  it("ignores the command line in the message", () => {
+    const err = new Error("Command failed: gh api search/code?q=not+found+rate+limit");
+    err.stderr = "gh: Bad credentials (HTTP 401)";
+    assert.ok(classifyGhError(err) instanceof AuthError);
+  });
+
+  it("treats gh's not-logged-in exit code as an auth error", () => {
+    assert.ok(classifyGhError(ghFailure("To get started with GitHub CLI, please run:  gh auth login", { code: 4 })) instanceof AuthError);
+  });
+
+  it("detects timeouts from execFile and from the HTTP client", () => {
+    assert.ok(classifyGhError(ghFailure("", { killed: true, signal: "SIGTERM" })) instanceof TimeoutError);
+    assert.ok(classifyGhError(ghFailure("gh: timed out after 10ms", { timedOut: true })) instanceof TimeoutError);
+  });
+
+  it("prefers the HTTP client's status and headers over stderr", () => {
+    const err = classifyGhError(
+      ghFailure("gh: Forbidden (HTTP 403)", {
+        status: 403,
+        headers: { "x-ratelimit-remaining": "0" },
+        retryAfterMs: 5000,
+      }),
+    );
+    assert.ok(err instanceof RateLimitError);
+    assert.equal(err.retryAfterMs, 5000);
+  });
+
+  it("carries status, endpoint and retry metadata", () => {
+    const raw = ghFailure("gh: Not Found (HTTP 404)");
+    const err = classifyGhError(raw, ["api", "-i", "repos/a/b"]);
+    assert.equal(err.message, "gh: Not Found (HTTP 404)");
+    assert.equal(err.status, 404);
+    assert.equal(err.endpoint, "repos/a/b");
+    assert.equal(err.exitCode, 1);
+    assert.equal(err.retryable, false);
+    assert.equal(err.attempts, 1);
+    assert.equal(err.cause, raw);
+
+    const limited = classifyGhError(ghFailure("API rate limit exceeded. Retry-After: 60"));
+    assert.equal(limited.retryable, true);
+    assert.equal(limited.retryAfterMs, 60_000);
+  });
+
+  it("never retries our own refusals", () => {
+    assert.equal(classifyGhError(ghFailure("cassette: no recorded interaction", { cassetteMiss: true })).retryable, false);
+    assert.equal(classifyGhError(ghFailure("gh issue lock: not supported", { usage: true })).retryable, false);
+  });
+
+  it("returns typed errors unchanged", () => {
+    const err = new NotFoundError("gone", { status: 404 });
+    assert.equal(classifyGhError(err), err);
+  });
+
+  it("does not retry output that overflowed execFile's buffer", async () => {
+    // A real overflow: execFile kills the child and leaves no status or stderr
+    const raw = await new Promise((resolve) => {
+      const script = "process.stdout.write('x'.repeat(2 * 1024 * 1024))";
+      execFile(process.execPath, ["-e", script], { encoding: "utf-8", maxBuffer: 1024 * 1024 }, (err) => resolve(err));
+    });
+    const err = classifyGhError(raw, ["api", "repos/a/b/git/trees/main?recursive=1"]);
+    assert.ok(err instanceof ResponseTooLargeError, `got ${err.name}`);
+    assert.equal(err.retryable, false);
+    assert.equal(err.endpoint, "repos/a/b/git/trees/main?recursive=1");
+  });
+
+  it("never retries a cancelled call", () => {
+    const err = new CancelledError("gh: cancelled — run deadline reached");
+    assert.equal(err.retryable, false);
+    assert.equal(classifyGhError(err), err);
+  });
+});
@@ -0,0 +1,289 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { createHttpExec, graphqlUrlFor, retryAfterMs, typedFieldValue } from "../scripts/gh-http.mjs";
+import {
+  ghApiGet,
+  ghApiGetConditional,
+  ghApiPaginate,
+  ghExec,
+  ghGraphQL,
+  useHttpClient,
+  useCliClient,
+  isRateLimitError,
+  isNonRetryable,
+} from "../scripts/gh.mjs";
+
+const instantSleep = () => Promise.resolve();
+
+/**
+ * A fetch stub: `routes` maps "METHOD url" to a response spec
+ * { status, body, headers } (or a function returning one). Every request
+ * is recorded in `calls`.
+ */
+function mockFetch(routes) {
+  const calls = [];
+  const fn = async (url, init = {}) => {
+    const method = init.method ?? "GET";
+    calls.push({ method, url, headers: init.headers, body: init.body ? JSON.parse(init.body) : undefined });
+    let spec = routes[`${method} ${url}`];
+    if (typeof spec === "function") spec = spec(calls.length);
+    if (!spec) spec = { status: 404, body: { message: "Not Found" } };
+    const body = typeof spec.body === "string" ? spec.body : JSON.stringify(spec.body ?? "");
+    return new Response(spec.status === 304 ? null : body, {
+      status: spec.status ?? 200,
+      statusText: spec.statusText ?? "",
+      headers: spec.headers,
+    });
+  };
+  fn.calls = calls;
+  return fn;
+}
+
+const API = "https://api.github.com";
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+describe("graphqlUrlFor", () => {
+  it("appends /graphql on github.com", () => {
+    assert.equal(graphqlUrlFor("https://api.github.com"), "https://api.github.com/graphql");
+  });
+
+  it("uses /api/graphql on GitHub Enterprise Server", () => {
+    assert.equal(graphqlUrlFor("https://ghe.example.com/api/v3/"), "https://ghe.example.com/api/graphql");
+  });
+});
+
+describe("typedFieldValue", () => {
+  it("converts like gh -F", () => {
+    assert.equal(typedFieldValue("42"), 42);
+    assert.equal(typedFieldValue("true"), true);
+    assert.equal(typedFieldValue("false"), false);
+    assert.equal(typedFieldValue("null"), null);
+    assert.equal(typedFieldValue("main"), "main");
+  });
+});
+
+describe("retryAfterMs", () => {
+  it("reads Retry-After seconds", () => {
+    assert.equal(retryAfterMs({ "retry-after": "30" }), 30000);
+  });
+
+  it("waits for X-RateLimit-Reset once the quota is spent", () => {
+    const headers = { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "1100" };
+    assert.equal(retryAfterMs(headers, 1_000_000), 100_000);
+  });
+
+  it("ignores the reset time while quota remains", () => {
+    assert.equal(retryAfterMs({ "x-ratelimit-remaining": "10", "x-ratelimit-reset": "1100" }), null);
+  });
+});
+
+// ─── createHttpExec ─────────────────────────────────────────────────────────
+
+describe("createHttpExec — api", () => {
+  it("GETs the endpoint with the token and returns the body", async () => {
+    const fetch = mockFetch({ [`GET ${API}/repos/a/b`]: { body: { full_name: "a/b" } } });
+    const exec = createHttpExec({ token: "t0k", env: {}, _fetch: fetch });
+
+    assert.deepEqual(JSON.parse(await exec(["api", "repos/a/b"])), { full_name: "a/b" });
+    assert.equal(fetch.calls[0].headers.authorization, "Bearer t0k");
+  });
+
+  it("reads GH_TOKEN from the environment", async () => {
+    const fetch = mockFetch({ [`GET ${API}/user`]: { body: {} } });
+    await createHttpExec({ env: { GH_TOKEN: "from-env" }, _fetch: fetch })(["api", "user"]);
+    assert.equal(fetch.calls[0].headers.authorization, "Bearer from-env");
+  });
+
+  it("supports a custom base URL", async () => {
+    const base = "https://ghe.example.com/api/v3";
+    const fetch = mockFetch({ [`GET ${base}/repos/a/b`]: { body: {} } });
+    await createHttpExec({ apiUrl: base, env: {}, _fetch: fetch })(["api", "repos/a/b"]);
+    assert.equal(fetch.calls.length, 1);
+  });
+
+  it("formats -i output like gh, and passes -H headers", async () => {
+    const fetch = mockFetch({
+      [`GET ${API}/repos/a/b`]: { statusText: "OK", headers: { ETag: '"v1"' }, body: { id: 1 } },
+    });
+    const exec = createHttpExec({ env: {}, _fetch: fetch });
+    const raw = await exec(["api", "-i", "repos/a/b", "-H", 'If-None-Match: "v0"']);
+
+    assert.match(raw, /^HTTP\/2\.0 200 OK\n/);
+    assert.match(raw, /\netag: "v1"\n/);
+    assert.ok(raw.endsWith('\n\n{"id":1}'));
+    assert.equal(fetch.calls[0].headers["if-none-match"], '"v0"');
+  });
+
+  it("rejects with gh-style stderr and the real status", async () => {
+    const exec = createHttpExec({ env: {}, _fetch: mockFetch({}) });
+    await assert.rejects(exec(["api", "repos/x/y"]), (err) => {
+      assert.equal(err.status, 404);
+      assert.equal(err.stderr, "gh: Not Found (HTTP 404)");
+      assert.ok(isNonRetryable(err));
+      return true;
+    });
+  });
+
+  it("attaches retryAfterMs from rate-limit headers", async () => {
+    const fetch = mockFetch({
+      [`GET ${API}/rate`]: {
+        status: 403,
+        body: { message: "API rate limit exceeded" },
+        headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "1010" },
+      },
+    });
+    const exec = createHttpExec({ env: {}, _fetch: fetch, _now: () => 1_000_000 });
+    await assert.rejects(exec(["api", "rate"]), (err) => {
+      assert.equal(err.retryAfterMs, 10_000);
+      assert.ok(isRateLimitError(err));
+      return true;
+    });
+  });
+
+  it("cancels the request when the signal aborts", async () => {
+    const controller = new AbortController();
+    const fetch = async (url, init) => {
+      controller.abort(new Error("deadline"));
+      init.signal.throwIfAborted();
+    };
+    const exec = createHttpExec({ env: {}, _fetch: fetch });
+    await assert.rejects(exec(["api", "repos/x/y"], 30_000, controller.signal), (err) => {
+      assert.equal(err.stderr, "gh: cancelled");
+      assert.equal(err.timedOut, false);
+      return true;
+    });
+  });
+
+  it("fails on unsupported commands without a request", async () => {
+    const fetch = mockFetch({});
+    const exec = createHttpExec({ env: {}, _fetch: fetch });
+    await assert.rejects(exec(["pr", "list"]), (err) => {
+      assert.ok(isNonRetryable(err));
+      return true;
+    });
+    assert.equal(fetch.calls.length, 0);
+  });
+});
+
+describe("createHttpExec — graphql", () => {
+  it("POSTs the query with typed variables", async () => {
+    const fetch = mockFetch({ [`POST ${API}/graphql`]: { body: { data: { viewer: { login: "me" } } } } });
+    const exec = createHttpExec({ env: {}, _fetch: fetch });
+    const raw = await exec(["api", "graphql", "-f", "query=query($n: Int!) { x }", "-F", "n=5", "-f", "o=5"]);
+
+    assert.deepEqual(JSON.parse(raw), { data: { viewer: { login: "me" } } });
+    assert.deepEqual(fetch.calls[0].body, { query: "query($n: Int!) { x }", variables: { n: 5, o: "5" } });
+  });
+
+  it("rejects on errors but keeps the body in stdout, like gh", async () => {
+    const body = { data: { r0: null }, errors: [{ message: "Could not resolve to a Repository" }] };
+    const exec = createHttpExec({ env: {}, _fetch: mockFetch({ [`POST ${API}/graphql`]: { body } }) });
+    await assert.rejects(exec(["api", "graphql", "-f", "query=q"]), (err) => {
+      assert.deepEqual(JSON.parse(err.stdout), body);
+      assert.match(err.stderr, /^gh: GraphQL: Could not resolve/);
+      return true;
+    });
+  });
+});
+
+describe("createHttpExec — search code", () => {
+  it("pages through results up to --limit in gh's --json shape", async () => {
+    const item = (n) => ({ path: "HALLUCINATE.md", repository: { full_name: `o/r${n}` } });
+    const q = encodeURIComponent("filename:HALLUCINATE.md");
+    const fetch = mockFetch({
+      [`GET ${API}/search/code?q=${q}&per_page=100&page=1`]: {
+        body: { total_count: 150, items: Array.from({ length: 100 }, (_, i) => item(i)) },
+      },
+      [`GET ${API}/search/code?q=${q}&per_page=100&page=2`]: {
+        body: { total_count: 150, items: Array.from({ length: 50 }, (_, i) => item(100 + i)) },
+      },
+    });
+    const exec = createHttpExec({ env: {}, _fetch: fetch });
+    const results = JSON.parse(
+      await exec(["search", "code", "filename:HALLUCINATE.md", "--json", "repository,path", "--limit", "150"]),
+    );
+
+    assert.equal(results.length, 150);
+    assert.deepEqual(results[0], { path: "HALLUCINATE.md", repository: { nameWithOwner: "o/r0" } });
+  });
+});
+
+describe("createHttpExec — issue", () => {
+  const issue = `${API}/repos/o/r/issues/7`;
+
+  it("comments and closes", async () => {
+    const fetch = mockFetch({ [`POST ${issue}/comments`]: { status: 201 }, [`PATCH ${issue}`]: { body: {} } });
+    const exec = createHttpExec({ env: {}, _fetch: fetch });
+    await exec(["issue", "comment", "7", "--repo", "o/r", "--body", "Thanks!"]);
+    await exec(["issue", "close", "7", "--repo", "o/r"]);
+
+    assert.deepEqual(fetch.calls[0].body, { body: "Thanks!" });
+    assert.deepEqual(fetch.calls[1].body, { state: "closed" });
+  });
+
+  it("adds labels and tolerates removing a missing one", async () => {
+    const fetch = mockFetch({ [`POST ${issue}/labels`]: { body: [] } });
+    const exec = createHttpExec({ env: {}, _fetch: fetch });
+    await exec(["issue", "edit", "7", "--repo", "o/r", "--add-label", "rejected", "--remove-label", "add-repo"]);
+
+    assert.deepEqual(fetch.calls[0].body, { labels: ["rejected"] });
+    assert.equal(fetch.calls[1].method, "DELETE");
+    assert.equal(fetch.calls[1].url, `${issue}/labels/add-repo`);
+  });
+});
+
+// ─── gh.mjs wrappers over HTTP ──────────────────────────────────────────────
+
+describe("useHttpClient", () => {
+  after(() => useCliClient());
+
+  it("serves ghApiGet, ghApiGetConditional, ghApiPaginate and ghGraphQL", async () => {
+    const fetch = mockFetch({
+      [`GET ${API}/repos/a/b`]: { headers: { etag: '"e1"' }, body: { id: 1 } },
+      [`GET ${API}/items`]: { headers: { link: `<${API}/items?page=2>; rel="next"` }, body: [1, 2] },
+      [`GET ${API}/items?page=2`]: { body: [3] },
+      [`POST ${API}/graphql`]: { body: { data: { ok: true } } },
+    });
+    useHttpClient({ env: {}, _fetch: fetch });
+
+    assert.deepEqual(await ghApiGet("repos/a/b"), { id: 1 });
+    assert.deepEqual(await ghApiGetConditional("repos/a/b"), { status: 200, etag: '"e1"', data: { id: 1 } });
+    assert.deepEqual(await ghApiPaginate("items"), [1, 2, 3]);
+    assert.deepEqual(await ghGraphQL("{ ok }"), { data: { ok: true } });
+  });
+
+  it("maps a 304 to not-modified", async () => {
+    useHttpClient({ env: {}, _fetch: mockFetch({ [`GET ${API}/repos/a/b`]: { status: 304, statusText: "Not Modified" } }) });
+    assert.deepEqual(await ghApiGetConditional("repos/a/b", { etag: '"e1"' }), { status: 304, etag: '"e1"' });
+  });
+
+  it("retries 5xx and waits as long as Retry-After asks", async () => {
+    const fetch = mockFetch({
+      [`GET ${API}/flaky`]: (n) =>
+        n === 1
+          ? { status: 502, body: { message: "Bad Gateway" } }
+          : n === 2
+            ? { status: 429, body: { message: "slow down" }, headers: { "retry-after": "7" } }
+            : { body: { ok: true } },
+    });
+    useHttpClient({ env: {}, _fetch: fetch });
+    const waits = [];
+    const raw = await ghExec(["api", "flaky"], {
+      _sleep: async (ms) => waits.push(ms),
+      baseDelayMs: 1,
+    });
+
+    assert.deepEqual(JSON.parse(raw), { ok: true });
+    assert.equal(fetch.calls.length, 3);
+    assert.ok(waits.includes(7000), `waits: ${waits}`);
+  });
+
+  it("does not retry a 403 that is not a rate limit", async () => {
+    const fetch = mockFetch({ [`GET ${API}/secret`]: { status: 403, body: { message: "Resource not accessible" } } });
+    useHttpClient({ env: {}, _fetch: fetch });
+    await assert.rejects(ghExec(["api", "secret"], { _sleep: instantSleep }), (err) => err.status === 403);
+    assert.equal(fetch.calls.length, 1);
+  });
+});
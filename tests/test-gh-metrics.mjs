@@ -0,0 +1,164 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { endpointTemplate, percentile, createMetrics } from "../scripts/gh-metrics.mjs";
+import { NotFoundError } from "../scripts/gh-errors.mjs";
+
+const T0 = Date.parse("2026-10-18T12:00:00Z");
+
+function call(args, durationMs, extra = {}) {
+  return { args, startedAt: T0, durationMs, attempts: 1, retries: {}, sleeps: {}, ...extra };
+}
+
+// ─── endpointTemplate ────────────────────────────────────────────────────────
+
+describe("endpointTemplate", () => {
+  it("groups per-repo endpoints", () => {
+    assert.equal(endpointTemplate("repos/a/b"), "repos/{owner}/{repo}");
+    assert.equal(endpointTemplate("repos/a/b/contents/docs/HALLUCINATE.md?ref=dev"), "repos/{owner}/{repo}/contents/{path}");
+    assert.equal(endpointTemplate("repos/a/b/git/trees/feature%2Fx?recursive=1"), "repos/{owner}/{repo}/git/trees/{ref}");
+    assert.equal(
+      endpointTemplate("repos/a/b/collaborators/bob/permission"),
+      "repos/{owner}/{repo}/collaborators/{user}/permission",
+    );
+    assert.equal(endpointTemplate("repos/o/r/issues/12/labels/remove-repo"), "repos/{owner}/{repo}/issues/{n}/labels/{label}");
+  });
+
+  it("keeps fixed endpoints and subcommands", () => {
+    assert.equal(endpointTemplate("graphql"), "graphql");
+    assert.equal(endpointTemplate("rate_limit"), "rate_limit");
+    assert.equal(endpointTemplate("search code"), "search code");
+    assert.equal(endpointTemplate("https://api.github.com/repos/a/b/issues?page=2"), "repos/{owner}/{repo}/issues");
+    assert.equal(endpointTemplate(null), "unknown");
+  });
+
+  it("keeps the host of a provider request", () => {
+    assert.equal(
+      endpointTemplate("https://codeberg.org/api/v1/repos/a/b/contents/docs/HALLUCINATE.md?ref=main"),
+      "codeberg.org/api/v1/repos/{owner}/{repo}/contents/{path}",
+    );
+    assert.equal(
+      endpointTemplate("https://codeberg.org/api/v1/repos/search?q=hallucinate-md&topic=true&limit=50&page=1"),
+      "codeberg.org/api/v1/repos/search",
+    );
+    assert.equal(endpointTemplate("https://codeberg.org/api/v1/users/carol/repos?page=2"), "codeberg.org/api/v1/users/{user}/repos");
+    assert.equal(
+      endpointTemplate("https://gitlab.example.com/api/v4/projects/group%2Fapp/repository/files/HALLUCINATE.md?ref=main"),
+      "gitlab.example.com/api/v4/projects/{project}/repository/files/{path}",
+    );
+  });
+});
+
+// ─── percentile ──────────────────────────────────────────────────────────────
+
+describe("percentile", () => {
+  it("uses the nearest rank", () => {
+    const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    assert.equal(percentile(sorted, 50), 5);
+    assert.equal(percentile(sorted, 90), 9);
+    assert.equal(percentile(sorted, 99), 10);
+    assert.equal(percentile([7], 50), 7);
+    assert.equal(percentile([], 50), null);
+  });
+});
+
+// ─── createMetrics ───────────────────────────────────────────────────────────
+
+describe("createMetrics", () => {
+  it("aggregates per endpoint template, slowest first", () => {
+    const metrics = createMetrics();
+    metrics.record(call(["api", "repos/a/b"], 10));
+    metrics.record(call(["api", "repos/c/d"], 30));
+    metrics.record(call(["api", "graphql", "-f", "query=q"], 100));
+    metrics.record(call(["api", "repos/e/f"], 20, { error: new NotFoundError("gone", { status: 404 }) }));
+
+    const snapshot = metrics.snapshot();
+    assert.equal(snapshot.requests, 4);
+    assert.deepEqual(Object.keys(snapshot.endpoints), ["graphql", "repos/{owner}/{repo}"]);
+    assert.deepEqual(snapshot.endpoints["repos/{owner}/{repo}"], {
+      calls: 3,
+      failures: 1,
+      retries: 0,
+      total_ms: 60,
+      p50_ms: 20,
+      p90_ms: 30,
+      p99_ms: 30,
+      max_ms: 30,
+    });
+  });
+
+  it("counts retries by cause and sleeps by kind", () => {
+    const metrics = createMetrics();
+    metrics.record(call(["api", "repos/a/b"], 500, {
+      attempts: 3,
+      retries: { transient: 1, rate_limit: 1 },
+      sleeps: { backoff: 100, rate_limit: 300 },
+    }));
+    metrics.record(call(["issue", "close", "1"], 1200, { sleeps: { budget: 1000 } }));
+
+    const snapshot = metrics.snapshot();
+    assert.deepEqual(snapshot.retries, { rate_limit: 1, transient: 1, timeout: 0 });
+    assert.deepEqual(snapshot.sleep_ms, { backoff: 100, rate_limit: 300, budget: 1000, total: 1400 });
+    assert.equal(snapshot.endpoints["repos/{owner}/{repo}"].retries, 2);
+  });
+
+  it("resets", () => {
+    const metrics = createMetrics();
+    metrics.record(call(["api", "repos/a/b"], 10, { retries: { timeout: 1 } }));
+    metrics.reset();
+    const snapshot = metrics.snapshot();
+    assert.equal(snapshot.requests, 0);
+    assert.deepEqual(snapshot.endpoints, {});
+    assert.equal(snapshot.retries.timeout, 0);
+    assert.equal(snapshot.sleep_ms.total, 0);
+  });
+});
+
+describe("createMetrics — trace", () => {
+  it("is off until started", () => {
+    const metrics = createMetrics();
+    metrics.record(call(["api", "repos/a/b"], 10));
+    assert.equal(metrics.traceNdjson(), null);
+  });
+
+  it("keeps one NDJSON line per request", () => {
+    const metrics = createMetrics();
+    metrics.startTrace();
+    metrics.record(call(["api", "-i", "repos/a/b"], 10));
+    metrics.record(call(["api", "repos/a/c"], 25, {
+      attempts: 2,
+      retries: { transient: 1 },
+      sleeps: { backoff: 12.4 },
+      error: new NotFoundError("gone", { status: 404 }),
+    }));
+
+    const lines = metrics.traceNdjson().trimEnd().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines, [
+      {
+        ts: "2026-10-18T12:00:00.000Z",
+        endpoint: "repos/a/b",
+        template: "repos/{owner}/{repo}",
+        outcome: "ok",
+        status: null,
+        attempts: 1,
+        retries: {},
+        sleep_ms: 0,
+        duration_ms: 10,
+      },
+      {
+        ts: "2026-10-18T12:00:00.000Z",
+        endpoint: "repos/a/c",
+        template: "repos/{owner}/{repo}",
+        outcome: "NotFoundError",
+        status: 404,
+        attempts: 2,
+        retries: { transient: 1 },
+        sleep_ms: 12,
+        duration_ms: 25,
+      },
+    ]);
+
+    metrics.stopTrace();
+    assert.equal(metrics.traceNdjson(), null);
+  });
+});
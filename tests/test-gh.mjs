@@ -1,12 +1,38 @@
-import { describe, it } from "node:test";
+import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
 
 import {
   ghExec,
+  ghApiGetConditional,
+  ghApiPaginate,
+  ghGraphQL,
+  hasGraphQLData,
   isRateLimitError,
   isNonRetryable,
+  isNotModified,
+  parseIncludeOutput,
+  parseLinkHeader,
   parseRetryAfter,
+  apiCallKind,
+  getApiStats,
+  resetApiStats,
+  getRateBudget,
+  useRateBudget,
+  ghApiGet,
+  useResponseCache,
+  disableResponseCache,
+  flushResponseCache,
+  getMetrics,
+  resetMetrics,
+  startTrace,
+  stopTrace,
+  writeTrace,
+  useAbortSignal,
 } from "../scripts/gh.mjs";
+import { CancelledError, NotFoundError, TransientError } from "../scripts/gh-errors.mjs";
 
 // Suppress console output during tests
 const noop = () => {};
@@ -65,12 +91,13 @@ describe("isRateLimitError", () => {
     assert.ok(isRateLimitError({ stderr: "Retry-After: 60", message: "" }));
   });
 
-  it("detects '403' status", () => {
-    assert.ok(isRateLimitError({ stderr: "HTTP 403", message: "" }));
+  it("detects a 403 only when it mentions a rate limit", () => {
+    assert.ok(!isRateLimitError({ stderr: "gh: Resource not accessible by integration (HTTP 403)", message: "" }));
+    assert.ok(isRateLimitError({ stderr: "gh: API rate limit exceeded (HTTP 403)", message: "" }));
   });
 
-  it("detects rate limit in message (not just stderr)", () => {
-    assert.ok(isRateLimitError({ stderr: "", message: "API rate limit exceeded" }));
+  it("ignores the message, which repeats the command line", () => {
+    assert.ok(!isRateLimitError({ stderr: "", message: "Command failed: gh api search/code?q=rate+limit" }));
   });
 
   it("returns false for normal errors", () => {
@@ -118,6 +145,11 @@ describe("isNonRetryable", () => {
     assert.ok(!isNonRetryable({ stderr: "rate limit exceeded", message: "" }));
   });
 
+  it("detects a 403 that is not a rate limit", () => {
+    assert.ok(isNonRetryable({ stderr: "gh: Resource not accessible by integration (HTTP 403)", message: "" }));
+    assert.ok(!isNonRetryable({ stderr: "gh: API rate limit exceeded (HTTP 403)", message: "" }));
+  });
+
   it("handles missing stderr/message", () => {
     assert.ok(!isNonRetryable({}));
   });
@@ -253,7 +285,88 @@ describe("ghExec — rate limit handling", () => {
   });
 });
 
+describe("ghExec — rate-limit budget", () => {
+  const RESET = 4102444800; // 2100-01-01, in seconds
+  const withHeaders = (remaining, body = "{}") =>
+    `HTTP/2.0 200 OK\nX-RateLimit-Limit: 5000\nX-RateLimit-Remaining: ${remaining}\n` +
+    `X-RateLimit-Reset: ${RESET}\nX-RateLimit-Resource: core\n\n${body}`;
+
+  it("records X-RateLimit-* headers from gh api -i output", async (t) => {
+    useRateBudget();
+    t.after(() => useRateBudget());
+    await ghExec(["api", "-i", "repos/a/b"], { _exec: async () => withHeaders(4321), _sleep: instantSleep });
+    assert.deepEqual(getRateBudget().snapshot().core, {
+      limit: 5000,
+      remaining: 4321,
+      reset: new Date(RESET * 1000).toISOString(),
+    });
+  });
+
+  it("does not pause while the bucket has room", async (t) => {
+    useRateBudget();
+    t.after(() => useRateBudget());
+    getRateBudget().update("core", { remaining: 4000, reset: RESET * 1000 });
+    const sleepCalls = [];
+    await ghExec(["api", "repos/a/b"], {
+      _exec: async () => "{}",
+      _sleep: (ms) => { sleepCalls.push(ms); return Promise.resolve(); },
+    });
+    assert.deepEqual(sleepCalls, []);
+  });
+
+  it("pauses until the reset when the bucket is empty", async (t) => {
+    useRateBudget();
+    t.after(() => useRateBudget());
+    getRateBudget().update("graphql", { remaining: 0, reset: Date.now() + 60_000 });
+    const sleepCalls = [];
+    await ghExec(["api", "graphql", "-f", "query=q"], {
+      _exec: async () => "{}",
+      _sleep: (ms) => { sleepCalls.push(ms); return Promise.resolve(); },
+    });
+    assert.equal(sleepCalls.length, 1);
+    assert.ok(sleepCalls[0] > 59_000, `expected ~61s pause, got ${sleepCalls[0]}`);
+  });
+
+  it("leaves GET /rate_limit out of the budget", async (t) => {
+    useRateBudget();
+    t.after(() => useRateBudget());
+    getRateBudget().update("core", { remaining: 0, reset: Date.now() + 60_000 });
+    const sleepCalls = [];
+    await ghExec(["api", "rate_limit"], {
+      _exec: async () => "{}",
+      _sleep: (ms) => { sleepCalls.push(ms); return Promise.resolve(); },
+    });
+    assert.deepEqual(sleepCalls, []);
+  });
+});
+
 describe("ghExec — non-retryable errors", () => {
+  it("throws typed errors with the endpoint and attempt count", async () => {
+    await assert.rejects(
+      () => ghExec(["api", "repos/a/b"], { retries: 2, baseDelayMs: 1, _exec: alwaysFail("gh: Not Found (HTTP 404)"), _sleep: instantSleep }),
+      (err) => err instanceof NotFoundError && err.status === 404 && err.endpoint === "repos/a/b" && err.attempts === 1,
+    );
+    await assert.rejects(
+      () => ghExec(["api", "repos/a/b"], { retries: 2, baseDelayMs: 1, _exec: alwaysFail("gh: Bad Gateway (HTTP 502)"), _sleep: instantSleep }),
+      (err) => err instanceof TransientError && err.attempts === 3,
+    );
+  });
+
+  it("gives up at once when the output overflows the buffer", async () => {
+    let calls = 0;
+    const exec = async () => {
+      calls++;
+      const err = new Error("stdout maxBuffer length exceeded");
+      Object.assign(err, { code: "ERR_CHILD_PROCESS_STDIO_MAXBUFFER", killed: true, signal: "SIGTERM", stdout: "", stderr: "" });
+      throw err;
+    };
+    await assert.rejects(
+      () => ghExec(["api", "repos/a/b/git/trees/main?recursive=1"], { retries: 5, baseDelayMs: 1, _exec: exec, _sleep: instantSleep }),
+      { name: "ResponseTooLargeError" },
+    );
+    assert.equal(calls, 1);
+  });
+
   it("throws immediately on 404 (no retries)", async () => {
     const exec = alwaysFail("HTTP 404 Not Found");
     await assert.rejects(
@@ -320,3 +433,406 @@ describe("ghExec — exponential backoff timing", () => {
     assert.equal(sleepCalls.length, 0);
   });
 });
+
+// ─── parseIncludeOutput ──────────────────────────────────────────────────────
+
+describe("parseIncludeOutput", () => {
+  it("splits status, headers and body", () => {
+    const raw = 'HTTP/2.0 200 OK\nEtag: W/"abc"\nContent-Type: application/json\n\n{"id":1}';
+    const { status, headers, body } = parseIncludeOutput(raw);
+    assert.equal(status, 200);
+    assert.equal(headers.etag, 'W/"abc"');
+    assert.equal(headers["content-type"], "application/json");
+    assert.equal(body, '{"id":1}');
+  });
+
+  it("handles CRLF line endings", () => {
+    const raw = "HTTP/1.1 200 OK\r\nETag: \"x\"\r\n\r\n[]";
+    const { status, headers, body } = parseIncludeOutput(raw);
+    assert.equal(status, 200);
+    assert.equal(headers.etag, '"x"');
+    assert.equal(body, "[]");
+  });
+
+  it("returns empty body when there is no blank line", () => {
+    const { status, body } = parseIncludeOutput("HTTP/2.0 304 Not Modified\nEtag: x");
+    assert.equal(status, 304);
+    assert.equal(body, "");
+  });
+});
+
+// ─── isNotModified ───────────────────────────────────────────────────────────
+
+describe("isNotModified", () => {
+  it("detects HTTP 304 in stderr", () => {
+    assert.ok(isNotModified({ stderr: "gh: HTTP 304" }));
+  });
+
+  it("returns false for other errors", () => {
+    assert.ok(!isNotModified({ stderr: "HTTP 404" }));
+    assert.ok(!isNotModified({}));
+  });
+
+  it("304 is non-retryable", () => {
+    assert.ok(isNonRetryable({ stderr: "gh: HTTP 304", message: "" }));
+  });
+});
+
+// ─── ghApiGetConditional ─────────────────────────────────────────────────────
+
+describe("ghApiGetConditional", () => {
+  it("returns data and etag on 200", async () => {
+    let args;
+    const exec = async (a) => { args = a; return 'HTTP/2.0 200 OK\nEtag: "e2"\n\n{"id":5}'; };
+    const res = await ghApiGetConditional("repos/a/b", { _exec: exec, _sleep: instantSleep });
+    assert.deepEqual(res, { status: 200, etag: '"e2"', data: { id: 5 } });
+    assert.deepEqual(args, ["api", "-i", "repos/a/b"]);
+  });
+
+  it("sends If-None-Match when an etag is given", async () => {
+    let args;
+    const exec = async (a) => { args = a; return "HTTP/2.0 200 OK\n\n{}"; };
+    await ghApiGetConditional("repos/a/b", { etag: '"e1"', _exec: exec, _sleep: instantSleep });
+    assert.deepEqual(args, ["api", "-i", "repos/a/b", "-H", 'If-None-Match: "e1"']);
+  });
+
+  it("returns 304 without retrying when unchanged", async () => {
+    const exec = alwaysFail("gh: HTTP 304");
+    const res = await ghApiGetConditional("repos/a/b", {
+      etag: '"e1"', retries: 3, _exec: exec, _sleep: instantSleep,
+    });
+    assert.deepEqual(res, { status: 304, etag: '"e1"' });
+    assert.equal(exec.callCount(), 1);
+  });
+
+  it("rethrows other errors", async () => {
+    const exec = alwaysFail("HTTP 404 Not Found");
+    await assert.rejects(
+      () => ghApiGetConditional("repos/a/b", { _exec: exec, _sleep: instantSleep }),
+      { message: "HTTP 404 Not Found" },
+    );
+  });
+});
+
+// ─── ghApiGet with a response cache ──────────────────────────────────────────
+
+describe("ghApiGet — response cache", () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "gh-cache-")); });
+  afterEach(() => {
+    disableResponseCache();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("stores a 200 and answers a later 304 from disk", async () => {
+    const path = join(dir, "responses.json");
+    useResponseCache(path);
+    let args;
+    await ghApiGet("repos/a/b", {
+      _exec: async (a) => { args = a; return 'HTTP/2.0 200 OK\nEtag: "e1"\n\n{"id":1}'; },
+      _sleep: instantSleep,
+    });
+    assert.deepEqual(args, ["api", "-i", "repos/a/b"]);
+    assert.deepEqual(flushResponseCache(), { hits: 0, misses: 1, stored: 1, pruned: 0, entries: 1 });
+
+    // A later run: loads the file and revalidates
+    useResponseCache(path);
+    const exec = alwaysFail("gh: HTTP 304");
+    const data = await ghApiGet("repos/a/b", {
+      _exec: async (a) => { args = a; return exec(a); },
+      _sleep: instantSleep,
+    });
+    assert.deepEqual(data, { id: 1 });
+    assert.deepEqual(args, ["api", "-i", "repos/a/b", "-H", 'If-None-Match: "e1"']);
+    assert.equal(exec.callCount(), 1);
+    assert.equal(flushResponseCache().hits, 1);
+  });
+
+  it("can be bypassed per call", async () => {
+    useResponseCache(join(dir, "responses.json"));
+    let args;
+    await ghApiGet("rate_limit", { cache: false, _exec: async (a) => { args = a; return "{}"; }, _sleep: instantSleep });
+    assert.deepEqual(args, ["api", "rate_limit"]);
+  });
+
+  it("rethrows a 304 it has no body for", async () => {
+    useResponseCache(join(dir, "responses.json"));
+    await assert.rejects(
+      () => ghApiGet("repos/a/b", { _exec: alwaysFail("gh: HTTP 304"), _sleep: instantSleep }),
+      { status: 304 },
+    );
+  });
+
+  it("writes nothing without a cache in use", () => {
+    assert.equal(flushResponseCache(), null);
+  });
+});
+
+// ─── parseLinkHeader ─────────────────────────────────────────────────────────
+
+describe("parseLinkHeader", () => {
+  it("maps rels to gh api endpoints", () => {
+    const link =
+      '<https://api.github.com/repositories/1/issues?labels=add-repo&page=2>; rel="next", ' +
+      '<https://api.github.com/repositories/1/issues?labels=add-repo&page=5>; rel="last"';
+    assert.deepEqual(parseLinkHeader(link), {
+      next: "repositories/1/issues?labels=add-repo&page=2",
+      last: "repositories/1/issues?labels=add-repo&page=5",
+    });
+  });
+
+  it("returns {} for a missing or malformed header", () => {
+    assert.deepEqual(parseLinkHeader(undefined), {});
+    assert.deepEqual(parseLinkHeader("garbage"), {});
+  });
+});
+
+// ─── ghApiPaginate ───────────────────────────────────────────────────────────
+
+describe("ghApiPaginate", () => {
+  /** Serve numbered pages; every page but the last links to the next */
+  function pagedExec(pages) {
+    const requested = [];
+    const exec = async (args) => {
+      const endpoint = args[2];
+      requested.push(endpoint);
+      const page = Number(endpoint.match(/page=(\d+)/)?.[1] ?? 1);
+      const link = page < pages.length
+        ? `Link: <https://api.github.com/items?page=${page + 1}>; rel="next"\n`
+        : "";
+      return `HTTP/2.0 200 OK\n${link}\n${JSON.stringify(pages[page - 1])}`;
+    };
+    exec.requested = requested;
+    return exec;
+  }
+
+  it("follows next links and concatenates pages", async () => {
+    const exec = pagedExec([[1, 2], [3, 4], [5]]);
+    const items = await ghApiPaginate("items", { _exec: exec, _sleep: instantSleep });
+    assert.deepEqual(items, [1, 2, 3, 4, 5]);
+    assert.deepEqual(exec.requested, ["items", "items?page=2", "items?page=3"]);
+  });
+
+  it("makes one request when there is no Link header", async () => {
+    const exec = pagedExec([[1]]);
+    assert.deepEqual(await ghApiPaginate("items", { _exec: exec, _sleep: instantSleep }), [1]);
+    assert.equal(exec.requested.length, 1);
+  });
+
+  it("stops at maxPages", async () => {
+    const exec = pagedExec([[1], [2], [3]]);
+    const items = await ghApiPaginate("items", { maxPages: 2, _exec: exec, _sleep: instantSleep });
+    assert.deepEqual(items, [1, 2]);
+  });
+
+  it("wraps a non-array body", async () => {
+    const exec = async () => 'HTTP/2.0 200 OK\n\n{"id":1}';
+    assert.deepEqual(await ghApiPaginate("x", { _exec: exec, _sleep: instantSleep }), [{ id: 1 }]);
+  });
+
+  it("propagates errors", async () => {
+    const exec = alwaysFail("HTTP 404 Not Found");
+    await assert.rejects(() => ghApiPaginate("x", { _exec: exec, _sleep: instantSleep }));
+  });
+});
+
+// ─── ghGraphQL ───────────────────────────────────────────────────────────────
+
+describe("ghGraphQL", () => {
+  it("sends query with -f and variables by type", async () => {
+    let args;
+    const exec = async (a) => { args = a; return '{"data":{"ok":true}}'; };
+    const body = await ghGraphQL("query { ok }", { owner: "a", n: 5 }, { _exec: exec, _sleep: instantSleep });
+    assert.deepEqual(body, { data: { ok: true } });
+    assert.deepEqual(args, ["api", "graphql", "-f", "query=query { ok }", "-f", "owner=a", "-F", "n=5"]);
+  });
+
+  it("returns partial data when gh exits non-zero with a data body", async () => {
+    const partial = '{"data":{"r0":null},"errors":[{"type":"NOT_FOUND"}]}';
+    let calls = 0;
+    const exec = async () => {
+      calls++;
+      const err = new Error("exit 1");
+      err.stderr = "gh: Could not resolve to a Repository";
+      err.stdout = partial;
+      throw err;
+    };
+    const body = await ghGraphQL("q", {}, { retries: 3, _exec: exec, _sleep: instantSleep });
+    assert.deepEqual(body.data, { r0: null });
+    assert.equal(body.errors[0].type, "NOT_FOUND");
+    assert.equal(calls, 1);
+  });
+
+  it("retries with backoff when there is no data (e.g. rate limited)", async () => {
+    const exec = mockExec(2, { stderr: "API rate limit exceeded", stdout: '{"data":{}}' });
+    const body = await ghGraphQL("q", {}, { retries: 3, baseDelayMs: 1, _exec: exec, _sleep: instantSleep });
+    assert.deepEqual(body, { data: {} });
+    assert.equal(exec.callCount(), 3);
+  });
+});
+
+describe("hasGraphQLData", () => {
+  it("detects a data object", () => {
+    assert.ok(hasGraphQLData('{"data":{}}'));
+  });
+
+  it("returns false for null data, non-JSON or empty", () => {
+    assert.ok(!hasGraphQLData('{"data":null,"errors":[]}'));
+    assert.ok(!hasGraphQLData("not json"));
+    assert.ok(!hasGraphQLData(""));
+    assert.ok(!hasGraphQLData(undefined));
+  });
+});
+
+// ─── API call statistics ────────────────────────────────────────────────────
+
+describe("apiCallKind", () => {
+  it("classifies gh invocations", () => {
+    assert.equal(apiCallKind(["api", "repos/a/b"]), "rest");
+    assert.equal(apiCallKind(["api", "-i", "repos/a/b"]), "rest");
+    assert.equal(apiCallKind(["api", "graphql", "-f", "query=..."]), "graphql");
+    assert.equal(apiCallKind(["search", "code", "q"]), "search");
+    assert.equal(apiCallKind(["issue", "close", "1"]), "issue");
+  });
+});
+
+describe("getApiStats", () => {
+  it("counts calls, retries and failures per kind", async () => {
+    resetApiStats();
+    await ghExec(["api", "repos/a/b"], { _exec: mockExec(0), _sleep: instantSleep });
+    await ghExec(["api", "repos/a/c"], { baseDelayMs: 1, _exec: mockExec(2), _sleep: instantSleep });
+    await assert.rejects(() =>
+      ghExec(["search", "code", "q"], { retries: 1, baseDelayMs: 1, _exec: alwaysFail("boom"), _sleep: instantSleep }),
+    );
+
+    const stats = getApiStats();
+    assert.deepEqual(Object.keys(stats), ["rest", "search"]);
+    assert.equal(stats.rest.calls, 2);
+    assert.equal(stats.rest.retries, 2);
+    assert.equal(stats.rest.failures, 0);
+    assert.equal(stats.search.calls, 1);
+    assert.equal(stats.search.retries, 1);
+    assert.equal(stats.search.failures, 1);
+    assert.ok(stats.rest.duration_ms >= 0);
+  });
+
+  it("returns a snapshot and resets", async () => {
+    resetApiStats();
+    await ghExec(["api", "x"], { _exec: mockExec(0), _sleep: instantSleep });
+    const snapshot = getApiStats();
+    snapshot.rest.calls = 99;
+    assert.equal(getApiStats().rest.calls, 1);
+    resetApiStats();
+    assert.deepEqual(getApiStats(), {});
+  });
+});
+
+// ─── Cancellation ────────────────────────────────────────────────────────────
+
+describe("ghExec — cancellation", () => {
+  it("sends nothing once the signal has aborted", async () => {
+    const exec = mockExec(0);
+    await assert.rejects(
+      () => ghExec(["api", "repos/a/b"], { signal: AbortSignal.abort(new Error("deadline")), _exec: exec }),
+      (err) => {
+        assert.ok(err instanceof CancelledError);
+        assert.equal(err.message, "gh: cancelled — deadline");
+        assert.equal(err.endpoint, "repos/a/b");
+        return true;
+      },
+    );
+    assert.equal(exec.callCount(), 0);
+  });
+
+  it("hands the signal to exec and does not retry a call it cut off", async () => {
+    const controller = new AbortController();
+    let received;
+    let calls = 0;
+    const exec = async (args, timeoutMs, signal) => {
+      calls++;
+      received = signal;
+      controller.abort(new Error("deadline"));
+      const err = new Error("Command failed: gh api repos/a/b");
+      err.killed = true;
+      err.signal = "SIGTERM";
+      throw err;
+    };
+    await assert.rejects(
+      () => ghExec(["api", "repos/a/b"], { signal: controller.signal, _exec: exec, _sleep: instantSleep }),
+      CancelledError,
+    );
+    assert.equal(received, controller.signal);
+    assert.equal(calls, 1);
+  });
+
+  it("ends a backoff wait early", async () => {
+    const controller = new AbortController();
+    const exec = alwaysFail("gh: Bad Gateway (HTTP 502)");
+    setTimeout(() => controller.abort(new Error("deadline")), 10);
+    const started = Date.now();
+    await assert.rejects(
+      () => ghExec(["api", "repos/a/b"], { baseDelayMs: 60_000, signal: controller.signal, _exec: exec }),
+      CancelledError,
+    );
+    assert.ok(Date.now() - started < 5_000);
+    assert.equal(exec.callCount(), 1);
+  });
+
+  it("uses the run's signal for calls without their own", async (t) => {
+    t.after(() => useAbortSignal(null));
+    useAbortSignal(AbortSignal.abort(new Error("deadline")));
+    await assert.rejects(() => ghApiGet("repos/a/b", { _exec: mockExec(0, { stdout: "{}" }) }), CancelledError);
+
+    useAbortSignal(null);
+    assert.deepEqual(await ghApiGet("repos/a/b", { _exec: mockExec(0, { stdout: "{}" }) }), {});
+  });
+});
+
+// ─── getMetrics / trace ──────────────────────────────────────────────────────
+
+describe("getMetrics", () => {
+  it("records endpoints, retries by cause and sleeps", async () => {
+    resetMetrics();
+    const sleepSpy = () => Promise.resolve();
+    await ghExec(["api", "repos/a/b"], { baseDelayMs: 1, _exec: mockExec(1, { stderr: "gh: Bad Gateway (HTTP 502)" }), _sleep: sleepSpy });
+    await ghExec(["api", "repos/c/d"], {
+      baseDelayMs: 10, _exec: mockExec(1, { stderr: "API rate limit exceeded. Retry-After: 2" }), _sleep: sleepSpy,
+    });
+    await assert.rejects(() => ghExec(["api", "repos/e/f"], { _exec: alwaysFail("gh: Not Found (HTTP 404)"), _sleep: sleepSpy }));
+
+    const metrics = getMetrics();
+    assert.equal(metrics.requests, 3);
+    const row = metrics.endpoints["repos/{owner}/{repo}"];
+    assert.equal(row.calls, 3);
+    assert.equal(row.failures, 1);
+    assert.equal(row.retries, 2);
+    assert.equal(metrics.retries.transient, 1);
+    assert.equal(metrics.retries.rate_limit, 1);
+    assert.equal(metrics.sleep_ms.rate_limit, 2000);
+    assert.ok(metrics.sleep_ms.backoff > 0);
+    resetMetrics();
+  });
+});
+
+describe("startTrace / writeTrace", () => {
+  it("writes one NDJSON line per request", async (t) => {
+    const dir = mkdtempSync(join(tmpdir(), "gh-trace-"));
+    t.after(() => {
+      stopTrace();
+      rmSync(dir, { recursive: true, force: true });
+    });
+    const path = join(dir, "trace.ndjson");
+
+    assert.equal(writeTrace(path), false);
+    startTrace();
+    await ghExec(["api", "repos/a/b"], { _exec: mockExec(0), _sleep: instantSleep });
+    await ghExec(["issue", "close", "1"], { _exec: mockExec(0), _sleep: instantSleep });
+    assert.equal(writeTrace(path), true);
+
+    const lines = readFileSync(path, "utf-8").trimEnd().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((l) => [l.endpoint, l.outcome, l.attempts]), [
+      ["repos/a/b", "ok", 1],
+      ["issue close", "ok", 1],
+    ]);
+  });
+});
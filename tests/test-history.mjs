@@ -0,0 +1,187 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  loadHistory,
+  saveHistory,
+  loadAdopters,
+  summarizeLanguages,
+  wallOn,
+  buildHistoryRecord,
+  upsertHistoryRecord,
+  backfillHistory,
+} from "../scripts/generate-history.mjs";
+
+function adopter(name, extra = {}) {
+  return { full_name: name, stars: 1, language: "JavaScript", compliance: "canonical", ...extra };
+}
+
+// ─── loadHistory / saveHistory ───────────────────────────────────────────────
+
+describe("loadHistory / saveHistory", () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "history-")); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("returns [] for a missing or corrupt file", () => {
+    assert.deepEqual(loadHistory(join(dir, "missing.json")), []);
+    writeFileSync(join(dir, "bad.json"), "{nope");
+    assert.deepEqual(loadHistory(join(dir, "bad.json")), []);
+  });
+
+  it("round-trips", () => {
+    const history = [{ date: "2026-03-01", total: 1 }];
+    saveHistory(join(dir, "h.json"), history);
+    assert.deepEqual(loadHistory(join(dir, "h.json")), history);
+  });
+});
+
+// ─── loadAdopters ────────────────────────────────────────────────────────────
+
+describe("loadAdopters", () => {
+  let dir;
+  let warn;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "history-"));
+    warn = console.warn;
+    console.warn = () => {};
+  });
+  afterEach(() => {
+    console.warn = warn;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("returns [] before the first scan", () => {
+    assert.deepEqual(loadAdopters(join(dir, "adopters.json")), []);
+  });
+
+  it("reads the wall", () => {
+    writeFileSync(join(dir, "adopters.json"), JSON.stringify([adopter("a/a")]));
+    assert.deepEqual(loadAdopters(join(dir, "adopters.json")), [adopter("a/a")]);
+  });
+
+  it("returns null and warns for a corrupt or non-array file", () => {
+    const warnings = [];
+    console.warn = (msg) => warnings.push(msg);
+    writeFileSync(join(dir, "bad.json"), "[{nope");
+    assert.equal(loadAdopters(join(dir, "bad.json")), null);
+    writeFileSync(join(dir, "object.json"), "{}");
+    assert.equal(loadAdopters(join(dir, "object.json")), null);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /bad\.json/);
+  });
+});
+
+// ─── summarizeLanguages ──────────────────────────────────────────────────────
+
+describe("summarizeLanguages", () => {
+  it("counts per language, sorted, with unknown for missing", () => {
+    const counts = summarizeLanguages([
+      adopter("a/a", { language: "Rust" }),
+      adopter("b/b"),
+      adopter("c/c", { language: null }),
+      adopter("d/d"),
+    ]);
+    assert.deepEqual(counts, { JavaScript: 2, Rust: 1, unknown: 1 });
+    assert.deepEqual(Object.keys(counts), ["JavaScript", "Rust", "unknown"]);
+  });
+});
+
+// ─── wallOn ──────────────────────────────────────────────────────────────────
+
+describe("wallOn", () => {
+  it("leaves out repos added later and keeps repos delisted later", () => {
+    const adopters = [
+      adopter("old/one", { date_added: "2026-03-01" }),
+      adopter("new/one", { date_added: "2026-03-10" }),
+    ];
+    const tombstones = [
+      adopter("gone/later", { date_added: "2026-02-01", removed_on: "2026-03-10" }),
+      adopter("gone/before", { date_added: "2026-02-01", removed_on: "2026-03-05" }),
+    ];
+    assert.deepEqual(
+      wallOn(adopters, tombstones, "2026-03-09").map((a) => a.full_name),
+      ["old/one", "gone/later"],
+    );
+  });
+});
+
+// ─── buildHistoryRecord ──────────────────────────────────────────────────────
+
+describe("buildHistoryRecord", () => {
+  it("totals the day's wall", () => {
+    const wall = [
+      adopter("a/a", { stars: 10, date_added: "2026-03-09" }),
+      adopter("b/b", { stars: 5, date_added: "2026-03-01", language: "Go", compliance: null }),
+    ];
+    const tombstones = [adopter("t/t", { removed_on: "2026-03-09" }), adopter("u/u", { removed_on: "2026-03-01" })];
+    const record = buildHistoryRecord(wall, tombstones, "2026-03-09");
+
+    assert.equal(record.date, "2026-03-09");
+    assert.equal(record.total, 2);
+    assert.equal(record.new, 1);
+    assert.equal(record.removed, 1);
+    assert.equal(record.stars, 15);
+    assert.deepEqual(record.languages, { Go: 1, JavaScript: 1 });
+    assert.equal(record.compliance.canonical, 1);
+    assert.equal(record.compliance.unknown, 1);
+    assert.equal("backfilled" in record, false);
+  });
+});
+
+// ─── upsertHistoryRecord ─────────────────────────────────────────────────────
+
+describe("upsertHistoryRecord", () => {
+  it("appends in date order", () => {
+    const history = upsertHistoryRecord([{ date: "2026-03-02" }], { date: "2026-03-01" });
+    assert.deepEqual(history.map((r) => r.date), ["2026-03-01", "2026-03-02"]);
+  });
+
+  it("replaces a record for the same day", () => {
+    const history = [{ date: "2026-03-01", total: 1, backfilled: true }];
+    const result = upsertHistoryRecord(history, { date: "2026-03-01", total: 2 });
+    assert.deepEqual(result, [{ date: "2026-03-01", total: 2 }]);
+    assert.equal(history[0].total, 1, "input not mutated");
+  });
+});
+
+// ─── backfillHistory ─────────────────────────────────────────────────────────
+
+describe("backfillHistory", () => {
+  const adopters = [
+    adopter("a/a", { stars: 3, date_added: "2026-03-01" }),
+    adopter("b/b", { stars: 4, date_added: "2026-03-03" }),
+  ];
+  const tombstones = [adopter("t/t", { stars: 2, date_added: "2026-03-01", removed_on: "2026-03-02" })];
+
+  it("rebuilds every day from the first date_added", () => {
+    const { history, filled } = backfillHistory([], adopters, tombstones, "2026-03-03");
+
+    assert.deepEqual(filled, ["2026-03-01", "2026-03-02", "2026-03-03"]);
+    assert.deepEqual(
+      history.map(({ date, total, new: added, removed, stars }) => [date, total, added, removed, stars]),
+      [
+        ["2026-03-01", 2, 2, 0, 5],
+        ["2026-03-02", 1, 0, 1, 3],
+        ["2026-03-03", 2, 1, 0, 7],
+      ],
+    );
+    assert.ok(history.every((r) => r.backfilled === true));
+  });
+
+  it("keeps days that were already recorded", () => {
+    const recorded = { date: "2026-03-02", total: 99 };
+    const { history, filled } = backfillHistory([recorded], adopters, tombstones, "2026-03-03");
+    assert.deepEqual(filled, ["2026-03-01", "2026-03-03"]);
+    assert.equal(history.find((r) => r.date === "2026-03-02"), recorded);
+  });
+
+  it("does nothing without any date_added", () => {
+    const { history, filled } = backfillHistory([], [adopter("x/x")], [], "2026-03-03");
+    assert.deepEqual(history, []);
+    assert.deepEqual(filled, []);
+  });
+});
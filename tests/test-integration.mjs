@@ -16,8 +16,10 @@ import {
   SEARCH_QUERY,
   filterAndDeduplicate,
   buildAdopterEntry,
+  fetchRepoBatch,
 } from "../scripts/scan-adopters.mjs";
 import { sanitizeAdopter } from "../scripts/sanitize.mjs";
+import { classifyContent } from "../scripts/compliance.mjs";
 
 // ─── Search ──────────────────────────────────────────────────────────────────
 
@@ -87,6 +89,23 @@ describe("ghApiGet repos (live)", () => {
   });
 });
 
+// ─── GraphQL batch fetch ─────────────────────────────────────────────────────
+
+describe("fetchRepoBatch (live)", () => {
+  it("resolves known repos and returns null for a missing one", async () => {
+    const repos = await fetchRepoBatch([
+      { nameWithOwner: "hallucinatemd/hallucinate.md", filePath: "HALLUCINATE.md" },
+      { nameWithOwner: "hallucinatemd/this-repo-does-not-exist", filePath: "HALLUCINATE.md" },
+    ]);
+    const { repo, content } = repos.get("hallucinatemd/hallucinate.md");
+    assert.equal(repo.full_name, "hallucinatemd/hallucinate.md");
+    assert.equal(typeof repo.stargazers_count, "number");
+    assert.ok(repo.html_url.startsWith("https://github.com/"));
+    assert.equal(classifyContent(content), "canonical");
+    assert.equal(repos.get("hallucinatemd/this-repo-does-not-exist").repo, null);
+  });
+});
+
 // ─── buildAdopterEntry with real data ────────────────────────────────────────
 
 describe("buildAdopterEntry with real API data (live)", () => {
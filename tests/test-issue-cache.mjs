@@ -0,0 +1,131 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  VERIFICATION_TTL_DAYS,
+  emptyVerificationCache,
+  loadVerificationCache,
+  saveVerificationCache,
+  cachedVerification,
+  recordVerification,
+  pruneVerificationCache,
+} from "../scripts/issue-cache.mjs";
+
+const NOW = new Date("2026-10-18T12:00:00Z");
+const SUBMISSIONS = [
+  { nameWithOwner: "alice/repo", filePath: "HALLUCINATE.md", ref: null },
+  { nameWithOwner: "alice/other", filePath: "docs/HALLUCINATE.md", ref: "next" },
+];
+
+function issue(overrides = {}) {
+  return { number: 7, state: "closed", updated_at: "2026-10-01T00:00:00Z", ...overrides };
+}
+
+function withTempDir(fn) {
+  const dir = mkdtempSync(join(tmpdir(), "issue-cache-"));
+  try {
+    return fn(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ─── load / save ────────────────────────────────────────────────────────────
+
+describe("loadVerificationCache / saveVerificationCache", () => {
+  it("returns an empty cache for a missing file", () => {
+    assert.deepEqual(loadVerificationCache("/nonexistent/issue_cache.json"), emptyVerificationCache());
+  });
+
+  it("returns an empty cache for corrupt or malformed files", () => {
+    withTempDir((dir) => {
+      const path = join(dir, "issue_cache.json");
+      for (const content of ["{oops", "null", '{"issues":[]}', "[]"]) {
+        writeFileSync(path, content);
+        assert.deepEqual(loadVerificationCache(path), emptyVerificationCache(), content);
+      }
+    });
+  });
+
+  it("round-trips with issues in numeric order", () => {
+    withTempDir((dir) => {
+      const path = join(dir, "issue_cache.json");
+      const cache = emptyVerificationCache();
+      recordVerification(cache, issue({ number: 10 }), SUBMISSIONS, { now: NOW });
+      recordVerification(cache, issue({ number: 9 }), SUBMISSIONS, { now: NOW });
+      saveVerificationCache(path, cache);
+
+      assert.ok(readFileSync(path, "utf-8").endsWith("\n"));
+      const loaded = loadVerificationCache(path);
+      assert.deepEqual(Object.keys(loaded.issues), ["9", "10"]);
+      assert.deepEqual(loaded.issues["9"], {
+        updated_at: "2026-10-01T00:00:00Z",
+        submissions: SUBMISSIONS,
+        verified_at: NOW.toISOString(),
+      });
+    });
+  });
+});
+
+// ─── cachedVerification ─────────────────────────────────────────────────────
+
+describe("cachedVerification", () => {
+  const cache = emptyVerificationCache();
+  recordVerification(cache, issue(), SUBMISSIONS, { now: NOW });
+
+  it("returns the cached submission for an unchanged closed issue", () => {
+    assert.deepEqual(cachedVerification(cache, issue(), { now: NOW }), SUBMISSIONS);
+  });
+
+  it("misses for open issues", () => {
+    assert.equal(cachedVerification(cache, issue({ state: "open" }), { now: NOW }), null);
+  });
+
+  it("misses when updated_at changed", () => {
+    assert.equal(cachedVerification(cache, issue({ updated_at: "2026-10-02T00:00:00Z" }), { now: NOW }), null);
+  });
+
+  it("misses for unknown issues", () => {
+    assert.equal(cachedVerification(cache, issue({ number: 8 }), { now: NOW }), null);
+  });
+
+  it("expires after VERIFICATION_TTL_DAYS", () => {
+    const justBefore = new Date(NOW.getTime() + VERIFICATION_TTL_DAYS * 86_400_000 - 1);
+    const at = new Date(NOW.getTime() + VERIFICATION_TTL_DAYS * 86_400_000);
+    assert.deepEqual(cachedVerification(cache, issue(), { now: justBefore }), SUBMISSIONS);
+    assert.equal(cachedVerification(cache, issue(), { now: at }), null);
+  });
+
+  it("defaults a missing ref to null", () => {
+    const c = emptyVerificationCache();
+    recordVerification(c, issue(), [{ nameWithOwner: "a/b", filePath: "HALLUCINATE.md" }], { now: NOW });
+    assert.deepEqual(cachedVerification(c, issue(), { now: NOW }), [
+      { nameWithOwner: "a/b", filePath: "HALLUCINATE.md", ref: null },
+    ]);
+  });
+
+  it("misses for entries without submissions", () => {
+    const old = { issues: { 7: { updated_at: issue().updated_at, nameWithOwner: "a/b", verified_at: NOW.toISOString() } } };
+    assert.equal(cachedVerification(old, issue(), { now: NOW }), null);
+  });
+
+  it("misses when verified_at is unreadable", () => {
+    const broken = { issues: { 7: { ...cache.issues["7"], verified_at: "soon" } } };
+    assert.equal(cachedVerification(broken, issue(), { now: NOW }), null);
+  });
+});
+
+// ─── pruneVerificationCache ─────────────────────────────────────────────────
+
+describe("pruneVerificationCache", () => {
+  it("keeps only the given issue numbers", () => {
+    const cache = emptyVerificationCache();
+    recordVerification(cache, issue({ number: 1 }), SUBMISSIONS, { now: NOW });
+    recordVerification(cache, issue({ number: 2 }), SUBMISSIONS, { now: NOW });
+    pruneVerificationCache(cache, [2, 3]);
+    assert.deepEqual(Object.keys(cache.issues), ["2"]);
+  });
+});
@@ -0,0 +1,218 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  DEFAULT_GRACE_DAYS,
+  daysBetween,
+  loadTombstones,
+  saveTombstones,
+  reconcileAdopters,
+  matchEntries,
+  previousNames,
+} from "../scripts/lifecycle.mjs";
+
+const TODAY = "2026-03-10";
+
+function adopter(name, extra = {}) {
+  return { full_name: name, stars: 1, ...extra };
+}
+
+// ─── daysBetween ─────────────────────────────────────────────────────────────
+
+describe("daysBetween", () => {
+  it("returns 0 for the same day", () => {
+    assert.equal(daysBetween("2026-03-10", "2026-03-10"), 0);
+  });
+
+  it("counts across month boundaries", () => {
+    assert.equal(daysBetween("2026-02-27", "2026-03-02"), 3);
+  });
+
+  it("is negative when from is after to", () => {
+    assert.equal(daysBetween("2026-03-10", "2026-03-08"), -2);
+  });
+});
+
+// ─── load / save ─────────────────────────────────────────────────────────────
+
+describe("loadTombstones / saveTombstones", () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "tombstones-")); });
+  afterEach(() => { rmSync(dir, { recursive: true, force: true }); });
+
+  it("returns [] for a missing file", () => {
+    assert.deepEqual(loadTombstones(join(dir, "nope.json")), []);
+  });
+
+  it("returns [] for corrupt or non-array JSON", () => {
+    const path = join(dir, "t.json");
+    writeFileSync(path, "{");
+    assert.deepEqual(loadTombstones(path), []);
+    writeFileSync(path, "{}");
+    assert.deepEqual(loadTombstones(path), []);
+  });
+
+  it("saves sorted by full_name and round-trips", () => {
+    const path = join(dir, "t.json");
+    saveTombstones(path, [adopter("z/z"), adopter("a/a")]);
+    const raw = JSON.parse(readFileSync(path, "utf-8"));
+    assert.deepEqual(raw.map((t) => t.full_name), ["a/a", "z/z"]);
+    assert.deepEqual(loadTombstones(path), raw);
+  });
+});
+
+// ─── reconcileAdopters ───────────────────────────────────────────────────────
+
+describe("reconcileAdopters", () => {
+  it("defaults to a grace period of a few days", () => {
+    assert.ok(DEFAULT_GRACE_DAYS >= 1);
+  });
+
+  it("marks brand-new repos as added today", () => {
+    const { adopters, added } = reconcileAdopters([adopter("a/a")], [], [], { today: TODAY });
+    assert.deepEqual(added, ["a/a"]);
+    assert.equal(adopters[0].date_added, TODAY);
+    assert.equal(adopters[0].last_seen, TODAY);
+    assert.equal(adopters[0].missing_since, null);
+  });
+
+  it("keeps date_added for repos already listed", () => {
+    const existing = [adopter("a/a", { date_added: "2026-01-01" })];
+    const { adopters, added } = reconcileAdopters([adopter("a/a")], existing, [], { today: TODAY });
+    assert.deepEqual(added, []);
+    assert.equal(adopters[0].date_added, "2026-01-01");
+  });
+
+  it("clears missing_since when a missing repo is seen again", () => {
+    const existing = [adopter("a/a", { date_added: "2026-01-01", missing_since: "2026-03-08" })];
+    const { adopters, missing } = reconcileAdopters([adopter("a/a")], existing, [], { today: TODAY });
+    assert.deepEqual(missing, []);
+    assert.equal(adopters[0].missing_since, null);
+    assert.equal(adopters[0].last_seen, TODAY);
+  });
+
+  it("keeps a newly missing repo listed with missing_since = today", () => {
+    const existing = [adopter("gone/repo", { date_added: "2026-01-01", last_seen: "2026-03-09" })];
+    const { adopters, missing, delisted } = reconcileAdopters([], existing, [], { today: TODAY, graceDays: 7 });
+    assert.deepEqual(missing, ["gone/repo"]);
+    assert.deepEqual(delisted, []);
+    assert.equal(adopters[0].missing_since, TODAY);
+    // last_seen is not bumped while missing
+    assert.equal(adopters[0].last_seen, "2026-03-09");
+  });
+
+  it("keeps a missing repo listed inside the grace period", () => {
+    const existing = [adopter("gone/repo", { date_added: "2026-01-01", missing_since: "2026-03-04" })];
+    const { adopters, delisted } = reconcileAdopters([], existing, [], { today: TODAY, graceDays: 7 });
+    assert.deepEqual(delisted, []);
+    assert.equal(adopters[0].missing_since, "2026-03-04");
+  });
+
+  it("delists into tombstones once the grace period is over", () => {
+    const existing = [adopter("gone/repo", { date_added: "2026-01-01", missing_since: "2026-03-03" })];
+    const { adopters, tombstones, delisted } = reconcileAdopters([], existing, [], { today: TODAY, graceDays: 7 });
+    assert.deepEqual(delisted, ["gone/repo"]);
+    assert.equal(adopters.length, 0);
+    assert.equal(tombstones.length, 1);
+    assert.equal(tombstones[0].full_name, "gone/repo");
+    assert.equal(tombstones[0].date_added, "2026-01-01");
+    assert.equal(tombstones[0].removed_on, TODAY);
+  });
+
+  it("delists immediately with a zero-day grace period", () => {
+    const existing = [adopter("gone/repo", { date_added: "2026-01-01" })];
+    const { delisted } = reconcileAdopters([], existing, [], { today: TODAY, graceDays: 0 });
+    assert.deepEqual(delisted, ["gone/repo"]);
+  });
+
+  it("restores date_added for a repo returning from the tombstones", () => {
+    const tombstones = [adopter("back/again", { date_added: "2025-12-25", removed_on: "2026-02-01" })];
+    const result = reconcileAdopters([adopter("back/again")], [], tombstones, { today: TODAY });
+    assert.deepEqual(result.returned, ["back/again"]);
+    assert.deepEqual(result.added, []);
+    assert.equal(result.adopters[0].date_added, "2025-12-25");
+    assert.equal(result.tombstones.length, 0);
+  });
+
+  it("keeps unrelated tombstones", () => {
+    const tombstones = [adopter("old/one", { date_added: "2025-12-25" })];
+    const result = reconcileAdopters([adopter("a/a")], [], tombstones, { today: TODAY });
+    assert.deepEqual(result.tombstones.map((t) => t.full_name), ["old/one"]);
+  });
+
+  it("keeps date_added across a rename, matched by id", () => {
+    const existing = [adopter("alice/tool", { id: "R_1", date_added: "2026-01-05", previous_names: [] })];
+    const result = reconcileAdopters([adopter("acme/tool", { id: "R_1" })], existing, [], { today: TODAY });
+
+    assert.deepEqual(result.added, []);
+    assert.deepEqual(result.missing, []);
+    assert.deepEqual(result.renamed, [{ from: "alice/tool", to: "acme/tool" }]);
+    assert.equal(result.adopters.length, 1);
+    assert.equal(result.adopters[0].date_added, "2026-01-05");
+    assert.deepEqual(result.adopters[0].previous_names, ["alice/tool"]);
+  });
+
+  it("extends the trail on a second rename", () => {
+    const existing = [adopter("acme/tool", { id: "R_1", date_added: "2026-01-05", previous_names: ["alice/tool"] })];
+    const result = reconcileAdopters([adopter("acme/tool2", { id: "R_1" })], existing, [], { today: TODAY });
+    assert.deepEqual(result.adopters[0].previous_names, ["alice/tool", "acme/tool"]);
+  });
+
+  it("restores a renamed repo from the tombstones by id", () => {
+    const tombstones = [adopter("old/name", { id: "R_9", date_added: "2025-12-25", removed_on: "2026-02-01" })];
+    const result = reconcileAdopters([adopter("new/name", { id: "R_9" })], [], tombstones, { today: TODAY });
+    assert.deepEqual(result.returned, ["new/name"]);
+    assert.equal(result.adopters[0].date_added, "2025-12-25");
+    assert.deepEqual(result.adopters[0].previous_names, ["old/name"]);
+    assert.equal(result.tombstones.length, 0);
+  });
+
+  it("gives entries written before ids existed their id by name", () => {
+    const existing = [adopter("a/a", { date_added: "2026-01-01" })];
+    const result = reconcileAdopters([adopter("a/a", { id: "R_1" })], existing, [], { today: TODAY });
+    assert.equal(result.adopters[0].id, "R_1");
+    assert.equal(result.adopters[0].date_added, "2026-01-01");
+    assert.deepEqual(result.renamed, []);
+  });
+
+  it("does not mutate its inputs", () => {
+    const current = [adopter("a/a")];
+    const existing = [adopter("gone/repo", { date_added: "2026-01-01" })];
+    const tombstones = [adopter("t/t")];
+    const snapshot = JSON.stringify([current, existing, tombstones]);
+    reconcileAdopters(current, existing, tombstones, { today: TODAY });
+    assert.equal(JSON.stringify([current, existing, tombstones]), snapshot);
+  });
+});
+
+// ─── matchEntries / previousNames ────────────────────────────────────────────
+
+describe("matchEntries", () => {
+  it("prefers an id match over a name match", () => {
+    const moved = adopter("a/tool", { id: "R_1" });
+    const squatter = adopter("a/tool", { id: "R_2" });
+    const renamed = adopter("b/tool", { id: "R_1" });
+    const matches = matchEntries([squatter, renamed], [moved]);
+    assert.equal(matches.get(renamed), moved);
+    assert.equal(matches.has(squatter), false);
+  });
+
+  it("falls back to full_name when ids are missing", () => {
+    const record = adopter("a/a");
+    const entry = adopter("a/a", { id: "R_1" });
+    assert.equal(matchEntries([entry], [record]).get(entry), record);
+  });
+});
+
+describe("previousNames", () => {
+  it("never lists the current name", () => {
+    assert.deepEqual(previousNames(adopter("b/b", { previous_names: ["a/a"] }), "a/a"), ["b/b"]);
+  });
+
+  it("is empty for new repos", () => {
+    assert.deepEqual(previousNames(undefined, "a/a"), []);
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  MODERATION_LISTS,
+  emptyModeration,
+  loadModeration,
+  moderationStatus,
+  isHeld,
+  filterCandidates,
+  forcedCandidates,
+  loadOptOuts,
+  saveOptOuts,
+  addOptOut,
+  withOptOuts,
+} from "../scripts/moderation.mjs";
+
+const TODAY = "2026-10-18";
+
+/** Moderation lists with overrides */
+function lists(overrides = {}) {
+  return { ...emptyModeration(), ...overrides };
+}
+
+/** Candidate as produced by filterAndDeduplicate */
+function candidate(nameWithOwner) {
+  return { nameWithOwner, filePath: "HALLUCINATE.md", filePaths: ["HALLUCINATE.md"] };
+}
+
+// ─── loadModeration ─────────────────────────────────────────────────────────
+
+describe("loadModeration", () => {
+  it("returns empty lists for a missing file", () => {
+    assert.deepEqual(loadModeration("/nonexistent/moderation.json"), emptyModeration());
+  });
+
+  it("returns empty lists for corrupt JSON", () => {
+    const dir = mkdtempSync(join(tmpdir(), "moderation-"));
+    try {
+      const path = join(dir, "moderation.json");
+      writeFileSync(path, "{nope");
+      assert.deepEqual(loadModeration(path), emptyModeration());
+      writeFileSync(path, "null");
+      assert.deepEqual(loadModeration(path), emptyModeration());
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("keeps well-formed entries and drops the rest", () => {
+    const dir = mkdtempSync(join(tmpdir(), "moderation-"));
+    try {
+      const path = join(dir, "moderation.json");
+      writeFileSync(path, JSON.stringify({
+        blocked_owners: [{ owner: "spammer" }, { owner: "" }, "bare-string", null],
+        blocked_repos: [{ repo: "a/b", reason: "offensive" }, { name: "c/d" }],
+        force_include: "not-a-list",
+      }));
+      const m = loadModeration(path);
+      assert.deepEqual(Object.keys(m), MODERATION_LISTS);
+      assert.deepEqual(m.blocked_owners, [{ owner: "spammer" }]);
+      assert.deepEqual(m.blocked_repos, [{ repo: "a/b", reason: "offensive" }]);
+      assert.deepEqual(m.force_include, []);
+      assert.deepEqual(m.quarantine, []);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("loads the committed moderation file", () => {
+    const m = loadModeration(new URL("../_data/moderation.json", import.meta.url).pathname);
+    assert.deepEqual(Object.keys(m), MODERATION_LISTS);
+  });
+});
+
+// ─── moderationStatus ───────────────────────────────────────────────────────
+
+describe("moderationStatus", () => {
+  it("returns null for unlisted repos", () => {
+    assert.equal(moderationStatus("a/b", lists(), { today: TODAY }), null);
+  });
+
+  it("blocks every repo of a blocked owner, case-insensitively", () => {
+    const m = lists({ blocked_owners: [{ owner: "Spammer", reason: "spam" }] });
+    assert.deepEqual(moderationStatus("spammer/x", m, { today: TODAY }), { list: "blocked", reason: "spam" });
+    assert.equal(moderationStatus("other/x", m, { today: TODAY }), null);
+  });
+
+  it("blocks a single repo", () => {
+    const m = lists({ blocked_repos: [{ repo: "a/B" }] });
+    assert.deepEqual(moderationStatus("A/b", m, { today: TODAY }), { list: "blocked", reason: null });
+  });
+
+  it("quarantines until the until date", () => {
+    const m = lists({ quarantine: [{ repo: "a/b", reason: "under review", until: "2026-10-19" }] });
+    assert.equal(moderationStatus("a/b", m, { today: TODAY }).list, "quarantined");
+    assert.equal(moderationStatus("a/b", m, { today: "2026-10-19" }), null);
+  });
+
+  it("quarantines indefinitely without an until date", () => {
+    const m = lists({ quarantine: [{ repo: "a/b" }] });
+    assert.equal(moderationStatus("a/b", m, { today: "2099-01-01" }).list, "quarantined");
+  });
+
+  it("ranks blocked over quarantined over forced", () => {
+    const m = lists({
+      blocked_repos: [{ repo: "a/b" }],
+      quarantine: [{ repo: "a/b" }, { repo: "c/d" }],
+      force_include: [{ repo: "a/b" }, { repo: "c/d" }, { repo: "e/f" }],
+    });
+    assert.equal(moderationStatus("a/b", m, { today: TODAY }).list, "blocked");
+    assert.equal(moderationStatus("c/d", m, { today: TODAY }).list, "quarantined");
+    assert.equal(moderationStatus("e/f", m, { today: TODAY }).list, "forced");
+  });
+});
+
+// ─── isHeld ─────────────────────────────────────────────────────────────────
+
+describe("isHeld", () => {
+  it("holds blocked and quarantined repos but not forced ones", () => {
+    const m = lists({
+      blocked_repos: [{ repo: "a/b" }],
+      quarantine: [{ repo: "c/d" }],
+      force_include: [{ repo: "e/f" }],
+    });
+    assert.equal(isHeld("a/b", m, { today: TODAY }), true);
+    assert.equal(isHeld("c/d", m, { today: TODAY }), true);
+    assert.equal(isHeld("e/f", m, { today: TODAY }), false);
+    assert.equal(isHeld("g/h", m, { today: TODAY }), false);
+  });
+});
+
+// ─── filterCandidates ───────────────────────────────────────────────────────
+
+describe("filterCandidates", () => {
+  it("splits candidates into kept, blocked and quarantined", () => {
+    const m = lists({
+      blocked_owners: [{ owner: "spammer" }],
+      quarantine: [{ repo: "q/repo" }],
+      force_include: [{ repo: "f/repo" }],
+    });
+    const result = filterCandidates(
+      [candidate("spammer/one"), candidate("q/repo"), candidate("ok/repo"), candidate("f/repo")],
+      m,
+      { today: TODAY },
+    );
+    assert.deepEqual(result.kept.map((c) => c.nameWithOwner), ["ok/repo", "f/repo"]);
+    assert.deepEqual(result.blocked, ["spammer/one"]);
+    assert.deepEqual(result.quarantined, ["q/repo"]);
+  });
+
+  it("keeps everything with empty lists", () => {
+    const result = filterCandidates([candidate("a/b")], lists(), { today: TODAY });
+    assert.deepEqual(result, { kept: [candidate("a/b")], blocked: [], quarantined: [] });
+  });
+});
+
+// ─── forcedCandidates ───────────────────────────────────────────────────────
+
+describe("forcedCandidates", () => {
+  it("builds candidates with the given or default file path", () => {
+    const m = lists({
+      force_include: [{ repo: "a/b", file_path: "docs/HALLUCINATE.md" }, { repo: "c/d" }],
+    });
+    assert.deepEqual(forcedCandidates(m, { today: TODAY }), [
+      { nameWithOwner: "a/b", filePath: "docs/HALLUCINATE.md", filePaths: ["docs/HALLUCINATE.md"] },
+      candidate("c/d"),
+    ]);
+  });
+
+  it("skips force-included repos that are blocked or quarantined", () => {
+    const m = lists({
+      blocked_owners: [{ owner: "a" }],
+      quarantine: [{ repo: "c/d" }],
+      force_include: [{ repo: "a/b" }, { repo: "c/d" }, { repo: "e/f" }],
+    });
+    assert.deepEqual(forcedCandidates(m, { today: TODAY }).map((c) => c.nameWithOwner), ["e/f"]);
+  });
+});
+
+// ─── opt-outs ───────────────────────────────────────────────────────────────
+
+describe("opt-outs", () => {
+  const OPT_OUT = { repo: "alice/repo", requested_by: "alice", issue: 12, opted_out_on: TODAY };
+
+  it("loadOptOuts returns [] for missing or corrupt files", () => {
+    assert.deepEqual(loadOptOuts("/nonexistent/opt_outs.json"), []);
+    const dir = mkdtempSync(join(tmpdir(), "opt-outs-"));
+    try {
+      const path = join(dir, "opt_outs.json");
+      writeFileSync(path, "[oops");
+      assert.deepEqual(loadOptOuts(path), []);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("round-trips opt-outs sorted by repo", () => {
+    const dir = mkdtempSync(join(tmpdir(), "opt-outs-"));
+    try {
+      const path = join(dir, "opt_outs.json");
+      saveOptOuts(path, [{ ...OPT_OUT, repo: "z/z" }, OPT_OUT]);
+      assert.deepEqual(loadOptOuts(path).map((e) => e.repo), ["alice/repo", "z/z"]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("addOptOut keeps the first entry for a repo", () => {
+    const once = addOptOut([], OPT_OUT);
+    const twice = addOptOut(once, { ...OPT_OUT, repo: "Alice/Repo", issue: 99 });
+    assert.equal(twice, once);
+    assert.deepEqual(twice, [OPT_OUT]);
+  });
+
+  it("withOptOuts blocks opted-out repos", () => {
+    const m = withOptOuts(lists(), [OPT_OUT]);
+    assert.deepEqual(moderationStatus("alice/repo", m, { today: TODAY }), {
+      list: "blocked",
+      reason: "opted out (#12)",
+    });
+  });
+
+  it("an opt-out overrides force-include", () => {
+    const m = withOptOuts(lists({ force_include: [{ repo: "alice/repo" }] }), [OPT_OUT]);
+    assert.deepEqual(forcedCandidates(m, { today: TODAY }), []);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { diffAdopters, formatAdopterDiff, describeIssueAction } from "../scripts/plan.mjs";
+
+const adopter = (full_name, stars = 0) => ({ full_name, stars });
+
+// ─── diffAdopters ───────────────────────────────────────────────────────────
+
+describe("diffAdopters", () => {
+  it("reports added and removed repos, sorted", () => {
+    const diff = diffAdopters(
+      [adopter("a/keep"), adopter("z/gone"), adopter("b/gone")],
+      [adopter("a/keep"), adopter("y/new"), adopter("c/new")],
+    );
+    assert.deepEqual(diff.added, ["c/new", "y/new"]);
+    assert.deepEqual(diff.removed, ["b/gone", "z/gone"]);
+    assert.equal(diff.unchanged, 1);
+  });
+
+  it("reports star changes", () => {
+    const diff = diffAdopters([adopter("a/b", 10), adopter("c/d", 5)], [adopter("a/b", 12), adopter("c/d", 5)]);
+    assert.deepEqual(diff.stars, [{ full_name: "a/b", from: 10, to: 12 }]);
+    assert.equal(diff.unchanged, 1);
+  });
+
+  it("matches names case-insensitively", () => {
+    const diff = diffAdopters([adopter("Alice/Repo", 1)], [adopter("alice/repo", 1)]);
+    assert.deepEqual(diff, { added: [], removed: [], renamed: [], stars: [], unchanged: 1 });
+  });
+
+  it("reports a repo with the same id under a new name as renamed", () => {
+    const diff = diffAdopters(
+      [{ ...adopter("alice/tool", 5), id: "R_1" }, { ...adopter("bob/gone"), id: "R_2" }],
+      [{ ...adopter("acme/tool", 6), id: "R_1" }, { ...adopter("bob/gone-too"), id: "R_3" }],
+    );
+    assert.deepEqual(diff.renamed, [{ from: "alice/tool", to: "acme/tool" }]);
+    assert.deepEqual(diff.added, ["bob/gone-too"]);
+    assert.deepEqual(diff.removed, ["bob/gone"]);
+    assert.deepEqual(diff.stars, [{ full_name: "acme/tool", from: 5, to: 6 }]);
+  });
+
+  it("handles an empty current wall", () => {
+    const diff = diffAdopters([], [adopter("a/b")]);
+    assert.deepEqual(diff.added, ["a/b"]);
+    assert.deepEqual(diff.removed, []);
+  });
+});
+
+// ─── formatAdopterDiff ──────────────────────────────────────────────────────
+
+describe("formatAdopterDiff", () => {
+  it("summarises and lists every change", () => {
+    const lines = formatAdopterDiff({
+      added: ["a/new"],
+      removed: ["b/old"],
+      renamed: [{ from: "e/before", to: "e/after" }],
+      stars: [{ full_name: "c/up", from: 3, to: 5 }, { full_name: "d/down", from: 5, to: 4 }],
+      unchanged: 7,
+    });
+    assert.equal(lines[0], "adopters.json: +1 added, -1 removed, 1 renamed, 2 star change(s), 7 unchanged");
+    assert.deepEqual(lines.slice(1), [
+      "  + a/new",
+      "  - b/old",
+      "  ↪ e/before → e/after",
+      "  ★ c/up: 3 → 5 (+2)",
+      "  ★ d/down: 5 → 4 (-1)",
+    ]);
+  });
+});
+
+// ─── describeIssueAction ────────────────────────────────────────────────────
+
+describe("describeIssueAction", () => {
+  it("describes every action type", () => {
+    assert.equal(
+      describeIssueAction({ number: 1, type: "close-valid", nameWithOwner: "a/b" }),
+      'issue #1: comment "verified" and close (a/b)',
+    );
+    assert.equal(
+      describeIssueAction({ number: 2, type: "reject", reason: "not-found", nameWithOwner: "a/b" }),
+      'issue #2: comment "not-found", label rejected and close (a/b)',
+    );
+    assert.equal(
+      describeIssueAction({ number: 3, type: "opt-out", nameWithOwner: "a/b" }),
+      'issue #3: comment "removed" and close (a/b)',
+    );
+    assert.equal(
+      describeIssueAction({ number: 4, type: "reject-removal", reason: "unparseable" }),
+      'issue #4: comment "unparseable", label rejected and close',
+    );
+    assert.equal(
+      describeIssueAction({ number: 5, type: "hold-removal", reason: "permission-unknown", nameWithOwner: "a/b" }),
+      'issue #5: comment "permission-unknown", label needs-review and leave open (a/b)',
+    );
+  });
+
+  it("flags unknown actions", () => {
+    assert.match(describeIssueAction({ number: 5, type: "bogus" }), /unknown action "bogus"/);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { POLICY_ACTIONS, DEFAULT_POLICIES, evaluatePolicies } from "../scripts/policies.mjs";
+
+const TODAY = "2026-10-18";
+
+/** Minimal adopter entry with repo metadata */
+function entry(overrides = {}) {
+  return {
+    full_name: "a/b",
+    fork: false,
+    archived: false,
+    pushed_at: "2026-10-01T00:00:00Z",
+    ...overrides,
+  };
+}
+
+// ─── defaults ───────────────────────────────────────────────────────────────
+
+describe("DEFAULT_POLICIES", () => {
+  it("allows everything out of the box", () => {
+    const result = evaluatePolicies(
+      entry({ fork: true, archived: true, pushed_at: "2015-01-01T00:00:00Z" }),
+      DEFAULT_POLICIES,
+      { today: TODAY },
+    );
+    assert.deepEqual(result, { action: "allow", reasons: [] });
+  });
+
+  it("uses only known actions", () => {
+    for (const rule of ["forks", "archived", "inactive"]) {
+      assert.ok(POLICY_ACTIONS.includes(DEFAULT_POLICIES[rule]), rule);
+    }
+  });
+});
+
+// ─── evaluatePolicies ───────────────────────────────────────────────────────
+
+describe("evaluatePolicies", () => {
+  it("applies the fork rule", () => {
+    const result = evaluatePolicies(entry({ fork: true }), { forks: "exclude" }, { today: TODAY });
+    assert.deepEqual(result, { action: "exclude", reasons: ["fork"] });
+  });
+
+  it("applies the archived rule", () => {
+    const result = evaluatePolicies(entry({ archived: true }), { archived: "flag" }, { today: TODAY });
+    assert.deepEqual(result, { action: "flag", reasons: ["archived"] });
+  });
+
+  it("leaves non-matching entries alone", () => {
+    const result = evaluatePolicies(entry(), { forks: "exclude", archived: "exclude" }, { today: TODAY });
+    assert.deepEqual(result, { action: "allow", reasons: [] });
+  });
+
+  it("applies the inactive rule from the threshold day", () => {
+    const policies = { inactiveDays: 17 };
+    const at = evaluatePolicies(entry(), policies, { today: TODAY });
+    assert.deepEqual(at, { action: "flag", reasons: ["no pushes for 17 days"] });
+
+    const before = evaluatePolicies(entry(), { inactiveDays: 18 }, { today: TODAY });
+    assert.equal(before.action, "allow");
+  });
+
+  it("skips the inactive rule when inactiveDays is unset", () => {
+    const result = evaluatePolicies(entry({ pushed_at: "2010-01-01T00:00:00Z" }), { inactive: "exclude" }, { today: TODAY });
+    assert.equal(result.action, "allow");
+  });
+
+  it("never matches entries without metadata", () => {
+    const result = evaluatePolicies(
+      { full_name: "old/entry" },
+      { forks: "exclude", archived: "exclude", inactive: "exclude", inactiveDays: 1 },
+      { today: TODAY },
+    );
+    assert.deepEqual(result, { action: "allow", reasons: [] });
+  });
+
+  it("picks the strongest action and keeps every reason", () => {
+    const result = evaluatePolicies(
+      entry({ fork: true, archived: true }),
+      { forks: "flag", archived: "exclude" },
+      { today: TODAY },
+    );
+    assert.deepEqual(result, { action: "exclude", reasons: ["fork", "archived"] });
+  });
+
+  it("ignores rules set to allow", () => {
+    const result = evaluatePolicies(entry({ fork: true }), { forks: "allow" }, { today: TODAY });
+    assert.deepEqual(result, { action: "allow", reasons: [] });
+  });
+});
@@ -0,0 +1,570 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { fetchJson, isNotFound } from "../scripts/http.mjs";
+import { CancelledError, NotFoundError, RateLimitError } from "../scripts/gh-errors.mjs";
+import { getApiStats, resetApiStats, getMetrics, resetMetrics } from "../scripts/gh.mjs";
+import {
+  groupHits,
+  providerFileContent,
+  decodeContent,
+  qualifiedName,
+  providerEntry,
+  isoTimestamp,
+} from "../scripts/providers/common.mjs";
+import { createGitHubProvider } from "../scripts/providers/github.mjs";
+import { createGitLabProvider } from "../scripts/providers/gitlab.mjs";
+import { createGiteaProvider } from "../scripts/providers/gitea.mjs";
+import {
+  PROVIDER_TYPES,
+  loadProviderConfig,
+  createProvider,
+  providerHosts,
+} from "../scripts/providers/index.mjs";
+import { sanitizeAdopter } from "../scripts/sanitize.mjs";
+
+const b64 = (text) => Buffer.from(text).toString("base64");
+
+/**
+ * Local mock API. `routes` maps "path?query" → { status?, headers?, body },
+ * or { hang: true } for a request that never gets an answer; unknown paths
+ * are 404s. Every request is recorded.
+ */
+function mockServer(routes) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404, { "content-type": "application/json" });
+      res.end(JSON.stringify({ message: "Not Found" }));
+      return;
+    }
+    if (route.hang) return;
+    res.writeHead(route.status ?? 200, { "content-type": "application/json", ...route.headers });
+    res.end(JSON.stringify(route.body));
+  });
+
+  return {
+    requests,
+    url: null,
+    async start() {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      this.url = `http://127.0.0.1:${server.address().port}`;
+    },
+    stop: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
+
+// ─── http ───────────────────────────────────────────────────────────────────
+
+describe("fetchJson", () => {
+  const server = mockServer({
+    "/ok": { body: { hello: "world" }, headers: { "x-next-page": "2" } },
+    "/slow": { hang: true },
+    "/limited": { status: 429, headers: { "retry-after": "7" }, body: { message: "slow down" } },
+  });
+  before(() => server.start());
+  after(() => server.stop());
+
+  it("returns status, headers and parsed body", async () => {
+    const res = await fetchJson(`${server.url}/ok`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data, { hello: "world" });
+    assert.equal(res.headers.get("x-next-page"), "2");
+  });
+
+  it("throws with the HTTP status on errors", async () => {
+    await assert.rejects(fetchJson(`${server.url}/missing`), (err) => {
+      assert.ok(err instanceof NotFoundError);
+      assert.equal(err.status, 404);
+      assert.equal(err.endpoint, `${server.url}/missing`);
+      assert.ok(isNotFound(err));
+      return true;
+    });
+  });
+
+  it("retries transient failures like ghExec", async () => {
+    const statuses = [502, 503, 200];
+    const seen = [];
+    const _fetch = async (url) => {
+      seen.push(url);
+      const status = statuses.shift();
+      return new Response(JSON.stringify({ ok: status === 200 }), { status });
+    };
+    const sleeps = [];
+    const res = await fetchJson("https://code.example.com/api/v1/repos/a/b", {
+      _fetch,
+      _sleep: async (ms) => sleeps.push(ms),
+    });
+    assert.deepEqual(res.data, { ok: true });
+    assert.equal(seen.length, 3);
+    assert.equal(sleeps.length, 2);
+  });
+
+  it("waits as long as a rate limit asks before retrying", async () => {
+    const sleeps = [];
+    await assert.rejects(
+      fetchJson(`${server.url}/limited`, { retries: 1, _sleep: async (ms) => sleeps.push(ms) }),
+      (err) => {
+        assert.ok(err instanceof RateLimitError);
+        assert.equal(err.attempts, 2);
+        return true;
+      },
+    );
+    assert.equal(sleeps[0], 7000);
+  });
+
+  it("does not retry a malformed body", async () => {
+    let calls = 0;
+    const _fetch = async () => {
+      calls++;
+      return new Response("<html>", { status: 200 });
+    };
+    await assert.rejects(fetchJson("https://code.example.com/api/v1/version", { _fetch }), SyntaxError);
+    assert.equal(calls, 1);
+  });
+
+  it("counts requests in the API stats and metrics", async () => {
+    resetApiStats();
+    resetMetrics();
+    await fetchJson(`${server.url}/ok`);
+    await assert.rejects(fetchJson(`${server.url}/missing`), NotFoundError);
+    assert.deepEqual(getApiStats().provider, { ...getApiStats().provider, calls: 2, failures: 1, retries: 0 });
+    const host = new URL(server.url).host;
+    assert.equal(getMetrics().endpoints[`${host}/ok`].calls, 1);
+    assert.equal(getMetrics().endpoints[`${host}/missing`].failures, 1);
+  });
+
+  it("cuts off a request in flight once the signal aborts", async () => {
+    const controller = new AbortController();
+    const fetching = fetchJson(`${server.url}/slow`, { signal: controller.signal });
+    while (server.requests.at(-1)?.url !== "/slow") await new Promise((resolve) => setTimeout(resolve, 5));
+    controller.abort(new Error("run deadline of 50 min reached"));
+    await assert.rejects(fetching, (err) => {
+      assert.ok(err instanceof CancelledError);
+      assert.match(err.message, /cancelled — run deadline of 50 min reached/);
+      assert.ok(!isNotFound(err));
+      return true;
+    });
+  });
+});
+
+// ─── common ─────────────────────────────────────────────────────────────────
+
+describe("provider helpers", () => {
+  it("groupHits groups files per repo and applies the case policy", () => {
+    const hits = [
+      { nameWithOwner: "a/b", path: "HALLUCINATE.md" },
+      { nameWithOwner: "a/b", path: "docs/HALLUCINATE.md" },
+      { nameWithOwner: "a/b", path: "HALLUCINATE.md" },
+      { nameWithOwner: "c/d", path: "hallucinate.md" },
+      { nameWithOwner: "e/f", path: "README.md" },
+    ];
+    assert.deepEqual(groupHits(hits), [
+      { nameWithOwner: "a/b", filePath: "HALLUCINATE.md", filePaths: ["HALLUCINATE.md", "docs/HALLUCINATE.md"], ref: null },
+      { nameWithOwner: "c/d", filePath: "hallucinate.md", filePaths: ["hallucinate.md"], ref: null },
+    ]);
+    assert.equal(groupHits(hits, { casePolicy: "exact" }).length, 1);
+  });
+
+  it("decodeContent decodes base64 bodies only", () => {
+    assert.equal(decodeContent({ encoding: "base64", content: b64("Do not hallucinate!") }), "Do not hallucinate!");
+    assert.equal(decodeContent({ encoding: "none", content: "x" }), null);
+    assert.equal(decodeContent(null), null);
+  });
+
+  it("qualifiedName prefixes hosts other than github.com", () => {
+    assert.equal(qualifiedName({ host: "github.com" }, "a/b"), "a/b");
+    assert.equal(qualifiedName({ host: "gitlab.example.com" }, "group/sub/proj"), "gitlab.example.com/group/sub/proj");
+  });
+
+  it("isoTimestamp normalizes offsets to UTC", () => {
+    assert.equal(isoTimestamp("2026-10-01T12:00:00+02:00"), "2026-10-01T10:00:00.000Z");
+    assert.equal(isoTimestamp("yesterday"), null);
+    assert.equal(isoTimestamp(undefined), null);
+  });
+
+  it("providerFileContent reuses the content search read", async () => {
+    const fetched = [];
+    const provider = { fetchFile: async (c) => { fetched.push(c); return "fetched"; } };
+    const repo = { default_branch: "main" };
+    const candidate = { nameWithOwner: "a/b", filePath: "HALLUCINATE.md", ref: null };
+    assert.equal(await providerFileContent(provider, { ...candidate, content: "read" }, repo), "read");
+    assert.deepEqual(fetched, []);
+    assert.equal(await providerFileContent(provider, candidate, repo), "fetched");
+    assert.deepEqual(fetched, [{ ...candidate, ref: "main" }]);
+  });
+
+  it("providerEntry builds a host-qualified adopter entry", () => {
+    const provider = createGiteaProvider({ baseUrl: "https://codeberg.org" });
+    const repo = {
+      full_name: "alice/repo", owner: "alice", repo: "repo", description: "d", stars: 3, language: "Go",
+      avatar: "https://codeberg.org/avatars/1", url: "https://codeberg.org/alice/repo", default_branch: "main",
+      fork: false, archived: false, disabled: false, license: "MIT", topics: [], pushed_at: null, owner_type: null,
+    };
+    const entry = providerEntry(provider, repo, { nameWithOwner: "alice/repo", filePath: "HALLUCINATE.md" });
+    assert.equal(entry.provider, "gitea");
+    assert.equal(entry.full_name, "codeberg.org/alice/repo");
+    assert.equal(entry.file_url, "https://codeberg.org/alice/repo/src/branch/main/HALLUCINATE.md");
+    assert.equal(entry.file_count, 1);
+    assert.equal(providerEntry(provider, { ...repo, url: null }, { filePath: "HALLUCINATE.md" }), null);
+  });
+});
+
+// ─── GitHub ─────────────────────────────────────────────────────────────────
+
+describe("GitHub provider", () => {
+  const server = mockServer({
+    "/api/v3/search/code?q=filename%3AHALLUCINATE.md&per_page=100&page=1": {
+      body: {
+        items: [
+          { path: "HALLUCINATE.md", repository: { full_name: "acme/tool" } },
+          { path: "lib/HALLUCINATE.md", repository: { full_name: "acme/tool" } },
+        ],
+      },
+    },
+    "/api/v3/repos/acme/tool": {
+      body: {
+        full_name: "acme/tool", name: "tool", description: "A tool", stargazers_count: 7, language: "JavaScript",
+        html_url: "URL/acme/tool", default_branch: "trunk", fork: false, archived: true,
+        license: { spdx_id: "MIT" }, topics: ["ai"], pushed_at: "2026-10-01T00:00:00Z",
+        owner: { login: "acme", avatar_url: "URL/avatars/u/1", type: "Organization" },
+      },
+    },
+    "/api/v3/repos/acme/tool/contents/HALLUCINATE.md?ref=trunk": {
+      body: { type: "file", encoding: "base64", content: b64("Do not hallucinate!") },
+    },
+  });
+  let provider;
+  before(async () => {
+    await server.start();
+    provider = createGitHubProvider({ baseUrl: server.url, token: "secret" });
+  });
+  after(() => server.stop());
+
+  it("uses <baseUrl>/api/v3 for enterprise hosts", () => {
+    assert.equal(provider.host, "127.0.0.1");
+    assert.deepEqual(provider.hosts.url, [`${server.url}/`]);
+  });
+
+  it("searches code and groups hits per repo", async () => {
+    assert.deepEqual(await provider.search(), [
+      { nameWithOwner: "acme/tool", filePath: "HALLUCINATE.md", filePaths: ["HALLUCINATE.md", "lib/HALLUCINATE.md"], ref: null },
+    ]);
+    assert.equal(server.requests.at(-1).headers.authorization, "Bearer secret");
+  });
+
+  it("normalizes repo details", async () => {
+    const repo = await provider.fetchRepo("acme/tool");
+    assert.equal(repo.owner, "acme");
+    assert.equal(repo.stars, 7);
+    assert.equal(repo.archived, true);
+    assert.equal(repo.license, "MIT");
+    assert.equal(repo.owner_type, "Organization");
+    assert.equal(provider.fileUrl(repo, "trunk", "HALLUCINATE.md"), "URL/acme/tool/blob/trunk/HALLUCINATE.md");
+  });
+
+  it("reads a file, and returns null for a missing one", async () => {
+    assert.equal(
+      await provider.fetchFile({ nameWithOwner: "acme/tool", filePath: "HALLUCINATE.md", ref: "trunk" }),
+      "Do not hallucinate!",
+    );
+    assert.equal(await provider.fetchFile({ nameWithOwner: "acme/tool", filePath: "HALLUCINATE.md", ref: "nope" }), null);
+  });
+
+  it("targets api.github.com for github.com", () => {
+    const github = createGitHubProvider();
+    assert.equal(github.host, "github.com");
+    assert.ok(github.hosts.avatar.includes("https://avatars.githubusercontent.com/"));
+  });
+});
+
+// ─── GitLab ─────────────────────────────────────────────────────────────────
+
+describe("GitLab provider", () => {
+  const search = "/api/v4/search?scope=blobs&search=filename%3AHALLUCINATE.md&per_page=100&page=";
+  const server = mockServer({
+    [`${search}1`]: {
+      headers: { "x-next-page": "2" },
+      body: [
+        { project_id: 11, path: "HALLUCINATE.md" },
+        { project_id: 11, path: "docs/HALLUCINATE.md" },
+      ],
+    },
+    [`${search}2`]: { headers: { "x-next-page": "" }, body: [{ project_id: 12, path: "hallucinate.md" }] },
+    "/api/v4/projects/11": { body: { path_with_namespace: "group/sub/app" } },
+    "/api/v4/projects/12": { body: { path_with_namespace: "bob/notes" } },
+    "/api/v4/projects/group%2Fsub%2Fapp": {
+      body: {
+        path_with_namespace: "group/sub/app", path: "app", description: "An app", star_count: 4,
+        web_url: "URL/group/sub/app", default_branch: "main", archived: false, forked_from_project: { id: 1 },
+        topics: ["ai"], last_activity_at: "2026-10-01T12:00:00.000+02:00", avatar_url: null,
+        namespace: { full_path: "group/sub", kind: "group", avatar_url: "/uploads/-/system/group/avatar/1/a.png" },
+      },
+    },
+    "/api/v4/projects/group%2Fsub%2Fapp/repository/files/HALLUCINATE.md?ref=HEAD": {
+      body: { encoding: "base64", content: b64("Do not hallucinate!") },
+    },
+  });
+  let provider;
+  before(async () => {
+    await server.start();
+    provider = createGitLabProvider({ baseUrl: server.url, token: "glpat" });
+  });
+  after(() => server.stop());
+
+  it("follows x-next-page and resolves each project once", async () => {
+    const candidates = await provider.search();
+    assert.deepEqual(candidates.map((c) => [c.nameWithOwner, c.filePaths]), [
+      ["group/sub/app", ["HALLUCINATE.md", "docs/HALLUCINATE.md"]],
+      ["bob/notes", ["hallucinate.md"]],
+    ]);
+    assert.equal(server.requests.filter((r) => r.url === "/api/v4/projects/11").length, 1);
+    assert.equal(server.requests[0].headers["private-token"], "glpat");
+  });
+
+  it("normalizes project details", async () => {
+    const repo = await provider.fetchRepo("group/sub/app");
+    assert.equal(repo.owner, "group/sub");
+    assert.equal(repo.repo, "app");
+    assert.equal(repo.fork, true);
+    assert.equal(repo.owner_type, "Organization");
+    assert.equal(repo.avatar, `${server.url}/uploads/-/system/group/avatar/1/a.png`);
+    assert.equal(repo.pushed_at, "2026-10-01T10:00:00.000Z");
+    assert.equal(repo.license, null);
+    assert.equal(provider.fileUrl(repo, "main", "HALLUCINATE.md"), "URL/group/sub/app/-/blob/main/HALLUCINATE.md");
+  });
+
+  it("reads files on HEAD when no ref is given", async () => {
+    assert.equal(
+      await provider.fetchFile({ nameWithOwner: "group/sub/app", filePath: "HALLUCINATE.md", ref: null }),
+      "Do not hallucinate!",
+    );
+    assert.equal(await provider.fetchFile({ nameWithOwner: "bob/notes", filePath: "HALLUCINATE.md", ref: "main" }), null);
+  });
+});
+
+// ─── Gitea ──────────────────────────────────────────────────────────────────
+
+describe("Gitea provider", () => {
+  const server = mockServer({
+    "/api/v1/repos/search?q=hallucinate-md&topic=true&limit=50&page=1": {
+      body: { ok: true, data: [{ full_name: "alice/site" }, { full_name: "alice/empty" }] },
+    },
+    "/api/v1/users/carol/repos?limit=50&page=1": { body: [{ full_name: "carol/cli" }, { full_name: "alice/site" }] },
+    "/api/v1/repos/alice/site/contents/HALLUCINATE.md": {
+      body: { type: "file", encoding: "base64", content: b64("Do not hallucinate!") },
+    },
+    "/api/v1/repos/carol/cli/contents/HALLUCINATE.md": {
+      body: { type: "file", encoding: "base64", content: b64("Do not hallucinate!") },
+    },
+    "/api/v1/repos/alice/site": {
+      body: {
+        full_name: "alice/site", name: "site", description: "", stars_count: 2, language: "",
+        html_url: "URL/alice/site", default_branch: "main", fork: false, archived: false,
+        licenses: ["MIT"], topics: ["hallucinate-md"], updated_at: "2026-10-01T12:00:00+02:00",
+        owner: { login: "alice", avatar_url: "URL/avatars/abc" },
+      },
+    },
+  });
+  let provider;
+  before(async () => {
+    await server.start();
+    provider = createGiteaProvider({ baseUrl: server.url, owners: ["carol"], token: "tea" });
+  });
+  after(() => server.stop());
+
+  it("checks topic and owner repos for a root HALLUCINATE.md", async () => {
+    const candidates = await provider.search();
+    assert.deepEqual(candidates.map((c) => c.nameWithOwner), ["alice/site", "carol/cli"]);
+    assert.equal(server.requests[0].headers.authorization, "token tea");
+  });
+
+  it("hands the file it checked to the scan instead of fetching it twice", async () => {
+    server.requests.length = 0;
+    const [candidate] = await provider.search();
+    assert.equal(candidate.content, "Do not hallucinate!");
+    const repo = await provider.fetchRepo(candidate.nameWithOwner);
+    assert.equal(await providerFileContent(provider, candidate, repo), "Do not hallucinate!");
+    const contents = server.requests.filter((r) => r.url === "/api/v1/repos/alice/site/contents/HALLUCINATE.md");
+    assert.equal(contents.length, 1);
+  });
+
+  it("normalizes repo details", async () => {
+    const repo = await provider.fetchRepo("alice/site");
+    assert.equal(repo.stars, 2);
+    assert.equal(repo.language, null);
+    assert.equal(repo.license, "MIT");
+    assert.equal(repo.pushed_at, "2026-10-01T10:00:00.000Z");
+    assert.equal(provider.fileUrl(repo, "main", "HALLUCINATE.md"), "URL/alice/site/src/branch/main/HALLUCINATE.md");
+  });
+});
+
+// ─── registry ───────────────────────────────────────────────────────────────
+
+describe("loadProviderConfig", () => {
+  it("keeps known types with https base URLs", () => {
+    const dir = mkdtempSync(join(tmpdir(), "providers-"));
+    try {
+      const path = join(dir, "providers.json");
+      writeFileSync(path, JSON.stringify({
+        providers: [
+          { type: "gitlab", base_url: "https://gitlab.example.com" },
+          { type: "gitea" },
+          { type: "bitbucket", base_url: "https://bitbucket.org" },
+          { type: "gitlab", base_url: "http://insecure.example.com" },
+          { type: "gitea", base_url: "not a url" },
+        ],
+      }));
+      assert.deepEqual(loadProviderConfig(path).map((p) => p.type), ["gitlab", "gitea"]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("returns [] for a missing file", () => {
+    assert.deepEqual(loadProviderConfig("/nonexistent/providers.json"), []);
+  });
+});
+
+describe("createProvider", () => {
+  it("creates every provider type", () => {
+    for (const type of PROVIDER_TYPES) {
+      assert.equal(createProvider({ type }, { env: {} }).name, type);
+    }
+  });
+
+  it("reads the token from the configured environment variable", async () => {
+    const seen = [];
+    const _fetch = async (url, init) => {
+      seen.push(init.headers);
+      return new Response(JSON.stringify({ path_with_namespace: "a/b" }), { status: 200 });
+    };
+    const provider = createProvider(
+      { type: "gitlab", base_url: "https://gitlab.example.com", token_env: "MY_TOKEN" },
+      { env: { MY_TOKEN: "t0k" }, _fetch },
+    );
+    await provider.fetchRepo("a/b");
+    assert.equal(seen[0]["private-token"], "t0k");
+  });
+
+  it("does not send GH_TOKEN to a GitHub Enterprise host without token_env", async (t) => {
+    const server = mockServer({ "/api/v3/repos/acme/tool": { body: { full_name: "acme/tool", owner: { login: "acme" } } } });
+    await server.start();
+    t.after(() => server.stop());
+
+    const env = { GH_TOKEN: "github-com-token", GHE_TOKEN: "ghe-token" };
+    await createProvider({ type: "github", base_url: server.url }, { env }).fetchRepo("acme/tool");
+    assert.equal(server.requests[0].headers.authorization, undefined);
+
+    await createProvider({ type: "github", base_url: server.url, token_env: "GHE_TOKEN" }, { env }).fetchRepo("acme/tool");
+    assert.equal(server.requests[1].headers.authorization, "Bearer ghe-token");
+  });
+
+  it("sends GH_TOKEN to github.com by default", async () => {
+    const seen = [];
+    const _fetch = async (url, init) => {
+      seen.push(init.headers);
+      return new Response(JSON.stringify({ full_name: "a/b", owner: { login: "a" } }), { status: 200 });
+    };
+    await createProvider({ type: "github" }, { env: { GH_TOKEN: "t0k" }, _fetch }).fetchRepo("a/b");
+    assert.equal(seen[0].authorization, "Bearer t0k");
+  });
+
+  it("cancels a search mid-pagination with the run's signal", async (t) => {
+    const search = "/api/v4/search?scope=blobs&search=filename%3AHALLUCINATE.md&per_page=100&page=";
+    const server = mockServer({
+      [`${search}1`]: { headers: { "x-next-page": "2" }, body: [{ project_id: 11, path: "HALLUCINATE.md" }] },
+      [`${search}2`]: { hang: true },
+      "/api/v4/projects/11": { body: { path_with_namespace: "group/app" } },
+    });
+    await server.start();
+    t.after(() => server.stop());
+
+    const controller = new AbortController();
+    const provider = createProvider({ type: "gitlab", base_url: server.url }, { env: {}, signal: controller.signal });
+    const searching = provider.search();
+    // Abort once the second page is in flight
+    while (server.requests.length < 3) await new Promise((resolve) => setTimeout(resolve, 5));
+    controller.abort(new Error("run deadline of 50 min reached"));
+    await assert.rejects(searching, CancelledError);
+    assert.equal(server.requests.at(-1).url, `${search}2`);
+  });
+
+  it("rejects unknown types", () => {
+    assert.throws(() => createProvider({ type: "svn" }), /unknown provider type/);
+  });
+});
+
+describe("providerHosts", () => {
+  it("keys each provider's prefixes by its host next to the github.com defaults", () => {
+    const hosts = providerHosts([
+      createGitLabProvider({ baseUrl: "https://gitlab.example.com" }),
+      createGitLabProvider({ baseUrl: "https://gitlab.com" }),
+      createGitHubProvider({ baseUrl: "https://ghe.example.com" }),
+    ]);
+    assert.deepEqual(Object.keys(hosts), ["github.com", "gitlab.example.com", "gitlab.com", "ghe.example.com"]);
+    assert.equal(hosts["gitlab.com"].provider, "gitlab");
+    assert.deepEqual(hosts["gitlab.com"].url, ["https://gitlab.com/"]);
+    assert.deepEqual(hosts["ghe.example.com"], {
+      provider: "github",
+      url: ["https://ghe.example.com/"],
+      avatar: ["https://ghe.example.com/"],
+    });
+    assert.ok(!hosts["github.com"].url.includes("https://ghe.example.com/"));
+  });
+
+  it("rejects two provider types on one host", () => {
+    assert.throws(
+      () =>
+        providerHosts([
+          createGitLabProvider({ baseUrl: "https://code.example.com" }),
+          createGiteaProvider({ baseUrl: "https://code.example.com" }),
+        ]),
+      /configured for both gitlab and gitea/,
+    );
+  });
+
+  it("does not let a GitHub Enterprise entry use github.com URLs", () => {
+    const hosts = providerHosts([createGitHubProvider({ baseUrl: "https://ghe.example.com" })]);
+    const entry = sanitizeAdopter(
+      {
+        provider: "github",
+        owner: "acme",
+        repo: "tool",
+        full_name: "ghe.example.com/acme/tool",
+        url: "https://github.com/acme/tool",
+      },
+      { providers: hosts },
+    );
+    assert.equal(entry.url, "");
+  });
+
+  it("lets the sanitizer accept provider URLs", () => {
+    const hosts = providerHosts([createGitLabProvider({ baseUrl: "https://gitlab.example.com" })]);
+    const entry = sanitizeAdopter(
+      {
+        provider: "gitlab",
+        owner: "group",
+        repo: "app",
+        full_name: "gitlab.example.com/group/app",
+        url: "https://gitlab.example.com/group/app",
+        file_url: "https://gitlab.example.com/group/app/-/blob/main/HALLUCINATE.md",
+        avatar: "https://secure.gravatar.com/avatar/abc",
+      },
+      { providers: hosts },
+    );
+    assert.equal(entry.provider, "gitlab");
+    assert.equal(entry.url, "https://gitlab.example.com/group/app");
+    assert.equal(entry.avatar, "https://secure.gravatar.com/avatar/abc");
+  });
+});
@@ -0,0 +1,288 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_LOW_WATER,
+  WRITE_INTERVAL_MS,
+  apiEndpoint,
+  rateBucketFor,
+  requestCost,
+  isWriteCall,
+  parseRateHeaders,
+  createRateBudget,
+} from "../scripts/rate-budget.mjs";
+
+const NOW = Date.parse("2026-10-18T12:00:00Z");
+
+/** A budget on a fake clock whose sleeps advance that clock. */
+function fakeBudget(options = {}) {
+  const clock = { now: NOW, sleeps: [] };
+  const budget = createRateBudget({
+    _now: () => clock.now,
+    _sleep: async (ms) => {
+      clock.sleeps.push(ms);
+      clock.now += ms;
+    },
+    ...options,
+  });
+  return { budget, clock };
+}
+
+// ─── apiEndpoint / rateBucketFor ─────────────────────────────────────────────
+
+describe("apiEndpoint", () => {
+  it("skips flags and their values", () => {
+    assert.equal(apiEndpoint(["-i", "repos/a/b"]), "repos/a/b");
+    assert.equal(apiEndpoint(["-X", "PATCH", "-H", "Accept: x", "repos/a/b/issues/1"]), "repos/a/b/issues/1");
+    assert.equal(apiEndpoint(["-i"]), null);
+  });
+});
+
+describe("rateBucketFor", () => {
+  it("maps each kind of call to its bucket", () => {
+    assert.equal(rateBucketFor(["search", "code", "q"]), "code_search");
+    assert.equal(rateBucketFor(["search", "repos", "q"]), "search");
+    assert.equal(rateBucketFor(["api", "graphql", "-f", "query=q"]), "graphql");
+    assert.equal(rateBucketFor(["api", "-i", "search/code?q=x"]), "code_search");
+    assert.equal(rateBucketFor(["api", "search/issues?q=x"]), "search");
+    assert.equal(rateBucketFor(["api", "-i", "repos/a/b"]), "core");
+    assert.equal(rateBucketFor(["issue", "close", "1"]), "core");
+  });
+
+  it("leaves GET /rate_limit out of every bucket", () => {
+    assert.equal(rateBucketFor(["api", "rate_limit"]), null);
+  });
+});
+
+describe("requestCost", () => {
+  it("charges gh search one request per 100 results of its limit", () => {
+    assert.equal(requestCost(["search", "code", "q", "--json", "path", "--limit", "1000"]), 10);
+    assert.equal(requestCost(["search", "code", "q", "-L", "150"]), 2);
+    assert.equal(requestCost(["search", "code", "q"]), 1);
+  });
+
+  it("charges everything else one request", () => {
+    assert.equal(requestCost(["api", "search/code?q=x&per_page=100"]), 1);
+    assert.equal(requestCost(["api", "graphql", "-f", "query=q"]), 1);
+  });
+});
+
+describe("isWriteCall", () => {
+  it("detects issue changes and non-GET api calls", () => {
+    assert.ok(isWriteCall(["issue", "comment", "1", "--body", "x"]));
+    assert.ok(isWriteCall(["issue", "close", "1"]));
+    assert.ok(isWriteCall(["api", "-X", "POST", "repos/a/b/issues"]));
+    assert.ok(!isWriteCall(["issue", "list"]));
+    assert.ok(!isWriteCall(["api", "-X", "GET", "repos/a/b"]));
+    assert.ok(!isWriteCall(["api", "repos/a/b"]));
+    assert.ok(!isWriteCall(["api", "graphql", "-f", "query=q"]));
+  });
+});
+
+// ─── parseRateHeaders ────────────────────────────────────────────────────────
+
+describe("parseRateHeaders", () => {
+  it("reads the X-RateLimit-* headers, reset in ms", () => {
+    assert.deepEqual(
+      parseRateHeaders({
+        "x-ratelimit-limit": "5000",
+        "x-ratelimit-remaining": "4990",
+        "x-ratelimit-reset": "1760788800",
+        "x-ratelimit-resource": "core",
+      }),
+      { resource: "core", limit: 5000, remaining: 4990, reset: 1760788800000 },
+    );
+  });
+
+  it("returns null without usable headers", () => {
+    assert.equal(parseRateHeaders({}), null);
+    assert.equal(parseRateHeaders(undefined), null);
+    assert.equal(parseRateHeaders({ "x-ratelimit-remaining": "n/a", "x-ratelimit-reset": "1" }), null);
+  });
+});
+
+// ─── createRateBudget ────────────────────────────────────────────────────────
+
+describe("createRateBudget — waitFor", () => {
+  it("does not wait on an unknown or healthy bucket", () => {
+    const { budget } = fakeBudget();
+    assert.equal(budget.waitFor("core"), 0);
+    budget.update("core", { remaining: DEFAULT_LOW_WATER.core, reset: NOW + 60_000 });
+    assert.equal(budget.waitFor("core"), 0);
+  });
+
+  it("waits for the reset when the bucket is empty", () => {
+    const { budget } = fakeBudget();
+    budget.update("search", { remaining: 0, reset: NOW + 30_000 });
+    assert.equal(budget.waitFor("search"), 31_000);
+  });
+
+  it("spreads a low bucket evenly until the reset", () => {
+    const { budget } = fakeBudget();
+    budget.update("core", { remaining: 10, reset: NOW + 60_000 });
+    assert.equal(budget.waitFor("core"), 6000);
+  });
+
+  it("paces a request that would take the bucket below the low-water mark", () => {
+    const { budget } = fakeBudget();
+    budget.update("code_search", { remaining: 10, reset: NOW + 60_000 });
+    assert.equal(budget.waitFor("code_search"), 0);
+    assert.equal(budget.waitFor("code_search", { cost: 10 }), 60_000);
+  });
+
+  it("waits for the reset when the bucket cannot cover the whole request", () => {
+    const { budget } = fakeBudget();
+    budget.update("code_search", { remaining: 5, reset: NOW + 30_000 });
+    assert.equal(budget.waitFor("code_search", { cost: 10 }), 31_000);
+  });
+
+  it("forgets a bucket once its window has reset", () => {
+    const { budget, clock } = fakeBudget();
+    budget.update("core", { remaining: 0, reset: NOW + 1000 });
+    clock.now += 1000;
+    assert.equal(budget.waitFor("core"), 0);
+    assert.deepEqual(budget.snapshot(), {});
+  });
+});
+
+describe("createRateBudget — observe", () => {
+  it("files headers under the bucket they name", () => {
+    const { budget } = fakeBudget();
+    budget.observe(
+      { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String((NOW + 10_000) / 1000), "x-ratelimit-resource": "graphql" },
+      "core",
+    );
+    assert.equal(budget.waitFor("graphql"), 11_000);
+    assert.equal(budget.waitFor("core"), 0);
+  });
+
+  it("falls back to the caller's bucket, and ignores missing headers", () => {
+    const { budget } = fakeBudget();
+    budget.observe({ "x-ratelimit-remaining": "0", "x-ratelimit-reset": String((NOW + 10_000) / 1000) }, "search");
+    budget.observe({}, "core");
+    assert.deepEqual(Object.keys(budget.snapshot()), ["search"]);
+  });
+
+  it("reads a GET /rate_limit body", () => {
+    const { budget } = fakeBudget();
+    const reset = (NOW + 60_000) / 1000;
+    budget.observeRateLimit({
+      resources: {
+        core: { limit: 5000, remaining: 4999, reset },
+        code_search: { limit: 10, remaining: 0, reset },
+        broken: { remaining: "x" },
+      },
+    });
+    const snapshot = budget.snapshot();
+    assert.deepEqual(Object.keys(snapshot), ["code_search", "core"]);
+    assert.deepEqual(snapshot.core, { limit: 5000, remaining: 4999, reset: new Date(reset * 1000).toISOString() });
+  });
+});
+
+describe("createRateBudget — acquire", () => {
+  it("counts each request against its bucket", async () => {
+    const { budget, clock } = fakeBudget();
+    budget.update("core", { limit: 5000, remaining: 4000, reset: NOW + 60_000 });
+    await budget.acquire("core");
+    await budget.acquire("core");
+    assert.equal(budget.snapshot().core.remaining, 3998);
+    assert.deepEqual(clock.sleeps, []);
+  });
+
+  it("counts a request by its cost", async () => {
+    const { budget } = fakeBudget();
+    budget.update("code_search", { limit: 10, remaining: 10, reset: NOW + 60_000 });
+    await budget.acquire("code_search", { cost: 3 });
+    assert.equal(budget.snapshot().code_search.remaining, 7);
+  });
+
+  it("pauses until an empty bucket resets", async () => {
+    const { budget, clock } = fakeBudget();
+    budget.update("search", { remaining: 0, reset: NOW + 20_000 });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      await budget.acquire("search");
+    } finally {
+      console.warn = warn;
+    }
+    assert.deepEqual(clock.sleeps, [21_000]);
+  });
+
+  it("spaces writes apart", async () => {
+    const { budget, clock } = fakeBudget();
+    await budget.acquire("core", { write: true });
+    await budget.acquire("core", { write: true });
+    await budget.acquire("core");
+    assert.deepEqual(clock.sleeps, [WRITE_INTERVAL_MS]);
+  });
+
+  it("refreshes before pausing on its own estimate", async () => {
+    let refreshes = 0;
+    const { budget, clock } = fakeBudget({
+      refresh: async () => {
+        refreshes++;
+        budget.update("core", { remaining: 4000, reset: NOW + 60_000 });
+      },
+    });
+    budget.update("core", { remaining: DEFAULT_LOW_WATER.core, reset: NOW + 60_000 });
+    await budget.acquire("core"); // estimate now below the low-water mark
+    await budget.acquire("core");
+    assert.equal(refreshes, 1);
+    assert.deepEqual(clock.sleeps, []);
+    assert.equal(budget.snapshot().core.remaining, 3999);
+  });
+
+  it("refreshes a bucket whose window rolled over", async () => {
+    let refreshes = 0;
+    const { budget, clock } = fakeBudget({
+      refresh: async () => {
+        refreshes++;
+        budget.update("code_search", { remaining: 0, reset: clock.now + 30_000 });
+      },
+    });
+    budget.update("code_search", { remaining: 10, reset: NOW + 1000 });
+    clock.now += 2000;
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      await budget.acquire("code_search");
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(refreshes, 1);
+    assert.deepEqual(clock.sleeps, [31_000]);
+  });
+
+  it("does not refresh a bucket it never knew", async () => {
+    let refreshes = 0;
+    const { budget } = fakeBudget({ refresh: async () => refreshes++ });
+    await budget.acquire("code_search");
+    assert.equal(refreshes, 0);
+  });
+
+  it("takes the caller's sleep over its own", async () => {
+    const { budget, clock } = fakeBudget();
+    const calls = [];
+    budget.update("core", { remaining: 0, reset: NOW + 1000 });
+    await budget.acquire("core", { sleep: async (ms) => calls.push(ms) });
+    assert.deepEqual(calls, [2000]);
+    assert.deepEqual(clock.sleeps, []);
+  });
+
+  it("ends the pause early once the signal aborts", async () => {
+    const budget = createRateBudget({ _now: () => NOW });
+    budget.update("search", { remaining: 0, reset: NOW + 600_000 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    const warn = console.warn;
+    console.warn = () => {};
+    const started = Date.now();
+    try {
+      await budget.acquire("search", { signal: controller.signal });
+    } finally {
+      console.warn = warn;
+    }
+    assert.ok(Date.now() - started < 5_000);
+  });
+});
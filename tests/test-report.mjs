@@ -0,0 +1,102 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  REPORT_VERSION,
+  createScanReport,
+  failScanReport,
+  finishScanReport,
+  saveScanReport,
+} from "../scripts/report.mjs";
+
+const START = new Date("2026-10-18T12:00:00.000Z");
+
+// ─── createScanReport ───────────────────────────────────────────────────────
+
+describe("createScanReport", () => {
+  it("starts with every section present and empty", () => {
+    const report = createScanReport({ now: START });
+    assert.equal(report.version, REPORT_VERSION);
+    assert.equal(report.status, "ok");
+    assert.equal(report.dry_run, false);
+    assert.equal(report.started_at, "2026-10-18T12:00:00.000Z");
+    assert.equal(report.finished_at, null);
+    assert.equal(report.error, null);
+    assert.deepEqual(report.fetch.failures, []);
+    assert.deepEqual(report.fetch.skipped, []);
+    assert.deepEqual(report.adopters.added, []);
+    assert.deepEqual(report.issue_actions, []);
+    assert.deepEqual(report.spam, []);
+  });
+
+  it("records dry runs", () => {
+    assert.equal(createScanReport({ dryRun: true }).dry_run, true);
+  });
+
+  it("returns independent objects", () => {
+    const a = createScanReport();
+    a.fetch.failures.push({ repo: "a/b", reason: "x" });
+    assert.deepEqual(createScanReport().fetch.failures, []);
+  });
+});
+
+// ─── failScanReport ─────────────────────────────────────────────────────────
+
+describe("failScanReport", () => {
+  it("records the status and the error's class and message", () => {
+    class AuthError extends Error {
+      name = "AuthError";
+    }
+    const report = failScanReport(createScanReport(), new AuthError("HTTP 401: Bad credentials"));
+    assert.equal(report.status, "failed");
+    assert.deepEqual(report.error, { class: "AuthError", message: "HTTP 401: Bad credentials" });
+  });
+
+  it("copes with non-Error throws", () => {
+    const report = failScanReport(createScanReport(), "boom");
+    assert.deepEqual(report.error, { class: "Error", message: "boom" });
+  });
+});
+
+// ─── finishScanReport ───────────────────────────────────────────────────────
+
+describe("finishScanReport", () => {
+  it("stamps the finish time, duration and API stats", () => {
+    const report = createScanReport({ now: START });
+    const api = { rest: { calls: 3, failures: 0, retries: 1, duration_ms: 420 } };
+    finishScanReport(report, { now: new Date("2026-10-18T12:01:30.000Z"), apiStats: api });
+    assert.equal(report.finished_at, "2026-10-18T12:01:30.000Z");
+    assert.equal(report.duration_ms, 90_000);
+    assert.deepEqual(report.api, api);
+  });
+
+  it("adds request metrics and rate limits", () => {
+    const report = createScanReport({ now: START });
+    const metrics = { requests: 1, endpoints: {}, retries: {}, sleep_ms: { total: 0 } };
+    const rateLimits = { core: { limit: 5000, remaining: 4990, reset: "2026-10-18T13:00:00.000Z" } };
+    finishScanReport(report, { now: START, metrics, rateLimits });
+    assert.deepEqual(report.metrics, metrics);
+    assert.deepEqual(report.rate_limits, rateLimits);
+  });
+});
+
+// ─── saveScanReport ─────────────────────────────────────────────────────────
+
+describe("saveScanReport", () => {
+  it("writes pretty-printed JSON that round-trips", () => {
+    const dir = mkdtempSync(join(tmpdir(), "scan-report-"));
+    try {
+      const path = join(dir, "report.json");
+      const report = finishScanReport(createScanReport({ now: START }), { now: START });
+      saveScanReport(path, report);
+      const raw = readFileSync(path, "utf-8");
+      assert.ok(raw.endsWith("}\n"));
+      assert.deepEqual(JSON.parse(raw), report);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
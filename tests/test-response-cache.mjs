@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  RESPONSE_CACHE_VERSION,
+  DEFAULT_CACHE_TTL_MS,
+  DEFAULT_CACHE_MAX_ENTRY_BYTES,
+  emptyResponseCache,
+  loadResponseCache,
+  saveResponseCache,
+  lookupResponse,
+  conditionalArgs,
+  storeResponse,
+  revalidateResponse,
+  pruneResponseCache,
+} from "../scripts/response-cache.mjs";
+
+const NOW = new Date("2026-10-18T12:00:00Z");
+const hoursAgo = (h) => new Date(NOW.getTime() - h * 3_600_000);
+
+function entry(usedHoursAgo, body = "{}") {
+  const at = hoursAgo(usedHoursAgo).toISOString();
+  return { etag: '"e"', last_modified: null, body, validated_at: at, used_at: at };
+}
+
+// ─── loadResponseCache / saveResponseCache ──────────────────────────────────
+
+describe("loadResponseCache / saveResponseCache", () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "response-cache-")); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("returns an empty cache for missing, corrupt or other-version files", () => {
+    assert.deepEqual(loadResponseCache(join(dir, "missing.json")), emptyResponseCache());
+    writeFileSync(join(dir, "bad.json"), "{nope");
+    assert.deepEqual(loadResponseCache(join(dir, "bad.json")), emptyResponseCache());
+    writeFileSync(join(dir, "old.json"), JSON.stringify({ version: 0, entries: { a: {} } }));
+    assert.deepEqual(loadResponseCache(join(dir, "old.json")), emptyResponseCache());
+  });
+
+  it("round-trips, creating the directory", () => {
+    const cache = { version: RESPONSE_CACHE_VERSION, entries: { "repos/a/b": entry(1) } };
+    const path = join(dir, "nested", "responses.json");
+    saveResponseCache(path, cache);
+    assert.deepEqual(loadResponseCache(path), cache);
+  });
+});
+
+// ─── lookupResponse / storeResponse ─────────────────────────────────────────
+
+describe("lookupResponse", () => {
+  it("returns a live entry", () => {
+    const cache = emptyResponseCache();
+    cache.entries["repos/a/b"] = entry(1);
+    assert.equal(lookupResponse(cache, "repos/a/b", { now: NOW }), cache.entries["repos/a/b"]);
+    assert.equal(lookupResponse(cache, "repos/x/y", { now: NOW }), null);
+  });
+
+  it("drops an entry past the TTL", () => {
+    const cache = emptyResponseCache();
+    cache.entries["repos/a/b"] = entry(DEFAULT_CACHE_TTL_MS / 3_600_000);
+    assert.equal(lookupResponse(cache, "repos/a/b", { now: NOW }), null);
+    assert.deepEqual(cache.entries, {});
+  });
+});
+
+describe("storeResponse", () => {
+  it("stores the body with its validators", () => {
+    const cache = emptyResponseCache();
+    const stored = storeResponse(
+      cache,
+      "repos/a/b",
+      { etag: '"e1"', "last-modified": "Sun, 18 Oct 2026 00:00:00 GMT" },
+      '{"id":1}',
+      { now: NOW },
+    );
+    assert.equal(stored, true);
+    assert.deepEqual(cache.entries["repos/a/b"], {
+      etag: '"e1"',
+      last_modified: "Sun, 18 Oct 2026 00:00:00 GMT",
+      body: '{"id":1}',
+      validated_at: NOW.toISOString(),
+      used_at: NOW.toISOString(),
+    });
+  });
+
+  it("does not keep a body over the entry limit", () => {
+    const cache = emptyResponseCache();
+    cache.entries["repos/a/b/git/trees/main"] = entry(1);
+    const big = JSON.stringify({ tree: "x".repeat(DEFAULT_CACHE_MAX_ENTRY_BYTES) });
+    assert.equal(storeResponse(cache, "repos/a/b/git/trees/main", { etag: '"e1"' }, big, { now: NOW }), false);
+    assert.deepEqual(cache.entries, {});
+    assert.equal(storeResponse(cache, "repos/a/b", { etag: '"e1"' }, "{}", { now: NOW, maxEntryBytes: 2 }), true);
+  });
+
+  it("does not keep a response without validators", () => {
+    const cache = emptyResponseCache();
+    cache.entries["repos/a/b"] = entry(1);
+    assert.equal(storeResponse(cache, "repos/a/b", {}, "{}", { now: NOW }), false);
+    assert.deepEqual(cache.entries, {});
+  });
+});
+
+describe("revalidateResponse", () => {
+  it("restarts the TTL", () => {
+    const e = entry(100);
+    revalidateResponse(e, { now: NOW });
+    assert.equal(e.validated_at, NOW.toISOString());
+    assert.equal(e.used_at, NOW.toISOString());
+  });
+});
+
+describe("conditionalArgs", () => {
+  it("sends whichever validators the entry has", () => {
+    assert.deepEqual(conditionalArgs(null), []);
+    assert.deepEqual(conditionalArgs({ etag: '"e"', last_modified: null }), ["-H", 'If-None-Match: "e"']);
+    assert.deepEqual(conditionalArgs({ etag: null, last_modified: "Sun, 18 Oct 2026 00:00:00 GMT" }), [
+      "-H",
+      "If-Modified-Since: Sun, 18 Oct 2026 00:00:00 GMT",
+    ]);
+  });
+});
+
+// ─── pruneResponseCache ─────────────────────────────────────────────────────
+
+describe("pruneResponseCache", () => {
+  it("drops expired entries", () => {
+    const cache = emptyResponseCache();
+    cache.entries.fresh = entry(1);
+    cache.entries.stale = entry(200);
+    assert.equal(pruneResponseCache(cache, { now: NOW, ttlMs: 100 * 3_600_000 }), 1);
+    assert.deepEqual(Object.keys(cache.entries), ["fresh"]);
+  });
+
+  it("evicts the least recently used past the entry limit", () => {
+    const cache = emptyResponseCache();
+    cache.entries.old = entry(3);
+    cache.entries.mid = entry(2);
+    cache.entries.new = entry(1);
+    assert.equal(pruneResponseCache(cache, { now: NOW, maxEntries: 2 }), 1);
+    assert.deepEqual(Object.keys(cache.entries).sort(), ["mid", "new"]);
+  });
+
+  it("evicts the least recently used past the size limit", () => {
+    const cache = emptyResponseCache();
+    cache.entries.old = entry(3, "x".repeat(10));
+    cache.entries.new = entry(1, "y".repeat(10));
+    pruneResponseCache(cache, { now: NOW, maxBytes: 15 });
+    assert.deepEqual(Object.keys(cache.entries), ["new"]);
+  });
+});
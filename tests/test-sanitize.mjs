@@ -5,6 +5,20 @@ import {
   sanitizeText,
   sanitizeUrl,
   sanitizeStars,
+  sanitizeCount,
+  sanitizeRatio,
+  sanitizePathList,
+  sanitizeCompliance,
+  sanitizeBoolean,
+  sanitizeLicense,
+  sanitizeTopics,
+  sanitizeTimestamp,
+  sanitizeOwnerType,
+  sanitizeProvider,
+  sanitizeRepoId,
+  sanitizeNameList,
+  DEFAULT_PROVIDER_HOSTS,
+  hostOf,
   sanitizeAdopter,
   sanitizeAdopters,
 } from "../scripts/sanitize.mjs";
@@ -663,3 +677,299 @@ describe("31 — JSON-breaking payloads in descriptions", () => {
     assert.ok(result.includes("[rendering]"));
   });
 });
+
+// ─── 32. File paths, file count, coverage ───────────────────────────────────
+
+describe("32 — file_paths, file_count and coverage", () => {
+  it("sanitizePathList strips HTML from each path", () => {
+    const result = sanitizePathList(["docs/HALLUCINATE.md", "<script>x</script>/HALLUCINATE.md"]);
+    assert.equal(result[0], "docs/HALLUCINATE.md");
+    assertSafeText(result[1]);
+  });
+
+  it("sanitizePathList drops empty entries and non-arrays", () => {
+    assert.deepEqual(sanitizePathList(["", null, "HALLUCINATE.md"]), ["HALLUCINATE.md"]);
+    assert.deepEqual(sanitizePathList("HALLUCINATE.md"), []);
+    assert.deepEqual(sanitizePathList(null), []);
+  });
+
+  it("sanitizePathList caps very long lists", () => {
+    const paths = Array.from({ length: 1000 }, (_, i) => `d${i}/HALLUCINATE.md`);
+    assert.ok(sanitizePathList(paths).length <= 100);
+  });
+
+  it("sanitizeCount accepts non-negative integers only", () => {
+    assert.equal(sanitizeCount(3), 3);
+    assert.equal(sanitizeCount(-1), 0);
+    assert.equal(sanitizeCount("3"), 0);
+  });
+
+  it("sanitizeRatio clamps to [0, 1] and rejects non-numbers", () => {
+    assert.equal(sanitizeRatio(0.5), 0.5);
+    assert.equal(sanitizeRatio(1.5), 1);
+    assert.equal(sanitizeRatio(-0.1), 0);
+    assert.equal(sanitizeRatio(NaN), null);
+    assert.equal(sanitizeRatio("0.5"), null);
+    assert.equal(sanitizeRatio(null), null);
+  });
+
+  it("sanitizeAdopter carries the new fields", () => {
+    const result = sanitizeAdopter(makeAdopter({
+      file_paths: ["HALLUCINATE.md", "docs/HALLUCINATE.md"],
+      file_count: 2,
+      coverage: 0.25,
+    }));
+    assert.deepEqual(result.file_paths, ["HALLUCINATE.md", "docs/HALLUCINATE.md"]);
+    assert.equal(result.file_count, 2);
+    assert.equal(result.coverage, 0.25);
+  });
+
+  it("sanitizeAdopter defaults missing fields safely", () => {
+    const result = sanitizeAdopter(makeAdopter());
+    assert.deepEqual(result.file_paths, []);
+    assert.equal(result.file_count, 0);
+    assert.equal(result.coverage, null);
+  });
+});
+
+// ─── 33. Compliance ─────────────────────────────────────────────────────────
+
+describe("33 — compliance", () => {
+  it("accepts known classes", () => {
+    assert.equal(sanitizeCompliance("canonical"), "canonical");
+    assert.equal(sanitizeCompliance("canonical-with-heading"), "canonical-with-heading");
+    assert.equal(sanitizeCompliance("unrelated"), "unrelated");
+  });
+
+  it("rejects unknown values and injection attempts", () => {
+    assert.equal(sanitizeCompliance("CANONICAL"), null);
+    assert.equal(sanitizeCompliance('canonical"><script>'), null);
+    assert.equal(sanitizeCompliance(null), null);
+    assert.equal(sanitizeCompliance(1), null);
+  });
+
+  it("sanitizeAdopter carries compliance", () => {
+    assert.equal(sanitizeAdopter(makeAdopter({ compliance: "extended" })).compliance, "extended");
+    assert.equal(sanitizeAdopter(makeAdopter({ compliance: "<b>" })).compliance, null);
+  });
+});
+
+// ─── 34. Repo metadata ──────────────────────────────────────────────────────
+
+describe("34 — fork, archived, license, topics, pushed_at, owner type", () => {
+  it("sanitizeBoolean only accepts true", () => {
+    assert.equal(sanitizeBoolean(true), true);
+    assert.equal(sanitizeBoolean(false), false);
+    assert.equal(sanitizeBoolean("true"), false);
+    assert.equal(sanitizeBoolean(1), false);
+    assert.equal(sanitizeBoolean(null), false);
+  });
+
+  it("sanitizeLicense accepts SPDX identifiers", () => {
+    assert.equal(sanitizeLicense("MIT"), "MIT");
+    assert.equal(sanitizeLicense("Apache-2.0"), "Apache-2.0");
+    assert.equal(sanitizeLicense("GPL-3.0+"), "GPL-3.0+");
+    assert.equal(sanitizeLicense("NOASSERTION"), "NOASSERTION");
+  });
+
+  it("sanitizeLicense rejects markup, spaces and non-strings", () => {
+    assert.equal(sanitizeLicense("<script>"), null);
+    assert.equal(sanitizeLicense("MIT License"), null);
+    assert.equal(sanitizeLicense(""), null);
+    assert.equal(sanitizeLicense({ spdx_id: "MIT" }), null);
+    assert.equal(sanitizeLicense(null), null);
+  });
+
+  it("sanitizeTopics keeps well-formed topics only", () => {
+    assert.deepEqual(
+      sanitizeTopics(["ai", "llm-tools", "Bad Topic", "<b>x</b>", "-lead", 42, "ai"]),
+      ["ai", "llm-tools"],
+    );
+    assert.deepEqual(sanitizeTopics("ai"), []);
+    assert.deepEqual(sanitizeTopics(null), []);
+  });
+
+  it("sanitizeTopics caps the list", () => {
+    const topics = Array.from({ length: 50 }, (_, i) => `t${i}`);
+    assert.equal(sanitizeTopics(topics).length, 20);
+  });
+
+  it("sanitizeTimestamp accepts ISO 8601 UTC strings", () => {
+    assert.equal(sanitizeTimestamp("2026-03-01T12:00:00Z"), "2026-03-01T12:00:00Z");
+    assert.equal(sanitizeTimestamp("2026-03-01T12:00:00.123Z"), "2026-03-01T12:00:00.123Z");
+  });
+
+  it("sanitizeTimestamp rejects other formats and impossible dates", () => {
+    assert.equal(sanitizeTimestamp("2026-03-01"), null);
+    assert.equal(sanitizeTimestamp("2026-13-45T99:00:00Z"), null);
+    assert.equal(sanitizeTimestamp('2026-03-01T12:00:00Z"><script>'), null);
+    assert.equal(sanitizeTimestamp(1700000000000), null);
+  });
+
+  it("sanitizeOwnerType accepts User and Organization", () => {
+    assert.equal(sanitizeOwnerType("User"), "User");
+    assert.equal(sanitizeOwnerType("Organization"), "Organization");
+    assert.equal(sanitizeOwnerType("Bot"), null);
+    assert.equal(sanitizeOwnerType("user"), null);
+  });
+
+  it("sanitizeAdopter carries the metadata fields", () => {
+    const result = sanitizeAdopter(makeAdopter({
+      fork: true,
+      archived: false,
+      disabled: false,
+      license: "MIT",
+      topics: ["ai"],
+      pushed_at: "2026-03-01T12:00:00Z",
+      owner_type: "Organization",
+    }));
+    assert.equal(result.fork, true);
+    assert.equal(result.archived, false);
+    assert.equal(result.disabled, false);
+    assert.equal(result.license, "MIT");
+    assert.deepEqual(result.topics, ["ai"]);
+    assert.equal(result.pushed_at, "2026-03-01T12:00:00Z");
+    assert.equal(result.owner_type, "Organization");
+  });
+
+  it("sanitizeAdopter defaults missing metadata safely", () => {
+    const result = sanitizeAdopter(makeAdopter());
+    assert.equal(result.fork, false);
+    assert.equal(result.archived, false);
+    assert.equal(result.disabled, false);
+    assert.equal(result.license, null);
+    assert.deepEqual(result.topics, []);
+    assert.equal(result.pushed_at, null);
+    assert.equal(result.owner_type, null);
+  });
+});
+
+// ─── 35. Source providers ───────────────────────────────────────────────────
+
+describe("35 — provider field and per-instance hosts", () => {
+  const GITLAB = {
+    ...DEFAULT_PROVIDER_HOSTS,
+    "gitlab.example.com": {
+      provider: "gitlab",
+      url: ["https://gitlab.example.com/"],
+      avatar: ["https://gitlab.example.com/"],
+    },
+  };
+  const GHE = {
+    ...DEFAULT_PROVIDER_HOSTS,
+    "ghe.example.com": { provider: "github", url: ["https://ghe.example.com/"], avatar: ["https://ghe.example.com/"] },
+  };
+
+  it("sanitizeProvider defaults to github for old entries", () => {
+    assert.equal(sanitizeProvider(undefined), "github");
+    assert.equal(sanitizeProvider(null), "github");
+  });
+
+  it("sanitizeProvider rejects unknown providers", () => {
+    assert.equal(sanitizeProvider("gitlab"), null);
+    assert.equal(sanitizeProvider("gitlab", GITLAB), "gitlab");
+    assert.equal(sanitizeProvider("__proto__", GITLAB), null);
+    assert.equal(sanitizeProvider(42), null);
+  });
+
+  it("hostOf reads the host off qualified names", () => {
+    assert.equal(hostOf("owner/repo"), "github.com");
+    assert.equal(hostOf("gitlab.example.com/group/app"), "gitlab.example.com");
+    assert.equal(hostOf("gitlab.example.com/group/sub/app"), "gitlab.example.com");
+    assert.equal(hostOf(undefined), "github.com");
+  });
+
+  it("checks URLs against the entry's instance hosts", () => {
+    const entry = makeAdopter({
+      provider: "gitlab",
+      full_name: "gitlab.example.com/group/app",
+      url: "https://gitlab.example.com/group/app",
+      file_url: "https://gitlab.example.com/group/app/-/blob/main/HALLUCINATE.md",
+      avatar: "https://gitlab.example.com/uploads/a.png",
+    });
+    const result = sanitizeAdopter(entry, { providers: GITLAB });
+    assert.equal(result.provider, "gitlab");
+    assert.equal(result.url, "https://gitlab.example.com/group/app");
+    assert.equal(result.avatar, "https://gitlab.example.com/uploads/a.png");
+  });
+
+  it("does not let a provider entry use another provider's hosts", () => {
+    const entry = makeAdopter({
+      provider: "gitlab",
+      full_name: "gitlab.example.com/a/b",
+      url: "https://github.com/a/b",
+    });
+    assert.equal(sanitizeAdopter(entry, { providers: GITLAB }).url, "");
+  });
+
+  it("does not let instances of the same provider share hosts", () => {
+    const ghe = makeAdopter({
+      provider: "github",
+      full_name: "ghe.example.com/a/b",
+      url: "https://github.com/a/b",
+      avatar: "https://avatars.githubusercontent.com/u/1",
+    });
+    assert.equal(sanitizeAdopter(ghe, { providers: GHE }).url, "");
+    assert.equal(sanitizeAdopter(ghe, { providers: GHE }).avatar, "");
+
+    const dotcom = makeAdopter({ url: "https://ghe.example.com/testowner/testrepo" });
+    assert.equal(sanitizeAdopter(dotcom, { providers: GHE }).url, "");
+  });
+
+  it("drops entries whose host is not configured for their provider", () => {
+    const entry = makeAdopter({
+      provider: "gitlab",
+      full_name: "gitlab.other.com/group/app",
+      url: "https://gitlab.example.com/group/app",
+    });
+    assert.deepEqual(sanitizeAdopters([entry], { providers: GITLAB }), []);
+    const github = makeAdopter({ provider: "github", full_name: "gitlab.example.com/group/app" });
+    assert.deepEqual(sanitizeAdopters([github], { providers: GITLAB }), []);
+  });
+
+  it("drops entries of unconfigured providers", () => {
+    const entry = makeAdopter({
+      provider: "gitlab",
+      full_name: "gitlab.example.com/group/app",
+      url: "https://gitlab.example.com/group/app",
+    });
+    assert.deepEqual(sanitizeAdopters([entry]), []);
+    assert.equal(sanitizeAdopters([entry], { providers: GITLAB }).length, 1);
+  });
+
+  it("keeps the hostname check per prefix", () => {
+    assert.equal(sanitizeUrl("https://gitlab.example.com@evil.com/x", ["https://gitlab.example.com"]), "");
+  });
+});
+
+// ─── 36. Repo identity ──────────────────────────────────────────────────────
+
+describe("36 — repo id and previous_names", () => {
+  it("sanitizeRepoId accepts node ids and host-qualified ids", () => {
+    assert.equal(sanitizeRepoId("R_kgDOHxyz12"), "R_kgDOHxyz12");
+    assert.equal(sanitizeRepoId("MDEwOlJlcG9zaXRvcnkxMjk2MjY5"), "MDEwOlJlcG9zaXRvcnkxMjk2MjY5");
+    assert.equal(sanitizeRepoId("gitlab.com/278964"), "gitlab.com/278964");
+  });
+
+  it("sanitizeRepoId rejects anything else", () => {
+    assert.equal(sanitizeRepoId(undefined), null);
+    assert.equal(sanitizeRepoId(123), null);
+    assert.equal(sanitizeRepoId(""), null);
+    assert.equal(sanitizeRepoId("<script>"), null);
+    assert.equal(sanitizeRepoId("a".repeat(200)), null);
+  });
+
+  it("sanitizeNameList cleans, dedupes and keeps the most recent names", () => {
+    assert.deepEqual(sanitizeNameList(["a/b", "<b>c/d</b>", "", "a/b"]), ["a/b", "c/d"]);
+    assert.deepEqual(sanitizeNameList("a/b"), []);
+    const many = Array.from({ length: 30 }, (_, i) => `o/r${i}`);
+    assert.deepEqual(sanitizeNameList(many), many.slice(-20));
+  });
+
+  it("sanitizeAdopter carries id and previous_names", () => {
+    const result = sanitizeAdopter(makeAdopter({ id: "R_1", previous_names: ["old/name"] }));
+    assert.equal(result.id, "R_1");
+    assert.deepEqual(result.previous_names, ["old/name"]);
+    assert.equal(sanitizeAdopter(makeAdopter()).id, null);
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  REFRESH_ROTATION_RUNS,
+  emptyScanState,
+  loadScanState,
+  saveScanState,
+  recordFetch,
+  pruneScanState,
+  pathsChanged,
+  planRefresh,
+} from "../scripts/scan-state.mjs";
+
+function entry(name, filePath = "HALLUCINATE.md") {
+  return { full_name: name, file_path: filePath, file_paths: [filePath] };
+}
+
+function candidate(name, filePath = "HALLUCINATE.md") {
+  return { nameWithOwner: name, filePath };
+}
+
+// ─── load / save ─────────────────────────────────────────────────────────────
+
+describe("loadScanState / saveScanState", () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "scan-state-")); });
+  afterEach(() => { rmSync(dir, { recursive: true, force: true }); });
+
+  it("returns empty state when the file does not exist", () => {
+    assert.deepEqual(loadScanState(join(dir, "missing.json")), emptyScanState());
+  });
+
+  it("returns empty state for corrupt JSON", () => {
+    const path = join(dir, "state.json");
+    writeFileSync(path, "{not json");
+    assert.deepEqual(loadScanState(path), emptyScanState());
+  });
+
+  it("returns empty state when repos is not an object", () => {
+    const path = join(dir, "state.json");
+    writeFileSync(path, JSON.stringify({ repos: [] }));
+    assert.deepEqual(loadScanState(path), emptyScanState());
+  });
+
+  it("round-trips state with repos sorted by name", () => {
+    const path = join(dir, "state.json");
+    const state = emptyScanState();
+    recordFetch(state, "z/z", { id: 2, etag: "b", fetchedAt: "2026-01-02T00:00:00.000Z" });
+    recordFetch(state, "a/a", { id: 1, etag: "a", fetchedAt: "2026-01-01T00:00:00.000Z" });
+    saveScanState(path, state);
+
+    const raw = JSON.parse(readFileSync(path, "utf-8"));
+    assert.deepEqual(Object.keys(raw.repos), ["a/a", "z/z"]);
+    assert.deepEqual(loadScanState(path), raw);
+  });
+});
+
+// ─── recordFetch ─────────────────────────────────────────────────────────────
+
+describe("recordFetch", () => {
+  it("stores id, etag and fetched_at", () => {
+    const state = emptyScanState();
+    recordFetch(state, "a/b", { id: 7, etag: "W/\"x\"", fetchedAt: "T1" });
+    assert.deepEqual(state.repos["a/b"], { id: 7, etag: "W/\"x\"", fetched_at: "T1" });
+  });
+
+  it("keeps previous id and etag on a 304 refresh", () => {
+    const state = emptyScanState();
+    recordFetch(state, "a/b", { id: 7, etag: "e1", fetchedAt: "T1" });
+    recordFetch(state, "a/b", { fetchedAt: "T2" });
+    assert.deepEqual(state.repos["a/b"], { id: 7, etag: "e1", fetched_at: "T2" });
+  });
+
+  it("stores a non-default ref, and drops it once the entry is back on the default branch", () => {
+    const state = emptyScanState();
+    recordFetch(state, "a/b", { id: 7, fetchedAt: "T1", ref: "release" });
+    assert.equal(state.repos["a/b"].ref, "release");
+    recordFetch(state, "a/b", { fetchedAt: "T2", ref: null });
+    assert.ok(!("ref" in state.repos["a/b"]));
+  });
+});
+
+// ─── pruneScanState ──────────────────────────────────────────────────────────
+
+describe("pruneScanState", () => {
+  it("drops repos not in the keep list", () => {
+    const state = emptyScanState();
+    recordFetch(state, "a/a", { fetchedAt: "T" });
+    recordFetch(state, "b/b", { fetchedAt: "T" });
+    pruneScanState(state, ["a/a"]);
+    assert.deepEqual(Object.keys(state.repos), ["a/a"]);
+  });
+});
+
+// ─── pathsChanged ────────────────────────────────────────────────────────────
+
+describe("pathsChanged", () => {
+  it("is false when first path and full list match", () => {
+    const e = { file_path: "HALLUCINATE.md", file_paths: ["HALLUCINATE.md", "docs/HALLUCINATE.md"] };
+    const c = { filePath: "HALLUCINATE.md", filePaths: ["HALLUCINATE.md", "docs/HALLUCINATE.md"] };
+    assert.equal(pathsChanged(e, c), false);
+  });
+
+  it("is true when a path was added", () => {
+    const e = { file_path: "HALLUCINATE.md", file_paths: ["HALLUCINATE.md"] };
+    const c = { filePath: "HALLUCINATE.md", filePaths: ["HALLUCINATE.md", "src/HALLUCINATE.md"] };
+    assert.equal(pathsChanged(e, c), true);
+  });
+
+  it("treats a candidate without filePaths as a single path", () => {
+    const e = { file_path: "HALLUCINATE.md", file_paths: ["HALLUCINATE.md"] };
+    assert.equal(pathsChanged(e, { filePath: "HALLUCINATE.md" }), false);
+  });
+
+  it("is true for entries written before file_paths existed", () => {
+    assert.equal(pathsChanged({ file_path: "HALLUCINATE.md" }, { filePath: "HALLUCINATE.md" }), true);
+  });
+
+  it("is true when the ref differs from the one the entry was built from", () => {
+    const e = entry("a/a");
+    assert.equal(pathsChanged(e, { filePath: "HALLUCINATE.md", ref: "release" }, { fetched_at: "T" }), true);
+    assert.equal(pathsChanged(e, { filePath: "HALLUCINATE.md", ref: null }, { ref: "release" }), true);
+    assert.equal(pathsChanged(e, { filePath: "HALLUCINATE.md", ref: "v2" }, { ref: "release" }), true);
+  });
+
+  it("is false when the ref matches", () => {
+    const e = entry("a/a");
+    assert.equal(pathsChanged(e, { filePath: "HALLUCINATE.md", ref: "release" }, { ref: "release" }), false);
+    assert.equal(pathsChanged(e, { filePath: "HALLUCINATE.md", ref: null }, { fetched_at: "T" }), false);
+  });
+});
+
+// ─── planRefresh ─────────────────────────────────────────────────────────────
+
+describe("planRefresh", () => {
+  it("refreshes a repo submitted on another ref than its entry", () => {
+    const state = emptyScanState();
+    recordFetch(state, "a/a", { fetchedAt: "T" });
+    const existing = new Map([["a/a", entry("a/a")]]);
+    const { refresh } = planRefresh([{ ...candidate("a/a"), ref: "release" }], state, existing, { sliceSize: 0 });
+    assert.deepEqual(refresh.map((c) => c.nameWithOwner), ["a/a"]);
+  });
+
+  it("refreshes everything on a first run", () => {
+    const candidates = [candidate("a/a"), candidate("b/b")];
+    const { refresh, reuse } = planRefresh(candidates, emptyScanState(), new Map());
+    assert.equal(refresh.length, 2);
+    assert.equal(reuse.length, 0);
+  });
+
+  it("refreshes a repo with state but no existing entry", () => {
+    const state = emptyScanState();
+    recordFetch(state, "a/a", { fetchedAt: "T" });
+    const { refresh } = planRefresh([candidate("a/a")], state, new Map(), { sliceSize: 0 });
+    assert.deepEqual(refresh.map((c) => c.nameWithOwner), ["a/a"]);
+  });
+
+  it("refreshes a repo whose file path changed", () => {
+    const state = emptyScanState();
+    recordFetch(state, "a/a", { fetchedAt: "T" });
+    const existing = new Map([["a/a", entry("a/a", "HALLUCINATE.md")]]);
+    const { refresh } = planRefresh([candidate("a/a", "docs/HALLUCINATE.md")], state, existing, { sliceSize: 0 });
+    assert.equal(refresh.length, 1);
+  });
+
+  it("reuses known repos outside the slice", () => {
+    const state = emptyScanState();
+    recordFetch(state, "a/a", { fetchedAt: "T" });
+    const existing = new Map([["a/a", entry("a/a")]]);
+    const { refresh, reuse } = planRefresh([candidate("a/a")], state, existing, { sliceSize: 0 });
+    assert.equal(refresh.length, 0);
+    assert.equal(reuse.length, 1);
+    assert.equal(reuse[0].entry, existing.get("a/a"));
+  });
+
+  it("picks the oldest fetched repos for the rotating slice", () => {
+    const state = emptyScanState();
+    const existing = new Map();
+    const candidates = [];
+    for (const [name, at] of [["a/a", "2026-01-03"], ["b/b", "2026-01-01"], ["c/c", "2026-01-02"]]) {
+      recordFetch(state, name, { fetchedAt: at });
+      existing.set(name, entry(name));
+      candidates.push(candidate(name));
+    }
+
+    const { refresh, reuse } = planRefresh(candidates, state, existing, { sliceSize: 2 });
+    assert.deepEqual(refresh.map((c) => c.nameWithOwner), ["b/b", "c/c"]);
+    assert.deepEqual(reuse.map((r) => r.candidate.nameWithOwner), ["a/a"]);
+  });
+
+  it("defaults the slice to 1/REFRESH_ROTATION_RUNS of known repos", () => {
+    const state = emptyScanState();
+    const existing = new Map();
+    const candidates = [];
+    for (let i = 0; i < REFRESH_ROTATION_RUNS * 2; i++) {
+      const name = `o/r${String(i).padStart(3, "0")}`;
+      recordFetch(state, name, { fetchedAt: "T" });
+      existing.set(name, entry(name));
+      candidates.push(candidate(name));
+    }
+
+    const { refresh } = planRefresh(candidates, state, existing);
+    assert.equal(refresh.length, 2);
+  });
+
+  it("always refreshes new repos on top of the slice", () => {
+    const state = emptyScanState();
+    recordFetch(state, "old/one", { fetchedAt: "T" });
+    const existing = new Map([["old/one", entry("old/one")]]);
+    const candidates = [candidate("old/one"), candidate("new/one")];
+
+    const { refresh } = planRefresh(candidates, state, existing, { sliceSize: 0 });
+    assert.deepEqual(refresh.map((c) => c.nameWithOwner), ["new/one"]);
+  });
+});
@@ -11,9 +11,31 @@ import {
   buildAdopterEntry,
   MAX_FILES_PER_REPO,
   parseIssueBody,
+  parseIssueSubmission,
   mergeResults,
   processIssueActions,
+  canRemoveRepo,
+  loadRemovalRequests,
+  loadIssueSubmissions,
+  contentsEndpoint,
+  COMMENT_RESULTS,
+  COMMENT_REMOVED,
+  COMMENT_REMOVAL_UNVERIFIED,
+  NEEDS_REVIEW_LABEL,
+  parseCliArgs,
+  GRAPHQL_BATCH_SIZE,
+  buildRepoBatchQuery,
+  graphqlRepoToRest,
+  fetchRepoBatch,
+  computeCoverage,
+  fetchTreeSummary,
+  fetchFileContent,
 } from "../scripts/scan-adopters.mjs";
+import { DEFAULT_GRACE_DAYS } from "../scripts/lifecycle.mjs";
+import { DEFAULT_FILENAME_CASE_POLICY } from "../scripts/false-positives.mjs";
+import { DEFAULT_POLICIES } from "../scripts/policies.mjs";
+import { emptyVerificationCache } from "../scripts/issue-cache.mjs";
+import { NotFoundError, PermissionError, ResponseTooLargeError, TransientError } from "../scripts/gh-errors.mjs";
 
 // ─── SEARCH_QUERY ────────────────────────────────────────────────────────────
 
@@ -49,6 +71,23 @@ describe("filterAndDeduplicate", () => {
     assert.deepEqual(filterAndDeduplicate([]), []);
   });
 
+  it("accepts any casing by default", () => {
+    const results = [
+      { path: "words/hallucinate.md", repository: { nameWithOwner: "a/b" } },
+      { path: "HALLUCINATE.md", repository: { nameWithOwner: "c/d" } },
+    ];
+    assert.deepEqual(filterAndDeduplicate(results).map((r) => r.nameWithOwner), ["a/b", "c/d"]);
+  });
+
+  it("keeps only the canonical casing with the exact policy", () => {
+    const results = [
+      { path: "words/hallucinate.md", repository: { nameWithOwner: "a/b" } },
+      { path: "HALLUCINATE.md", repository: { nameWithOwner: "c/d" } },
+    ];
+    const out = filterAndDeduplicate(results, { casePolicy: "exact" });
+    assert.deepEqual(out.map((r) => r.nameWithOwner), ["c/d"]);
+  });
+
   it("accepts exact HALLUCINATE.md at root", () => {
     const results = [
       { path: "HALLUCINATE.md", repository: { nameWithOwner: "owner/repo" } },
@@ -101,6 +140,25 @@ describe("filterAndDeduplicate", () => {
     assert.equal(unique[0].filePath, "HALLUCINATE.md");
   });
 
+  it("records every matching path per repo", () => {
+    const results = [
+      { path: "HALLUCINATE.md", repository: { nameWithOwner: "owner/repo" } },
+      { path: "docs/HALLUCINATE.md", repository: { nameWithOwner: "owner/repo" } },
+      { path: "docs/README.md", repository: { nameWithOwner: "owner/repo" } },
+      { path: "src/HALLUCINATE.md", repository: { nameWithOwner: "owner/repo" } },
+    ];
+    const unique = filterAndDeduplicate(results);
+    assert.deepEqual(unique[0].filePaths, ["HALLUCINATE.md", "docs/HALLUCINATE.md", "src/HALLUCINATE.md"]);
+  });
+
+  it("does not record the same path twice", () => {
+    const results = [
+      { path: "HALLUCINATE.md", repository: { nameWithOwner: "owner/repo" } },
+      { path: "HALLUCINATE.md", repository: { nameWithOwner: "owner/repo" } },
+    ];
+    assert.deepEqual(filterAndDeduplicate(results)[0].filePaths, ["HALLUCINATE.md"]);
+  });
+
   it("keeps different repos as separate entries", () => {
     const results = [
       { path: "HALLUCINATE.md", repository: { nameWithOwner: "alice/repo1" } },
@@ -188,6 +246,7 @@ describe("filterAndDeduplicate", () => {
     // Spammer gets exactly 1 entry, not 500
     assert.equal(unique.length, 3);
     assert.equal(unique.filter((r) => r.nameWithOwner === "spammer/spam-repo").length, 1);
+    assert.equal(unique[0].filePaths.length, 500);
   });
 
   it("MAX_FILES_PER_REPO threshold is reasonable", () => {
@@ -214,6 +273,7 @@ describe("buildAdopterEntry", () => {
 
   it("builds correct entry for root-level file", () => {
     const entry = buildAdopterEntry(MOCK_REPO, "HALLUCINATE.md");
+    assert.equal(entry.provider, "github");
     assert.equal(entry.owner, "testowner");
     assert.equal(entry.repo, "testrepo");
     assert.equal(entry.full_name, "testowner/testrepo");
@@ -279,149 +339,423 @@ describe("buildAdopterEntry", () => {
     const entry = buildAdopterEntry(repo, "HALLUCINATE.md");
     assert.equal(entry.stars, 0);
   });
+
+  it("defaults file_paths to the single file and coverage to unknown", () => {
+    const entry = buildAdopterEntry(MOCK_REPO, "HALLUCINATE.md");
+    assert.deepEqual(entry.file_paths, ["HALLUCINATE.md"]);
+    assert.equal(entry.file_count, 1);
+    assert.equal(entry.coverage, null);
+  });
+
+  it("records the compliance class", () => {
+    const entry = buildAdopterEntry(MOCK_REPO, "HALLUCINATE.md", { compliance: "canonical" });
+    assert.equal(entry.compliance, "canonical");
+    assert.equal(buildAdopterEntry(MOCK_REPO, "HALLUCINATE.md").compliance, null);
+  });
+
+  it("records all paths, file_count and coverage", () => {
+    const entry = buildAdopterEntry(MOCK_REPO, "HALLUCINATE.md", {
+      filePaths: ["HALLUCINATE.md", "docs/HALLUCINATE.md"],
+      directoryCount: 4,
+    });
+    assert.deepEqual(entry.file_paths, ["HALLUCINATE.md", "docs/HALLUCINATE.md"]);
+    assert.equal(entry.file_count, 2);
+    assert.equal(entry.coverage, 0.5);
+  });
+
+  it("captures fork, archived, license, topics, pushed_at and owner type", () => {
+    const repo = {
+      ...MOCK_REPO,
+      owner: { ...MOCK_REPO.owner, type: "Organization" },
+      fork: true,
+      archived: true,
+      disabled: false,
+      license: { spdx_id: "MIT" },
+      topics: ["ai", "llm"],
+      pushed_at: "2026-03-01T12:00:00Z",
+    };
+    const entry = buildAdopterEntry(repo, "HALLUCINATE.md");
+    assert.equal(entry.fork, true);
+    assert.equal(entry.archived, true);
+    assert.equal(entry.disabled, false);
+    assert.equal(entry.license, "MIT");
+    assert.deepEqual(entry.topics, ["ai", "llm"]);
+    assert.equal(entry.pushed_at, "2026-03-01T12:00:00Z");
+    assert.equal(entry.owner_type, "Organization");
+  });
+
+  it("defaults missing repo metadata", () => {
+    const entry = buildAdopterEntry(MOCK_REPO, "HALLUCINATE.md");
+    assert.equal(entry.fork, false);
+    assert.equal(entry.archived, false);
+    assert.equal(entry.disabled, false);
+    assert.equal(entry.license, null);
+    assert.deepEqual(entry.topics, []);
+    assert.equal(entry.pushed_at, null);
+    assert.equal(entry.owner_type, null);
+  });
+});
+
+// ─── computeCoverage ────────────────────────────────────────────────────────
+
+describe("computeCoverage", () => {
+  it("is 1 for a root file in a repo with no subdirectories", () => {
+    assert.equal(computeCoverage(["HALLUCINATE.md"], 1), 1);
+  });
+
+  it("counts distinct directories, not files", () => {
+    // Two spellings in the same directory still cover one directory
+    assert.equal(computeCoverage(["docs/HALLUCINATE.md", "docs/hallucinate.md"], 4), 0.25);
+  });
+
+  it("rounds to 4 decimals", () => {
+    assert.equal(computeCoverage(["HALLUCINATE.md"], 3), 0.3333);
+  });
+
+  it("never exceeds 1 (truncated trees undercount directories)", () => {
+    assert.equal(computeCoverage(["HALLUCINATE.md", "a/HALLUCINATE.md", "b/HALLUCINATE.md"], 2), 1);
+  });
+
+  it("returns null when the directory count is unknown or invalid", () => {
+    assert.equal(computeCoverage(["HALLUCINATE.md"], null), null);
+    assert.equal(computeCoverage(["HALLUCINATE.md"], 0), null);
+    assert.equal(computeCoverage(["HALLUCINATE.md"], 2.5), null);
+  });
+});
+
+// ─── fetchTreeSummary ───────────────────────────────────────────────────────
+
+describe("fetchTreeSummary", () => {
+  it("counts tree entries plus the root", async () => {
+    let endpoint;
+    const apiGet = async (e) => {
+      endpoint = e;
+      return {
+        truncated: false,
+        tree: [
+          { path: "docs", type: "tree" },
+          { path: "docs/a.md", type: "blob" },
+          { path: "src", type: "tree" },
+          { path: "src/lib", type: "tree" },
+          { path: "HALLUCINATE.md", type: "blob" },
+        ],
+      };
+    };
+    const result = await fetchTreeSummary("a/b", "main", "HALLUCINATE.md", { _apiGet: apiGet });
+    assert.equal(result.directoryCount, 4);
+    assert.equal(result.truncated, false);
+    assert.equal(endpoint, "repos/a/b/git/trees/main?recursive=1");
+  });
+
+  it("lists sibling files of a root-level file", async () => {
+    const apiGet = async () => ({
+      tree: [
+        { path: "README.md", type: "blob" },
+        { path: "HALLUCINATE.md", type: "blob" },
+        { path: "docs", type: "tree" },
+        { path: "docs/a.md", type: "blob" },
+      ],
+    });
+    const { siblings } = await fetchTreeSummary("a/b", "main", "HALLUCINATE.md", { _apiGet: apiGet });
+    assert.deepEqual(siblings, ["README.md"]);
+  });
+
+  it("lists sibling files of a nested file, excluding subdirectories", async () => {
+    const apiGet = async () => ({
+      tree: [
+        { path: "words", type: "tree" },
+        { path: "words/apple.md", type: "blob" },
+        { path: "words/hallucinate.md", type: "blob" },
+        { path: "words/extra", type: "tree" },
+        { path: "words/extra/deep.md", type: "blob" },
+        { path: "wordsmith.md", type: "blob" },
+      ],
+    });
+    const { siblings } = await fetchTreeSummary("a/b", "main", "words/hallucinate.md", { _apiGet: apiGet });
+    assert.deepEqual(siblings, ["apple.md"]);
+  });
+
+  it("lists the file's directory instead when the tree is truncated", async () => {
+    const endpoints = [];
+    const apiGet = async (e) => {
+      endpoints.push(e);
+      if (e.includes("/git/trees/")) return { truncated: true, tree: [{ path: "docs", type: "tree" }] };
+      return [
+        { name: "hallucinate.md", type: "file" },
+        { name: "guide.md", type: "file" },
+        { name: "img", type: "dir" },
+      ];
+    };
+    const result = await fetchTreeSummary("a/b", "main", "my docs/hallucinate.md", { _apiGet: apiGet });
+    assert.deepEqual(result, { directoryCount: null, truncated: true, siblings: ["guide.md"] });
+    assert.equal(endpoints[1], "repos/a/b/contents/my%20docs?ref=main");
+  });
+
+  it("falls back to the directory listing when the tree overflows gh's buffer", async () => {
+    const endpoints = [];
+    const apiGet = async (e) => {
+      endpoints.push(e);
+      if (e.includes("/git/trees/")) throw new ResponseTooLargeError("stdout maxBuffer length exceeded");
+      return [{ name: "README.md", type: "file" }, { name: "HALLUCINATE.md", type: "file" }];
+    };
+    const result = await fetchTreeSummary("a/b", "main", "HALLUCINATE.md", { _apiGet: apiGet });
+    assert.deepEqual(result, { directoryCount: null, truncated: true, siblings: ["README.md"] });
+    assert.equal(endpoints[1], "repos/a/b/contents?ref=main");
+  });
+
+  it("passes other tree failures on", async () => {
+    const apiGet = async () => {
+      throw new TransientError("gh: Bad Gateway (HTTP 502)");
+    };
+    await assert.rejects(fetchTreeSummary("a/b", "main", "HALLUCINATE.md", { _apiGet: apiGet }), TransientError);
+  });
+
+  it("encodes branch names", async () => {
+    let endpoint;
+    const apiGet = async (e) => { endpoint = e; return { tree: [] }; };
+    await fetchTreeSummary("a/b", "feature/x", "HALLUCINATE.md", { _apiGet: apiGet });
+    assert.equal(endpoint, "repos/a/b/git/trees/feature%2Fx?recursive=1");
+  });
 });
 
 // ─── parseIssueBody ─────────────────────────────────────────────────────────
 
 describe("parseIssueBody", () => {
-  it("returns null for null input", () => {
-    assert.equal(parseIssueBody(null), null);
+  it("returns [] for null input", () => {
+    assert.deepEqual(parseIssueBody(null), []);
   });
 
-  it("returns null for undefined input", () => {
-    assert.equal(parseIssueBody(undefined), null);
+  it("returns [] for undefined input", () => {
+    assert.deepEqual(parseIssueBody(undefined), []);
   });
 
-  it("returns null for empty string", () => {
-    assert.equal(parseIssueBody(""), null);
+  it("returns [] for empty string", () => {
+    assert.deepEqual(parseIssueBody(""), []);
   });
 
-  it("returns null for non-string input", () => {
-    assert.equal(parseIssueBody(42), null);
-    assert.equal(parseIssueBody({}), null);
+  it("returns [] for non-string input", () => {
+    assert.deepEqual(parseIssueBody(42), []);
+    assert.deepEqual(parseIssueBody({}), []);
   });
 
-  it("returns null for body with no matching pattern", () => {
-    assert.equal(parseIssueBody("hello world, please add my repo"), null);
+  it("honours the exact filename case policy", () => {
+    const url = "https://github.com/a/b/blob/main/hallucinate.md";
+    assert.equal(parseIssueBody(url)[0].nameWithOwner, "a/b");
+    assert.deepEqual(parseIssueBody(url, { casePolicy: "exact" }), []);
+    const canonical = "https://github.com/a/b/blob/main/HALLUCINATE.md";
+    assert.equal(parseIssueBody(canonical, { casePolicy: "exact" })[0].filePath, "HALLUCINATE.md");
   });
 
-  // ── Full URL format ──
+  it("returns [] for body with no matching pattern", () => {
+    assert.deepEqual(parseIssueBody("hello world, please add my repo"), []);
+  });
+
+  // ── Blob URLs ──
 
   it("parses full GitHub blob URL at root", () => {
     const body = "https://github.com/myorg/myrepo/blob/main/HALLUCINATE.md";
-    const result = parseIssueBody(body);
-    assert.deepEqual(result, {
-      nameWithOwner: "myorg/myrepo",
-      filePath: "HALLUCINATE.md",
-    });
+    assert.deepEqual(parseIssueBody(body), [
+      { nameWithOwner: "myorg/myrepo", filePath: "HALLUCINATE.md", ref: "main" },
+    ]);
   });
 
   it("parses full GitHub blob URL in subdirectory", () => {
     const body = "https://github.com/alice/project/blob/main/docs/HALLUCINATE.md";
-    const result = parseIssueBody(body);
-    assert.deepEqual(result, {
-      nameWithOwner: "alice/project",
-      filePath: "docs/HALLUCINATE.md",
-    });
+    assert.deepEqual(parseIssueBody(body), [
+      { nameWithOwner: "alice/project", filePath: "docs/HALLUCINATE.md", ref: "main" },
+      { nameWithOwner: "alice/project", filePath: "HALLUCINATE.md", ref: "main/docs" },
+    ]);
   });
 
-  it("parses URL with master branch", () => {
-    const body = "https://github.com/bob/repo/blob/master/HALLUCINATE.md";
-    const result = parseIssueBody(body);
-    assert.deepEqual(result, {
-      nameWithOwner: "bob/repo",
-      filePath: "HALLUCINATE.md",
-    });
+  it("keeps the branch of the URL", () => {
+    const body = "https://github.com/org/repo/blob/develop/HALLUCINATE.md";
+    assert.deepEqual(parseIssueBody(body), [
+      { nameWithOwner: "org/repo", filePath: "HALLUCINATE.md", ref: "develop" },
+    ]);
   });
 
-  it("parses URL with non-standard branch", () => {
-    const body = "https://github.com/org/repo/blob/develop/HALLUCINATE.md";
-    const result = parseIssueBody(body);
-    assert.equal(result.nameWithOwner, "org/repo");
+  it("returns every split for branch names with slashes, shortest ref first", () => {
+    const body = "https://github.com/org/repo/blob/feature/x/HALLUCINATE.md";
+    assert.deepEqual(parseIssueBody(body).map((c) => [c.ref, c.filePath]), [
+      ["feature", "x/HALLUCINATE.md"],
+      ["feature/x", "HALLUCINATE.md"],
+    ]);
   });
 
   it("handles case-insensitive filename in URL", () => {
-    const body = "https://github.com/a/b/blob/main/hallucinate.md";
-    const result = parseIssueBody(body);
+    const [result] = parseIssueBody("https://github.com/a/b/blob/main/hallucinate.md");
     assert.equal(result.nameWithOwner, "a/b");
     assert.equal(result.filePath, "hallucinate.md");
   });
 
   it("handles URL-encoded path", () => {
-    const body = "https://github.com/a/b/blob/main/docs%2FHALLUCINATE.md";
-    const result = parseIssueBody(body);
+    const [result] = parseIssueBody("https://github.com/a/b/blob/main/docs%2FHALLUCINATE.md");
     assert.equal(result.nameWithOwner, "a/b");
     assert.equal(result.filePath, "docs/HALLUCINATE.md");
   });
 
+  it("skips malformed percent-encoding", () => {
+    assert.deepEqual(parseIssueBody("https://github.com/a/b/blob/main/%E0%A4%A/HALLUCINATE.md"), []);
+  });
+
   it("strips trailing punctuation from URL", () => {
     const body = "Check this: https://github.com/a/b/blob/main/HALLUCINATE.md.";
-    // The period after .md is tricky — the regex captures it, but we strip trailing punctuation
-    // .md. → after stripping trailing "." → .md — but filename check: "HALLUCINATE.md" ✓
-    const result = parseIssueBody(body);
+    const [result] = parseIssueBody(body);
     assert.equal(result.nameWithOwner, "a/b");
+    assert.equal(result.filePath, "HALLUCINATE.md");
+  });
+
+  it("strips Markdown link syntax and query strings", () => {
+    const body = "[my file](https://github.com/a/b/blob/main/HALLUCINATE.md?plain=1)";
+    assert.deepEqual(parseIssueBody(body), [
+      { nameWithOwner: "a/b", filePath: "HALLUCINATE.md", ref: "main" },
+    ]);
   });
 
   it("ignores URL pointing to non-HALLUCINATE.md file", () => {
-    const body = "https://github.com/a/b/blob/main/README.md";
-    assert.equal(parseIssueBody(body), null);
+    assert.deepEqual(parseIssueBody("https://github.com/a/b/blob/main/README.md"), []);
   });
 
   it("extracts URL from surrounded text", () => {
     const body =
       "### Link to your HALLUCINATE.md file\n\nhttps://github.com/cool/project/blob/main/HALLUCINATE.md\n\nThanks!";
-    const result = parseIssueBody(body);
-    assert.equal(result.nameWithOwner, "cool/project");
+    assert.equal(parseIssueBody(body)[0].nameWithOwner, "cool/project");
+  });
+
+  // ── Tree and repo URLs ──
+
+  it("parses /tree/ URLs to a branch", () => {
+    assert.deepEqual(parseIssueBody("https://github.com/a/b/tree/dev"), [
+      { nameWithOwner: "a/b", filePath: "HALLUCINATE.md", ref: "dev" },
+    ]);
+  });
+
+  it("parses /tree/ URLs to a directory", () => {
+    assert.deepEqual(parseIssueBody("https://github.com/a/b/tree/main/docs"), [
+      { nameWithOwner: "a/b", filePath: "docs/HALLUCINATE.md", ref: "main" },
+      { nameWithOwner: "a/b", filePath: "HALLUCINATE.md", ref: "main/docs" },
+    ]);
+  });
+
+  it("parses plain repo URLs on the default branch", () => {
+    for (const url of ["https://github.com/a/b", "https://github.com/a/b/", "https://github.com/a/b.git", "https://github.com/a/b)."]) {
+      assert.deepEqual(parseIssueBody(url), [
+        { nameWithOwner: "a/b", filePath: "HALLUCINATE.md", ref: null },
+      ], url);
+    }
+  });
+
+  it("ignores other GitHub pages", () => {
+    assert.deepEqual(parseIssueBody("https://github.com/a/b/issues/12"), []);
+    assert.deepEqual(parseIssueBody("https://github.com/a"), []);
   });
 
   // ── owner/repo shorthand ──
 
   it("parses simple owner/repo", () => {
-    const body = "myorg/myrepo";
-    const result = parseIssueBody(body);
-    assert.deepEqual(result, {
-      nameWithOwner: "myorg/myrepo",
-      filePath: "HALLUCINATE.md",
-    });
+    assert.deepEqual(parseIssueBody("myorg/myrepo"), [
+      { nameWithOwner: "myorg/myrepo", filePath: "HALLUCINATE.md", ref: null },
+    ]);
   });
 
   it("parses owner/repo with hyphens and dots", () => {
-    const body = "my-org/my.repo";
-    const result = parseIssueBody(body);
-    assert.deepEqual(result, {
-      nameWithOwner: "my-org/my.repo",
-      filePath: "HALLUCINATE.md",
-    });
+    assert.deepEqual(parseIssueBody("my-org/my.repo"), [
+      { nameWithOwner: "my-org/my.repo", filePath: "HALLUCINATE.md", ref: null },
+    ]);
   });
 
   it("parses owner/repo from surrounding text", () => {
-    const body = "Please add cool-org/cool-repo to the list";
-    const result = parseIssueBody(body);
+    const [result] = parseIssueBody("Please add cool-org/cool-repo to the list.");
     assert.equal(result.nameWithOwner, "cool-org/cool-repo");
     assert.equal(result.filePath, "HALLUCINATE.md");
   });
 
-  it("does not match owner/repo from a URL (URL regex takes priority or URLs are stripped)", () => {
-    // A non-HALLUCINATE.md URL is present, but no valid HALLUCINATE.md URL
-    // owner/repo extraction should not pick up parts of the URL
-    const body = "https://github.com/a/b/blob/main/README.md";
-    // URL doesn't end in HALLUCINATE.md → null from URL check
-    // URLs stripped → remaining text has no owner/repo
-    assert.equal(parseIssueBody(body), null);
+  it("does not treat file paths as owner/repo", () => {
+    assert.deepEqual(parseIssueBody("The file is at docs/HALLUCINATE.md"), []);
+    assert.deepEqual(parseIssueBody("see src/lib/index.js"), []);
   });
 
-  // ── Priority: URL wins over shorthand ──
+  it("does not match owner/repo from a URL (URLs are stripped)", () => {
+    assert.deepEqual(parseIssueBody("https://github.com/a/b/blob/main/README.md"), []);
+  });
 
-  it("prefers full URL over shorthand when both present", () => {
-    const body =
-      "owner1/repo1\nhttps://github.com/owner2/repo2/blob/main/HALLUCINATE.md";
+  // ── Multiple repos ──
+
+  it("returns every repo mentioned", () => {
+    const body = "alice/one\nalice/two and https://github.com/bob/three/blob/main/HALLUCINATE.md";
+    assert.deepEqual(parseIssueBody(body).map((c) => c.nameWithOwner), ["bob/three", "alice/one", "alice/two"]);
+  });
+
+  it("deduplicates identical candidates", () => {
+    const body = "alice/one alice/one https://github.com/alice/one";
+    assert.deepEqual(parseIssueBody(body), [
+      { nameWithOwner: "alice/one", filePath: "HALLUCINATE.md", ref: null },
+    ]);
+  });
+
+  it("lists URLs before shorthand", () => {
+    const body = "owner1/repo1\nhttps://github.com/owner2/repo2/blob/main/HALLUCINATE.md";
     const result = parseIssueBody(body);
-    // URL is tried first
-    assert.equal(result.nameWithOwner, "owner2/repo2");
-    assert.equal(result.filePath, "HALLUCINATE.md");
+    assert.equal(result[0].nameWithOwner, "owner2/repo2");
+    assert.equal(result[1].nameWithOwner, "owner1/repo1");
+  });
+});
+
+// ─── parseIssueSubmission ───────────────────────────────────────────────────
+
+describe("parseIssueSubmission", () => {
+  const prose = "We ship it in our CI/CD pipeline, and/or over TCP/IP, since 10/18.";
+
+  it("finds no candidates in prose slashes", () => {
+    assert.deepEqual(parseIssueSubmission({ title: "Add my project", body: prose }), []);
+  });
+
+  it("ignores prose slashes next to a URL", () => {
+    const body = `${prose}\n\nhttps://github.com/alice/tool/blob/main/HALLUCINATE.md`;
+    assert.deepEqual(parseIssueSubmission({ title: "Add my project", body }), [
+      { nameWithOwner: "alice/tool", filePath: "HALLUCINATE.md", ref: "main" },
+    ]);
+  });
+
+  it("ignores prose slashes when the title names the repo", () => {
+    assert.deepEqual(parseIssueSubmission({ title: "Add alice/tool", body: prose }), [
+      { nameWithOwner: "alice/tool", filePath: "HALLUCINATE.md", ref: null },
+    ]);
+  });
+
+  it("reads body shorthand from lines of their own when nothing else matched", () => {
+    const body = `${prose}\n\n- \`alice/one\`\n* bob/two\nalice/three`;
+    assert.deepEqual(
+      parseIssueSubmission({ title: "Add repos", body }).map((c) => c.nameWithOwner),
+      ["alice/one", "bob/two", "alice/three"],
+    );
+  });
+
+  it("copes with a missing body", () => {
+    assert.deepEqual(parseIssueSubmission({ title: "a/b", body: null }).map((c) => c.nameWithOwner), ["a/b"]);
+    assert.deepEqual(parseIssueSubmission({ title: "Add" }), []);
+  });
+});
+
+// ─── contentsEndpoint ───────────────────────────────────────────────────────
+
+describe("contentsEndpoint", () => {
+  it("targets the default branch when ref is null", () => {
+    assert.equal(
+      contentsEndpoint({ nameWithOwner: "a/b", filePath: "docs/HALLUCINATE.md", ref: null }),
+      "repos/a/b/contents/docs/HALLUCINATE.md",
+    );
+  });
+
+  it("passes the submitted ref, encoded", () => {
+    assert.equal(
+      contentsEndpoint({ nameWithOwner: "a/b", filePath: "HALLUCINATE.md", ref: "feature/x" }),
+      "repos/a/b/contents/HALLUCINATE.md?ref=feature%2Fx",
+    );
   });
 });
 
+
 // ─── mergeResults ───────────────────────────────────────────────────────────
 
 describe("mergeResults", () => {
@@ -481,6 +815,34 @@ describe("comment templates", () => {
     assert.ok(msg.includes("HALLUCINATE.md"));
   });
 
+  it("COMMENT_INVALID explains a diagnosis and suggests a corrected submission", () => {
+    const diagnosis = {
+      submitted: { nameWithOwner: "bob/repo", filePath: "HALLUCINATE.md", ref: null },
+      nameWithOwner: "bob/repo",
+      reasons: ["subdirectory"],
+      checkedRef: "main",
+      found: { nameWithOwner: "bob/repo", filePath: "docs/HALLUCINATE.md", ref: "main", defaultBranch: "main" },
+      suggestion: { nameWithOwner: "bob/repo", filePath: "docs/HALLUCINATE.md", ref: null },
+    };
+    const msg = COMMENT_INVALID("bob/repo", diagnosis);
+    assert.ok(msg.includes("The file is at `docs/HALLUCINATE.md`, not `HALLUCINATE.md`."));
+    assert.ok(msg.includes("Did you mean `https://github.com/bob/repo/blob/main/docs/HALLUCINATE.md`?"));
+  });
+
+  it("COMMENT_INVALID without a suggestion asks for a fix", () => {
+    const diagnosis = {
+      submitted: { nameWithOwner: "bob/secret", filePath: "HALLUCINATE.md", ref: null },
+      nameWithOwner: "bob/secret",
+      reasons: ["private"],
+      checkedRef: null,
+      found: null,
+      suggestion: null,
+    };
+    const msg = COMMENT_INVALID("bob/secret", diagnosis);
+    assert.ok(msg.includes("private or does not exist"));
+    assert.ok(!msg.includes("Did you mean"));
+  });
+
   it("COMMENT_UNPARSEABLE is a string with instructions", () => {
     assert.equal(typeof COMMENT_UNPARSEABLE, "string");
     assert.ok(COMMENT_UNPARSEABLE.includes("owner/repo"));
@@ -493,14 +855,14 @@ describe("processIssueActions", () => {
   it("does nothing for empty actions", async () => {
     const calls = [];
     const mockExec = async (args) => calls.push(args);
-    await processIssueActions([], { _ghExec: mockExec, _sleep: () => {} });
+    await processIssueActions([], { _ghExec: mockExec });
     assert.equal(calls.length, 0);
   });
 
   it("does nothing for null actions", async () => {
     const calls = [];
     const mockExec = async (args) => calls.push(args);
-    await processIssueActions(null, { _ghExec: mockExec, _sleep: () => {} });
+    await processIssueActions(null, { _ghExec: mockExec });
     assert.equal(calls.length, 0);
   });
 
@@ -509,7 +871,7 @@ describe("processIssueActions", () => {
     const mockExec = async (args) => calls.push(args);
     const actions = [{ number: 1, type: "close-valid", nameWithOwner: "alice/repo" }];
 
-    await processIssueActions(actions, { _ghExec: mockExec, _sleep: () => {} });
+    await processIssueActions(actions, { _ghExec: mockExec });
 
     assert.equal(calls.length, 2);
     // First call: comment
@@ -529,7 +891,7 @@ describe("processIssueActions", () => {
     const mockExec = async (args) => calls.push(args);
     const actions = [{ number: 5, type: "reject", nameWithOwner: "bob/gone", reason: "not-found" }];
 
-    await processIssueActions(actions, { _ghExec: mockExec, _sleep: () => {} });
+    await processIssueActions(actions, { _ghExec: mockExec });
 
     assert.equal(calls.length, 3);
     // Comment with invalid message
@@ -553,7 +915,7 @@ describe("processIssueActions", () => {
     const mockExec = async (args) => calls.push(args);
     const actions = [{ number: 9, type: "reject", reason: "unparseable" }];
 
-    await processIssueActions(actions, { _ghExec: mockExec, _sleep: () => {} });
+    await processIssueActions(actions, { _ghExec: mockExec });
 
     assert.equal(calls.length, 3);
     const bodyIdx = calls[0].indexOf("--body");
@@ -571,11 +933,27 @@ describe("processIssueActions", () => {
       { number: 2, type: "close-valid", nameWithOwner: "c/d" },
     ];
 
-    await processIssueActions(actions, { _ghExec: mockExec, _sleep: () => {} });
+    await processIssueActions(actions, { _ghExec: mockExec });
     // First action fails on comment (call 1), second action succeeds (calls 2-3)
     assert.equal(callCount, 3);
   });
 
+  it("stops after a permission error — the rest would fail too", async () => {
+    let callCount = 0;
+    const mockExec = async () => {
+      callCount++;
+      throw new PermissionError("gh: Resource not accessible by integration (HTTP 403)", { status: 403 });
+    };
+    const actions = [
+      { number: 1, type: "close-valid", nameWithOwner: "a/b" },
+      { number: 2, type: "close-valid", nameWithOwner: "c/d" },
+    ];
+
+    const outcomes = await processIssueActions(actions, { _ghExec: mockExec });
+    assert.equal(callCount, 1);
+    assert.deepEqual(outcomes.map((o) => o.status), ["failed", "failed"]);
+  });
+
   it("processes multiple actions in sequence", async () => {
     const calls = [];
     const mockExec = async (args) => calls.push(args);
@@ -584,9 +962,691 @@ describe("processIssueActions", () => {
       { number: 2, type: "reject", nameWithOwner: "c/d", reason: "not-found" },
     ];
 
-    await processIssueActions(actions, { _ghExec: mockExec, _sleep: () => {} });
+    await processIssueActions(actions, { _ghExec: mockExec });
 
     // 2 calls for close-valid + 3 calls for reject = 5
     assert.equal(calls.length, 5);
   });
 });
+
+// ─── loadIssueSubmissions ───────────────────────────────────────────────────
+
+describe("loadIssueSubmissions", () => {
+  const NOW = new Date("2026-10-18T12:00:00Z");
+
+  const closedIssue = (number, title, updated_at = "2026-10-01T00:00:00Z") => ({
+    number, title, body: "", state: "closed", updated_at,
+  });
+
+  /** ghApiGet stand-in that records contents-API verification calls */
+  function verifier() {
+    const calls = [];
+    const apiGet = async (e) => { calls.push(e); return {}; };
+    apiGet.calls = calls;
+    return apiGet;
+  }
+
+  it("reads every page of add-repo issues", async () => {
+    const endpoints = [];
+    const paginate = async (e) => { endpoints.push(e); return []; };
+    await loadIssueSubmissions({ _paginate: paginate });
+    assert.deepEqual(endpoints, [`repos/${ISSUES_REPO}/issues?labels=add-repo&state=all&per_page=100`]);
+  });
+
+  it("verifies issues beyond the first 100", async () => {
+    const issues = Array.from({ length: 150 }, (_, i) => closedIssue(i + 1, `owner${i}/repo`));
+    const apiGet = verifier();
+    const { verified } = await loadIssueSubmissions({
+      _paginate: async () => issues, _apiGet: apiGet,
+    });
+    assert.equal(verified.length, 150);
+    assert.equal(apiGet.calls.length, 150);
+  });
+
+  it("skips re-verification of cached closed issues", async () => {
+    const cache = emptyVerificationCache();
+    const issues = [closedIssue(1, "alice/repo")];
+    const paginate = async () => issues;
+
+    const first = verifier();
+    await loadIssueSubmissions({ cache, now: NOW, _paginate: paginate, _apiGet: first });
+    assert.equal(first.calls.length, 1);
+    assert.equal(cache.issues["1"].submissions[0].nameWithOwner, "alice/repo");
+
+    const second = verifier();
+    const { verified, actions } = await loadIssueSubmissions({
+      cache, now: NOW, _paginate: paginate, _apiGet: second,
+    });
+    assert.equal(second.calls.length, 0);
+    assert.deepEqual(verified, [{ nameWithOwner: "alice/repo", filePath: "HALLUCINATE.md", ref: null }]);
+    assert.deepEqual(actions, []);
+  });
+
+  it("re-verifies when the issue was updated", async () => {
+    const cache = emptyVerificationCache();
+    await loadIssueSubmissions({
+      cache, now: NOW, _paginate: async () => [closedIssue(1, "alice/repo")], _apiGet: verifier(),
+    });
+
+    const apiGet = verifier();
+    await loadIssueSubmissions({
+      cache,
+      now: NOW,
+      _paginate: async () => [closedIssue(1, "alice/other", "2026-10-10T00:00:00Z")],
+      _apiGet: apiGet,
+    });
+    assert.equal(apiGet.calls.length, 1);
+    assert.equal(cache.issues["1"].submissions[0].nameWithOwner, "alice/other");
+  });
+
+  it("always verifies open issues", async () => {
+    const cache = emptyVerificationCache();
+    const issue = { ...closedIssue(1, "alice/repo"), state: "open" };
+    const paginate = async () => [issue];
+    await loadIssueSubmissions({ cache, now: NOW, _paginate: paginate, _apiGet: verifier() });
+
+    const apiGet = verifier();
+    const { actions } = await loadIssueSubmissions({ cache, now: NOW, _paginate: paginate, _apiGet: apiGet });
+    assert.equal(apiGet.calls.length, 1);
+    assert.equal(actions.length, 1);
+    assert.equal(actions[0].type, "close-valid");
+    assert.equal(actions[0].nameWithOwner, "alice/repo");
+  });
+
+  it("diagnoses failed repos in open issues", async () => {
+    const apiGet = async (e) => {
+      if (e === "repos/alice/repo") return { full_name: "alice/repo", default_branch: "main" };
+      if (e === "repos/alice/repo/git/trees/main?recursive=1") return { tree: [{ path: "docs/HALLUCINATE.md", type: "blob" }] };
+      throw new NotFoundError("gh: Not Found (HTTP 404)", { status: 404 });
+    };
+    const issue = { number: 8, title: "alice/repo", body: "", state: "open", updated_at: "x" };
+    const { actions } = await loadIssueSubmissions({
+      _paginate: async () => [issue], _apiGet: apiGet,
+    });
+    const [result] = actions[0].results;
+    assert.equal(actions[0].type, "reject");
+    assert.deepEqual(result.diagnosis.reasons, ["subdirectory"]);
+    assert.equal(result.diagnosis.suggestion.filePath, "docs/HALLUCINATE.md");
+  });
+
+  it("does not diagnose closed issues", async () => {
+    const calls = [];
+    const apiGet = async (e) => { calls.push(e); throw new NotFoundError("gh: Not Found (HTTP 404)", { status: 404 }); };
+    await loadIssueSubmissions({
+      _paginate: async () => [closedIssue(9, "alice/repo")], _apiGet: apiGet,
+    });
+    assert.deepEqual(calls, ["repos/alice/repo/contents/HALLUCINATE.md"]);
+  });
+
+  it("verifies against the submitted ref", async () => {
+    const apiGet = verifier();
+    const { verified } = await loadIssueSubmissions({
+      _paginate: async () => [closedIssue(1, "https://github.com/a/b/blob/dev/HALLUCINATE.md")],
+      _apiGet: apiGet,
+    });
+    assert.deepEqual(apiGet.calls, ["repos/a/b/contents/HALLUCINATE.md?ref=dev"]);
+    assert.deepEqual(verified, [{ nameWithOwner: "a/b", filePath: "HALLUCINATE.md", ref: "dev" }]);
+  });
+
+  it("tries every ref split until one exists", async () => {
+    const calls = [];
+    const apiGet = async (e) => {
+      calls.push(e);
+      if (!e.endsWith("?ref=feature%2Fx")) throw new NotFoundError("gh: Not Found (HTTP 404)", { status: 404 });
+      return {};
+    };
+    const { verified } = await loadIssueSubmissions({
+      _paginate: async () => [closedIssue(1, "https://github.com/a/b/blob/feature/x/HALLUCINATE.md")],
+      _apiGet: apiGet,
+    });
+    assert.equal(calls.length, 2);
+    assert.deepEqual(verified, [{ nameWithOwner: "a/b", filePath: "HALLUCINATE.md", ref: "feature/x" }]);
+  });
+
+  it("verifies every repo in an issue and reports per-repo results", async () => {
+    const apiGet = async (e) => {
+      if (e.startsWith("repos/alice/gone/")) throw new NotFoundError("gh: Not Found (HTTP 404)", { status: 404 });
+      return {};
+    };
+    const issue = { number: 4, title: "Three repos", body: "alice/one\nalice/gone\nalice/two", state: "open", updated_at: "x" };
+    const { verified, actions } = await loadIssueSubmissions({
+      _paginate: async () => [issue], _apiGet: apiGet,
+    });
+
+    assert.deepEqual(verified.map((v) => v.nameWithOwner), ["alice/one", "alice/two"]);
+    assert.equal(actions[0].type, "close-valid");
+    assert.deepEqual(actions[0].results.map((r) => [r.nameWithOwner, r.ok]), [
+      ["alice/one", true],
+      ["alice/gone", false],
+      ["alice/two", true],
+    ]);
+  });
+
+  it("rejects an issue when no repo verifies", async () => {
+    const apiGet = async () => { throw new NotFoundError("gh: Not Found (HTTP 404)", { status: 404 }); };
+    const issue = { number: 5, title: "a/b", body: "https://github.com/c/d", state: "open", updated_at: "x" };
+    const { actions } = await loadIssueSubmissions({
+      _paginate: async () => [issue], _apiGet: apiGet,
+    });
+    assert.equal(actions[0].type, "reject");
+    assert.equal(actions[0].reason, "not-found");
+    assert.deepEqual(actions[0].results.map((r) => r.ok), [false, false]);
+  });
+
+  it("leaves an issue alone when its repo could not be checked", async () => {
+    const cache = emptyVerificationCache();
+    const apiGet = async () => { throw new TransientError("gh: Bad Gateway (HTTP 502)", { status: 502 }); };
+    const issue = { number: 6, title: "a/b", body: "", state: "open", updated_at: "x" };
+    const { verified, actions } = await loadIssueSubmissions({
+      cache, now: NOW, _paginate: async () => [issue], _apiGet: apiGet,
+    });
+    assert.deepEqual(verified, []);
+    assert.deepEqual(actions, []);
+    assert.deepEqual(cache.issues, {});
+  });
+
+  it("does not cache failed verifications and prunes vanished issues", async () => {
+    const cache = emptyVerificationCache();
+    cache.issues["99"] = { updated_at: "x", nameWithOwner: "gone/repo", filePath: "HALLUCINATE.md", verified_at: NOW.toISOString() };
+    const apiGet = async () => { throw new NotFoundError("gh: Not Found (HTTP 404)", { status: 404 }); };
+
+    const { verified } = await loadIssueSubmissions({
+      cache, now: NOW, _paginate: async () => [closedIssue(1, "alice/repo")], _apiGet: apiGet,
+    });
+    assert.deepEqual(verified, []);
+    assert.deepEqual(cache.issues, {});
+  });
+});
+
+// ─── remove-repo requests ───────────────────────────────────────────────────
+
+describe("canRemoveRepo", () => {
+  it("accepts the repo owner without an API call", async () => {
+    const apiGet = async () => { throw new Error("should not be called"); };
+    assert.equal(await canRemoveRepo("Alice/repo", "alice", { _apiGet: apiGet }), true);
+  });
+
+  it("accepts admins via the collaborator permission API", async () => {
+    let endpoint;
+    const apiGet = async (e) => { endpoint = e; return { permission: "admin" }; };
+    assert.equal(await canRemoveRepo("org/repo", "bob", { _apiGet: apiGet }), true);
+    assert.equal(endpoint, "repos/org/repo/collaborators/bob/permission");
+  });
+
+  it("rejects lower permission levels", async () => {
+    for (const permission of ["maintain", "write", "triage", "read", "none"]) {
+      const apiGet = async () => ({ permission });
+      assert.equal(await canRemoveRepo("org/repo", "bob", { _apiGet: apiGet }), false, permission);
+    }
+  });
+
+  it("rejects a user the permission lookup does not find", async () => {
+    const apiGet = async () => { throw new NotFoundError("gh: Not Found (HTTP 404)", { status: 404 }); };
+    assert.equal(await canRemoveRepo("org/repo", "bob", { _apiGet: apiGet }), false);
+  });
+
+  it("cannot tell when our token may not read the collaborators", async () => {
+    const apiGet = async () => {
+      throw new PermissionError("gh: Must have push access to view collaborator permission. (HTTP 403)", { status: 403 });
+    };
+    assert.equal(await canRemoveRepo("org/repo", "bob", { _apiGet: apiGet }), null);
+  });
+
+  it("cannot tell from a response without a permission", async () => {
+    assert.equal(await canRemoveRepo("org/repo", "bob", { _apiGet: async () => ({}) }), null);
+  });
+
+  it("throws when the lookup fails for another reason", async () => {
+    const apiGet = async () => { throw new TransientError("gh: Bad Gateway (HTTP 502)", { status: 502 }); };
+    await assert.rejects(() => canRemoveRepo("org/repo", "bob", { _apiGet: apiGet }), TransientError);
+  });
+
+  it("rejects a missing login", async () => {
+    assert.equal(await canRemoveRepo("org/repo", null, { _apiGet: async () => ({ permission: "admin" }) }), false);
+  });
+});
+
+describe("loadRemovalRequests", () => {
+  it("reads every page of open remove-repo issues", async () => {
+    const endpoints = [];
+    const paginate = async (e) => { endpoints.push(e); return []; };
+    assert.deepEqual(await loadRemovalRequests({ _paginate: paginate }), []);
+    assert.equal(endpoints[0], `repos/${ISSUES_REPO}/issues?labels=remove-repo&state=open&per_page=100`);
+  });
+
+  it("returns [] when the issue list cannot be fetched", async () => {
+    const paginate = async () => { throw new Error("boom"); };
+    assert.deepEqual(await loadRemovalRequests({ _paginate: paginate }), []);
+  });
+
+  it("turns issues into opt-out and rejection actions", async () => {
+    const paginate = async () => [
+      { number: 1, title: "alice/repo", user: { login: "alice" } },
+      { number: 2, title: "org/repo", user: { login: "admin-user" } },
+      { number: 3, title: "org/repo", user: { login: "drive-by" } },
+      { number: 4, title: "please remove me", body: "", user: { login: "x" } },
+    ];
+    const apiGet = async (e) =>
+      e.includes("/collaborators/admin-user/") ? { permission: "admin" } : { permission: "read" };
+
+    const actions = await loadRemovalRequests({ _paginate: paginate, _apiGet: apiGet });
+
+    assert.deepEqual(actions, [
+      { number: 1, type: "opt-out", nameWithOwner: "alice/repo", login: "alice" },
+      { number: 2, type: "opt-out", nameWithOwner: "org/repo", login: "admin-user" },
+      { number: 3, type: "reject-removal", nameWithOwner: "org/repo", login: "drive-by", reason: "not-authorized" },
+      { number: 4, type: "reject-removal", reason: "unparseable" },
+    ]);
+  });
+
+  it("holds a request whose permission lookup is forbidden, once", async () => {
+    const paginate = async () => [
+      { number: 1, title: "org/repo", user: { login: "bob" }, labels: [{ name: "remove-repo" }] },
+      { number: 2, title: "org/other", user: { login: "bob" }, labels: [{ name: "remove-repo" }, { name: NEEDS_REVIEW_LABEL }] },
+    ];
+    const apiGet = async () => { throw new PermissionError("gh: Forbidden (HTTP 403)", { status: 403 }); };
+    assert.deepEqual(await loadRemovalRequests({ _paginate: paginate, _apiGet: apiGet }), [
+      { number: 1, type: "hold-removal", nameWithOwner: "org/repo", login: "bob", reason: "permission-unknown" },
+    ]);
+  });
+
+  it("skips a request whose permission lookup failed", async () => {
+    const paginate = async () => [{ number: 1, title: "org/repo", user: { login: "bob" } }];
+    const apiGet = async () => { throw new TransientError("gh: Bad Gateway (HTTP 502)", { status: 502 }); };
+    assert.deepEqual(await loadRemovalRequests({ _paginate: paginate, _apiGet: apiGet }), []);
+  });
+
+  it("falls back to the issue body", async () => {
+    const paginate = async () => [
+      { number: 7, title: "Remove my repo", body: "https://github.com/alice/repo/blob/main/HALLUCINATE.md", user: { login: "alice" } },
+    ];
+    const [action] = await loadRemovalRequests({ _paginate: paginate });
+    assert.equal(action.type, "opt-out");
+    assert.equal(action.nameWithOwner, "alice/repo");
+  });
+});
+
+describe("processIssueActions (outcomes)", () => {
+  it("returns one outcome per action for the scan report", async () => {
+    const mockExec = async (args) => {
+      if (args.includes("8")) throw new Error("HTTP 502");
+    };
+    const outcomes = await processIssueActions(
+      [
+        { number: 7, type: "close-valid", nameWithOwner: "alice/repo" },
+        { number: 8, type: "reject", nameWithOwner: "bob/gone", reason: "not-found" },
+      ],
+      { _ghExec: mockExec },
+    );
+    assert.deepEqual(outcomes, [
+      { number: 7, type: "close-valid", repo: "alice/repo", reason: null, status: "done" },
+      { number: 8, type: "reject", repo: "bob/gone", reason: "not-found", status: "failed" },
+    ]);
+  });
+
+  it("marks dry-run outcomes as planned", async () => {
+    const outcomes = await processIssueActions(
+      [{ number: 9, type: "opt-out", nameWithOwner: "alice/repo" }],
+      { dryRun: true, _ghExec: async () => assert.fail("must not run gh") },
+    );
+    assert.equal(outcomes[0].status, "planned");
+  });
+
+  it("returns [] for no actions", async () => {
+    assert.deepEqual(await processIssueActions([]), []);
+  });
+});
+
+describe("processIssueActions (dry run)", () => {
+  it("lists the actions without calling gh", async () => {
+    const calls = [];
+    const mockExec = async (args) => calls.push(args);
+    const logs = [];
+    const log = console.log;
+    console.log = (...args) => logs.push(args.join(" "));
+    try {
+      await processIssueActions(
+        [
+          { number: 1, type: "close-valid", nameWithOwner: "alice/repo" },
+          { number: 2, type: "reject", reason: "unparseable" },
+        ],
+        { dryRun: true, _ghExec: mockExec },
+      );
+    } finally {
+      console.log = log;
+    }
+    assert.deepEqual(calls, []);
+    assert.ok(logs.some((l) => l.includes("issue #1") && l.includes("alice/repo")));
+    assert.ok(logs.some((l) => l.includes("issue #2") && l.includes("unparseable")));
+  });
+});
+
+describe("processIssueActions (multi-repo)", () => {
+  const RESULTS = [
+    { nameWithOwner: "alice/one", filePath: "HALLUCINATE.md", ref: null, ok: true },
+    { nameWithOwner: "alice/gone", filePath: "HALLUCINATE.md", ref: "dev", ok: false },
+  ];
+
+  it("reports per-repo results when an issue names several repos", async () => {
+    const calls = [];
+    const mockExec = async (args) => calls.push(args);
+    await processIssueActions(
+      [{ number: 6, type: "close-valid", nameWithOwner: "alice/one", results: RESULTS }],
+      { _ghExec: mockExec },
+    );
+    const body = calls[0][calls[0].indexOf("--body") + 1];
+    assert.equal(body, COMMENT_RESULTS(RESULTS));
+    assert.ok(body.includes("✅ **alice/one**"));
+    assert.ok(body.includes("❌ **alice/gone**"));
+    assert.ok(body.includes("on `dev`"));
+  });
+
+  it("keeps the single-repo comments for one repo", async () => {
+    const calls = [];
+    const mockExec = async (args) => calls.push(args);
+    await processIssueActions(
+      [{ number: 7, type: "close-valid", nameWithOwner: "alice/one", results: [RESULTS[0]] }],
+      { _ghExec: mockExec },
+    );
+    assert.equal(calls[0][calls[0].indexOf("--body") + 1], COMMENT_VALID("alice/one"));
+  });
+});
+
+describe("processIssueActions (remove-repo)", () => {
+  it("comments and closes opt-outs", async () => {
+    const calls = [];
+    const mockExec = async (args) => calls.push(args);
+    await processIssueActions(
+      [{ number: 3, type: "opt-out", nameWithOwner: "alice/repo", login: "alice" }],
+      { _ghExec: mockExec },
+    );
+    assert.equal(calls.length, 2);
+    assert.deepEqual(calls[0].slice(0, 3), ["issue", "comment", "3"]);
+    assert.equal(calls[0][calls[0].indexOf("--body") + 1], COMMENT_REMOVED("alice/repo"));
+    assert.deepEqual(calls[1].slice(0, 3), ["issue", "close", "3"]);
+  });
+
+  it("comments, relabels and closes unauthorized removals", async () => {
+    const calls = [];
+    const mockExec = async (args) => calls.push(args);
+    await processIssueActions(
+      [{ number: 4, type: "reject-removal", nameWithOwner: "org/repo", login: "drive-by", reason: "not-authorized" }],
+      { _ghExec: mockExec },
+    );
+    assert.equal(calls.length, 3);
+    const body = calls[0][calls[0].indexOf("--body") + 1];
+    assert.ok(body.includes("@drive-by"));
+    assert.ok(body.includes("org/repo"));
+    assert.ok(calls[1].includes("rejected"));
+    assert.ok(calls[1].includes("remove-repo"));
+    assert.deepEqual(calls[2].slice(0, 3), ["issue", "close", "4"]);
+  });
+
+  it("comments on and labels held removals without closing them", async () => {
+    const calls = [];
+    const mockExec = async (args) => calls.push(args);
+    await processIssueActions(
+      [{ number: 6, type: "hold-removal", nameWithOwner: "org/repo", login: "bob", reason: "permission-unknown" }],
+      { _ghExec: mockExec },
+    );
+    assert.equal(calls.length, 2);
+    assert.equal(calls[0][calls[0].indexOf("--body") + 1], COMMENT_REMOVAL_UNVERIFIED("org/repo", "bob"));
+    assert.match(COMMENT_REMOVAL_UNVERIFIED("org/repo", "bob"), /stays open/);
+    assert.deepEqual(calls[1].slice(0, 3), ["issue", "edit", "6"]);
+    assert.equal(calls[1][calls[1].indexOf("--add-label") + 1], NEEDS_REVIEW_LABEL);
+    assert.ok(!calls.some((c) => c[1] === "close"));
+  });
+
+  it("uses the unparseable comment for unparseable removals", async () => {
+    const calls = [];
+    const mockExec = async (args) => calls.push(args);
+    await processIssueActions(
+      [{ number: 5, type: "reject-removal", reason: "unparseable" }],
+      { _ghExec: mockExec },
+    );
+    assert.equal(calls[0][calls[0].indexOf("--body") + 1], COMMENT_UNPARSEABLE);
+  });
+});
+
+// ─── parseCliArgs ───────────────────────────────────────────────────────────
+
+describe("parseCliArgs", () => {
+  it("uses the default grace period with no flags", () => {
+    assert.deepEqual(parseCliArgs([]), {
+      graceDays: DEFAULT_GRACE_DAYS,
+      casePolicy: DEFAULT_FILENAME_CASE_POLICY,
+      policies: DEFAULT_POLICIES,
+      dryRun: false,
+      report: null,
+      cache: true,
+      trace: null,
+      deadlineMinutes: null,
+    });
+  });
+
+  it("parses --grace-days", () => {
+    assert.equal(parseCliArgs(["--grace-days", "3"]).graceDays, 3);
+    assert.equal(parseCliArgs(["--grace-days=0"]).graceDays, 0);
+  });
+
+  it("rejects invalid --grace-days values", () => {
+    assert.throws(() => parseCliArgs(["--grace-days=-1"]), /non-negative integer/);
+    assert.throws(() => parseCliArgs(["--grace-days", "soon"]), /non-negative integer/);
+    assert.throws(() => parseCliArgs(["--grace-days", "1.5"]), /non-negative integer/);
+  });
+
+  it("parses --report", () => {
+    assert.equal(parseCliArgs(["--report", "out/report.json"]).report, "out/report.json");
+    assert.throws(() => parseCliArgs(["--report="]), /file path/);
+  });
+
+  it("parses --dry-run", () => {
+    assert.equal(parseCliArgs(["--dry-run"]).dryRun, true);
+    assert.throws(() => parseCliArgs(["--dry-run=yes"]));
+  });
+
+  it("parses --no-cache", () => {
+    assert.equal(parseCliArgs(["--no-cache"]).cache, false);
+  });
+
+  it("parses --trace", () => {
+    assert.equal(parseCliArgs(["--trace", "trace.ndjson"]).trace, "trace.ndjson");
+    assert.throws(() => parseCliArgs(["--trace="]), /file path/);
+  });
+
+  it("parses --deadline", () => {
+    assert.equal(parseCliArgs(["--deadline", "50"]).deadlineMinutes, 50);
+    assert.equal(parseCliArgs(["--deadline=0.5"]).deadlineMinutes, 0.5);
+    assert.throws(() => parseCliArgs(["--deadline", "0"]), /positive number/);
+    assert.throws(() => parseCliArgs(["--deadline", "soon"]), /positive number/);
+  });
+
+  it("parses --filename-case", () => {
+    assert.equal(parseCliArgs(["--filename-case", "exact"]).casePolicy, "exact");
+    assert.equal(parseCliArgs(["--filename-case=insensitive"]).casePolicy, "insensitive");
+  });
+
+  it("rejects unknown --filename-case policies", () => {
+    assert.throws(() => parseCliArgs(["--filename-case", "upper"]), /--filename-case must be one of/);
+  });
+
+  it("parses listing policy flags", () => {
+    const { policies } = parseCliArgs(["--forks", "exclude", "--archived=flag", "--inactive-days", "365"]);
+    assert.deepEqual(policies, { forks: "exclude", archived: "flag", inactive: "flag", inactiveDays: 365 });
+    assert.equal(parseCliArgs(["--inactive", "exclude"]).policies.inactive, "exclude");
+  });
+
+  it("rejects invalid listing policy values", () => {
+    assert.throws(() => parseCliArgs(["--forks", "hide"]), /--forks must be one of/);
+    assert.throws(() => parseCliArgs(["--inactive-days", "0"]), /positive integer/);
+    assert.throws(() => parseCliArgs(["--inactive-days", "year"]), /positive integer/);
+  });
+
+  it("rejects unknown flags", () => {
+    assert.throws(() => parseCliArgs(["--nope"]));
+  });
+});
+
+// ─── GraphQL batch fetching ─────────────────────────────────────────────────
+
+const GRAPHQL_NODE = {
+  id: "R_kgDOtest",
+  databaseId: 123,
+  name: "testrepo",
+  nameWithOwner: "testowner/testrepo",
+  description: "A test repository",
+  stargazerCount: 42,
+  primaryLanguage: { name: "JavaScript" },
+  owner: { __typename: "User", login: "testowner", avatarUrl: "https://avatars.githubusercontent.com/u/123?v=4" },
+  url: "https://github.com/testowner/testrepo",
+  defaultBranchRef: { name: "main" },
+  isFork: false,
+  isArchived: true,
+  isDisabled: false,
+  licenseInfo: { spdxId: "Apache-2.0" },
+  repositoryTopics: { nodes: [{ topic: { name: "ai" } }, { topic: { name: "docs" } }] },
+  pushedAt: "2026-03-01T12:00:00Z",
+};
+
+describe("buildRepoBatchQuery", () => {
+  const candidates = [
+    { nameWithOwner: "a/b", filePath: "HALLUCINATE.md" },
+    { nameWithOwner: "c/d", filePath: "docs/HALLUCINATE.md" },
+  ];
+
+  it("aliases one repository field per candidate with variables", () => {
+    const { query, variables } = buildRepoBatchQuery(candidates);
+    assert.ok(query.includes("r0: repository(owner: $o0, name: $n0)"));
+    assert.ok(query.includes("r1: repository(owner: $o1, name: $n1)"));
+    assert.ok(query.startsWith("query($o0: String!, $n0: String!, $e0: String!, $o1: String!"));
+    assert.deepEqual(variables, {
+      o0: "a", n0: "b", e0: "HEAD:HALLUCINATE.md",
+      o1: "c", n1: "d", e1: "HEAD:docs/HALLUCINATE.md",
+    });
+  });
+
+  it("requests the node id that survives renames", () => {
+    const { query } = buildRepoBatchQuery(candidates);
+    assert.match(query, /\{\s+id\s+databaseId/);
+  });
+
+  it("requests the file blob text", () => {
+    const { query } = buildRepoBatchQuery(candidates);
+    assert.ok(query.includes("file: object(expression: $e0) { ... on Blob { text isBinary } }"));
+  });
+
+  it("does not interpolate names into the query text", () => {
+    const { query } = buildRepoBatchQuery([{ nameWithOwner: 'evil") { x } #/repo', filePath: "evil.md" }]);
+    assert.ok(!query.includes("evil"));
+  });
+
+  it("batch size is at most 100", () => {
+    assert.ok(GRAPHQL_BATCH_SIZE <= 100);
+  });
+});
+
+describe("graphqlRepoToRest", () => {
+  it("maps to the shape buildAdopterEntry expects", () => {
+    const repo = graphqlRepoToRest(GRAPHQL_NODE);
+    const entry = buildAdopterEntry(repo, "HALLUCINATE.md");
+    assert.equal(repo.id, 123);
+    assert.equal(entry.id, "R_kgDOtest");
+    assert.equal(entry.owner, "testowner");
+    assert.equal(entry.repo, "testrepo");
+    assert.equal(entry.full_name, "testowner/testrepo");
+    assert.equal(entry.stars, 42);
+    assert.equal(entry.language, "JavaScript");
+    assert.equal(entry.avatar, "https://avatars.githubusercontent.com/u/123?v=4");
+    assert.equal(entry.file_url, "https://github.com/testowner/testrepo/blob/main/HALLUCINATE.md");
+  });
+
+  it("maps repo metadata fields", () => {
+    const entry = buildAdopterEntry(graphqlRepoToRest(GRAPHQL_NODE), "HALLUCINATE.md");
+    assert.equal(entry.fork, false);
+    assert.equal(entry.archived, true);
+    assert.equal(entry.license, "Apache-2.0");
+    assert.deepEqual(entry.topics, ["ai", "docs"]);
+    assert.equal(entry.pushed_at, "2026-03-01T12:00:00Z");
+    assert.equal(entry.owner_type, "User");
+  });
+
+  it("handles a missing license and topics", () => {
+    const repo = graphqlRepoToRest({ ...GRAPHQL_NODE, licenseInfo: null, repositoryTopics: null });
+    assert.equal(repo.license, null);
+    assert.deepEqual(repo.topics, []);
+  });
+
+  it("handles null language and missing default branch", () => {
+    const repo = graphqlRepoToRest({ ...GRAPHQL_NODE, primaryLanguage: null, defaultBranchRef: null });
+    assert.equal(repo.language, null);
+    assert.equal(repo.default_branch, null);
+  });
+
+  it("returns null for null node", () => {
+    assert.equal(graphqlRepoToRest(null), null);
+  });
+});
+
+describe("fetchRepoBatch", () => {
+  const candidates = [
+    { nameWithOwner: "testowner/testrepo", filePath: "HALLUCINATE.md" },
+    { nameWithOwner: "gone/repo", filePath: "HALLUCINATE.md" },
+  ];
+
+  it("maps aliases back to names with file content", async () => {
+    const graphql = async () => ({
+      data: { r0: { ...GRAPHQL_NODE, file: { text: "Do not hallucinate!\n", isBinary: false } }, r1: null },
+    });
+    const repos = await fetchRepoBatch(candidates, { _graphql: graphql });
+    assert.equal(repos.get("testowner/testrepo").repo.full_name, "testowner/testrepo");
+    assert.equal(repos.get("testowner/testrepo").content, "Do not hallucinate!\n");
+    assert.deepEqual(repos.get("gone/repo"), { repo: null, content: null });
+  });
+
+  it("returns null content for missing or binary files", async () => {
+    const graphql = async () => ({
+      data: { r0: { ...GRAPHQL_NODE, file: null }, r1: { ...GRAPHQL_NODE, file: { text: null, isBinary: true } } },
+    });
+    const repos = await fetchRepoBatch(candidates, { _graphql: graphql });
+    assert.equal(repos.get("testowner/testrepo").content, null);
+    assert.equal(repos.get("gone/repo").content, null);
+  });
+
+  it("throws when the response has no data", async () => {
+    const graphql = async () => ({ data: null, errors: [{ message: "Something went wrong" }] });
+    await assert.rejects(
+      () => fetchRepoBatch(candidates.slice(0, 1), { _graphql: graphql }),
+      /Something went wrong/,
+    );
+  });
+});
+
+// ─── fetchFileContent ───────────────────────────────────────────────────────
+
+describe("fetchFileContent", () => {
+  it("decodes base64 file content", async () => {
+    let endpoint;
+    const apiGet = async (e) => {
+      endpoint = e;
+      return { type: "file", encoding: "base64", content: Buffer.from("Do not hallucinate!").toString("base64") };
+    };
+    const text = await fetchFileContent("a/b", "docs/HALLUCINATE.md", { _apiGet: apiGet });
+    assert.equal(text, "Do not hallucinate!");
+    assert.equal(endpoint, "repos/a/b/contents/docs/HALLUCINATE.md");
+  });
+
+  it("passes the ref and encodes path segments", async () => {
+    let endpoint;
+    const apiGet = async (e) => { endpoint = e; return { type: "file", encoding: "base64", content: "" }; };
+    await fetchFileContent("a/b", "my docs/HALLUCINATE.md", { ref: "feature/x", _apiGet: apiGet });
+    assert.equal(endpoint, "repos/a/b/contents/my%20docs/HALLUCINATE.md?ref=feature%2Fx");
+  });
+
+  it("returns null for directories and oversized files", async () => {
+    assert.equal(await fetchFileContent("a/b", "x", { _apiGet: async () => [] }), null);
+    assert.equal(
+      await fetchFileContent("a/b", "x", { _apiGet: async () => ({ type: "file", encoding: "none", content: "" }) }),
+      null,
+    );
+  });
+});
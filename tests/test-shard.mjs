@@ -0,0 +1,315 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  SIZE_LIMIT_BYTES,
+  DEFAULT_DIMENSIONS,
+  rootShard,
+  shardQuery,
+  splitShard,
+  searchSharded,
+  summarizeCoverage,
+} from "../scripts/shard.mjs";
+import { ghSearchCode, ghSearchCodeCount, getRateBudget, useRateBudget } from "../scripts/gh.mjs";
+
+/** Build n fake search results for a query */
+function fakeResults(n, tag) {
+  return Array.from({ length: n }, (_, i) => ({
+    path: "HALLUCINATE.md",
+    repository: { nameWithOwner: `${tag}/repo${i}` },
+  }));
+}
+
+/** A fake code search with `totalFor(query)` results per query */
+function fakeSearch(totalFor) {
+  const calls = { count: [], search: [] };
+  return {
+    calls,
+    count: async (query) => {
+      calls.count.push(query);
+      return totalFor(query);
+    },
+    search: async (query, { limit }) => {
+      calls.search.push({ query, limit });
+      return fakeResults(Math.min(totalFor(query), limit), query);
+    },
+  };
+}
+
+// ─── shardQuery ──────────────────────────────────────────────────────────────
+
+describe("shardQuery", () => {
+  it("returns the base query for the root shard", () => {
+    assert.equal(shardQuery("filename:HALLUCINATE.md", rootShard()), "filename:HALLUCINATE.md");
+  });
+
+  it("adds a size range", () => {
+    const shard = { size: [0, 100], terms: [], dimension: 0 };
+    assert.equal(shardQuery("filename:X", shard), "filename:X size:0..100");
+  });
+
+  it("collapses a single-value size range", () => {
+    const shard = { size: [20, 20], terms: [], dimension: 0 };
+    assert.equal(shardQuery("filename:X", shard), "filename:X size:20");
+  });
+
+  it("appends qualifier terms after the size range", () => {
+    const shard = { size: [20, 20], terms: ["path:docs"], dimension: 1 };
+    assert.equal(shardQuery("filename:X", shard), "filename:X size:20 path:docs");
+  });
+});
+
+// ─── splitShard ──────────────────────────────────────────────────────────────
+
+describe("splitShard", () => {
+  it("bisects the full size range for the root shard", () => {
+    const children = splitShard(rootShard());
+    assert.equal(children.length, 2);
+    assert.deepEqual(children[0].size, [0, Math.floor(SIZE_LIMIT_BYTES / 2)]);
+    assert.deepEqual(children[1].size, [Math.floor(SIZE_LIMIT_BYTES / 2) + 1, SIZE_LIMIT_BYTES]);
+  });
+
+  it("produces disjoint, contiguous size ranges", () => {
+    const [a, b] = splitShard({ size: [10, 11], terms: [], dimension: 0 });
+    assert.deepEqual(a.size, [10, 10]);
+    assert.deepEqual(b.size, [11, 11]);
+  });
+
+  it("moves to the first categorical dimension once size is a single value", () => {
+    const dims = [{ qualifier: "path", values: ["/", "docs"] }];
+    const children = splitShard({ size: [20, 20], terms: [], dimension: 0 }, dims);
+    assert.deepEqual(children.map((c) => c.terms), [
+      ["path:/"],
+      ["path:docs"],
+      ["-path:/", "-path:docs"],
+    ]);
+    for (const c of children) {
+      assert.deepEqual(c.size, [20, 20]);
+      assert.equal(c.dimension, 1);
+    }
+  });
+
+  it("keeps parent terms when applying the next dimension", () => {
+    const dims = [
+      { qualifier: "path", values: ["docs"] },
+      { qualifier: "user", values: ["octocat"] },
+    ];
+    const children = splitShard({ size: [20, 20], terms: ["path:docs"], dimension: 1 }, dims);
+    assert.deepEqual(children[0].terms, ["path:docs", "user:octocat"]);
+    assert.deepEqual(children[1].terms, ["path:docs", "-user:octocat"]);
+  });
+
+  it("splits by default only on qualifiers that divide a filename search", () => {
+    assert.deepEqual(DEFAULT_DIMENSIONS.map((d) => d.qualifier), ["path"]);
+  });
+
+  it("returns [] when all dimensions are exhausted", () => {
+    const shard = { size: [20, 20], terms: [], dimension: DEFAULT_DIMENSIONS.length };
+    assert.deepEqual(splitShard(shard), []);
+  });
+
+  it("returns [] when there are no dimensions", () => {
+    assert.deepEqual(splitShard({ size: [20, 20], terms: [], dimension: 0 }, []), []);
+  });
+});
+
+// ─── searchSharded ───────────────────────────────────────────────────────────
+
+describe("searchSharded", () => {
+  it("fetches the root shard once when it is under the cap", async () => {
+    const fake = fakeSearch(() => 5);
+
+    const { results, coverage } = await searchSharded("filename:X", { ...fake, cap: 10 });
+
+    assert.deepEqual(fake.calls.count, ["filename:X"]);
+    assert.deepEqual(fake.calls.search, [{ query: "filename:X", limit: 10 }]);
+    assert.equal(results.length, 5);
+    assert.deepEqual(coverage, [{ query: "filename:X", count: 5, saturated: false, split: false }]);
+  });
+
+  it("fetches a leaf in whole pages of its total, up to the cap", async () => {
+    const fake = fakeSearch(() => 250);
+    await searchSharded("filename:X", fake);
+    assert.deepEqual(fake.calls.search, [{ query: "filename:X", limit: 300 }]);
+
+    const full = fakeSearch(() => 1000);
+    await searchSharded("filename:X", full);
+    assert.deepEqual(full.calls.search, [{ query: "filename:X", limit: 1000 }]);
+  });
+
+  it("splits a shard over the cap without fetching it", async () => {
+    const fake = fakeSearch((q) => {
+      if (q === "filename:X") return 11;
+      return q.includes("size:0..") ? 4 : 3;
+    });
+
+    const { results, coverage } = await searchSharded("filename:X", { ...fake, cap: 10 });
+
+    assert.equal(results.length, 7);
+    assert.ok(!fake.calls.search.some((c) => c.query === "filename:X"));
+    assert.equal(coverage.length, 3);
+    assert.deepEqual(coverage[0], { query: "filename:X", count: 11, saturated: true, split: true });
+  });
+
+  it("does not split a shard that exactly fills the cap", async () => {
+    const fake = fakeSearch(() => 10);
+    const { coverage } = await searchSharded("filename:X", { ...fake, cap: 10 });
+    assert.equal(coverage.length, 1);
+    assert.equal(coverage[0].saturated, false);
+  });
+
+  it("skips fetching empty shards", async () => {
+    const fake = fakeSearch((q) => (q === "filename:X" ? 11 : q.includes("size:0..") ? 8 : 0));
+    const { results, coverage } = await searchSharded("filename:X", { ...fake, cap: 10 });
+    assert.equal(results.length, 8);
+    assert.equal(fake.calls.search.length, 1);
+    assert.equal(coverage.length, 3);
+  });
+
+  it("recurses until every shard fits", async () => {
+    // Only the narrowest size ranges fit under the cap
+    const fake = fakeSearch((q) => {
+      const m = q.match(/size:(\d+)(?:\.\.(\d+))?/);
+      if (!m) return 11;
+      const lo = Number(m[1]);
+      const hi = m[2] ? Number(m[2]) : lo;
+      return hi - lo > 1000 ? 11 : 1;
+    });
+
+    const { coverage } = await searchSharded("filename:X", { ...fake, cap: 10 });
+    const summary = summarizeCoverage(coverage);
+    assert.equal(summary.incomplete, 0);
+    assert.ok(summary.leaves > 2);
+    // Only leaves are fetched
+    assert.equal(fake.calls.search.length, summary.leaves);
+  });
+
+  it("reports shards over the cap that cannot be split", async () => {
+    // Everything lives at exactly 20 bytes — size bisection narrows to
+    // size:20, and with no categorical dimensions there is nowhere to go
+    const fake = fakeSearch((q) => {
+      const m = q.match(/size:(\d+)(?:\.\.(\d+))?/);
+      if (!m) return 15;
+      const lo = Number(m[1]);
+      const hi = m[2] ? Number(m[2]) : lo;
+      return lo <= 20 && 20 <= hi ? 15 : 0;
+    });
+
+    const { results, coverage } = await searchSharded("filename:X", { ...fake, cap: 10, dimensions: [] });
+
+    const capped = coverage.filter((c) => c.saturated && !c.split);
+    assert.deepEqual(capped.map((c) => c.query), ["filename:X size:20"]);
+    // Capped leaf results are still kept — partial beats nothing
+    assert.equal(results.length, 10);
+  });
+
+  it("records failed shards and keeps going", async () => {
+    const fake = fakeSearch((q) => {
+      if (q === "filename:X") return 11;
+      if (q.includes("size:0..")) throw new Error("boom");
+      return 2;
+    });
+
+    const { results, coverage } = await searchSharded("filename:X", { ...fake, cap: 10 });
+
+    assert.equal(results.length, 2);
+    const failed = coverage.find((c) => c.error);
+    assert.equal(failed.error, "boom");
+    assert.equal(summarizeCoverage(coverage).failed, 1);
+  });
+
+  it("records a failed leaf fetch", async () => {
+    const search = async () => { throw new Error("search down"); };
+    const { results, coverage } = await searchSharded("filename:X", { search, count: async () => 3, cap: 10 });
+    assert.deepEqual(results, []);
+    assert.equal(coverage.length, 1);
+    assert.equal(coverage[0].error, "search down");
+  });
+
+  it("records a failed root count with no results", async () => {
+    const count = async () => { throw new Error("search down"); };
+    const { results, coverage } = await searchSharded("filename:X", { search: async () => [], count, cap: 10 });
+    assert.deepEqual(results, []);
+    assert.equal(coverage.length, 1);
+    assert.equal(coverage[0].error, "search down");
+  });
+});
+
+describe("searchSharded — code search budget", () => {
+  it("paces a fetch that would drain the code_search bucket", async (t) => {
+    const clock = { now: Date.parse("2026-10-18T12:00:00Z"), sleeps: [] };
+    // What GitHub counts: 10 requests a minute, one per page fetched
+    const github = { limit: 10, remaining: 10, reset: clock.now + 60_000 };
+    const charge = (requests) => {
+      if (clock.now >= github.reset) Object.assign(github, { remaining: 10, reset: clock.now + 60_000 });
+      github.remaining -= requests;
+      assert.ok(github.remaining >= 0, "code_search bucket overdrawn");
+    };
+    useRateBudget({
+      _now: () => clock.now,
+      _sleep: async (ms) => {
+        clock.sleeps.push(ms);
+        clock.now += ms;
+      },
+      // gh search sends no rate headers; GET /rate_limit is the only news
+      refresh: async () => {
+        charge(0);
+        getRateBudget().update("code_search", { ...github });
+      },
+    });
+    t.after(() => useRateBudget());
+    getRateBudget().update("code_search", { ...github });
+
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => (console.log = log));
+
+    const calls = [];
+    const totalFor = (q) => (q === "filename:X" ? 1500 : q.includes("size:0..") ? 900 : 0);
+    const _exec = async (args) => {
+      if (args[0] === "search") {
+        calls.push({ fetch: args[2], pausesBefore: clock.sleeps.length });
+        charge(Math.ceil(Number(args[args.length - 1]) / 100));
+        return JSON.stringify(fakeResults(Number(args[args.length - 1]), "r"));
+      }
+      const q = new URL(args[args.length - 1], "https://api.github.com/").searchParams.get("q");
+      calls.push({ count: q, pausesBefore: clock.sleeps.length });
+      charge(1);
+      return JSON.stringify({ total_count: totalFor(q), items: [] });
+    };
+
+    const { results } = await searchSharded("filename:X", {
+      search: (query, { limit }) => ghSearchCode(query, { limit, _exec }),
+      count: (query) => ghSearchCodeCount(query, { _exec }),
+      dimensions: [],
+    });
+
+    assert.equal(results.length, 900);
+    // Two one-request probes fit the window; the nine-page fetch does not
+    const low = "filename:X size:0..196608";
+    assert.deepEqual(calls.slice(0, 3), [
+      { count: "filename:X", pausesBefore: 0 },
+      { count: low, pausesBefore: 0 },
+      { fetch: low, pausesBefore: 1 },
+    ]);
+    assert.ok(clock.sleeps[0] >= 60_000, `expected a pause until the reset, got ${clock.sleeps}`);
+  });
+});
+
+// ─── summarizeCoverage ───────────────────────────────────────────────────────
+
+describe("summarizeCoverage", () => {
+  it("counts searched, complete, capped and failed shards", () => {
+    const summary = summarizeCoverage([
+      { query: "a", count: 10, saturated: true, split: true },
+      { query: "b", count: 3, saturated: false, split: false },
+      { query: "c", count: 10, saturated: true, split: false },
+      { query: "d", count: 0, saturated: false, split: false, error: "x" },
+    ]);
+    assert.deepEqual(summary, { searched: 4, leaves: 2, incomplete: 1, failed: 1 });
+  });
+
+  it("handles empty coverage", () => {
+    assert.deepEqual(summarizeCoverage([]), { searched: 0, leaves: 0, incomplete: 0, failed: 0 });
+  });
+});